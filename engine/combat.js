@@ -0,0 +1,309 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./dice'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.combat = factory(root.ShogunEngine.rules, root.ShogunEngine.dice);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, dice) => {
+    'use strict';
+
+    // --- UNIT STACKS ---
+    // A stack is one player's units in the battle: { player, clan, daimyo, bushi, ronin }.
+    const UNIT_TYPES = ['daimyo', 'bushi', 'ronin'];
+    // Default casualty order: Ronin leave after the battle anyway, Daimyō are the last to fall.
+    const CASUALTY_ORDER = ['ronin', 'bushi', 'daimyo'];
+    // Ronin act as Bushi in all respects (§6.2.4), so they share the Otomo re-roll.
+    const REROLL_TYPES = ['bushi', 'ronin'];
+
+    const normalizeStack = (stack = {}) => ({
+        player: stack.player ?? null,
+        clan: stack.clan ?? null,
+        daimyo: stack.daimyo || 0,
+        bushi: stack.bushi || 0,
+        ronin: stack.ronin || 0,
+    });
+
+    const countUnits = (stack) => UNIT_TYPES.reduce((sum, type) => sum + (stack[type] || 0), 0);
+
+    // --- MODIFIERS (§0.1) ---
+    const fromRules = (id) => {
+        const mod = rules.getModifier(id);
+        return { id: mod.id, source: mod.source, roll: mod.roll, value: mod.value };
+    };
+
+    const castleModifier = (castle) => {
+        if (castle.type === 'fortress') return fromRules('fortress');
+        return fromRules(castle.fortified ? 'fortified-castle' : 'castle');
+    };
+
+    // Every modifier that applies to `own` in this battle, before netting.
+    // `options.modifiers` lets callers add module effects: { id, source, player, roll, value }.
+    const collectModifiers = (role, own, province, options = {}) => {
+        const found = [];
+        if (role === 'attacker') {
+            if (own.clan === 'oda' && own.daimyo > 0) found.push(fromRules('oda'));
+        } else {
+            if (own.clan === 'uesugi' && province.controlledAtRoundStart === own.player) found.push(fromRules('uesugi'));
+            if (province.id === 'yamashiro') found.push(fromRules('kyoto'));
+            if (province.castle && province.castle.owner === own.player) found.push(castleModifier(province.castle));
+        }
+        if (options.sowDiscord !== undefined && options.sowDiscord !== null && options.sowDiscord === own.player) {
+            found.push(fromRules('sow-discord'));
+        }
+        (options.modifiers || [])
+            .filter(m => m.player === own.player)
+            .forEach(m => found.push({ id: m.id, source: m.source || m.id, roll: m.roll || 'all', value: m.value }));
+
+        const rollType = role === 'attacker' ? 'attack' : 'defense';
+        return found.filter(m => m.roll === rollType || m.roll === 'all');
+    };
+
+    // Only the single largest bonus and the single largest penalty apply; they are netted.
+    const netModifiers = (list) => {
+        const bonus = list.filter(m => m.value > 0).reduce((best, m) => (!best || m.value > best.value ? m : best), null);
+        const penalty = list.filter(m => m.value < 0).reduce((worst, m) => (!worst || m.value < worst.value ? m : worst), null);
+        const applied = [bonus, penalty].filter(Boolean);
+        return {
+            bonus: bonus ? bonus.value : 0,
+            penalty: penalty ? penalty.value : 0,
+            net: (bonus ? bonus.value : 0) + (penalty ? penalty.value : 0),
+            applied,
+            ignored: list.filter(m => !applied.includes(m)),
+        };
+    };
+
+    // The lowest die result that hits. 1 always hits, 7 never does.
+    const targetNumber = (base, net) => Math.min(7, Math.max(1, base - net));
+
+    const targetsFor = (role, net) => {
+        const rollType = role === 'attacker' ? 'attack' : 'defense';
+        return UNIT_TYPES.reduce((targets, type) => {
+            targets[type] = targetNumber(rules.units[type][rollType], net);
+            return targets;
+        }, {});
+    };
+
+    // --- DICE ---
+    const rollStack = (stack, targets, roll, rerollTypes = []) => {
+        const rolls = [];
+        UNIT_TYPES.forEach(type => {
+            const count = stack[type] * rules.units[type].dice;
+            for (let i = 0; i < count; i++) {
+                const value = roll();
+                const entry = { unit: type, value, hit: value >= targets[type] };
+                if (!entry.hit && rerollTypes.includes(type)) {
+                    entry.rerolledFrom = value;
+                    entry.value = roll();
+                    entry.hit = entry.value >= targets[type];
+                }
+                rolls.push(entry);
+            }
+        });
+        return rolls;
+    };
+
+    // --- CASUALTIES ---
+    const defaultCasualties = (stack, hits) => {
+        const losses = { daimyo: 0, bushi: 0, ronin: 0 };
+        let remaining = hits;
+        CASUALTY_ORDER.forEach(type => {
+            const taken = Math.min(stack[type], remaining);
+            losses[type] = taken;
+            remaining -= taken;
+        });
+        return losses;
+    };
+
+    const validateLosses = (stack, hits, losses) => {
+        const expected = Math.min(hits, countUnits(stack));
+        UNIT_TYPES.forEach(type => {
+            if ((losses[type] || 0) < 0 || (losses[type] || 0) > stack[type]) {
+                throw new Error(`Invalid casualties: ${losses[type]} ${type} assigned, ${stack[type]} present.`);
+            }
+        });
+        if (countUnits(losses) !== expected) {
+            throw new Error(`Invalid casualties: ${countUnits(losses)} assigned, ${expected} required.`);
+        }
+    };
+
+    const subtract = (stack, losses) => UNIT_TYPES.reduce((left, type) => {
+        left[type] = stack[type] - (losses[type] || 0);
+        return left;
+    }, { player: stack.player, clan: stack.clan });
+
+    // --- BATTLE SETUP ---
+    // province: { id, controlledAtRoundStart, castle: { owner, type: 'castle' | 'fortress', fortified } | null }
+    // options:
+    //   dice               - dice source (engine/dice.js); defaults to an unseeded one
+    //   sowDiscord         - player targeted by the Ninja's "Sow Discord!" (§9.1.3)
+    //   otomoReroll        - the Otomo attacker pays to re-roll failed Bushi and Ronin dice
+    //   koku               - Koku the attacker has left for the re-roll once any Ronin are paid
+    //   modifiers          - extra module modifiers, see collectModifiers
+    //   assignCasualties   - (role, hits, stack) => { daimyo, bushi, ronin }; defaults to Ronin, Bushi, Daimyō
+    const prepareBattle = (attackerUnits, defenderUnits, province = {}, options = {}) => {
+        const stacks = { attacker: normalizeStack(attackerUnits), defender: normalizeStack(defenderUnits) };
+        const place = { id: province.id ?? null, controlledAtRoundStart: province.controlledAtRoundStart ?? null, castle: province.castle || null };
+
+        Object.entries(stacks).forEach(([role, stack]) => {
+            if (stack.ronin > stack.bushi) throw new Error(`The ${role} has more Ronin than Bushi (§6.2.4).`);
+        });
+
+        const reroll = Boolean(options.otomoReroll) && stacks.attacker.clan === 'otomo';
+        const rerollCost = rules.clans.otomo.effects.bushiReroll.cost;
+        if (reroll && !(options.koku >= rerollCost)) {
+            throw new Error(`The Otomo re-roll costs ${rerollCost} Koku; the attacker has ${options.koku || 0} (§2.4).`);
+        }
+        const sides = {};
+        ['attacker', 'defender'].forEach(role => {
+            const stack = stacks[role];
+            const modifier = netModifiers(collectModifiers(role, stack, place, options));
+            const rerolls = role === 'attacker' && reroll;
+            sides[role] = {
+                player: stack.player,
+                clan: stack.clan,
+                units: stack,
+                modifier,
+                targets: targetsFor(role, modifier.net),
+                rerollTypes: rerolls ? REROLL_TYPES : [],
+                kokuSpent: rerolls ? rerollCost : 0,
+            };
+        });
+        return { stacks, place, sides };
+    };
+
+    // --- RESOLUTION (§6.2.1) ---
+    // Surviving Ronin still count for the control check; the caller removes them afterwards (§6.2.4).
+    const resolveCombat = (attackerUnits, defenderUnits, province = {}, options = {}) => {
+        const roll = options.dice || dice.createDice();
+        const { stacks, place, sides } = prepareBattle(attackerUnits, defenderUnits, province, options);
+
+        // Both sides roll simultaneously; the attacker's dice are drawn first so seeded battles are reproducible.
+        ['attacker', 'defender'].forEach(role => {
+            const side = sides[role];
+            side.rolls = rollStack(stacks[role], side.targets, roll, side.rerollTypes);
+            side.hits = side.rolls.filter(r => r.hit).length;
+        });
+
+        // Hits are assigned to the opponent, then casualties are removed simultaneously.
+        [['attacker', 'defender'], ['defender', 'attacker']].forEach(([role, opponent]) => {
+            const stack = stacks[role];
+            const hits = sides[opponent].hits;
+            const losses = options.assignCasualties ?
+                options.assignCasualties(role, hits, { ...stack }) :
+                defaultCasualties(stack, hits);
+            validateLosses(stack, hits, losses);
+            sides[role].losses = { daimyo: losses.daimyo || 0, bushi: losses.bushi || 0, ronin: losses.ronin || 0 };
+        });
+        ['attacker', 'defender'].forEach(role => {
+            sides[role].survivors = subtract(stacks[role], sides[role].losses);
+        });
+
+        // Check for control.
+        const attackerLeft = countUnits(sides.attacker.survivors) > 0;
+        const defenderLeft = countUnits(sides.defender.survivors) > 0;
+        let outcome = 'neutral';
+        if (attackerLeft && defenderLeft) outcome = 'contested';
+        else if (attackerLeft) outcome = 'attacker';
+        else if (defenderLeft) outcome = 'defender';
+        const controller = outcome === 'attacker' || outcome === 'defender' ? sides[outcome].player : null;
+
+        // §9.2: an enemy taking the province destroys the castle or fortress.
+        const castleDestroyed = Boolean(place.castle && controller !== null && controller !== place.castle.owner);
+
+        return {
+            province: place.id,
+            attacker: sides.attacker,
+            defender: sides.defender,
+            outcome,
+            controller,
+            castleDestroyed,
+        };
+    };
+
+    // --- EXACT ODDS ---
+    // Chance that a single die hits; a re-roll gives failed dice a second chance.
+    const hitProbability = (target, reroll = false) => {
+        const p = Math.max(0, 7 - target) / 6;
+        return reroll ? p + (1 - p) * p : p;
+    };
+
+    const binomial = (n, p) => {
+        let dist = [1];
+        for (let i = 0; i < n; i++) {
+            const next = new Array(dist.length + 1).fill(0);
+            dist.forEach((q, k) => {
+                next[k] += q * (1 - p);
+                next[k + 1] += q * p;
+            });
+            dist = next;
+        }
+        return dist;
+    };
+
+    const convolve = (a, b) => {
+        const out = new Array(a.length + b.length - 1).fill(0);
+        a.forEach((x, i) => b.forEach((y, j) => { out[i + j] += x * y; }));
+        return out;
+    };
+
+    // dist[k] is the probability of scoring exactly k hits.
+    const hitDistribution = (stack, targets, rerollTypes = []) => UNIT_TYPES.reduce((dist, type) => {
+        const count = (stack[type] || 0) * rules.units[type].dice;
+        return convolve(dist, binomial(count, hitProbability(targets[type], rerollTypes.includes(type))));
+    }, [1]);
+
+    const atLeast = (dist, n) => dist.slice(Math.max(0, n)).reduce((sum, q) => sum + q, 0);
+    const expectation = (dist, f = k => k) => dist.reduce((sum, q, k) => sum + q * f(k), 0);
+
+    // Exact outcome probabilities for a two-sided battle. Which units die does not change who holds the
+    // province, so the control odds only depend on the number of hits each side scores.
+    // Without a `koku` option the odds assume the attacker can afford the re-roll.
+    const battleOdds = (attackerUnits, defenderUnits, province = {}, options = {}) => {
+        const { stacks, sides } = prepareBattle(attackerUnits, defenderUnits, province, { koku: Infinity, ...options });
+        const size = { attacker: countUnits(stacks.attacker), defender: countUnits(stacks.defender) };
+
+        ['attacker', 'defender'].forEach(role => {
+            const side = sides[role];
+            const opponent = role === 'attacker' ? 'defender' : 'attacker';
+            side.distribution = hitDistribution(stacks[role], side.targets, side.rerollTypes);
+            side.expectedHits = expectation(side.distribution);
+            side.wipeOutChance = atLeast(side.distribution, size[opponent]);
+        });
+        ['attacker', 'defender'].forEach(role => {
+            const opponent = role === 'attacker' ? 'defender' : 'attacker';
+            sides[role].expectedSurvivors = expectation(sides[opponent].distribution, k => Math.max(0, size[role] - k));
+        });
+
+        const attackerWipes = sides.attacker.wipeOutChance;
+        const defenderWipes = sides.defender.wipeOutChance;
+        return {
+            attacker: sides.attacker,
+            defender: sides.defender,
+            control: {
+                attacker: attackerWipes * (1 - defenderWipes),
+                defender: (1 - attackerWipes) * defenderWipes,
+                contested: (1 - attackerWipes) * (1 - defenderWipes),
+                neutral: attackerWipes * defenderWipes,
+            },
+        };
+    };
+
+    return {
+        UNIT_TYPES,
+        CASUALTY_ORDER,
+        REROLL_TYPES,
+        normalizeStack,
+        countUnits,
+        collectModifiers,
+        netModifiers,
+        targetNumber,
+        targetsFor,
+        defaultCasualties,
+        prepareBattle,
+        resolveCombat,
+        hitProbability,
+        hitDistribution,
+        battleOdds,
+    };
+}));
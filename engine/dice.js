@@ -0,0 +1,56 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.dice = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    // --- SEEDED RANDOMNESS ---
+    // mulberry32: small, fast and good enough for board game dice. Same seed, same sequence.
+    const mulberry32 = (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+    // A dice source is a function returning an integer 1-6. Every engine function that rolls accepts one,
+    // so games can be replayed from their seed and tests can script exact results.
+    const createDice = (seed = randomSeed()) => {
+        const next = mulberry32(seed);
+        const roll = () => 1 + Math.floor(next() * 6);
+        roll.seed = seed;
+        roll.random = next;
+        return roll;
+    };
+
+    // Replays a fixed list of results, e.g. fixedDice([6, 1, 5]); throws when exhausted.
+    const fixedDice = (results) => {
+        let index = 0;
+        return () => {
+            if (index >= results.length) throw new Error('fixedDice: ran out of scripted results.');
+            return results[index++];
+        };
+    };
+
+    // Fisher-Yates shuffle driven by the same generator, for player order and draft order.
+    const shuffle = (items, random = Math.random) => {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    };
+
+    return { mulberry32, randomSeed, createDice, fixedDice, shuffle };
+}));
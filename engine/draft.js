@@ -0,0 +1,99 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./dice'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.draft = factory(root.ShogunEngine.rules, root.ShogunEngine.dice);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, dice) => {
+    'use strict';
+
+    // --- CLAN DRAFT (§2.2.2) ---
+    // Draft objects are plain data and never mutated; every step returns a new one.
+    // { players: [{ id, name }], playerOrder: [ids], pickOrder: [ids], picks: [{ player, clan }] }
+
+    const MIN_PLAYERS = 2;
+    const MAX_PLAYERS = Object.keys(rules.clans).length;
+
+    // Step 1: a random player order; the pick order is its reverse.
+    const createDraft = (names, random = Math.random) => {
+        if (names.length < MIN_PLAYERS || names.length > MAX_PLAYERS) {
+            throw new Error(`A draft needs between ${MIN_PLAYERS} and ${MAX_PLAYERS} players.`);
+        }
+        const players = names.map((name, i) => ({ id: `p${i + 1}`, name: String(name).trim() || `Player ${i + 1}` }));
+        const playerOrder = dice.shuffle(players.map(p => p.id), random);
+        return { players, playerOrder, pickOrder: [...playerOrder].reverse(), picks: [] };
+    };
+
+    const currentPicker = (draft) => draft.pickOrder[draft.picks.length] || null;
+    const isComplete = (draft) => draft.picks.length === draft.pickOrder.length;
+
+    const claimedRegions = (draft) => [...new Set(draft.picks.map(p => rules.clans[p.clan].region))];
+
+    // The Regional Restriction applies until every region has been chosen from.
+    const restrictionActive = (draft) => claimedRegions(draft).length < rules.regions.length;
+
+    // Step 2: { ok, reason } for one clan; reason is null when the pick is legal.
+    const canPick = (draft, clanId) => {
+        const clan = rules.clans[clanId];
+        if (!clan) return { ok: false, reason: `Unknown clan "${clanId}".` };
+        if (isComplete(draft)) return { ok: false, reason: 'Every player has already picked a clan.' };
+        if (draft.picks.some(p => p.clan === clanId)) return { ok: false, reason: `The ${clan.name} have already been chosen.` };
+        if (restrictionActive(draft) && claimedRegions(draft).includes(clan.region)) {
+            const region = rules.regions.find(r => r.id === clan.region);
+            return { ok: false, reason: `Regional Restriction: ${region.name} is already claimed. Pick from an unclaimed region.` };
+        }
+        return { ok: true, reason: null };
+    };
+
+    const availableClans = (draft) => Object.values(rules.clans).map(clan => ({ clan: clan.id, ...canPick(draft, clan.id) }));
+
+    const pickClan = (draft, clanId) => {
+        const check = canPick(draft, clanId);
+        if (!check.ok) throw new Error(check.reason);
+        return { ...draft, picks: [...draft.picks, { player: currentPicker(draft), clan: clanId }] };
+    };
+
+    const undoPick = (draft) => ({ ...draft, picks: draft.picks.slice(0, -1) });
+
+    // --- INITIAL SETUP (§2.3) ---
+    // Turns a finished draft into the opening game state: each clan starts in its home province
+    // with 3 Daimyō and 1 Bushi. Round 1 uses the random player order (see the Designer's Note).
+    const createSetup = (draft) => {
+        if (!isComplete(draft)) throw new Error('The draft is not finished yet.');
+        const players = {};
+        const provinces = {};
+        draft.picks.forEach(({ player, clan }) => {
+            const name = draft.players.find(p => p.id === player).name;
+            players[player] = { name, clan, koku: 0 };
+            provinces[rules.clans[clan].province] = {
+                units: { [player]: { daimyo: rules.limits.startingDaimyo, bushi: rules.limits.startingBushi, ronin: 0 } },
+                castle: null,
+                controlledAtRoundStart: player,
+            };
+        });
+        return {
+            version: rules.version,
+            round: 1,
+            phase: 'planning',
+            playerOrder: [...draft.playerOrder],
+            players,
+            provinces,
+        };
+    };
+
+    return {
+        MIN_PLAYERS,
+        MAX_PLAYERS,
+        createDraft,
+        currentPicker,
+        isComplete,
+        claimedRegions,
+        restrictionActive,
+        canPick,
+        availableClans,
+        pickClan,
+        undoPick,
+        createSetup,
+    };
+}));
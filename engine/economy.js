@@ -0,0 +1,180 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./provinces'), require('./state'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.economy = factory(root.ShogunEngine.rules, root.ShogunEngine.provinces, root.ShogunEngine.state);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, provinces, state) => {
+    'use strict';
+
+    const { economy, costs, clans } = rules;
+
+    const clanEffects = (clanId) => (clans[clanId] && clans[clanId].effects) || {};
+    const moduleActive = (gameState, moduleId) => (gameState.modules || []).includes(moduleId);
+
+    // --- INCOME (§4.1, §2.4) ---
+    const coastalBonus = (clanId, provinceIds) => {
+        const effect = clanEffects(clanId).coastalIncome;
+        const count = provinceIds.filter(id => provinces.get(id)?.coastal).length;
+        if (!effect) return { count, bonus: 0, capped: false };
+        const raw = Math.floor(count / effect.perProvinces);
+        const bonus = effect.max === null ? raw : Math.min(raw, effect.max);
+        return { count, bonus, capped: bonus < raw };
+    };
+
+    const collectIncome = (clanId, provinceIds) => {
+        const base = clanEffects(clanId).baseIncome ?? economy.baseIncome;
+        const provinceIncome = provinceIds.length * economy.provinceIncome;
+        const coastal = coastalBonus(clanId, provinceIds);
+        return { base, provinceIncome, coastal, total: base + provinceIncome + coastal.bonus };
+    };
+
+    // §10.5: a fixed stipend instead of province income. Clan bonuses still apply: a higher base income
+    // raises the stipend by the same amount, and coastal income is paid as usual.
+    const collectStipend = (clanId, provinceIds) => {
+        const { stipend } = rules.getModule('cycle-of-rice').params;
+        const base = stipend + (clanEffects(clanId).baseIncome ?? economy.baseIncome) - economy.baseIncome;
+        const coastal = coastalBonus(clanId, provinceIds);
+        return { base, provinceIncome: 0, coastal, total: base + coastal.bonus, stipend: true };
+    };
+
+    // 1 Koku per 2 Bushi, rounded up; Daimyō are free.
+    const maintenanceCost = (bushi) => Math.ceil(bushi / economy.bushiPerMaintenanceKoku);
+
+    // --- WINTER (§7.1) ---
+    const mountainProvisions = (clanId, mountainProvinceIds, unitsInMountains) => {
+        const immune = Boolean(clanEffects(clanId).mountainProvisionsImmune);
+        const count = mountainProvinceIds.length;
+        const cost = immune ? 0 : count * economy.mountainProvinceCost + Math.ceil(unitsInMountains / economy.mountainUnitsPerKoku);
+        return { immune, provinces: count, units: unitsInMountains, cost };
+    };
+
+    // --- HONOR & BANKRUPTCY (§4.2) ---
+    // Pays a required cost. Whatever cannot be paid costs 2 Bushi per Koku; a clan never goes into debt.
+    const payCost = (koku, bushi, cost) => {
+        const paid = Math.min(koku, cost);
+        const shortfall = cost - paid;
+        const bushiOwed = shortfall * economy.bankruptcyBushiPerKoku;
+        const bushiLost = Math.min(bushi, bushiOwed);
+        return { cost, paid, shortfall, bushiOwed, bushiLost, koku: koku - paid, bushi: bushi - bushiLost };
+    };
+
+    // --- GAME STATE ---
+    // calculateIncome(playerId, gameState) from the project plan: the Phase 1a breakdown for one player.
+    // With The Cycle of Rice and War, Unit Maintenance moves to Winter (deferred; see winterMaintenance).
+    const calculateIncome = (playerId, gameState) => {
+        const player = gameState.players[playerId];
+        const held = state.controlledProvinces(gameState, playerId);
+        const rice = moduleActive(gameState, 'cycle-of-rice');
+        const income = rice ? collectStipend(player.clan, held) : collectIncome(player.clan, held);
+        const bushi = state.unitTotals(gameState, playerId).bushi;
+        const skipped = gameState.round === 1;
+        const maintenance = skipped || rice ? 0 : maintenanceCost(bushi);
+        return {
+            player: playerId,
+            provinces: held.length,
+            income,
+            maintenance: { bushi, cost: maintenance, skipped, deferred: rice },
+            net: income.total - maintenance,
+        };
+    };
+
+    // §10.5: Unit Maintenance is paid with the Mountain Provisions in Winter, in every round.
+    const winterMaintenance = (playerId, gameState) => {
+        if (!moduleActive(gameState, 'cycle-of-rice')) return null;
+        const bushi = state.unitTotals(gameState, playerId).bushi;
+        return { bushi, cost: maintenanceCost(bushi) };
+    };
+
+    const calculateMountainProvisions = (playerId, gameState) => {
+        const player = gameState.players[playerId];
+        const mountains = state.controlledProvinces(gameState, playerId).filter(id => provinces.get(id).mountain);
+        const units = mountains.reduce((sum, id) => sum + state.stackSize(state.unitsIn(gameState, id, playerId)), 0);
+        return { ...mountainProvisions(player.clan, mountains, units), provinceIds: mountains };
+    };
+
+    // --- ROUND PLANNER ---
+    // position: { clan, koku, provinces: [ids], bushi, mountainUnits, firstRound }
+    // spending: { recruit, ninja, castle: 'build' | 'fortify' | null }
+    // Returns a ledger of every Koku movement in round order plus the end-of-round position.
+    // Optional purchases cannot exceed the treasury; only required costs trigger bankruptcy.
+    const castleCost = (clanId, castle) => {
+        if (castle === 'build') return clanEffects(clanId).fortress ? clanEffects(clanId).fortress.cost : costs.buildCastle;
+        if (castle === 'fortify') return costs.fortifyCastle;
+        return 0;
+    };
+
+    const planRound = (position, spending = {}) => {
+        const clanId = position.clan || null;
+        const held = position.provinces || [];
+        let koku = Math.max(0, position.koku || 0);
+        let bushi = Math.max(0, position.bushi || 0);
+        const ledger = [];
+        const errors = [];
+        const record = (entry) => ledger.push({ ...entry, koku, bushi });
+
+        record({ step: 'start', label: 'Treasury at start of round', amount: 0 });
+
+        const income = collectIncome(clanId, held);
+        koku += income.total;
+        record({ step: 'income', label: 'Collect income', ref: '4.1', amount: income.total, detail: income });
+
+        if (position.firstRound) {
+            record({ step: 'maintenance', label: 'Unit Maintenance (skipped on the first turn)', ref: '4.1', amount: 0 });
+        } else {
+            const upkeep = payCost(koku, bushi, maintenanceCost(bushi));
+            ({ koku, bushi } = upkeep);
+            record({ step: 'maintenance', label: 'Unit Maintenance', ref: '4.1', amount: -upkeep.paid, bankruptcy: upkeep.shortfall ? upkeep : null });
+        }
+
+        const purchases = [
+            { step: 'recruit', label: `Recruit ${spending.recruit || 0} Bushi`, ref: '5.1', cost: (spending.recruit || 0) * costs.recruitBushi, bushi: spending.recruit || 0 },
+            { step: 'ninja', label: 'Hire the Ninja', ref: '9.1.1', cost: spending.ninja ? costs.hireNinja : 0 },
+            { step: 'castle', label: spending.castle === 'fortify' ? 'Fortify castle' : 'Build castle', ref: '9.2', cost: castleCost(clanId, spending.castle) },
+        ].filter(p => p.cost > 0);
+        purchases.forEach(p => {
+            if (p.cost > koku) {
+                errors.push(`${p.label} costs ${p.cost} Koku but only ${koku} Koku remain.`);
+                return;
+            }
+            koku -= p.cost;
+            bushi += p.bushi || 0;
+            record({ step: p.step, label: p.label, ref: p.ref, amount: -p.cost });
+        });
+
+        const mountainIds = held.filter(id => provinces.get(id)?.mountain);
+        const provisions = mountainProvisions(clanId, mountainIds, Math.max(0, position.mountainUnits || 0));
+        const winter = payCost(koku, bushi, provisions.cost);
+        ({ koku, bushi } = winter);
+        record({
+            step: 'winter',
+            label: provisions.immune ? 'Mountain Provisions (Tokugawa are immune)' : 'Mountain Provisions',
+            ref: '7.1',
+            amount: -winter.paid,
+            detail: provisions,
+            bankruptcy: winter.shortfall ? winter : null,
+        });
+
+        return {
+            ledger,
+            errors,
+            end: { koku, bushi },
+            bushiLost: ledger.reduce((sum, e) => sum + (e.bankruptcy ? e.bankruptcy.bushiLost : 0), 0),
+            nextMaintenance: maintenanceCost(bushi),
+        };
+    };
+
+    return {
+        coastalBonus,
+        collectIncome,
+        collectStipend,
+        maintenanceCost,
+        mountainProvisions,
+        payCost,
+        calculateIncome,
+        winterMaintenance,
+        calculateMountainProvisions,
+        planRound,
+    };
+}));
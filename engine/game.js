@@ -0,0 +1,769 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./rules-data'), require('./provinces'), require('./dice'), require('./combat'), require('./state'),
+            require('./economy'), require('./turn-order'), require('./movement'), require('./phases'), require('./ninja'),
+            require('./vassalage'), require('./modules'),
+        );
+    } else {
+        const e = root.ShogunEngine = root.ShogunEngine || {};
+        e.game = factory(e.rules, e.provinces, e.dice, e.combat, e.state, e.economy, e.turnOrder, e.movement, e.phases, e.ninja, e.vassalage, e.modules);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, provinces, dice, combat, state, economy, turnOrder, movement, phases, ninja, vassalage, modules) => {
+    'use strict';
+
+    // --- HOT-SEAT GAME ---
+    // A game is the engine/state.js shape plus { seed, step, active, turn, battleCount, log, origin, history },
+    // and { ninja, prompt } while the Ninja is hired (engine/ninja.js) or an action waits for a decision.
+    // Vassalage (engine/vassalage.js) lives in the players: { vassalOf, koseki, path }, Glory Points in
+    // { gloryPoints } when Path of Glory replaces it. game.modules lists the optional modules in play (§10).
+    // Like the draft, games are plain data and every action returns a new one.
+    // origin is the game as it started and history every command since (see perform), so it can be replayed.
+
+    // --- STEPS ---
+    // The steps come from the Timing page rows. Simultaneous steps resolve on their own; "In Player Order"
+    // steps wait for the active player, and consecutive ones form a single turn (§6: move, then fight).
+    const STEP_ACTIONS = { '1.1': 'administration', '1.3': 'reinforcement', '2.1': 'movement', '2.2': 'battles', '3.1': 'winter' };
+
+    const STEPS = (() => {
+        const steps = [];
+        let phase = null;
+        rules.timing.round.forEach(row => {
+            if (row.phase) phase = row.phase;
+            else if (row.step && STEP_ACTIONS[row.step]) {
+                steps.push({ id: row.step, phase, title: row.action, action: STEP_ACTIONS[row.step], sequential: row.lead === 'In Player Order' });
+            }
+        });
+        return steps;
+    })();
+
+    const stepInfo = (id) => STEPS.find(s => s.id === id) || null;
+    const phaseSteps = (phase) => STEPS.filter(s => s.phase === phase);
+
+    // The run of sequential steps that make up one player's turn.
+    const turnSteps = (stepId) => {
+        const steps = phaseSteps(stepInfo(stepId).phase);
+        let start = steps.findIndex(s => s.id === stepId);
+        let end = start;
+        while (start > 0 && steps[start - 1].sequential) start--;
+        while (end < steps.length - 1 && steps[end + 1].sequential) end++;
+        return steps.slice(start, end + 1);
+    };
+
+    // --- HELPERS ---
+    const moduleActive = (game, moduleId) => (game.modules || []).includes(moduleId);
+    const activePlayers = (game) => game.playerOrder.filter(id => !game.players[id].eliminated);
+    const playerLabel = (game, id) => `${game.players[id].name} (${rules.clans[game.players[id].clan].name})`;
+
+    // publicText: how everyone but `player` reads the entry, when the text gives away their Koku (engine/views.js).
+    const note = (game, text, player = null, publicText = null) => ({
+        ...game,
+        log: [...game.log, { round: game.round, phase: game.phase, step: game.step, player, text, ...(publicText ? { publicText } : {}) }],
+    });
+
+    const setPlayer = (game, id, changes) => ({ ...game, players: { ...game.players, [id]: { ...game.players[id], ...changes } } });
+
+    const setStack = (game, provinceId, playerId, stack) => {
+        const province = state.provinceState(game, provinceId);
+        return {
+            ...game,
+            provinces: {
+                ...game.provinces,
+                [provinceId]: { castle: null, controlledAtRoundStart: null, ...province, units: { ...province.units, [playerId]: { ...stack } } },
+            },
+        };
+    };
+
+    const setCastle = (game, provinceId, castle) => {
+        const province = state.provinceState(game, provinceId);
+        return { ...game, provinces: { ...game.provinces, [provinceId]: { controlledAtRoundStart: null, ...province, castle } } };
+    };
+
+    const castleOf = (game, playerId) => Object.keys(game.provinces)
+        .find(id => game.provinces[id].castle && game.provinces[id].castle.owner === playerId) || null;
+
+    // §4.2: Bushi lost to bankruptcy. The rule leaves the choice to the player; the hot-seat game
+    // takes them from the largest stacks first.
+    const removeBushi = (game, playerId, count) => {
+        let next = game;
+        let left = count;
+        const stacks = Object.keys(game.provinces)
+            .map(id => ({ id, stack: state.unitsIn(game, id, playerId) }))
+            .filter(s => s.stack.bushi > 0)
+            .sort((a, b) => b.stack.bushi - a.stack.bushi);
+        stacks.forEach(({ id, stack }) => {
+            const taken = Math.min(stack.bushi, left);
+            if (!taken) return;
+            left -= taken;
+            next = setStack(next, id, playerId, { ...stack, bushi: stack.bushi - taken });
+        });
+        return next;
+    };
+
+    const payRequired = (game, playerId, cost, label, ref) => {
+        const player = game.players[playerId];
+        const payment = economy.payCost(player.koku, state.unitTotals(game, playerId).bushi, cost);
+        let next = setPlayer(game, playerId, { koku: payment.koku });
+        next = note(next, `${label}: paid ${payment.paid} Koku (§${ref}).`, playerId, `${label}: paid (§${ref}).`);
+        if (payment.shortfall) {
+            next = removeBushi(next, playerId, payment.bushiLost);
+            const removed = payment.bushiLost < payment.bushiOwed ? `${payment.bushiLost} of ${payment.bushiOwed} owed Bushi` : `${payment.bushiLost} Bushi`;
+            next = note(next, `Bankruptcy: ${payment.shortfall} Koku short, ${removed} removed (§4.2).`, playerId, `Bankruptcy: ${removed} removed (§4.2).`);
+        }
+        return next;
+    };
+
+    // §8.1: vassals go free when their Liege Lord falls.
+    const releaseVassals = (game, liegeId) => vassalage.vassalsOf(game, liegeId).reduce((next, id) => note(
+        vassalage.liberate(next, [id]),
+        `${playerLabel(next, liegeId)} has fallen, so ${playerLabel(next, id)} is free again (§8.1).`,
+        id,
+    ), game);
+
+    // §8.4: a player with no Daimyō on the board is eliminated on losing their last province.
+    const checkEliminations = (game) => activePlayers(game).reduce((next, id) => {
+        if (state.unitTotals(next, id).daimyo > 0 || state.controlledProvinces(next, id).length > 0) return next;
+        const out = note(setPlayer(next, id, { eliminated: true }), `${playerLabel(next, id)} has been eliminated (§8.4).`, id);
+        return releaseVassals(out, id);
+    }, game);
+
+    // --- SIMULTANEOUS STEPS ---
+    const administration = (game) => {
+        let next = game;
+        activePlayers(game).forEach(id => {
+            const income = economy.calculateIncome(id, next);
+            next = setPlayer(next, id, { koku: next.players[id].koku + income.income.total });
+            next = income.income.stipend
+                ? note(next, `Daimyō's Stipend: +${income.income.total} Koku (§10.5).`, id, 'Daimyō\'s Stipend collected (§10.5).')
+                : note(next, `Income: +${income.income.total} Koku from ${income.provinces} province${income.provinces === 1 ? '' : 's'} (§4.1).`, id, `Income collected from ${income.provinces} province${income.provinces === 1 ? '' : 's'} (§4.1).`);
+            if (income.maintenance.skipped || !income.maintenance.cost) return;
+            next = payRequired(next, id, income.maintenance.cost, `Unit Maintenance for ${income.maintenance.bushi} Bushi`, '4.1');
+        });
+        // Round 1 keeps the random order from the draft (Designer's Note to §2.2).
+        const order = game.round === 1 ? activePlayers(next) : turnOrder.playerOrderFromState(next).map(e => e.player);
+        next = { ...next, playerOrder: [...order, ...next.playerOrder.filter(id => !order.includes(id))] };
+        return note(next, `Player order: ${order.map(id => next.players[id].name).join(' → ')} (§4.3).`);
+    };
+
+    const winter = (game) => activePlayers(game).reduce((paying, id) => {
+        const upkeep = economy.winterMaintenance(id, paying);
+        const next = upkeep && upkeep.cost ? payRequired(paying, id, upkeep.cost, `Unit Maintenance for ${upkeep.bushi} Bushi`, '10.5') : paying;
+        const provisions = economy.calculateMountainProvisions(id, next);
+        if (provisions.immune) return provisions.provinceIds.length ? note(next, 'Mountain Provisions: the Tokugawa are immune (§7.1).', id) : next;
+        if (!provisions.cost) return next;
+        return payRequired(next, id, provisions.cost, `Mountain Provisions for ${provisions.provinceIds.length} mountain province${provisions.provinceIds.length === 1 ? '' : 's'}`, '7.1');
+    }, game);
+
+    const RESOLVERS = { administration, winter };
+
+    // --- SEQUENCING ---
+    const startTurn = (game, stepId, playerId) => ({ ...game, step: stepId, active: playerId, turn: { player: playerId, moved: {}, fought: [] } });
+
+    const enterStep = (game, stepId) => {
+        const step = stepInfo(stepId);
+        if (!activePlayers(game).length) {
+            const over = { ...game, phase: phases.GAME_OVER, step: null, active: null, turn: null, winner: null, victory: null };
+            return note(over, 'Every clan has been eliminated; the game ends without a winner (§8.4).');
+        }
+        if (step.sequential) {
+            const first = activePlayers(game)[0];
+            return startTurn(note({ ...game, step: stepId }, `${step.title} begins.`), stepId, first);
+        }
+        const resolved = RESOLVERS[step.action](note({ ...game, step: stepId, active: null, turn: null }, `${step.title}.`));
+        return afterStep(resolved, step);
+    };
+
+    // Ends the phase through the phase sequencer, which also checks for victory (§1.1.2).
+    const endPhase = (game) => {
+        const { state: next, victory } = phases.endPhase(fealtyAtPhaseEnd({ ...game, step: null, active: null, turn: null }));
+        if (victory) return note(next, `${playerLabel(next, victory.winner)} wins by ${victory.label} (§${victory.ref}).`, victory.winner);
+        let fresh = next;
+        if (next.round !== game.round) {
+            // Fortification markers last for one round (§9.2).
+            Object.keys(fresh.provinces).forEach(id => {
+                const castle = fresh.provinces[id].castle;
+                if (castle && castle.fortified) fresh = setCastle(fresh, id, { ...castle, fortified: false });
+            });
+            // The Ninja is hired for one round (§5.1); vassals choose their path anew (§8.3).
+            fresh = vassalage.resetPaths(ninja.expire(fresh));
+            fresh = note(fresh, `Round ${next.round} begins.`);
+        }
+        return enterStep(fresh, phaseSteps(fresh.phase)[0].id);
+    };
+
+    const afterStep = (game, step) => {
+        const steps = phaseSteps(step.phase);
+        const following = steps[steps.findIndex(s => s.id === step.id) + 1];
+        return following ? enterStep(game, following.id) : endPhase(game);
+    };
+
+    // setup.modules: the optional modules to play with (engine/modules.js), none by default.
+    const startGame = (setup, seed = dice.randomSeed()) => {
+        const problems = modules.validateSelection(setup.modules || []);
+        if (problems.length) throw new Error(problems.join(' '));
+        const started = enterStep({
+            ...setup,
+            modules: modules.normalize(setup.modules || []),
+            phase: phases.PHASE_IDS[0],
+            seed,
+            step: null,
+            active: null,
+            turn: null,
+            battleCount: 0,
+            log: [],
+        }, phaseSteps(phases.PHASE_IDS[0])[0].id);
+        return { ...started, origin: started, history: [] };
+    };
+
+    const isOver = (game) => game.phase === phases.GAME_OVER;
+
+    // --- PLAYER ACTIONS ---
+    // Each action has a can* check returning { ok, reason } and throws with that reason when illegal.
+    const ok = { ok: true, reason: null };
+    const no = (reason) => ({ ok: false, reason });
+    const enforce = (check) => {
+        if (!check.ok) throw new Error(check.reason);
+    };
+
+    const requireStep = (game, action) => {
+        if (isOver(game)) return no('The game is over.');
+        if (game.prompt) return no(`Waiting for ${playerLabel(game, game.prompt.player)} to decide (§9.1.2).`);
+        const step = stepInfo(game.step);
+        if (!step || step.action !== action) return no(`This is not the ${action} step.`);
+        return ok;
+    };
+
+    // §5.1, §5.2: new Bushi go to a province held at the start of the round.
+    const canRecruit = (game, provinceId, count) => {
+        const step = requireStep(game, 'reinforcement');
+        if (!step.ok) return step;
+        const playerId = game.active;
+        if (!Number.isInteger(count) || count < 1) return no('Recruit at least one Bushi.');
+        if (state.provinceState(game, provinceId).controlledAtRoundStart !== playerId) {
+            return no('New units must be placed in a province you controlled at the start of the round (§5.2).');
+        }
+        const cost = count * rules.costs.recruitBushi;
+        if (cost > game.players[playerId].koku) return no(`${count} Bushi cost ${cost} Koku; you have ${game.players[playerId].koku}.`);
+        if (state.unitTotals(game, playerId).bushi + count > rules.limits.bushiPerClan) return no(`A clan has only ${rules.limits.bushiPerClan} Bushi (§2.1).`);
+        const stacking = movement.stackingProblem(game, provinceId, playerId, count);
+        return stacking ? no(`${stacking} (§3.2)`) : ok;
+    };
+
+    const recruit = (game, provinceId, count) => {
+        enforce(canRecruit(game, provinceId, count));
+        const playerId = game.active;
+        const stack = state.unitsIn(game, provinceId, playerId);
+        let next = setPlayer(game, playerId, { koku: game.players[playerId].koku - count * rules.costs.recruitBushi });
+        next = setStack(next, provinceId, playerId, { ...stack, bushi: stack.bushi + count });
+        return note(next, `Recruited ${count} Bushi in ${provinces.get(provinceId).name} (§5.1).`, playerId);
+    };
+
+    // §9.2: one castle per clan; the Hōjō build a Fortress instead.
+    const castleCost = (game, playerId) => {
+        const fortress = rules.clans[game.players[playerId].clan].effects.fortress;
+        return fortress ? fortress.cost : rules.costs.buildCastle;
+    };
+
+    const canBuildCastle = (game, provinceId) => {
+        const step = requireStep(game, 'reinforcement');
+        if (!step.ok) return step;
+        const playerId = game.active;
+        if (state.controllerOf(game, provinceId) !== playerId) return no('Castles can only be built in a province you control (§9.2).');
+        if (castleOf(game, playerId)) return no('Each clan may have only one Castle or Fortress on the map (§9.2).');
+        if (state.provinceState(game, provinceId).castle) return no('That province already has a castle.');
+        const built = Object.values(game.provinces).filter(p => p.castle).length;
+        if (built >= rules.limits.castlesTotal) return no(`All ${rules.limits.castlesTotal} castles are on the map.`);
+        const cost = castleCost(game, playerId);
+        return cost > game.players[playerId].koku ? no(`Building costs ${cost} Koku; you have ${game.players[playerId].koku}.`) : ok;
+    };
+
+    const buildCastle = (game, provinceId) => {
+        enforce(canBuildCastle(game, provinceId));
+        const playerId = game.active;
+        const type = rules.clans[game.players[playerId].clan].effects.fortress ? 'fortress' : 'castle';
+        let next = setPlayer(game, playerId, { koku: game.players[playerId].koku - castleCost(game, playerId) });
+        next = setCastle(next, provinceId, { owner: playerId, type, fortified: false });
+        return note(next, `Built a ${type === 'fortress' ? 'Fortress' : 'Castle'} in ${provinces.get(provinceId).name} (§9.2).`, playerId);
+    };
+
+    const canFortify = (game) => {
+        const step = requireStep(game, 'reinforcement');
+        if (!step.ok) return step;
+        const playerId = game.active;
+        const provinceId = castleOf(game, playerId);
+        if (!provinceId) return no('You have no castle to fortify.');
+        const castle = game.provinces[provinceId].castle;
+        if (castle.type !== 'castle') return no('Only a castle can be fortified.');
+        if (castle.fortified) return no('Your castle is already fortified this round.');
+        return rules.costs.fortifyCastle > game.players[playerId].koku ? no(`Fortifying costs ${rules.costs.fortifyCastle} Koku.`) : ok;
+    };
+
+    const fortifyCastle = (game) => {
+        enforce(canFortify(game));
+        const playerId = game.active;
+        const provinceId = castleOf(game, playerId);
+        let next = setPlayer(game, playerId, { koku: game.players[playerId].koku - rules.costs.fortifyCastle });
+        next = setCastle(next, provinceId, { ...game.provinces[provinceId].castle, fortified: true });
+        return note(next, `Fortified the castle in ${provinces.get(provinceId).name} (§9.2).`, playerId);
+    };
+
+    // §9.1.1: the Ninja is hired for the round and placed openly on any province.
+    const canHireNinja = (game, provinceId) => {
+        const step = requireStep(game, 'reinforcement');
+        if (!step.ok) return step;
+        return ninja.canHire(game, game.active, provinceId);
+    };
+
+    const hireNinja = (game, provinceId) => {
+        enforce(canHireNinja(game, provinceId));
+        const next = ninja.hire(game, game.active, provinceId);
+        return note(next, `Hired the Ninja for ${rules.costs.hireNinja} Koku and placed it in ${provinces.get(provinceId).name} (§9.1.1).`, game.active);
+    };
+
+    // §6.1: group = { from, daimyo, bushi, ability } for the active player; see engine/movement.js.
+    const checkMove = (game, group, targetProvince) => {
+        const step = requireStep(game, 'movement');
+        if (!step.ok) return { ...step, code: 'step' };
+        const check = movement.isValidMove({ ...group, player: game.active }, targetProvince, game);
+        if (!check.ok) return check;
+        const fealty = vassalage.canAttack(game, game.active, targetProvince);
+        return fealty.ok ? check : { ...fealty, code: 'fealty', ref: '8.2' };
+    };
+
+    const describeGroup = (group) => [group.daimyo ? `${group.daimyo} Daimyō` : null, group.bushi ? `${group.bushi} Bushi` : null].filter(Boolean).join(' and ');
+
+    const completeMove = (game, group, targetProvince) => {
+        const check = checkMove(game, group, targetProvince);
+        enforce(check);
+        const playerId = game.active;
+        const declared = declareAttack(game, playerId, targetProvince);
+        const held = state.controllerOf(game, targetProvince);
+        const next = movement.applyMove(declared, { ...group, player: playerId }, targetProvince);
+        const via = check.path.length > 2 ? ` via ${check.path.slice(1, -1).map(id => provinces.get(id).name).join(', ')}` : '';
+        const cost = check.cost ? ` for ${check.cost} Koku` : '';
+        const moved = note(next, `Moved ${describeGroup(group)} from ${provinces.get(group.from).name} to ${provinces.get(targetProvince).name}${via}${cost}.`, playerId);
+        // Walking into a neutral province conquers it.
+        return held !== playerId && state.controllerOf(moved, targetProvince) === playerId ? conquered(moved, playerId, targetProvince) : moved;
+    };
+
+    // Declaring a move into or through the Ninja's province lets its owner interrupt (§9.1.3).
+    const move = (game, group, targetProvince) => {
+        const check = checkMove(game, group, targetProvince);
+        enforce(check);
+        const at = ninjaTrigger(game, () => ninja.movementTrigger(game, game.active, check.path));
+        if (at) return ask(game, { kind: 'ninja', trigger: 'movement', player: game.ninja.owner, province: at, resume: { action: 'move', args: [group, targetProvince] } });
+        return completeMove(game, group, targetProvince);
+    };
+
+    // §6.2: battles the active player has started and not yet fought this turn.
+    const pendingBattles = (game) => {
+        if (!game.turn || stepInfo(game.step)?.action !== 'battles') return [];
+        return Object.keys(game.provinces).filter(id => {
+            const present = state.occupants(game, id);
+            return present.includes(game.active) && present.length > 1 && !game.turn.fought.includes(id)
+                && present.some(other => other !== game.active && !movement.allies(game, other, game.active));
+        });
+    };
+
+    const battleSides = (game, provinceId) => {
+        const attacker = game.active;
+        const defenders = game.playerOrder.filter(id => id !== attacker && state.occupants(game, provinceId).includes(id)
+            && !movement.allies(game, id, attacker));
+        return { attacker, defenders };
+    };
+
+    // The most Ronin a defender can hire is their Bushi there (§6.2.4). Koku is checked when they answer,
+    // so the prompt every seat sees says nothing about the treasury.
+    const roninLimit = (game, provinceId, playerId) => {
+        const stack = state.unitsIn(game, provinceId, playerId);
+        return Math.max(0, stack.bushi - stack.ronin);
+    };
+
+    // Ronin and the Otomo re-roll are paid as they are hired, before the Ninja can strike, so a
+    // "Burn the Supplies!" afterwards only finds what is left in the treasury (§6.2.4, §9.1.3).
+    const hireForBattle = (game, provinceId, options) => {
+        const { attacker: attackerId, defenders } = battleSides(game, provinceId);
+        const defenderId = defenders[0];
+        const roninA = options.ronin.attacker || 0;
+        const roninD = options.ronin.defender || 0;
+        const roninCost = (n) => n * rules.costs.hireRonin;
+        const rerollCost = options.otomoReroll && game.players[attackerId].clan === 'otomo' ? rules.clans.otomo.effects.bushiReroll.cost : 0;
+        [['attacker', attackerId, roninA], ['defender', defenderId, roninD]].forEach(([role, id, ronin]) => {
+            const stack = state.unitsIn(game, provinceId, id);
+            if (stack.ronin + ronin > stack.bushi) throw new Error(`The ${role} has more Ronin than Bushi (§6.2.4).`);
+        });
+        if (roninCost(roninA) + rerollCost > game.players[attackerId].koku) {
+            const bill = [roninA && `${roninA} Ronin`, rerollCost && 'the Otomo re-roll'].filter(Boolean).join(' and ');
+            throw new Error(`Paying for ${bill} takes ${roninCost(roninA) + rerollCost} Koku; you have ${game.players[attackerId].koku}.`);
+        }
+        if (roninCost(roninD) > game.players[defenderId].koku) throw new Error(`Hiring ${roninD} Ronin costs ${roninCost(roninD)} Koku.`);
+        const next = setPlayer(game, attackerId, { koku: game.players[attackerId].koku - roninCost(roninA) - rerollCost });
+        return setPlayer(next, defenderId, { koku: next.players[defenderId].koku - roninCost(roninD) });
+    };
+
+    // options: { ronin: { attacker, defender }, otomoReroll }
+    // Several defenders are fought one after another in player order.
+    // Attacker, then defender, may hire Ronin (§6.2.1): when the command leaves the defender's Ronin out,
+    // the first defender is asked. A battle in the Ninja's province then asks its owner. Until every
+    // answer is in, the results are empty.
+    const resolveBattle = (game, provinceId, options = {}) => {
+        enforce(requireStep(game, 'battles'));
+        if (!pendingBattles(game).includes(provinceId)) throw new Error('There is no battle to fight there.');
+        const hired = options.ronin || {};
+        if (hired.defender === undefined) {
+            const { defenders } = battleSides(game, provinceId);
+            const settled = { ...options, ronin: { ...hired, defender: 0 } };
+            // The attacker's bill is checked now, so the defender is never asked about a battle that cannot be fought.
+            hireForBattle(game, provinceId, settled);
+            const most = roninLimit(game, provinceId, defenders[0]);
+            if (most > 0) {
+                const counts = Array.from({ length: most }, (_, i) => i + 1);
+                return { game: ask(game, { kind: 'ronin', trigger: 'battle', player: defenders[0], province: provinceId, targets: counts, resume: { action: 'resolveBattle', args: [provinceId, settled] } }), results: [] };
+            }
+            return resolveBattle(game, provinceId, settled);
+        }
+        const paid = hireForBattle(game, provinceId, options);
+        if (ninjaTrigger(paid, () => ninja.battleTrigger(paid, provinceId))) {
+            const { attacker, defenders } = battleSides(paid, provinceId);
+            const prompt = { kind: 'ninja', trigger: 'battle', player: paid.ninja.owner, province: provinceId, targets: [attacker, ...defenders] };
+            return { game: ask(paid, { ...prompt, resume: { action: 'resolveBattle', args: [provinceId, options] } }), results: [] };
+        }
+        return fight(paid, provinceId, options);
+    };
+
+    // operation: { id, target } when the Ninja struck in this battle.
+    const fight = (game, provinceId, options, operation = null) => {
+        const { attacker: attackerId, defenders } = battleSides(game, provinceId);
+        const hired = options.ronin || {};
+        // A battle left over from an earlier round is an attack too (§8.3).
+        let next = declareAttack(game, attackerId, provinceId);
+        const results = [];
+        const fallen = [];
+        // "Burn the Supplies!" is paid before any dice are rolled (§9.1.3).
+        if (operation && operation.id === 'burn-the-supplies') {
+            next = payRequired(next, operation.target, rules.costs.burnTheSupplies, 'Burn the Supplies!', '9.1.3');
+        }
+        // "Sow Discord!" lasts for a single battle: the target's first one here.
+        const discordIn = operation && operation.id === 'sow-discord'
+            ? (operation.target === attackerId ? defenders[0] : operation.target)
+            : null;
+
+        defenders.forEach((defenderId, i) => {
+            const attackerStack = state.unitsIn(next, provinceId, attackerId);
+            if (state.stackSize(attackerStack) === 0) return;
+            const defenderStack = state.unitsIn(next, provinceId, defenderId);
+            if (state.stackSize(defenderStack) === 0) return;
+            // Ronin are hired, and paid for, for the first battle only (§6.2.4). Bushi lost to a bankruptcy
+            // since then take their Ronin with them.
+            const roninA = i === 0 ? Math.min(hired.attacker || 0, attackerStack.bushi - attackerStack.ronin) : 0;
+            const roninD = i === 0 ? Math.min(hired.defender || 0, defenderStack.bushi - defenderStack.ronin) : 0;
+            const reroll = i === 0 && Boolean(options.otomoReroll);
+
+            const place = { id: provinceId, ...state.provinceState(next, provinceId) };
+            const result = combat.resolveCombat(
+                { player: attackerId, clan: next.players[attackerId].clan, ...attackerStack, ronin: attackerStack.ronin + roninA },
+                { player: defenderId, clan: next.players[defenderId].clan, ...defenderStack, ronin: defenderStack.ronin + roninD },
+                place,
+                {
+                    dice: dice.createDice((next.seed + next.battleCount * 2654435761) >>> 0),
+                    otomoReroll: reroll,
+                    // Already paid in hireForBattle.
+                    koku: reroll ? rules.clans.otomo.effects.bushiReroll.cost : 0,
+                    sowDiscord: defenderId === discordIn ? operation.target : null,
+                },
+            );
+            results.push(result);
+
+            // Surviving Ronin leave once the battle is over (§6.2.4).
+            ['attacker', 'defender'].forEach(role => {
+                const { survivors } = result[role];
+                next = setStack(next, provinceId, result[role].player, { daimyo: survivors.daimyo, bushi: survivors.bushi, ronin: 0 });
+            });
+            if (result.castleDestroyed) next = setCastle(next, provinceId, null);
+            next = { ...next, battleCount: next.battleCount + 1 };
+
+            const outcome = result.controller ? `${next.players[result.controller].name} controls it` : 'it is neutral';
+            next = note(next, `Battle of ${provinces.get(provinceId).name} against ${next.players[defenderId].name}: ${result.attacker.hits} hits to ${result.defender.hits}; ${outcome}${result.castleDestroyed ? ', and the castle is destroyed' : ''} (§6.2).`, attackerId);
+            if (result.controller === attackerId) next = conquered(next, attackerId, provinceId, defenderId);
+            // Whoever assigned the casualty to a clan's last Daimyō becomes its Liege Lord (§8.1), or
+            // wins Glory Points with Path of Glory (§10.7).
+            [[attackerId, defenderId], [defenderId, attackerId]].forEach(([loser, victor]) => {
+                if (result[loser === attackerId ? 'attacker' : 'defender'].losses.daimyo && !state.unitTotals(next, loser).daimyo) {
+                    fallen.push({ vassal: loser, liege: victor });
+                }
+            });
+        });
+
+        next = { ...next, turn: { ...next.turn, fought: [...next.turn.fought, provinceId] } };
+        const settled = checkEliminations(next);
+        return { game: moduleActive(game, 'path-of-glory') ? gloryForFallen(settled, fallen) : swearFealty(settled, fallen), results };
+    };
+
+    // --- FEALTY (§8) ---
+    const PATHS = { service: 'Loyal Service', betrayal: 'Betrayal' };
+
+    const declareAttack = (game, playerId, provinceId) => {
+        const next = vassalage.declareAttack(game, playerId, provinceId);
+        const path = next.players[playerId].path;
+        if (path === game.players[playerId].path) return next;
+        return note(next, `The first attack of the round binds ${playerLabel(next, playerId)} to the path of ${PATHS[path]} (§8.3).`, playerId);
+    };
+
+    // A province taken by a vassal: a Kōseki on the path of Loyal Service, freedom when it was the
+    // Liege Lord's (from: the defender, if there was a battle).
+    const conquered = (game, playerId, provinceId, from = null) => {
+        if (moduleActive(game, 'path-of-glory')) return gloryForMandate(game, playerId, provinceId);
+        const player = game.players[playerId];
+        if (!player.vassalOf) return game;
+        if (player.path === 'betrayal' && from === player.vassalOf) {
+            const free = vassalage.liberate(game, [playerId]);
+            return note(free, `${playerLabel(game, playerId)} took ${provinces.get(provinceId).name} from their Liege Lord and is free again (§8.2).`, playerId);
+        }
+        if (player.path !== 'service') return game;
+        const next = vassalage.addKoseki(game, playerId);
+        return note(next, `Conquered ${provinces.get(provinceId).name}: ${next.players[playerId].koseki} of ${rules.vassalage.kosekiToLiberate} Kōseki (§8.2).`, playerId);
+    };
+
+    const takeProvince = (game, vassalId, liegeId, provinceId) => {
+        const { game: next, converted } = vassalage.transferProvince(game, vassalId, liegeId, provinceId);
+        const oath = converted ? `${converted} of their units swear fealty` : 'no units change sides';
+        return note(next, `${playerLabel(game, liegeId)} takes ${provinces.get(provinceId).name} from their vassal; ${oath} (§8.1).`, liegeId);
+    };
+
+    // queue: [{ vassal, liege }]. The Liege Lord picks the province to take; with a single one there is
+    // nothing to pick, and a clan that was eliminated outright never becomes a vassal.
+    const collectTribute = (game, queue) => {
+        let next = game;
+        for (let i = 0; i < queue.length; i++) {
+            const { vassal, liege } = queue[i];
+            if (next.players[vassal].vassalOf !== liege || next.players[vassal].eliminated) continue;
+            const held = state.controlledProvinces(next, vassal);
+            if (held.length === 1) next = takeProvince(next, vassal, liege, held[0]);
+            if (held.length > 1) return ask(next, { kind: 'fealty', player: liege, vassal, targets: held, queue: queue.slice(i + 1) });
+        }
+        return next;
+    };
+
+    const swearFealty = (game, fallen) => {
+        const sworn = fallen.filter(({ vassal }) => !game.players[vassal].eliminated).reduce((next, { vassal, liege }) => {
+            const freed = releaseVassals(next, vassal);
+            return note(vassalage.subjugate(freed, vassal, liege), `${playerLabel(next, vassal)} has lost their last Daimyō and becomes the vassal of ${playerLabel(next, liege)} (§8.1).`, vassal);
+        }, game);
+        return collectTribute(sworn, fallen);
+    };
+
+    // §8.2: earned freedom and failed rebellions are settled when the phase ends.
+    const fealtyAtPhaseEnd = (game) => activePlayers(game).reduce((next, id) => {
+        if (vassalage.hasEarnedFreedom(next, id)) {
+            return note(vassalage.liberate(next, [id]), `${playerLabel(next, id)} has earned their freedom through Loyal Service (§8.2).`, id);
+        }
+        if (!vassalage.failedBetrayal(next, id)) return next;
+        let out = setPlayer(next, id, { eliminated: true });
+        Object.keys(out.provinces).forEach(provinceId => {
+            const province = out.provinces[provinceId];
+            if (province.units[id]) out = setStack(out, provinceId, id, { daimyo: 0, bushi: 0, ronin: 0 });
+            if (province.castle && province.castle.owner === id) out = setCastle(out, provinceId, null);
+        });
+        out = note(out, `${playerLabel(next, id)} rose against their Liege Lord and failed, and is eliminated from the game (§8.2).`, id);
+        return releaseVassals(out, id);
+    }, game);
+
+    // --- PATH OF GLORY (§10.7) ---
+    // Replaces §8.1–8.3: a clan that loses its last Daimyō serves no one. Until it is eliminated it fights
+    // on for Glory Points; reaching the target wins the game (engine/victory.js).
+    const GLORY = rules.getModule('path-of-glory').params.awards.reduce((byId, award) => ({ ...byId, [award.id]: award }), {});
+
+    const hasFallen = (game, id) => !game.players[id].eliminated && state.unitTotals(game, id).daimyo === 0;
+
+    // The Leading Player held the most provinces when the round began, before the fighting blurred
+    // the map; a tie makes every player in it a leader.
+    const leadingPlayers = (game) => {
+        const counts = game.playerOrder.map(id => ({ id, held: Object.values(game.provinces).filter(p => p.controlledAtRoundStart === id).length }));
+        const most = Math.max(0, ...counts.map(c => c.held));
+        return most ? counts.filter(c => c.held === most).map(c => c.id) : [];
+    };
+
+    const awardGlory = (game, playerId, awardId) => {
+        const award = GLORY[awardId];
+        const gloryPoints = (game.players[playerId].gloryPoints || 0) + award.points;
+        return note(setPlayer(game, playerId, { gloryPoints }), `${award.condition}: +${award.points} Glory Points, ${gloryPoints} in all (§10.7).`, playerId);
+    };
+
+    // fallen: [{ vassal, liege }] as collected by fight; the "liege" is the player who struck the blow.
+    const gloryForFallen = (game, fallen) => fallen.reduce((next, { vassal, liege }) => {
+        let out = next.players[vassal].eliminated ? next : note(next, `${playerLabel(next, vassal)} has lost their last Daimyō and fights on for Glory Points (§10.7).`, vassal);
+        if (hasFallen(out, liege)) out = awardGlory(out, liege, leadingPlayers(game).includes(vassal) ? 'leader-last-daimyo' : 'last-daimyo');
+        return out;
+    }, game);
+
+    const gloryForMandate = (game, playerId, provinceId) => (
+        hasFallen(game, playerId) && provinces.get(provinceId).mandate && state.controllerOf(game, provinceId) === playerId
+            ? awardGlory(game, playerId, 'mandate')
+            : game
+    );
+
+    // --- INTERRUPTS ---
+    // Some actions stop halfway for another player's decision. game.prompt then holds
+    //   { kind, trigger, player, province, targets, resume: { action, args } }
+    // where player is the one to answer and resume the interrupted command; a defender hiring Ronin gets
+    // kind 'ronin' with the numbers they may hire as targets. A Liege Lord choosing the
+    // province to take (§8.1) gets { kind: 'fealty', player, vassal, targets, queue } instead. Until they answer (see answer)
+    // nobody else can act; actingPlayer says whose decision the game waits for.
+    const actingPlayer = (game) => (game.prompt ? game.prompt.player : game.active);
+
+    const ask = (game, prompt) => ({ ...game, prompt: { targets: [], ...prompt } });
+
+    // The Ninja interrupts only while its owner is still in the game.
+    const ninjaTrigger = (game, test) => (game.ninja && !game.players[game.ninja.owner].eliminated ? test() : null);
+
+    const moveToll = (game, resume) => {
+        const check = checkMove({ ...game, prompt: null }, ...resume.args);
+        return rules.costs.denyPassageToll + (check.cost || 0);
+    };
+
+    // The answers open to the player asked: [{ id, label, targets }].
+    const promptChoices = (game) => {
+        const prompt = game.prompt;
+        if (!prompt) return [];
+        if (prompt.kind === 'fealty') return [{ id: 'take-province', label: 'Take this province', targets: prompt.targets }];
+        if (prompt.kind === 'ronin') return [{ id: 'hire', label: 'Hire Ronin', targets: prompt.targets }, { id: 'pass', label: 'Hire none', targets: [] }];
+        if (prompt.kind === 'ninja') {
+            const operations = ninja.operationsFor(prompt.trigger).map(op => ({ id: op.id, label: op.command, targets: prompt.targets }));
+            return [...operations, { id: 'pass', label: 'Stay hidden', targets: [] }];
+        }
+        const choices = [{ id: 'retreat', label: 'Retreat', targets: [] }];
+        const toll = moveToll(game, prompt.resume);
+        if (game.players[prompt.player].koku >= toll) choices.unshift({ id: 'pay', label: `Pay ${rules.costs.denyPassageToll} Koku`, targets: [] });
+        return choices;
+    };
+
+    const canAnswer = (game, choice, target = null) => {
+        if (isOver(game)) return no('The game is over.');
+        if (!game.prompt) return no('Nobody is waiting for a decision.');
+        const option = promptChoices(game).find(c => c.id === choice);
+        if (!option) return no(choice === 'pay' ? `You cannot pay the toll of ${rules.costs.denyPassageToll} Koku and still make the move.` : 'That is not one of the choices.');
+        if (option.targets.length && !option.targets.includes(target)) {
+            const reasons = { fealty: 'Choose a province your vassal controls (§8.1).', ronin: 'Choose how many Ronin to hire (§6.2.4).' };
+            return no(reasons[game.prompt.kind] || 'Choose a player involved in the battle (§9.1.3).');
+        }
+        if (game.prompt.kind === 'ronin' && choice === 'hire') {
+            const cost = target * rules.costs.hireRonin;
+            const koku = game.players[game.prompt.player].koku;
+            if (cost > koku) return no(`Hiring ${target} Ronin costs ${cost} Koku; you have ${koku} (§6.2.4).`);
+        }
+        return ok;
+    };
+
+    // Returns { game, results } like resolveBattle; results are null unless a battle was fought.
+    const answer = (game, choice, target = null) => {
+        enforce(canAnswer(game, choice, target));
+        const prompt = game.prompt;
+        const resumed = { ...game, prompt: null };
+        if (prompt.kind === 'fealty') {
+            return { game: collectTribute(takeProvince(resumed, prompt.vassal, prompt.player, target), prompt.queue), results: null };
+        }
+        const [first, second] = prompt.resume.args;
+        if (prompt.kind === 'ronin') {
+            const defender = choice === 'hire' ? target : 0;
+            return resolveBattle(resumed, first, { ...second, ronin: { ...second.ronin, defender } });
+        }
+        const place = provinces.get(prompt.province).name;
+        const carryOn = (next, operation) => (prompt.resume.action === 'move'
+            ? { game: completeMove(next, first, second), results: null }
+            : fight(next, first, second, operation));
+
+        if (choice === 'pass') return carryOn(resumed, null);
+        if (prompt.kind === 'ninja') {
+            const op = ninja.operation(choice);
+            const against = target ? ` against ${playerLabel(game, target)}` : '';
+            const revealed = note(ninja.reveal(resumed), `The Ninja in ${place} strikes: ${op.command}${against} (§9.1.3).`, prompt.player);
+            if (choice === 'deny-passage') {
+                return { game: ask(revealed, { kind: 'deny-passage', trigger: 'movement', player: game.active, province: prompt.province, resume: prompt.resume }), results: null };
+            }
+            return carryOn(revealed, { id: choice, target });
+        }
+        if (choice === 'pay') {
+            const paid = setPlayer(resumed, prompt.player, { koku: resumed.players[prompt.player].koku - rules.costs.denyPassageToll });
+            return carryOn(note(paid, `Paid ${rules.costs.denyPassageToll} Koku to break through the blockade in ${place} (§9.1.3).`, prompt.player), null);
+        }
+        // Retreat: the army stays where it was and counts as having moved (§9.1.3).
+        const held = resumed.turn.moved[first.from] || { daimyo: 0, bushi: 0 };
+        const next = {
+            ...resumed,
+            turn: { ...resumed.turn, moved: { ...resumed.turn.moved, [first.from]: { daimyo: held.daimyo + (first.daimyo || 0), bushi: held.bushi + (first.bushi || 0) } } },
+        };
+        return { game: note(next, `${describeGroup(first)} in ${provinces.get(first.from).name} turned back before ${place} (§9.1.3).`, prompt.player), results: null };
+    };
+
+    const canEndStep = (game) => {
+        if (isOver(game)) return no('The game is over.');
+        if (game.prompt) return no(`Waiting for ${playerLabel(game, game.prompt.player)} to decide (§9.1.2).`);
+        const step = stepInfo(game.step);
+        if (!step || !step.sequential) return no('Nothing to end.');
+        if (step.action === 'battles' && pendingBattles(game).length) return no('Every battle you started must be fought first (§6.2).');
+        return ok;
+    };
+
+    // The active player finishes the current step. After their last step the next player takes over,
+    // and after the last player the round moves on.
+    const endStep = (game) => {
+        enforce(canEndStep(game));
+        const step = stepInfo(game.step);
+        const turn = turnSteps(step.id);
+        const index = turn.findIndex(s => s.id === step.id);
+        if (index < turn.length - 1) return { ...game, step: turn[index + 1].id };
+
+        // The active player may have fallen in their own battles, so count on from their seat.
+        const seat = game.playerOrder.indexOf(game.active);
+        const nextPlayer = game.playerOrder.slice(seat + 1).find(id => !game.players[id].eliminated);
+        if (nextPlayer) return startTurn(game, turn[0].id, nextPlayer);
+        return afterStep({ ...game, active: null, turn: null }, turn[turn.length - 1]);
+    };
+
+    // --- COMMANDS ---
+    // Actions by name, so a game can be driven by messages (server/game-master.js) as well as by the Play page.
+    // Returns { game, results }; results carries the battle reports of resolveBattle.
+    // Every command performed is added to the game's history; the dice follow from the seed, so the
+    // history is enough to replay the game exactly (engine/replay.js).
+    const COMMANDS = { recruit, buildCastle, fortifyCastle, hireNinja, move, resolveBattle, answer, endStep };
+    const REPORTS_BATTLES = ['resolveBattle', 'answer'];
+
+    const perform = (game, action, args = []) => {
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, action)) throw new Error(`Unknown action "${action}".`);
+        const out = COMMANDS[action](game, ...args);
+        const { game: next, results } = REPORTS_BATTLES.includes(action) ? out : { game: out, results: null };
+        const entry = { action, args, player: actingPlayer(game), round: game.round, phase: game.phase, step: game.step };
+        return { game: { ...next, history: [...(game.history || []), entry] }, results };
+    };
+
+    return {
+        STEPS,
+        stepInfo,
+        phaseSteps,
+        activePlayers,
+        castleOf,
+        startGame,
+        isOver,
+        canRecruit,
+        recruit,
+        castleCost,
+        canBuildCastle,
+        buildCastle,
+        canFortify,
+        fortifyCastle,
+        canHireNinja,
+        hireNinja,
+        checkMove,
+        move,
+        pendingBattles,
+        resolveBattle,
+        actingPlayer,
+        promptChoices,
+        canAnswer,
+        answer,
+        canEndStep,
+        endStep,
+        COMMANDS,
+        perform,
+    };
+}));
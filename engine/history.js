@@ -0,0 +1,290 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.history = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    // --- RULEBOOK VERSIONS ---
+    // A section is a heading with an id and the English text up to the next heading. The current version is
+    // the text on the pages; each older version keeps only what it said differently from the version after
+    // it: { title, text } for a section that read otherwise, null for a section it did not have yet.
+    // `checksums` fingerprint the current sections as they were recorded, so an edit that has not been
+    // recorded yet shows up in the rulebook check instead of silently rewriting the older versions.
+    const versions = [
+        {
+            id: 'v81',
+            name: 'v81',
+            note: 'v81 is recorded from the summaries in the v81 → v89 changelog, not from its full text: only the sections that changelog names differ from v89 here.',
+            sections: {
+                s9_1: { title: '§ 9.1 The Clandestine System (Ninja)', text: 'A passive purchase for a static buff.' },
+                s8_1: { title: '§ 8.1 Immediate Consequences', text: 'A vassal simply lost half their lands/troops.' },
+                s8_3: { title: '§ 8.3 Choice by Deeds', text: 'Vassals chose their path (Loyalty vs. Betrayal) in a bureaucratic phase.' },
+                s10_1: { title: '§ 10.1 Module: Political Play & Blood Feud ⚖️', text: 'Breaking an alliance cost a small combat penalty.' },
+                s10_4: { title: '§ 10.4 Module: The Nanban Trade 🔫', text: 'A standalone rule for a random dice ability.' },
+                s10_2_1: { title: '§ 10.2.1 Legitimacy', text: '"Honor" (Kyoto currency) confused players with "Honor Pacts".' },
+            },
+        },
+        {
+            id: 'v89',
+            name: 'v89 (Gold Master)',
+            sections: {
+                version_history: null,
+                map_of_japan: { title: 'The Theater of War: Feudal Japan', text: 'This is the stage upon which your conquest will unfold. Understanding the terrain, the chokepoints, and the strategic value of key provinces is the first step toward becoming Shōgun. Pay close attention to the three Mandate Provinces: Yamashiro (Kyoto), Settsu (Osaka), and Sagami (Edo). Controlling these is a direct path to victory.' },
+                game_night_kit: { title: 'The Daimyō\'s Kit for Game Night', text: 'Everything you need to get your game started quickly after a long time away from the battlefield. 1. Visual Component List 🏯 3 Daimyō figures per clan ⚔️ 69 Bushi per clan 💰 Koku coins for your treasury 🛡️ 10 Castle pieces 🎲 Six-sided dice for combat 2. Printable Player Aid For at-the-table reference, the most important cheat sheets have been compiled into a separate, printer-friendly document. Download it here: Download Player Aid (for Printing) Your Turn in 30 Seconds At its heart, the gameplay loop is simple. On your turn, you will: Get Paid: Collect Koku based on your provinces. Buy Troops: Spend that Koku to recruit new Bushi. March & Fight: Move your armies to attack enemies or claim new territory. Mastering how these three simple steps interact is the key to victory.' },
+                first_round_example: { title: 'Example of a First Round: The Rise of the Oda', text: 'Scenario: A 4-player game with Oda, Tokugawa, Uesugi, and Shimazu. As all players begin with 1 province, the first round\'s turn order is determined alphabetically: Oda → Shimazu → Tokugawa → Uesugi. Phase 1: Planning & Reinforcement Income: All players simultaneously receive 4 Koku (3 base + 1 for their starting province). Unit Maintenance: This step is skipped on the first turn of the game. All players have 4 Koku to spend. Recruitment (Oda\'s Turn): The Oda player acts first. They plan for their next turn: if they conquer one province, they will have 2 provinces, giving them 5 Koku income (3+2). Their Unit Maintenance would then be 1 Koku for 2 Bushi. To fuel an aggressive opening, Oda spends 3 Koku to recruit 3 Bushi, leaving 1 Koku in their treasury. The new Bushi are placed in their home province of Owari. Recruitment (Other Clans): Shimazu, Tokugawa, and Uesugi take their turns, making their own calculations and recruiting forces. Phase 2: Campaign Movement (Oda\'s Turn): Oda moves 1 Daimyō and 2 Bushi from Owari into the adjacent, neutral province of Mino. Their army is now poised on the Tokugawa border. Battle Resolution: Since Mino was unoccupied, no battle occurs. Oda now controls the province. Phase 3: Winter & Outlook No player controls a mountain province, so no Winter Mountain Provisions costs are paid. At the end of the round, Oda controls 2 provinces. They have established a forward position for their next campaign, but because they now have more provinces than the others, they will likely act later in the next round due to the Gekokujō principle. Combat Made Simple When armies meet, both sides roll all their dice at the same time. It\'s one decisive clash! Unit Type Dice Rolled Attack Hits On... Defense Hits On... Bushi (Warrior) 1 die 5 or 6 6 Daimyō (Leader) 3 dice 4, 5, or 6 4, 5, or 6 Note: Various factors like clan abilities or castles can modify these numbers. Remember the Golden Rule (§0.1): only the single highest bonus applies! What Happens if My Last Daimyō Dies? (Vassalage) You are not out of the game. You become a Vassal. Immediately: You lose one province to your conqueror (your Liege Lord). Your New Goal: You cannot win the game in this state, but you can regain your freedom. Your path is chosen by your deeds: Loyal Service: Attack your Lord\'s enemies. Earn "Kōseki" points to buy your freedom. Betrayal: Attack your Lord directly. If you take a province, you are free. If you fail, you are eliminated. Note: The optional \'Path of Glory\' module (§10.4) offers an alternative comeback mechanic that replaces this rule.' },
+                s1_1_1: { title: '§ 1.1.1 Victory Conditions', text: 'Victory is achieved by meeting one of two conditions: a) Province Control (see §1.2) b) The Shōgun\'s Mandate (see §1.3) The game ends when a victory condition is met at the end of any phase. In case of a simultaneous fulfillment, the priority is: Shōgun\'s Mandate Province Control Path of Glory (Module, see §10.4)' },
+                draft_assistant: null,
+                s4_1: { title: '§ 4.1 Income, Unit Maintenance & Gekokujō (Sequential-Simultaneous)', text: 'Though these steps are completed by all players before moving on, they are resolved in a strict sequence to prevent timing conflicts: Collect Income: All players simultaneously gain 3 Koku base income + 1 Koku per controlled province. Pay Unit Maintenance: All players simultaneously pay 1 Koku for every 2 Bushi units (rounded up). Daimyō are free. (This is skipped on the first turn of the game). Determine Player Order (Gekokujō): Only after all income and Unit Maintenance have been fully resolved, the player order for the round is determined. The player with the fewest provinces acts first. Ties are broken by: 1st - less Koku, 2nd - fewer total units, 3rd - clan name alphabetically. Best Practice: Tracking Player Order For a clear and thematic way to track the current player order, consider using the plastic katana swords from the original 1986 edition of Shogun or similar tokens. At the start of the round, arrange them in the correct sequence. This provides an immediate, visual reference for all players.' },
+                s4_2: { title: '§ 4.2 Honor & Bankruptcy', text: 'A Daimyō is bound by their word and must meet their financial obligations. If a player is unable to pay a required cost (Unit Maintenance, Winter Mountain Provisions, etc.) at any time, they must immediately remove two of their Bushi units (player\'s choice) from the board for every 1 Koku they cannot pay. A clan cannot go into debt. For example, if you are short 3 Koku, you must immediately remove 6 of your Bushi from the board.' },
+                s6_2_7: { title: '§ 6.2.7 Raiding Invested Provinces 🌾', text: 'This rule is only in effect when using The Cycle of Rice and War module (§10.3). If an attacker gains control of a province that contains invested Koku tokens from the Sowing step, the attacker immediately seizes all Koku tokens from that province and adds them to their own treasury. This occurs at the end of combat, after all units have been removed and control is determined.' },
+                s7_1: { title: '§ 7.1 Pay Mountain Provisions Costs', text: 'Pay 1 Koku for each mountain province you control, PLUS 1 Koku per 3 units (any type, rounded up) located across all those mountain provinces. ● This rule is replaced by The Cycle of Rice and War module (§10.3).🌾' },
+                s8_heading: { title: '§ 8 Fealty (Vassalage)', text: 'The loss of the last Daimyō does not mean elimination from the game. It marks the transition from an independent clan to a vassal, an actor bound to a liege lord with a new, singular objective: to regain freedom.' },
+                s8_3: { title: '§ 8.3 Choice by Deeds', text: 'A vassal is not defined by their words, but by their deeds. The first strike decides loyalty or rebellion. A vassal does not choose their path at the start of the round. Their first attack action in the Campaign Phase determines their binding path for the entire round: If the vassal\'s first attack targets another player or a neutral province, they have chosen Path 1 (Loyal Service). If the vassal\'s first attack targets their Liege Lord, they have chosen Path 2 (Betrayal). ★ This entire Vassalage system is replaced by the >Path of Glory module (§10.4).🏆' },
+                s8_4: { title: '§ 8.2 Player Elimination', text: 'A player is eliminated if they lose their last province while having no Daimyō on the board. A player with zero provinces is not eliminated as long as they have at least one Daimyō on the board. On their turn, they continue to collect their base income of 3 Koku and may take actions as normal. This Daimyō exists in a contested, neutral province and must win a battle to reclaim territory—a difficult but not impossible path back into the conflict.' },
+                s10_0: { title: '§ 10.0 Guide to Modularity', text: 'The following modules are designed as precise instruments to accentuate specific aspects of the game. Combining them should be done with intent. Recommended Experience Packages The Age of Guns Focus: Military & Technology Modules: § 10.3 Specialized Warfare 🛡️ § 10.4 The Nanban Trade 🔫 The Price of the Empire Focus: Economy & Instability Modules: § 10.5 Cycle of Rice & War 🌾 § 10.6 Ikkō-ikki Uprising 👺 The Game for the Throne Focus: Politics & Diplomacy Modules: § 10.1 Political Play ⚖️ § 10.2 The Emperor\'s Favor 👑 I. Politics & Diplomacy' },
+                module_selection: null,
+                timing_heading: { title: 'Detailed Timing & Action Structure', text: 'This document provides a granular, step-by-step breakdown of the game\'s sequences. Use the controls below to update the timing structure based on the optional modules in your game. Activate Modules to Update Timing Political Play & Blood Feud ⚖️ Specialized Warfare 🛡️ The Cycle of Rice and War 🌾 Path of Glory 🏆' },
+                timing_round_structure: { title: 'Part 1: The Round Timing Structure', text: 'Step Action Player(s) & Notes 1.0. Phase 1: Planning & Reinforcement 1.1 Income & Administration Step Simultaneous 1.1.1. Collect Income (§4.1) Add 3 Koku + 1 Koku per province. 1.1.1a. Daimyō\'s Stipend (§10.3) 🌾 Module Only: Collect only base income of 4 Koku. 1.1.1b. Sowing Step (§10.3) 🌾 Module Only: Sow, store or keep Koku. 1.1.2. Pay Unit Maintenance (§4.1) Pay 1 Koku per 2 Bushi. 1.1.3. Determine Player Order (§4.1) Fewest provinces go first. 1.2 Vassal Decision Point Vassals Only (Replaced by "Path of Glory" module). 1.2.1. Choose Path to Liberation (§8.1.2) Binding choice for the round. 1.3 Recruitment & Construction Step In Player Order 1.3.1. First player recruits/builds. Continues sequentially. 1.3a Diplomacy Step ⚖️ Module Only: "Political Play" 1.3a.1. Offer/Accept Honor Pacts (§10.1) Performed sequentially in player order. 1.4 End of Phase Checkpoint 1.4.1. Check for Victory Conditions (§1.1.2) Game ends if met. 2.0. Phase 2: Campaign 2.1 Movement Step In Player Order 2.1.1. First player moves all units. Continues sequentially. 2.2 Battle Resolution Step In Player Order 2.2.1. First player resolves all their initiated battles. Player chooses order of their battles. 2.3 End of Phase Checkpoint 2.3.1. Check for Victory Conditions (§1.1.2) Game ends if met. 3.0. Phase 3: Winter 3.1 Mountain Provisions Step Simultaneous. 3.1a Harvest Step 🌾 Module Only: "Cycle of Rice & War" Receive Koku from Sowing (§10.3). 3.1b Module Mountain Provisions Step 🌾 Module Only: "Cycle of Rice & War" Pay Unit Maintenance & Mountain Costs (§10.3). 3.1c Spoilage Step 🌾 Module Only: Discard half of Koku left in Treasury (rounded down) 3.2 End of Phase Checkpoint 3.2.1. Check for Victory Conditions (§1.1.2). Game ends if met. 3.2.2. If no winner, round ends. Proceed to next round.' },
+                timing_combat_structure: { title: 'Part 2: The Combat Timing Structure', text: 'Step Action Notes 1.0 Announce Combat Attacker declares which battle. 2.0 Hire Ronin Step Attacker, then Defender(s). 3.0 Ninja Intervention Step Window for Ninja player to act. 4.0 Firearm Phase 🛡️ Module Only: "Technological Change" 4.1. Arquebusiers fire and resolve hits. 5.0 Archery Phase (First Strike) 🛡️ Module Only: Specialized Warfare 5.1. Archers use First Strike ability. 6.0 Melee Phase 6.1. All sides determine total hits. 6.2. All sides assign hits. 6.3. All marked units are removed simultaneously. 7.0 Conclude Combat Remove Ronin, resolve Raiding (§6.2.7). Download Timing Reference (for Printing)' },
+                ref_rundenablauf: { title: 'The Round Sequence (Core Game)', text: 'Phase 1: Planning & Reinforcement Income & Administration (Simultaneous): Receive income, pay Unit Maintenance (skip on turn 1), determine player order (Gekokujō). Recruitment & Construction (In Player Order): Recruit Bushi, hire Ninja, build castles. Phase 2: Campaign Movement (In Player Order): Move all units. Resolve Battles (In Player Order): Resolve all resulting battles one by one. Phase 3: Winter Mountain Provisions (Simultaneous): Pay Mountain Provisions costs for units in mountain provinces. 🌾' },
+                ref_wirtschaft: { title: 'Cheat Sheet: The Economic Cycle', text: 'Action Cost / Yield When? Base Income +3 Koku Phase 1.1 Province Income +1 Koku per Province Phase 1.1 Unit Maintenance -1 Koku per 2 Bushi (rounded up) Phase 1.1 (Skipped on Turn 1) Recruitment -1 Koku per Bushi Phase 1.2 Hire Ronin -1 Koku per Ronin Combat Winter Mountain Provisions 🌾 -1 Koku per Mountain Province + -1 Koku per 3 units there Phase 3 (Replaced by Module)' },
+                ref_provinces: { title: 'Cheat Sheet: Province Types', text: 'This list is for at-a-glance reference for rules concerning specific terrain types. A province can be both coastal and mountainous. Mountain Provinces These provinces incur extra Mountain Provisions costs during the Winter phase (unless you are Tokugawa). Shinano Kai Hida Etchu Mino Kozuke Coastal Provinces These provinces interact with certain clan abilities (e.g., Shimazu, Chosokabe). Satsuma Tosa Owari Echigo Settsu (Osaka) Sagami (Edo) Nagato Suruga Aki Bungo Mandate Provinces Control of these three provinces is required for the "Shōgun\'s Mandate" victory condition. Yamashiro (Kyoto) Settsu (Osaka) Sagami (Edo)' },
+                ref_module: { title: 'Cheat Sheet: Modules at a Glance', text: 'Module Replaces / Changes Adds Political Play ⚖️ - Honor Pacts (alliances), betrayal. Specialized Warfare 🛡️ Standard Bushi Spearmen, Swordsmen, Archers; Ranged Phase. The Cycle of Rice and War 🌾 Standard Winter & Unit Maintenance in Phase 1 Provincial Investment, Harvest Events, Raiding, Storing Rice, Spoilage. Path of Glory 🏆 Vassalage System (§8.1) Comeback mechanic with Glory Points for defeated players. Module Compatibility Combination Complexity Notes Political Play + Any Low Increase Adds negotiation without heavy system interaction. Specialized Warfare + The Cycle of Rice and War High Increase Recommended for expert players only. Download Player Aid (for Printing)' },
+                s9_1_ref: { title: 'Glossary', text: 'Attacker: The player who moves units into a province occupied by an opponent. Blood Feud: A permanent state of conflict declared by a betrayed player, granting them combat bonuses against the betrayer. Burn the Supplies!: A Ninja command that forces an opponent to pay Koku or lose units. Bushi: Standard warrior figures, the backbone of your army. Deny Passage!: A Ninja command that forces an opponent to pay Koku or cancel movement. Sow Discord!: A Ninja command that inflicts a penalty on combat rolls.' },
+            },
+        },
+        {
+            id: 'v90',
+            name: 'v90',
+            checksums: {
+                whats_new: '45e32295',
+                version_history: '89675a06',
+                veterans: 'f3edcb6f',
+                map_of_japan: '9228c21a',
+                game_night_kit: '1a6ee480',
+                first_round_example: '75eb6610',
+                s0_heading: 'f0960b2a',
+                s0_1: '3ad74e4c',
+                s0_2: '6f0fbaf9',
+                s0_3: 'e00eee13',
+                s0_4: 'caffeeb6',
+                s1_heading: '9d7df805',
+                s1_1: '9beba2a8',
+                s1_1_1: '242d3d7d',
+                s1_1_2: '76d1ed01',
+                s1_2: '88bcf5f5',
+                s1_2_1: '172a051c',
+                s1_3: '0f31425b',
+                s2_heading: '43c66cd3',
+                s2_1: 'f8708e5d',
+                s2_2: '771489a0',
+                s2_2_1: '40794ecd',
+                s2_2_2: '933f0161',
+                s2_2_2_1: 'cfff741b',
+                s2_2_2_2: '7f70b5c7',
+                s2_2_3: 'fb8aea04',
+                draft_assistant: 'e04a1318',
+                s2_3: '4a328a86',
+                s2_4: '2aa245a6',
+                s3_heading: 'e2660c3b',
+                s3_1: '639c0694',
+                s3_2: 'cfe4be89',
+                s4_heading: '93e52581',
+                s4_1: '8864db98',
+                s4_2: 'c6c7aba4',
+                s4_3: 'f50fd909',
+                s5_heading: '322f39d2',
+                s5_1: 'cc63fb67',
+                s5_2: '3a8ff294',
+                s6_heading: '6f0f78a6',
+                s6_1: '2f98c644',
+                s6_1_1: 'b495ce9b',
+                s6_1_2: '582d4040',
+                s6_1_3: '4b9190b9',
+                s6_2: 'bf2fffde',
+                s6_2_1: 'b7666981',
+                s6_2_3: '2a474dcb',
+                s6_2_4: '6eef0ba9',
+                s6_2_5: '010e89d8',
+                s6_2_6: '1984a989',
+                s6_2_6_1: '8b9559af',
+                s6_2_6_2: 'e050da98',
+                s6_2_7: '866b7712',
+                s6_2_8: 'fd127fcd',
+                s7_heading: 'b598f3db',
+                s7_1: 'fed3d9b7',
+                s8_heading: '6340d236',
+                s8_1: 'c37b5f20',
+                s8_2: 'e40201f3',
+                s8_3: 'bbb4ec64',
+                s8_4: '678840c7',
+                s9_heading: 'c059f7ac',
+                s9_1: '0fba04d2',
+                s9_1_1: '6b1953da',
+                s9_1_2: '2da53c0a',
+                s9_1_3: '2650cf8b',
+                s9_2: '11bef31a',
+                s10_heading: '221b495e',
+                s10_0: '66491f20',
+                module_selection: 'eb2870de',
+                s10_1: '0b9d69bb',
+                s10_1_1: 'af4c203d',
+                s10_2: 'e3b7b277',
+                s10_2_1: 'c6aac3c1',
+                s10_2_2: '173224e5',
+                s10_3: 'eb5c6783',
+                s10_4: 'b8b9da30',
+                s10_4_1: 'bb23413d',
+                s10_4_3: 'e2f007db',
+                s10_5: 'cceac489',
+                s10_5_2: 'ccb4c080',
+                s10_6: '80d3ea87',
+                s10_7: '3b72dad7',
+                s10_8: 'f7a320d7',
+                s10_8_1: '054fda60',
+                s10_8_2: '432aa727',
+                s10_8_3: '1106027e',
+                s10_8_4: '0f95b5e6',
+                s10_8_5: 'c5bd0fa9',
+                s10_8_6: 'c07a3a49',
+                timing_heading: 'e19a52df',
+                timing_round_structure: '842ed9ad',
+                timing_combat_structure: '2029fd72',
+                ref_stufe1: 'f86438b4',
+                ref_rundenablauf: '44cd997f',
+                ref_kampfablauf: 'd5d39b0f',
+                ref_clans: '71da0946',
+                ref_stufe2: '02ca8d13',
+                ref_wirtschaft: 'f619e5e6',
+                ref_kampfwerte: '42ac64ac',
+                ref_provinces: '6312901c',
+                ref_stufe3: '55bb3c1d',
+                ref_ninja: 'debd9bab',
+                ref_module: '447fcf6d',
+                s9_1_ref: '04b22736',
+            },
+        },
+    ];
+
+    const current = versions[versions.length - 1].id;
+
+    const getVersion = (id) => {
+        const version = versions.find(v => v.id === id);
+        if (!version) throw new Error(`Unknown rulebook version: ${id}`);
+        return version;
+    };
+
+    // The sections of a version, worked back from the current ones: { id: { title, text } }.
+    const sectionsAt = (id, currentSections) => {
+        const index = versions.indexOf(getVersion(id));
+        const sections = { ...currentSections };
+        for (let i = versions.length - 2; i >= index; i--) {
+            Object.entries(versions[i].sections).forEach(([sectionId, section]) => {
+                if (section) sections[sectionId] = section;
+                else delete sections[sectionId];
+            });
+        }
+        return sections;
+    };
+
+    // --- WORD DIFF ---
+    // [{ op: 'same' | 'added' | 'removed', text }], word by word; the parts join with single spaces.
+    const MAX_CELLS = 4000000;
+
+    const diffWords = (before, after) => {
+        const a = before.split(/\s+/).filter(Boolean);
+        const b = after.split(/\s+/).filter(Boolean);
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const ops = [];
+        const push = (op, word) => {
+            const last = ops[ops.length - 1];
+            if (last && last.op === op) last.text += ` ${word}`;
+            else ops.push({ op, text: word });
+        };
+        a.slice(0, start).forEach(w => push('same', w));
+
+        const n = endA - start;
+        const m = endB - start;
+        if (n * m > MAX_CELLS) {
+            a.slice(start, endA).forEach(w => push('removed', w));
+            b.slice(start, endB).forEach(w => push('added', w));
+        } else {
+            // Longest common subsequence of the middle, read from the back.
+            const lcs = new Uint32Array((n + 1) * (m + 1));
+            const at = (i, j) => i * (m + 1) + j;
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[at(i, j)] = a[start + i] === b[start + j] ? lcs[at(i + 1, j + 1)] + 1 : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[start + i] === b[start + j]) { push('same', a[start + i]); i++; j++; }
+                else if (i < n && (j === m || lcs[at(i + 1, j)] >= lcs[at(i, j + 1)])) { push('removed', a[start + i]); i++; }
+                else { push('added', b[start + j]); j++; }
+            }
+        }
+
+        a.slice(endA).forEach(w => push('same', w));
+        return ops;
+    };
+
+    // --- COMPARISON ---
+    // The sections that differ between two versions, in the order of the newer pages:
+    // [{ id, title, previousTitle, change: 'added' | 'removed' | 'changed', diff }].
+    const compare = (fromId, toId, currentSections) => {
+        const before = sectionsAt(fromId, currentSections);
+        const after = sectionsAt(toId, currentSections);
+        const ids = [...Object.keys(after), ...Object.keys(before).filter(id => !after[id])];
+        return ids.map(id => {
+            const a = before[id];
+            const b = after[id];
+            if (!a) return { id, title: b.title, previousTitle: null, change: 'added', diff: [{ op: 'added', text: b.text }] };
+            if (!b) return { id, title: a.title, previousTitle: null, change: 'removed', diff: [{ op: 'removed', text: a.text }] };
+            if (a.title === b.title && a.text === b.text) return null;
+            return { id, title: b.title, previousTitle: a.title === b.title ? null : a.title, change: 'changed', diff: diffWords(a.text, b.text) };
+        }).filter(Boolean);
+    };
+
+    // FNV-1a, as eight hex digits.
+    const checksum = (section) => {
+        const text = `${section.title}\n${section.text}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    };
+
+    // Sections whose current text no longer matches what was recorded: [{ id, change }].
+    const unrecorded = (currentSections) => {
+        const recorded = getVersion(current).checksums;
+        const edited = Object.keys(currentSections)
+            .filter(id => recorded[id] !== checksum(currentSections[id]))
+            .map(id => ({ id, change: recorded[id] ? 'changed' : 'added' }));
+        const removed = Object.keys(recorded).filter(id => !currentSections[id]).map(id => ({ id, change: 'removed' }));
+        return [...edited, ...removed];
+    };
+
+    return {
+        versions,
+        current,
+        getVersion,
+        sectionsAt,
+        diffWords,
+        compare,
+        checksum,
+        unrecorded,
+    };
+}));
@@ -0,0 +1,75 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.modules = factory(root.ShogunEngine.rules);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules) => {
+    'use strict';
+
+    // --- MODULE SELECTION (§10) ---
+    // A selection is a list of module ids in rulebook order. It travels as game.modules in a game, in
+    // localStorage for the rulebook pages, and as "?modules=id,id" in a shared link.
+    const PARAM = 'modules';
+
+    // The modules the hot-seat game plays by itself; the others are left to the table.
+    const ENGINE_MODULES = {
+        'cycle-of-rice': 'the Daimyō\'s Stipend replaces province income and Unit Maintenance is paid in Winter',
+        'path-of-glory': 'fallen clans collect Glory Points instead of becoming vassals',
+    };
+
+    const label = (m) => `${m.shortName} (§${m.section})`;
+
+    const normalize = (ids) => rules.modules.map(m => m.id).filter(id => ids.includes(id));
+
+    // Returns a list of problems; an empty list means the modules can be played together.
+    const validateSelection = (ids) => {
+        const errors = [];
+        ids.filter(id => !rules.getModule(id)).forEach(id => errors.push(`"${id}" is not a module.`));
+        const known = normalize(ids);
+        known.forEach(id => {
+            const m = rules.getModule(id);
+            m.requires.filter(req => !known.includes(req)).forEach(req => errors.push(`${label(m)} requires ${label(rules.getModule(req))}.`));
+            m.excludes.filter(other => known.includes(other) && known.indexOf(other) > known.indexOf(id))
+                .forEach(other => errors.push(`${label(m)} and ${label(rules.getModule(other))} cannot be played together.`));
+        });
+        return errors;
+    };
+
+    // Switches one module on or off and keeps the selection playable: switching a module on brings in
+    // what it requires and drops what it excludes; switching one off drops what depends on it.
+    // Returns { modules, notes } where notes explain every module changed besides the one asked for.
+    const select = (ids, moduleId, on) => {
+        const target = rules.getModule(moduleId);
+        if (!target) throw new Error(`"${moduleId}" is not a module.`);
+        let next = normalize(ids);
+        const notes = [];
+        const drop = (id, why) => {
+            if (!next.includes(id)) return;
+            next = next.filter(other => other !== id);
+            notes.push(why(rules.getModule(id)));
+            rules.modules.filter(m => m.requires.includes(id)).forEach(m => drop(m.id, (dep) => `${label(dep)} was switched off because it requires ${label(rules.getModule(id))}.`));
+        };
+        if (on) {
+            const add = (m) => {
+                if (!next.includes(m.id)) next = [...next, m.id];
+                m.requires.map(rules.getModule).filter(req => !next.includes(req.id)).forEach(req => {
+                    notes.push(`${label(req)} was switched on because ${label(m)} requires it.`);
+                    add(req);
+                });
+                m.excludes.forEach(other => drop(other, (ex) => `${label(ex)} was switched off because it cannot be played with ${label(m)}.`));
+            };
+            add(target);
+        } else {
+            next = next.filter(id => id !== moduleId);
+            rules.modules.filter(m => m.requires.includes(moduleId)).forEach(m => drop(m.id, (dep) => `${label(dep)} was switched off because it requires ${label(target)}.`));
+        }
+        return { modules: normalize(next), notes };
+    };
+
+    const serialize = (ids) => normalize(ids).join(',');
+    const parse = (text) => String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    return { PARAM, ENGINE_MODULES, normalize, validateSelection, select, serialize, parse };
+}));
@@ -0,0 +1,218 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./provinces'), require('./state'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.movement = factory(root.ShogunEngine.rules, root.ShogunEngine.provinces, root.ShogunEngine.state);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, provinces, state) => {
+    'use strict';
+
+    // --- MOVES ---
+    // Units are not tracked individually, so a "unit" in isValidMove is a group leaving one province:
+    // { player, from, daimyo, bushi, ability, route }   ability: null | 'takeda-group' | 'mori-sea'
+    // route: the provinces passed through on the way, in order; without one the group takes a shortest route.
+    // Units that already moved this turn are recorded in gameState.turn:
+    // { player, moved: { [provinceId]: { daimyo, bushi } }, seaRedeployUsed }
+    const ABILITIES = ['takeda-group', 'mori-sea'];
+
+    const reject = (code, reason, ref) => ({ ok: false, code, reason, ref });
+
+    const moduleActive = (gameState, moduleId) => (gameState.modules || []).includes(moduleId);
+
+    // --- HONOR PACTS (§10.1.1) ---
+    // gameState.pacts: [[playerA, playerB], ...]; only honoured while Political Play is in use.
+    const allies = (gameState, a, b) => a !== b && moduleActive(gameState, 'political-play')
+        && (gameState.pacts || []).some(pact => pact.includes(a) && pact.includes(b));
+
+    const enemiesIn = (gameState, provinceId, playerId) => state.occupants(gameState, provinceId)
+        .filter(id => id !== playerId && !allies(gameState, id, playerId));
+
+    // Units in the province that have not moved yet this turn.
+    const unmovedUnits = (gameState, provinceId, playerId) => {
+        const stack = state.unitsIn(gameState, provinceId, playerId);
+        const turn = gameState.turn || {};
+        const moved = (turn.player === playerId && turn.moved && turn.moved[provinceId]) || {};
+        return { daimyo: stack.daimyo - (moved.daimyo || 0), bushi: stack.bushi - (moved.bushi || 0) };
+    };
+
+    // --- STACKING (§3.2, §10.1.1) ---
+    // A player's own limit is 7. Allied players sharing a province may hold 10 units between them.
+    const stackingProblem = (gameState, provinceId, playerId, arriving = 0, leaving = 0) => {
+        const own = state.stackSize(state.unitsIn(gameState, provinceId, playerId)) - leaving + arriving;
+        if (own > rules.limits.stacking) {
+            return `${provinces.get(provinceId).name} would hold ${own} of your units; the limit is ${rules.limits.stacking}.`;
+        }
+        const shared = state.occupants(gameState, provinceId).filter(id => allies(gameState, id, playerId));
+        if (shared.length) {
+            const limit = rules.getModule('political-play').params.sharedStackingLimit;
+            const total = own + shared.reduce((sum, id) => sum + state.stackSize(state.unitsIn(gameState, provinceId, id)), 0);
+            if (total > limit) return `${provinces.get(provinceId).name} would hold ${total} allied units; a shared province is limited to ${limit}.`;
+        }
+        return null;
+    };
+
+    // --- RANGE (§6.1.3, §2.4) ---
+    const moveRange = (move, clan) => {
+        if (move.ability === 'takeda-group') return clan.effects.groupMove.range;
+        if (move.bushi > 0) return rules.units.bushi.move;
+        return rules.units.daimyo.move;
+    };
+
+    // --- ABILITY CHECKS ---
+    const checkAbility = (move, clan, gameState) => {
+        if (!move.ability) return null;
+        if (!ABILITIES.includes(move.ability)) return reject('ability', `Unknown movement ability "${move.ability}".`, '2.4');
+        if (move.ability === 'takeda-group') {
+            if (clan.id !== 'takeda') return reject('ability', 'Only the Takeda may move Bushi as a group with a Daimyō.', '2.4');
+            if (move.daimyo < 1) return reject('ability', 'A Takeda group move needs a Daimyō to lead it.', '2.4');
+            if (move.bushi > clan.effects.groupMove.maxBushi) {
+                return reject('ability', `A Takeda Daimyō may take at most ${clan.effects.groupMove.maxBushi} Bushi with him.`, '2.4');
+            }
+            return null;
+        }
+        const redeploy = clan.effects && clan.effects.seaRedeploy;
+        if (!redeploy) return reject('ability', 'Only the Mōri may redeploy along sea lines.', '2.4');
+        if (move.daimyo !== 1) return reject('ability', 'A Mōri sea redeploy moves exactly one Daimyō.', '2.4');
+        if (move.bushi > redeploy.maxBushi) return reject('ability', `A Mōri sea redeploy carries at most ${redeploy.maxBushi} Bushi.`, '2.4');
+        if ((gameState.turn || {}).seaRedeployUsed) return reject('ability', 'The Mōri sea redeploy has already been used this turn.', '2.4');
+        if ((gameState.players[move.player].koku || 0) < redeploy.cost) return reject('koku', `The sea redeploy costs ${redeploy.cost} Koku.`, '2.4');
+        return null;
+    };
+
+    // --- ROUTES (§6.1) ---
+    const routeProblem = (group, targetProvince, canPass) => {
+        if (!Array.isArray(group.route) || group.route.some(id => !provinces.get(id))) {
+            return reject('route', 'A route lists the provinces to pass through.', null);
+        }
+        const path = [group.from, ...group.route, targetProvince];
+        if (new Set(path).size !== path.length) return reject('route', 'A route enters each province only once.', '6.1.3');
+        const gap = path.findIndex((id, i) => i > 0 && !provinces.isAdjacent(path[i - 1], id));
+        if (gap !== -1) return reject('route', `${provinces.get(path[gap - 1]).name} and ${provinces.get(path[gap]).name} are not adjacent.`, '6.1');
+        const blocked = group.route.find(id => !canPass(id));
+        if (blocked) return reject('route', `Movement ends on entering ${provinces.get(blocked).name}, where enemy units stand.`, '6.1.3');
+        return null;
+    };
+
+    // --- VALIDATION ---
+    // isValidMove(unitId, targetProvince, gameState) from the project plan, with the moving group as `unitId`.
+    // Returns { ok: true, path, cost, stops } or { ok: false, code, reason, ref }.
+    const isValidMove = (move, targetProvince, gameState) => {
+        const player = gameState.players[move.player];
+        if (!player) return reject('player', `Unknown player "${move.player}".`, null);
+        if (player.eliminated) return reject('player', `${player.name || move.player} has been eliminated.`, '8.3');
+        if (!provinces.get(move.from)) return reject('province', `Unknown province "${move.from}".`, null);
+        if (!provinces.get(targetProvince)) return reject('province', `Unknown province "${targetProvince}".`, null);
+        if (move.from === targetProvince) return reject('province', 'The units are already there.', null);
+
+        const clan = rules.clans[player.clan];
+        const group = { ...move, daimyo: move.daimyo || 0, bushi: move.bushi || 0 };
+        if (move.ronin) return reject('units', 'Ronin cannot move on their own.', '6.2.4');
+        if (group.daimyo + group.bushi === 0) return reject('units', 'Choose at least one unit to move.', null);
+
+        const available = unmovedUnits(gameState, group.from, group.player);
+        if (group.daimyo > available.daimyo || group.bushi > available.bushi) {
+            return reject('units', `Only ${available.daimyo} Daimyō and ${available.bushi} Bushi in ${provinces.get(group.from).name} can still move this turn.`, '6.1.1');
+        }
+
+        const abilityProblem = checkAbility(group, clan, gameState);
+        if (abilityProblem) return abilityProblem;
+
+        // Stacking is checked before movement begins...
+        const before = stackingProblem(gameState, group.from, group.player);
+        if (before) return reject('stacking', `Resolve the stacking violation first: ${before}`, '3.2');
+
+        let path;
+        let cost = 0;
+        if (group.ability === 'mori-sea') {
+            if (group.route !== undefined) return reject('route', 'A sea redeploy follows the sea lines; it takes no route.', '2.4');
+            if (!provinces.get(group.from).coastal) return reject('route', 'A sea redeploy must start in a coastal province.', '2.4');
+            if (!provinces.get(targetProvince).coastal || state.controllerOf(gameState, targetProvince) !== group.player) {
+                return reject('route', 'A sea redeploy must end in a coastal province you control.', '2.4');
+            }
+            path = provinces.shortestPath(group.from, targetProvince, { seaOnly: true });
+            if (!path) return reject('route', `No sea line connects ${provinces.get(group.from).name} to ${provinces.get(targetProvince).name}.`, '2.4');
+            cost = clan.effects.seaRedeploy.cost;
+        } else {
+            // Movement ends on entering a province with enemy units, so such provinces can only be the destination.
+            // Provinces at the stacking limit may be passed through (§3.2).
+            const canPass = (id) => enemiesIn(gameState, id, group.player).length === 0;
+            if (group.route !== undefined) {
+                const problem = routeProblem(group, targetProvince, canPass);
+                if (problem) return problem;
+                path = [group.from, ...group.route, targetProvince];
+            } else {
+                path = provinces.shortestPath(group.from, targetProvince, { canPass });
+                if (!path) return reject('route', `No route to ${provinces.get(targetProvince).name} avoids enemy provinces.`, '6.1.3');
+            }
+            const range = moveRange(group, clan);
+            if (path.length - 1 > range) {
+                const unit = group.ability === 'takeda-group' ? 'A Takeda group' : group.bushi > 0 ? 'Bushi' : 'A Daimyō';
+                return reject('range', `${unit} can move ${range} provinces; ${provinces.get(targetProvince).name} is ${path.length - 1} away.`, '6.1.3');
+            }
+        }
+
+        // ...and after it ends, but not in the provinces passed through.
+        const size = group.daimyo + group.bushi;
+        const after = stackingProblem(gameState, targetProvince, group.player, size);
+        if (after) return reject('stacking', after, '3.2');
+
+        return { ok: true, path, cost, stops: enemiesIn(gameState, targetProvince, group.player).length > 0 };
+    };
+
+    // Every legal route to the target, shortest first, as the provinces passed through. A sea redeploy has none.
+    const routes = (move, targetProvince, gameState) => {
+        const player = gameState.players[move.player];
+        if (!player || move.ability === 'mori-sea' || !provinces.get(move.from) || !provinces.get(targetProvince)) return [];
+        const group = { ...move, daimyo: move.daimyo || 0, bushi: move.bushi || 0 };
+        const range = moveRange(group, rules.clans[player.clan]);
+        const found = [];
+        const walk = (at, via) => {
+            if (via.length >= range) return;
+            provinces.neighbors(at).forEach(id => {
+                if (id === group.from || via.includes(id)) return;
+                if (id === targetProvince) found.push(via);
+                else if (enemiesIn(gameState, id, group.player).length === 0) walk(id, [...via, id]);
+            });
+        };
+        walk(group.from, []);
+        return found
+            .sort((a, b) => a.length - b.length)
+            .filter(route => isValidMove({ ...move, route }, targetProvince, gameState).ok);
+    };
+
+    // --- APPLYING MOVES ---
+    // Returns the new game state; throws if the move is illegal.
+    const applyMove = (gameState, move, targetProvince) => {
+        const check = isValidMove(move, targetProvince, gameState);
+        if (!check.ok) throw new Error(check.reason);
+        const daimyo = move.daimyo || 0;
+        const bushi = move.bushi || 0;
+
+        const shift = (provinceId, sign) => {
+            const province = state.provinceState(gameState, provinceId);
+            const stack = state.unitsIn(gameState, provinceId, move.player);
+            const next = { ...stack, daimyo: stack.daimyo + sign * daimyo, bushi: stack.bushi + sign * bushi };
+            return { castle: null, controlledAtRoundStart: null, ...province, units: { ...province.units, [move.player]: next } };
+        };
+
+        const turn = gameState.turn && gameState.turn.player === move.player ? gameState.turn : { player: move.player, moved: {} };
+        const arrived = turn.moved[targetProvince] || { daimyo: 0, bushi: 0 };
+        const players = check.cost
+            ? { ...gameState.players, [move.player]: { ...gameState.players[move.player], koku: gameState.players[move.player].koku - check.cost } }
+            : gameState.players;
+
+        return {
+            ...gameState,
+            players,
+            provinces: { ...gameState.provinces, [move.from]: shift(move.from, -1), [targetProvince]: shift(targetProvince, 1) },
+            turn: {
+                ...turn,
+                moved: { ...turn.moved, [targetProvince]: { daimyo: arrived.daimyo + daimyo, bushi: arrived.bushi + bushi } },
+                seaRedeployUsed: Boolean(turn.seaRedeployUsed || move.ability === 'mori-sea'),
+            },
+        };
+    };
+
+    return { ABILITIES, allies, enemiesIn, unmovedUnits, stackingProblem, isValidMove, routes, applyMove };
+}));
@@ -0,0 +1,63 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./provinces'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.ninja = factory(root.ShogunEngine.rules, root.ShogunEngine.provinces);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, provinces) => {
+    'use strict';
+
+    // --- THE CLANDESTINE SYSTEM (§9.1) ---
+    // There is a single Ninja. While hired it is { owner, province, round } in game.ninja:
+    //   - hired for 3 Koku in the owner's Recruitment step and placed openly on any province (§9.1.1);
+    //   - revealed at most once per round, when a trigger occurs in its province; the mission is chosen
+    //     only then (§9.1.2). Afterwards province is null: the figure is off the board until the round ends.
+    // The contract runs out at the end of the round. Interrupting the triggering action is up to the
+    // caller (engine/game.js asks the owner through a prompt).
+    const ok = { ok: true, reason: null };
+    const no = (reason) => ({ ok: false, reason });
+
+    const operation = (id) => rules.ninjaOperations.find(op => op.id === id) || null;
+    const operationsFor = (trigger) => rules.ninjaOperations.filter(op => op.trigger === trigger);
+
+    // The province the Ninja stands in, or null when it is not on the board.
+    const ninjaProvince = (game) => (game.ninja && game.ninja.province) || null;
+
+    const canHire = (game, playerId, provinceId) => {
+        if (game.ninja) return no(game.ninja.province ? 'The Ninja is already on the board (§9.1.1).' : 'The Ninja has already struck this round (§9.1.2).');
+        if (!provinces.get(provinceId)) return no('Choose a province for the Ninja.');
+        const koku = game.players[playerId].koku;
+        if (rules.costs.hireNinja > koku) return no(`Hiring the Ninja costs ${rules.costs.hireNinja} Koku; you have ${koku}.`);
+        return ok;
+    };
+
+    const hire = (game, playerId, provinceId) => {
+        const check = canHire(game, playerId, provinceId);
+        if (!check.ok) throw new Error(check.reason);
+        const player = game.players[playerId];
+        return {
+            ...game,
+            players: { ...game.players, [playerId]: { ...player, koku: player.koku - rules.costs.hireNinja } },
+            ninja: { owner: playerId, province: provinces.get(provinceId).id, round: game.round },
+        };
+    };
+
+    // --- TRIGGERS (§9.1.3) ---
+    // "Deny Passage!": an opponent declares movement into the Ninja's province, to stop there or to pass through.
+    // `path` is the route the mover chose (engine/movement.js), so a way around the Ninja never triggers it.
+    const movementTrigger = (game, mover, path) => {
+        const at = ninjaProvince(game);
+        return at && game.ninja.owner !== mover && path.slice(1).includes(at) ? at : null;
+    };
+
+    // "Sow Discord!" and "Burn the Supplies!": a battle begins in the Ninja's province, whoever fights it.
+    const battleTrigger = (game, provinceId) => ninjaProvince(game) === provinceId;
+
+    // After the operation the figure leaves the board for the rest of the round.
+    const reveal = (game) => ({ ...game, ninja: { ...game.ninja, province: null } });
+
+    const expire = (game) => (game.ninja ? { ...game, ninja: null } : game);
+
+    return { operation, operationsFor, ninjaProvince, canHire, hire, movementTrigger, battleTrigger, reveal, expire };
+}));
@@ -0,0 +1,54 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./state'), require('./victory'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.phases = factory(root.ShogunEngine.rules, root.ShogunEngine.state, root.ShogunEngine.victory);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, state, victory) => {
+    'use strict';
+
+    // --- ROUND STRUCTURE (§3.1) ---
+    // The phases come from the same timing rows as the Timing page.
+    const PHASES = rules.timing.round.filter(row => row.phase).map(row => ({ id: row.phase, title: row.title }));
+    const PHASE_IDS = PHASES.map(p => p.id);
+    const GAME_OVER = 'game-over';
+
+    const phaseInfo = (id) => PHASES.find(p => p.id === id) || null;
+
+    // Records who holds each province as the round begins (needed for the Uesugi ability and §5.2 placement).
+    const startRound = (gameState, round) => {
+        const provinces = {};
+        Object.entries(gameState.provinces || {}).forEach(([id, province]) => {
+            provinces[id] = { ...province, controlledAtRoundStart: state.controllerOf(gameState, id) };
+        });
+        return { ...gameState, round, phase: PHASE_IDS[0], provinces };
+    };
+
+    // --- PHASE SEQUENCER ---
+    // Ends the current phase. Every end-of-phase check runs first (victory by default, §1.1.2);
+    // the first one to report a result ends the game. Otherwise the game moves to the next phase,
+    // and after Winter to the next round.
+    // Returns { state, victory } where victory is null or the result of the check that fired.
+    const endPhase = (gameState, options = {}) => {
+        const checks = options.checks || [victory.checkVictoryCondition];
+        if (gameState.phase === GAME_OVER) return { state: gameState, victory: gameState.victory || null };
+
+        for (const check of checks) {
+            const result = check(gameState);
+            if (result) {
+                const record = { ...result, round: gameState.round, phase: gameState.phase };
+                return { state: { ...gameState, phase: GAME_OVER, winner: result.winner, victory: record }, victory: record };
+            }
+        }
+
+        const index = PHASE_IDS.indexOf(gameState.phase);
+        if (index === -1) throw new Error(`Unknown phase "${gameState.phase}".`);
+        if (index < PHASE_IDS.length - 1) {
+            return { state: { ...gameState, phase: PHASE_IDS[index + 1] }, victory: null };
+        }
+        return { state: startRound(gameState, gameState.round + 1), victory: null };
+    };
+
+    return { PHASES, PHASE_IDS, GAME_OVER, phaseInfo, startRound, endPhase };
+}));
@@ -0,0 +1,275 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.provinces = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    // --- THE 68 PROVINCES ---
+    // `coords` is the approximate geographic centre [longitude, latitude], used to lay out the map.
+    // Terrain flags follow the rulebook's Province Types cheat sheet; a province can be both coastal and mountainous.
+    const P = (id, name, circuit, coords, flags = {}) => ({
+        id,
+        name,
+        alias: flags.alias || null,
+        circuit,
+        coords,
+        coastal: Boolean(flags.coastal),
+        mountain: Boolean(flags.mountain),
+        island: Boolean(flags.island),
+        mandate: Boolean(flags.mandate),
+        tradingPost: Boolean(flags.tradingPost),
+        homeClan: flags.homeClan || null,
+    });
+
+    const list = [
+        // Kinai
+        P('yamashiro', 'Yamashiro', 'Kinai', [135.75, 35.05], { alias: 'Kyoto', mandate: true }),
+        P('yamato', 'Yamato', 'Kinai', [135.85, 34.45]),
+        P('kawachi', 'Kawachi', 'Kinai', [135.62, 34.62]),
+        P('izumi', 'Izumi', 'Kinai', [135.38, 34.42], { coastal: true }),
+        P('settsu', 'Settsu', 'Kinai', [135.38, 34.82], { alias: 'Osaka', coastal: true, mandate: true, tradingPost: true }),
+        // Tokaido
+        P('iga', 'Iga', 'Tokaido', [136.15, 34.75]),
+        P('ise', 'Ise', 'Tokaido', [136.45, 34.62], { coastal: true }),
+        P('shima', 'Shima', 'Tokaido', [136.8, 34.35], { coastal: true }),
+        P('owari', 'Owari', 'Tokaido', [136.9, 35.2], { coastal: true, homeClan: 'oda' }),
+        P('mikawa', 'Mikawa', 'Tokaido', [137.35, 34.95], { coastal: true, homeClan: 'tokugawa' }),
+        P('totomi', 'Totomi', 'Tokaido', [137.85, 34.85], { coastal: true }),
+        P('suruga', 'Suruga', 'Tokaido', [138.4, 35.1], { coastal: true }),
+        P('izu', 'Izu', 'Tokaido', [138.95, 34.85], { coastal: true }),
+        P('kai', 'Kai', 'Tokaido', [138.6, 35.6], { mountain: true, homeClan: 'takeda' }),
+        P('sagami', 'Sagami', 'Tokaido', [139.3, 35.4], { alias: 'Edo', coastal: true, mandate: true, homeClan: 'hojo' }),
+        P('musashi', 'Musashi', 'Tokaido', [139.5, 35.85], { coastal: true }),
+        P('awa_boso', 'Awa (Boso)', 'Tokaido', [139.95, 35.05], { coastal: true }),
+        P('kazusa', 'Kazusa', 'Tokaido', [140.2, 35.35], { coastal: true }),
+        P('shimosa', 'Shimosa', 'Tokaido', [140.2, 35.8], { coastal: true }),
+        P('hitachi', 'Hitachi', 'Tokaido', [140.35, 36.35], { coastal: true }),
+        // Tosando
+        P('omi', 'Omi', 'Tosando', [136.1, 35.2]),
+        P('mino', 'Mino', 'Tosando', [136.85, 35.6], { mountain: true }),
+        P('hida', 'Hida', 'Tosando', [137.2, 36.1], { mountain: true }),
+        P('shinano', 'Shinano', 'Tosando', [138.0, 36.15], { mountain: true }),
+        P('kozuke', 'Kozuke', 'Tosando', [138.9, 36.45], { mountain: true }),
+        P('shimotsuke', 'Shimotsuke', 'Tosando', [139.75, 36.6]),
+        P('mutsu', 'Mutsu', 'Tosando', [140.9, 38.6], { coastal: true }),
+        P('dewa', 'Dewa', 'Tosando', [140.1, 39.2], { coastal: true }),
+        // Hokurikudo
+        P('wakasa', 'Wakasa', 'Hokurikudo', [135.8, 35.5], { coastal: true }),
+        P('echizen', 'Echizen', 'Hokurikudo', [136.2, 35.9], { coastal: true }),
+        P('kaga', 'Kaga', 'Hokurikudo', [136.55, 36.35], { coastal: true }),
+        P('noto', 'Noto', 'Hokurikudo', [136.85, 37.0], { coastal: true }),
+        P('etchu', 'Etchu', 'Hokurikudo', [137.2, 36.65], { coastal: true, mountain: true }),
+        P('echigo', 'Echigo', 'Hokurikudo', [138.7, 37.4], { coastal: true, homeClan: 'uesugi' }),
+        P('sado', 'Sado', 'Hokurikudo', [138.4, 38.05], { coastal: true, island: true }),
+        // San'indo
+        P('tanba', 'Tanba', 'San\'indo', [135.35, 35.2]),
+        P('tango', 'Tango', 'San\'indo', [135.15, 35.6], { coastal: true }),
+        P('tajima', 'Tajima', 'San\'indo', [134.75, 35.45], { coastal: true }),
+        P('inaba', 'Inaba', 'San\'indo', [134.2, 35.4], { coastal: true }),
+        P('hoki', 'Hoki', 'San\'indo', [133.6, 35.35], { coastal: true }),
+        P('izumo', 'Izumo', 'San\'indo', [132.85, 35.3], { coastal: true }),
+        P('iwami', 'Iwami', 'San\'indo', [132.2, 34.9], { coastal: true }),
+        P('oki', 'Oki', 'San\'indo', [133.2, 36.2], { coastal: true, island: true }),
+        // San'yodo
+        P('harima', 'Harima', 'San\'yodo', [134.75, 34.95], { coastal: true }),
+        P('mimasaka', 'Mimasaka', 'San\'yodo', [134.0, 35.1]),
+        P('bizen', 'Bizen', 'San\'yodo', [134.1, 34.75], { coastal: true }),
+        P('bitchu', 'Bitchu', 'San\'yodo', [133.65, 34.8], { coastal: true }),
+        P('bingo', 'Bingo', 'San\'yodo', [133.1, 34.75], { coastal: true }),
+        P('aki', 'Aki', 'San\'yodo', [132.5, 34.5], { coastal: true, homeClan: 'mori' }),
+        P('suo', 'Suo', 'San\'yodo', [131.7, 34.1], { coastal: true }),
+        P('nagato', 'Nagato', 'San\'yodo', [131.1, 34.3], { coastal: true }),
+        // Nankaido
+        P('kii', 'Kii', 'Nankaido', [135.6, 33.9], { coastal: true }),
+        P('awaji', 'Awaji', 'Nankaido', [134.85, 34.4], { coastal: true, island: true }),
+        P('awa_shikoku', 'Awa (Shikoku)', 'Nankaido', [134.3, 33.95], { coastal: true }),
+        P('sanuki', 'Sanuki', 'Nankaido', [133.95, 34.25], { coastal: true }),
+        P('iyo', 'Iyo', 'Nankaido', [132.8, 33.7], { coastal: true }),
+        P('tosa', 'Tosa', 'Nankaido', [133.4, 33.5], { coastal: true, homeClan: 'chosokabe' }),
+        // Saikaido
+        P('chikuzen', 'Chikuzen', 'Saikaido', [130.55, 33.65], { coastal: true }),
+        P('chikugo', 'Chikugo', 'Saikaido', [130.6, 33.25], { coastal: true }),
+        P('buzen', 'Buzen', 'Saikaido', [131.0, 33.65], { coastal: true }),
+        P('bungo', 'Bungo', 'Saikaido', [131.5, 33.15], { coastal: true, homeClan: 'otomo' }),
+        P('hizen', 'Hizen', 'Saikaido', [129.95, 33.2], { coastal: true, tradingPost: true }),
+        P('higo', 'Higo', 'Saikaido', [130.8, 32.6], { coastal: true }),
+        P('hyuga', 'Hyuga', 'Saikaido', [131.35, 32.3], { coastal: true }),
+        P('osumi', 'Osumi', 'Saikaido', [130.85, 31.4], { coastal: true }),
+        P('satsuma', 'Satsuma', 'Saikaido', [130.35, 31.6], { coastal: true, homeClan: 'shimazu' }),
+        P('iki', 'Iki', 'Saikaido', [129.7, 33.8], { coastal: true, island: true }),
+        P('tsushima', 'Tsushima', 'Saikaido', [129.3, 34.4], { coastal: true, island: true }),
+    ];
+
+    // --- BORDERS ---
+    // Land borders, listed once per pair.
+    const landBorders = [
+        ['yamashiro', 'omi'], ['yamashiro', 'tanba'], ['yamashiro', 'settsu'], ['yamashiro', 'kawachi'], ['yamashiro', 'yamato'], ['yamashiro', 'iga'],
+        ['yamato', 'iga'], ['yamato', 'ise'], ['yamato', 'kii'], ['yamato', 'kawachi'],
+        ['kawachi', 'kii'], ['kawachi', 'izumi'], ['kawachi', 'settsu'],
+        ['izumi', 'kii'], ['izumi', 'settsu'],
+        ['settsu', 'tanba'], ['settsu', 'harima'],
+        ['iga', 'omi'], ['iga', 'ise'],
+        ['ise', 'omi'], ['ise', 'mino'], ['ise', 'owari'], ['ise', 'shima'], ['ise', 'kii'],
+        ['owari', 'mino'], ['owari', 'mikawa'],
+        ['mikawa', 'mino'], ['mikawa', 'shinano'], ['mikawa', 'totomi'],
+        ['totomi', 'shinano'], ['totomi', 'suruga'],
+        ['suruga', 'shinano'], ['suruga', 'kai'], ['suruga', 'sagami'], ['suruga', 'izu'],
+        ['izu', 'sagami'],
+        ['kai', 'shinano'], ['kai', 'musashi'], ['kai', 'sagami'],
+        ['sagami', 'musashi'],
+        ['musashi', 'shinano'], ['musashi', 'kozuke'], ['musashi', 'shimosa'],
+        ['awa_boso', 'kazusa'],
+        ['kazusa', 'shimosa'],
+        ['shimosa', 'hitachi'], ['shimosa', 'shimotsuke'],
+        ['hitachi', 'shimotsuke'], ['hitachi', 'mutsu'],
+        ['omi', 'mino'], ['omi', 'echizen'], ['omi', 'wakasa'], ['omi', 'tanba'],
+        ['mino', 'shinano'], ['mino', 'hida'], ['mino', 'echizen'],
+        ['hida', 'shinano'], ['hida', 'etchu'], ['hida', 'kaga'], ['hida', 'echizen'],
+        ['shinano', 'etchu'], ['shinano', 'echigo'], ['shinano', 'kozuke'],
+        ['kozuke', 'echigo'], ['kozuke', 'mutsu'], ['kozuke', 'shimotsuke'],
+        ['shimotsuke', 'mutsu'],
+        ['mutsu', 'echigo'], ['mutsu', 'dewa'],
+        ['dewa', 'echigo'],
+        ['wakasa', 'echizen'], ['wakasa', 'tanba'], ['wakasa', 'tango'],
+        ['echizen', 'kaga'],
+        ['kaga', 'etchu'], ['kaga', 'noto'],
+        ['noto', 'etchu'],
+        ['etchu', 'echigo'],
+        ['tanba', 'tango'], ['tanba', 'tajima'], ['tanba', 'harima'],
+        ['tango', 'tajima'],
+        ['tajima', 'harima'], ['tajima', 'inaba'],
+        ['inaba', 'harima'], ['inaba', 'mimasaka'], ['inaba', 'hoki'],
+        ['hoki', 'mimasaka'], ['hoki', 'bitchu'], ['hoki', 'bingo'], ['hoki', 'izumo'],
+        ['izumo', 'bingo'], ['izumo', 'iwami'],
+        ['iwami', 'bingo'], ['iwami', 'aki'], ['iwami', 'suo'], ['iwami', 'nagato'],
+        ['harima', 'mimasaka'], ['harima', 'bizen'],
+        ['mimasaka', 'bizen'], ['mimasaka', 'bitchu'],
+        ['bizen', 'bitchu'],
+        ['bitchu', 'bingo'],
+        ['bingo', 'aki'],
+        ['aki', 'suo'],
+        ['suo', 'nagato'],
+        ['awa_shikoku', 'sanuki'], ['awa_shikoku', 'iyo'], ['awa_shikoku', 'tosa'],
+        ['sanuki', 'iyo'],
+        ['iyo', 'tosa'],
+        ['chikuzen', 'buzen'], ['chikuzen', 'bungo'], ['chikuzen', 'chikugo'], ['chikuzen', 'hizen'],
+        ['chikugo', 'hizen'], ['chikugo', 'higo'], ['chikugo', 'bungo'],
+        ['buzen', 'bungo'],
+        ['bungo', 'higo'], ['bungo', 'hyuga'],
+        ['higo', 'hyuga'], ['higo', 'osumi'], ['higo', 'satsuma'],
+        ['hyuga', 'osumi'],
+        ['osumi', 'satsuma'],
+    ];
+
+    // Sea lines connect coastal provinces across straits and the Inland Sea.
+    // They count as adjacency for movement and carry the Mori redeploy (§2.4).
+    const seaLines = [
+        ['nagato', 'buzen'], ['nagato', 'chikuzen'],
+        ['suo', 'bungo'], ['suo', 'iyo'],
+        ['aki', 'iyo'],
+        ['bungo', 'iyo'],
+        ['bitchu', 'sanuki'], ['bizen', 'sanuki'],
+        ['harima', 'awaji'], ['settsu', 'awaji'],
+        ['awaji', 'awa_shikoku'],
+        ['kii', 'awa_shikoku'],
+        ['shima', 'mikawa'],
+        ['sagami', 'awa_boso'],
+        ['echigo', 'sado'],
+        ['izumo', 'oki'], ['hoki', 'oki'],
+        ['hizen', 'iki'], ['chikuzen', 'iki'],
+        ['iki', 'tsushima'],
+    ];
+
+    // --- INDEXES ---
+    const byId = new Map(list.map(p => [p.id, p]));
+    const land = new Map(list.map(p => [p.id, new Set()]));
+    const sea = new Map(list.map(p => [p.id, new Set()]));
+
+    const link = (index, kind) => ([a, b]) => {
+        if (!byId.has(a) || !byId.has(b)) throw new Error(`Unknown province in ${kind}: ${a} - ${b}`);
+        index.get(a).add(b);
+        index.get(b).add(a);
+    };
+    landBorders.forEach(link(land, 'land border'));
+    seaLines.forEach(link(sea, 'sea line'));
+
+    // --- LOOKUPS ---
+    const normalize = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+    const get = (id) => byId.get(id) || null;
+
+    // Accepts ids, names, aliases and macron spellings ("Kyoto", "Tōtōmi", "Settsu (Osaka)").
+    const find = (query) => {
+        const q = normalize(query).replace(/\s*\(.*\)$/, '');
+        return byId.get(q) || list.find(p => normalize(p.name) === q || normalize(p.alias) === q) || null;
+    };
+
+    const displayName = (id) => {
+        const p = get(id);
+        if (!p) return id;
+        return p.alias ? `${p.name} (${p.alias})` : p.name;
+    };
+
+    // --- ADJACENCY ---
+    const landNeighbors = (id) => [...(land.get(id) || [])];
+    const seaNeighbors = (id) => [...(sea.get(id) || [])];
+    const neighbors = (id) => [...new Set([...landNeighbors(id), ...seaNeighbors(id)])];
+
+    const isAdjacent = (a, b) => Boolean(land.get(a)?.has(b) || sea.get(a)?.has(b));
+    const isSeaLine = (a, b) => Boolean(sea.get(a)?.has(b));
+
+    // Breadth-first search; returns the shortest path from `from` to `to` (inclusive) or null.
+    // `canPass(id)` may forbid entering intermediate provinces.
+    const shortestPath = (from, to, { canPass = () => true, seaOnly = false } = {}) => {
+        if (!byId.has(from) || !byId.has(to)) return null;
+        if (from === to) return [from];
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+        while (queue.length) {
+            const current = queue.shift();
+            const next = seaOnly ? seaNeighbors(current) : neighbors(current);
+            for (const n of next) {
+                if (previous.has(n)) continue;
+                previous.set(n, current);
+                if (n === to) {
+                    const path = [to];
+                    let step = current;
+                    while (step !== null) { path.unshift(step); step = previous.get(step); }
+                    return path;
+                }
+                if (canPass(n)) queue.push(n);
+            }
+        }
+        return null;
+    };
+
+    const distance = (from, to, options) => {
+        const path = shortestPath(from, to, options);
+        return path ? path.length - 1 : Infinity;
+    };
+
+    const withFlag = (flag) => list.filter(p => p[flag]);
+
+    return {
+        list,
+        landBorders,
+        seaLines,
+        get,
+        find,
+        displayName,
+        normalize,
+        landNeighbors,
+        seaNeighbors,
+        neighbors,
+        isAdjacent,
+        isSeaLine,
+        shortestPath,
+        distance,
+        withFlag,
+        homeOf: (clanId) => list.find(p => p.homeClan === clanId) || null,
+    };
+}));
@@ -0,0 +1,104 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./game'), require('./save'), require('./sync'));
+    } else {
+        const e = root.ShogunEngine = root.ShogunEngine || {};
+        e.replay = factory(e.game, e.save, e.sync);
+    }
+}(typeof self !== 'undefined' ? self : this, (game, save, sync) => {
+    'use strict';
+
+    // --- REPLAYS ---
+    // A replay holds the position a game started from and every command performed since:
+    //   { format: 'shogun-gekokujo-replay', version: 1, savedAt, origin, actions: [{ action, args, player, round, phase, step }] }
+    // The battle dice follow from the seed in the origin, so performing the commands again rebuilds the
+    // game exactly, roll by roll. Frame 0 is the start; frame n is the game after the n-th command.
+    const FORMAT = 'shogun-gekokujo-replay';
+    const VERSION = 1;
+
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    const canReplay = (g) => isObject(g.origin) && Array.isArray(g.history);
+
+    const createReplay = (g) => {
+        if (!canReplay(g)) throw new Error('This game was started before replays were recorded.');
+        return { format: FORMAT, version: VERSION, savedAt: new Date().toISOString(), origin: g.origin, actions: g.history };
+    };
+
+    const validateReplay = (data) => {
+        if (!isObject(data) || data.format !== FORMAT) return { ok: false, errors: ['This is not a Shogun: Gekokujō replay file.'] };
+        if (data.version !== VERSION) return { ok: false, errors: [`This replay uses format version ${data.version}; this rulebook reads version ${VERSION}.`] };
+        const errors = save.validateGame(data.origin).map(e => `origin.${e}`);
+        if (!Array.isArray(data.actions)) errors.push('actions: must be a list of recorded commands.');
+        else {
+            data.actions.forEach((entry, i) => {
+                if (!isObject(entry) || !Object.prototype.hasOwnProperty.call(game.COMMANDS, entry.action) || !Array.isArray(entry.args)) {
+                    errors.push(`actions.${i}: not a recorded command ({ action, args }).`);
+                }
+            });
+        }
+        return { ok: !errors.length, errors };
+    };
+
+    const parseReplay = (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`The replay file is not valid JSON (${err.message}).`);
+        }
+        const check = validateReplay(data);
+        if (!check.ok) throw new Error(check.errors.length === 1 ? check.errors[0] : `The replay file has ${check.errors.length} problems:\n${check.errors.join('\n')}`);
+        return data;
+    };
+
+    // --- FRAMES ---
+    // frames: [{ game, entry, results }], where entry is the command that led to the frame.
+    const buildFrames = (replay) => {
+        const frames = [{ game: { ...replay.origin, history: [] }, entry: null, results: null }];
+        replay.actions.forEach((entry, i) => {
+            const before = frames[frames.length - 1].game;
+            let out;
+            try {
+                out = game.perform(before, entry.action, entry.args);
+            } catch (err) {
+                throw new Error(`Command ${i + 1} (${entry.action} in round ${entry.round}) cannot be replayed: ${err.message}`);
+            }
+            frames.push({ game: out.game, entry, results: out.results });
+        });
+        return frames;
+    };
+
+    // Whether the replay ends exactly where the recorded game stands.
+    const matchesGame = (frames, g) => {
+        const position = ({ origin, history, ...rest }) => rest;
+        return sync.same(position(frames[frames.length - 1].game), position(g));
+    };
+
+    // The frame to show when stepping by 'action', 'phase' or 'round' (direction +1 or -1).
+    // Stepping back first returns to the start of the current phase or round.
+    const SEGMENTS = {
+        round: (g) => String(g.round),
+        phase: (g) => `${g.round}:${g.phase}`,
+    };
+
+    const stepFrame = (frames, index, unit, direction) => {
+        const last = frames.length - 1;
+        if (unit === 'action') return Math.min(last, Math.max(0, index + direction));
+        const key = (i) => SEGMENTS[unit](frames[i].game);
+        const segmentStart = (i) => {
+            let start = i;
+            while (start > 0 && key(start - 1) === key(i)) start--;
+            return start;
+        };
+        if (direction > 0) {
+            let next = index;
+            while (next < last && key(next) === key(index)) next++;
+            return next;
+        }
+        const start = segmentStart(index);
+        return start < index ? start : segmentStart(Math.max(0, start - 1));
+    };
+
+    return { FORMAT, VERSION, canReplay, createReplay, validateReplay, parseReplay, buildFrames, matchesGame, stepFrame };
+}));
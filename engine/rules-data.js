@@ -0,0 +1,378 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.rules = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    // --- RULEBOOK VERSION ---
+    const version = 'v90';
+
+    // --- STRATEGIC REGIONS (§2.2.1) ---
+    const regions = [
+        { id: 'west', name: 'The West', label: 'West' },
+        { id: 'center', name: 'The Center', label: 'Center' },
+        { id: 'east', name: 'The East', label: 'East' },
+    ];
+
+    // --- CORE ECONOMY (§4.1, §4.2, §7.1) ---
+    const economy = {
+        baseIncome: 3,
+        provinceIncome: 1,
+        bushiPerMaintenanceKoku: 2,
+        mountainProvinceCost: 1,
+        mountainUnitsPerKoku: 3,
+        bankruptcyBushiPerKoku: 2,
+    };
+
+    // --- COSTS (§5.1, §6.2.4, §9.1, §9.2) ---
+    const costs = {
+        recruitBushi: 1,
+        hireRonin: 1,
+        hireNinja: 3,
+        buildCastle: 5,
+        fortifyCastle: 3,
+        denyPassageToll: 3,
+        burnTheSupplies: 3,
+    };
+
+    // --- LIMITS & COMPONENTS (§2.1, §2.3, §3.2, §6.1.3) ---
+    const limits = {
+        stacking: 7,
+        daimyoPerClan: 3,
+        bushiPerClan: 69,
+        roninTotal: 30,
+        castlesTotal: 10,
+        ninjaTotal: 1,
+        castlesPerClan: 1,
+        provinceCards: 68,
+        startingDaimyo: 3,
+        startingBushi: 1,
+    };
+
+    // --- VICTORY (§1.2, §1.3) ---
+    const victory = {
+        provincesByPlayerCount: { 4: 20, 5: 18 },
+        mandateProvinces: ['yamashiro', 'settsu', 'sagami'],
+        kyotoDefenseBonus: 1,
+    };
+
+    // --- VASSALAGE (§8.1, §8.2) ---
+    const vassalage = {
+        kosekiToLiberate: 3,
+        convertedUnits: 3,
+    };
+
+    // --- UNIT PROFILES (§6.2.3, §6.1.3) ---
+    // Attack and defense values are the lowest die result that scores a hit.
+    const units = {
+        bushi: { id: 'bushi', name: 'Bushi', dice: 1, attack: 5, defense: 6, move: 2 },
+        daimyo: { id: 'daimyo', name: 'Daimyō', dice: 3, attack: 4, defense: 4, move: 3 },
+        ronin: { id: 'ronin', name: 'Ronin', dice: 1, attack: 5, defense: 6, move: 0 },
+    };
+
+    // --- THE GREAT CLANS (§2.4) ---
+    const clans = {
+        chosokabe: {
+            id: 'chosokabe', name: 'Chosokabe', province: 'tosa', region: 'center',
+            ability: 'Your base income is 4 Koku (instead of 3). Additionally, you gain +1 Koku for every 2 coastal provinces you control (max +2 Koku per round).',
+            archetype: 'Economist', strength: 'High, flexible income.', weakness: 'No direct military bonuses.',
+            effects: { baseIncome: 4, coastalIncome: { perProvinces: 2, max: 2 } },
+        },
+        hojo: {
+            id: 'hojo', name: 'Hōjō', province: 'sagami', region: 'east',
+            ability: 'The cost to build your Fortress is 3 Koku. Its defense bonus is +2 (instead of +1). If your Fortress is destroyed, you may rebuild it in a later round for the same cost. Starts in a Mandate Province.',
+            archetype: 'Builder', strength: 'Superior, cost-effective defense.', weakness: 'Static; power is tied to one location.',
+            effects: { fortress: { cost: 3, defenseBonus: 2, rebuild: true } },
+        },
+        mori: {
+            id: 'mori', name: 'Mōri', province: 'aki', region: 'west',
+            ability: 'Once per turn, you may spend 1 Koku to move a Mōri Daimyō and up to 5 Bushi in the same province to any Mōri-controlled coastal province along a sea line. You gain +1 Koku for every 3 coastal provinces you control.',
+            archetype: 'Naval Power', strength: 'Exceptional strategic mobility.', weakness: 'Reliant on controlling specific sea zones.',
+            effects: { coastalIncome: { perProvinces: 3, max: null }, seaRedeploy: { cost: 1, maxBushi: 5 } },
+        },
+        oda: {
+            id: 'oda', name: 'Oda', province: 'owari', region: 'center',
+            ability: 'If an Oda Daimyō is present, all attacking Oda units in that battle receive a +1 bonus to their attack rolls.',
+            archetype: 'Aggressor', strength: 'Superior combat effectiveness.', weakness: 'Reliant on exposed Daimyō.',
+            effects: { attackBonusWithDaimyo: 1 },
+        },
+        otomo: {
+            id: 'otomo', name: 'Otomo', province: 'bungo', region: 'west',
+            ability: 'When you declare an attack, you may spend 2 Koku before any dice are rolled. If you do, you may re-roll all of your failed attack rolls for your Bushi units in that battle.',
+            archetype: 'Gambler', strength: 'Ability to win decisive battles through investment.', weakness: 'Koku-intensive; can be baited.',
+            effects: { bushiReroll: { cost: 2 } },
+        },
+        shimazu: {
+            id: 'shimazu', name: 'Shimazu', province: 'satsuma', region: 'west',
+            ability: '+1 Koku per coastal province you control (max +3 per round).',
+            archetype: 'Expansionist', strength: 'Rapid early economic growth.', weakness: 'Predictable strategic goals.',
+            effects: { coastalIncome: { perProvinces: 1, max: 3 } },
+        },
+        takeda: {
+            id: 'takeda', name: 'Takeda', province: 'kai', region: 'east',
+            ability: 'When a Takeda Daimyō moves, up to 6 Bushi from the same starting province may move with him as a single group, using the Daimyō\'s movement of 3.',
+            archetype: 'Mobile Force', strength: 'Unmatched force projection.', weakness: 'Power is concentrated.',
+            effects: { groupMove: { maxBushi: 6, range: 3 } },
+        },
+        tokugawa: {
+            id: 'tokugawa', name: 'Tokugawa', province: 'mikawa', region: 'center',
+            ability: 'Immune to Mountain Provisions costs in mountain provinces.',
+            archetype: 'Turtle', strength: 'Extremely resilient heartland.', weakness: 'Can become passive.',
+            effects: { mountainProvisionsImmune: true },
+        },
+        uesugi: {
+            id: 'uesugi', name: 'Uesugi', province: 'echigo', region: 'east',
+            ability: 'Any Uesugi unit defending in a province under your control at the start of this round receives a +1 bonus to its defense rolls.',
+            archetype: 'Defender', strength: 'Cost-effective, attritional defense.', weakness: 'Purely reactive.',
+            effects: { heldProvinceDefenseBonus: 1 },
+        },
+    };
+
+    // --- COMBAT MODIFIERS (§0.1, §1.3, §2.4, §9.1.3, §9.2, §10.1) ---
+    const modifiers = [
+        { id: 'oda', source: 'Oda Clan', roll: 'attack', value: 1, condition: 'Oda Daimyō is present.' },
+        { id: 'uesugi', source: 'Uesugi Clan', roll: 'defense', value: 1, condition: 'Province was controlled at start of round.' },
+        { id: 'kyoto', source: 'Kyoto (Province)', roll: 'defense', value: victory.kyotoDefenseBonus, condition: 'Defender in Yamashiro (Kyoto).' },
+        { id: 'castle', source: 'Castle', roll: 'defense', value: 1, condition: 'Defender in province with a castle.' },
+        { id: 'fortress', source: 'Hōjō Fortress', roll: 'defense', value: clans.hojo.effects.fortress.defenseBonus, condition: 'Hōjō player defending in their Fortress province.' },
+        { id: 'fortified-castle', source: 'Fortified Castle', roll: 'defense', value: 2, condition: 'Defender in province with a fortified castle (for 1 round).' },
+        { id: 'sow-discord', source: 'Ninja (Sow Discord!)', roll: 'all', value: -1, condition: 'Ninja uses "Sow Discord!" command.' },
+        { id: 'pact-broken', source: 'Honor Pact Broken', roll: 'attack', value: -1, condition: 'You are attacking an ally.', module: 'political-play' },
+    ];
+
+    const getModifier = (id) => modifiers.find(m => m.id === id) || null;
+
+    // --- NINJA OPERATIONS (§9.1.3) ---
+    const ninjaOperations = [
+        { id: 'deny-passage', command: '"Deny Passage!"', trigger: 'movement', summary: `Triggered by movement. Enemy pays ${costs.denyPassageToll} Koku or cancels move.` },
+        { id: 'sow-discord', command: '"Sow Discord!"', trigger: 'battle', summary: 'Triggered by battle. Target suffers -1 to all rolls.' },
+        { id: 'burn-the-supplies', command: '"Burn the Supplies!"', trigger: 'battle', summary: `Triggered by battle. Target pays ${costs.burnTheSupplies} Koku or loses units (Bankruptcy).` },
+    ];
+
+    // --- PROVINCE TYPES (Reference) ---
+    // Membership comes from the province flag of the same id in engine/provinces.js.
+    const provinceTypes = [
+        {
+            id: 'mountain', name: 'Mountain Provinces',
+            description: 'These provinces incur extra Mountain Provisions costs during the Winter phase (unless you are Tokugawa).',
+        },
+        {
+            id: 'coastal', name: 'Coastal Provinces',
+            description: 'These provinces interact with certain clan abilities (e.g., Shimazu, Chosokabe).',
+        },
+        {
+            id: 'mandate', name: 'Mandate Provinces',
+            description: 'Control of these three provinces is required for the "Shōgun\'s Mandate" victory condition.',
+        },
+    ];
+
+    // --- OPTIONAL MODULES (§10.x) ---
+    const modules = [
+        {
+            id: 'political-play', section: '10.1', anchor: 's10_1', group: 'politics',
+            name: 'Political Play & Blood Feud', shortName: 'Political Play', icon: '⚖️',
+            complexity: 'Medium', focus: 'Alliances & Betrayal',
+            replaces: '-', adds: 'Honor Pacts (alliances), betrayal.',
+            requires: [], excludes: [],
+            params: { offerCost: 1, pledge: 2, sharedStackingLimit: 10, betrayalAttackPenalty: -1, bloodFeudBonus: 1 },
+        },
+        {
+            id: 'emperors-favor', section: '10.2', anchor: 's10_2', group: 'politics',
+            name: 'The Emperor\'s Favor', shortName: 'The Emperor\'s Favor', icon: '👑',
+            complexity: 'Low', focus: 'King of the Hill (Kyoto)',
+            replaces: '-', adds: 'Legitimacy for holding Kyoto, Imperial Edicts.',
+            requires: [], excludes: [],
+            params: { legitimacyPerRound: 1, legitimateClaimCost: 3, legitimateClaimBushi: 3, imperialCensureCost: 3, appointedShogunCost: 6 },
+        },
+        {
+            id: 'specialized-warfare', section: '10.3', anchor: 's10_3', group: 'warfare',
+            name: 'Specialized Warfare', shortName: 'Specialized Warfare', icon: '🛡️',
+            complexity: 'High', focus: 'Tactical Rock-Paper-Scissors',
+            replaces: 'Standard Bushi', adds: 'Spearmen, Swordsmen, Archers; Ranged Phase.',
+            requires: [], excludes: [],
+            params: {
+                unitCost: 1,
+                units: {
+                    spearmen: { id: 'spearmen', name: 'Ashigaru Spearmen', dice: 1, attack: 6, defense: 5, special: 'Spear Wall: +1 Def if ≥2 present.' },
+                    swordsmen: { id: 'swordsmen', name: 'Samurai Swordsmen', dice: 1, attack: 5, defense: 5, special: 'Duelist: Rolls 2 dice if attacking alone.' },
+                    archers: { id: 'archers', name: 'Samurai Archers', dice: 1, attack: 4, defense: 6, special: 'Attacks in Ranged Phase (before Melee).' },
+                },
+            },
+        },
+        {
+            id: 'nanban-trade', section: '10.4', anchor: 's10_4', group: 'warfare',
+            name: 'The Nanban Trade & The Firearm Revolution', shortName: 'The Nanban Trade', icon: '🔫',
+            complexity: 'High', focus: 'Firearms',
+            replaces: '-', adds: 'Trading Posts, Firearm Technology, Arquebusiers; Firearm Phase.',
+            requires: ['specialized-warfare'], excludes: [],
+            params: {
+                tradingPosts: ['Settsu', 'Hizen'], technologyCost: 8,
+                units: { arquebusiers: { id: 'arquebusiers', name: 'Arquebusiers', dice: 1, attack: 4, defense: null, cost: 2, special: 'Volley: Attacks ignore ALL Castle/Fortress defense bonuses.' } },
+            },
+        },
+        {
+            id: 'cycle-of-rice', section: '10.5', anchor: 's10_5', group: 'economy',
+            name: 'The Cycle of Rice and War', shortName: 'The Cycle of Rice and War', icon: '🌾',
+            complexity: 'High', focus: 'Deep Logistics & Risk',
+            replaces: 'Standard Winter & Unit Maintenance in Phase 1', adds: 'Provincial Investment, Harvest Events, Raiding, Storing Rice, Spoilage.',
+            requires: [], excludes: [],
+            params: {
+                stipend: 4, maxSownPerProvince: 2,
+                harvest: [
+                    { min: 2, max: 5, name: 'Famine', multiplier: 1 },
+                    { min: 6, max: 9, name: 'Normal', multiplier: 2 },
+                    { min: 10, max: 12, name: 'Bountiful', multiplier: 3 },
+                ],
+                spoilageDivisor: 2,
+            },
+        },
+        {
+            id: 'ikko-ikki', section: '10.6', anchor: 's10_6', group: 'economy',
+            name: 'The Ikkō-ikki Uprising', shortName: 'The Ikkō-ikki Uprising', icon: '👺',
+            complexity: 'Medium', focus: 'Internal Friction',
+            replaces: '-', adds: 'Unrest, Rebellion, Pacification.',
+            requires: [], excludes: [],
+            params: { rebellionUnrest: 2, rebelBushi: 3, pacifyCost: 2, pacifyRoll: 4 },
+        },
+        {
+            id: 'path-of-glory', section: '10.7', anchor: 's10_7', group: 'fallen',
+            name: 'Path of Glory', shortName: 'Path of Glory', icon: '🏆',
+            complexity: 'Low', focus: 'Arcade / Competitive',
+            replaces: 'Vassalage System (§8.1)', adds: 'Comeback mechanic with Glory Points for defeated players.',
+            requires: [], excludes: ['way-of-the-ronin'],
+            params: {
+                victoryPoints: 7,
+                awards: [
+                    { id: 'last-daimyo', condition: 'Defeat any player\'s last Daimyō', points: 2 },
+                    { id: 'leader-last-daimyo', condition: 'Defeat Leading Player\'s last Daimyō', points: 3 },
+                    { id: 'mandate', condition: 'Gain sole control of Mandate Province', points: 3 },
+                ],
+            },
+        },
+        {
+            id: 'way-of-the-ronin', section: '10.8', anchor: 's10_8', group: 'fallen',
+            name: 'The Way of the Rōnin', shortName: 'The Way of the Rōnin', icon: '👺',
+            complexity: 'Maximum', focus: 'Asymmetric Insurgency',
+            replaces: 'Player Elimination', adds: 'Rōnin players, Mercenary Market, Banditry, the Gekokujō coup.',
+            requires: [], excludes: ['path-of-glory'],
+            params: { vacuumBushi: 2, coupGloryMarkers: 3, coupSuccessRoll: 4, heistDivisor: 2, banditMaintenanceMultiplier: 2 },
+        },
+    ];
+
+    const getModule = (id) => modules.find(m => m.id === id) || null;
+
+    // The four sections of the Modules page. Only one module of 'fallen' may be played (§10, IV).
+    const moduleGroups = [
+        { id: 'politics', title: 'Politics & Diplomacy' },
+        { id: 'warfare', title: 'Warfare & Technology' },
+        { id: 'economy', title: 'Economy & Stability' },
+        { id: 'fallen', title: 'The Fallen (Player Elimination)', chooseOne: true },
+    ];
+
+    // --- TIMING STRUCTURE (Timing page) ---
+    // Rows either open a phase, start a numbered step or describe a sub-step.
+    // `module` rows only apply with that module; `replacedBy` rows disappear when it is active.
+    const cycleOfRice = getModule('cycle-of-rice');
+    const emperorsFavor = getModule('emperors-favor');
+    const nanban = getModule('nanban-trade');
+    const ikkoIkki = getModule('ikko-ikki');
+    const ronin = getModule('way-of-the-ronin');
+    const timing = {
+        round: [
+            { phase: 'planning', title: '1.0. Phase 1: Planning & Reinforcement' },
+            { step: '1.1', action: 'Income & Administration Step', lead: 'Simultaneous' },
+            { action: '1.1.1. Collect Income', ref: '4.1', notes: `Add ${economy.baseIncome} Koku + ${economy.provinceIncome} Koku per province.`, replacedBy: 'cycle-of-rice' },
+            { action: '1.1.1a. Daimyō\'s Stipend', ref: '10.5', module: 'cycle-of-rice', lead: 'Module Only:', notes: `Collect the Daimyō's Stipend of ${cycleOfRice.params.stipend} Koku instead of income.` },
+            { action: '1.1.1b. Sowing Step', ref: '10.5', module: 'cycle-of-rice', lead: 'Module Only:', notes: 'Sow, store or keep Koku.' },
+            { action: '1.1.2. Pay Unit Maintenance', ref: '4.1', notes: `Pay 1 Koku per ${economy.bushiPerMaintenanceKoku} Bushi.`, replacedBy: 'cycle-of-rice' },
+            { action: '1.1.3. Determine Player Order', ref: '4.1', notes: 'Fewest provinces go first.' },
+            { step: '1.2', action: 'Vassal Decision Point', lead: 'Vassals Only', notes: '(Replaced by "Path of Glory" module).', replacedBy: 'path-of-glory' },
+            { action: '1.2.1. Choose Path to Liberation', ref: '8.3', notes: 'Binding choice for the round.', replacedBy: 'path-of-glory' },
+            { step: '1.3', action: 'Recruitment & Construction Step', lead: 'In Player Order' },
+            { action: '1.3.0. Legitimacy Check', ref: '10.2.1', module: 'emperors-favor', lead: 'Module Only:', notes: `Before anyone acts: sole control of Yamashiro (Kyoto) gains ${emperorsFavor.params.legitimacyPerRound} Legitimacy.` },
+            { action: '1.3.1. First player recruits/builds.', notes: 'Continues sequentially.' },
+            { action: '1.3.1a. Firearm Technology & Arquebusiers', ref: '10.4.1', module: 'nanban-trade', lead: 'Module Only:', notes: `Holding a Trading Post, pay ${nanban.params.technologyCost} Koku once for the technology; then recruit Arquebusiers for ${nanban.params.units.arquebusiers.cost} Koku each.` },
+            { action: '1.3.1b. Pacify Unrest', ref: '10.6', module: 'ikko-ikki', lead: 'Module Only:', notes: `Pay ${ikkoIkki.params.pacifyCost} Koku to remove an Unrest marker.` },
+            { action: '1.3.1c. Imperial Edicts', ref: '10.2.2', module: 'emperors-favor', lead: 'Module Only:', notes: 'Spend Legitimacy on your turn: Legitimate Claim, Imperial Censure or Appointed Shogun.' },
+            { step: '1.3a', action: 'Diplomacy Step', module: 'political-play', lead: 'Module Only:', notes: '"Political Play"' },
+            { action: '1.3a.1. Offer/Accept Honor Pacts', ref: '10.1', module: 'political-play', notes: 'Performed sequentially in player order.' },
+            { step: '1.3b', action: 'Mercenary Market', module: 'way-of-the-ronin', lead: 'Module Only:', notes: '"The Way of the Rōnin"' },
+            { action: '1.3b.1. Hire Rōnin (Players)', ref: '10.8.2', module: 'way-of-the-ronin', notes: 'Open negotiation; agreements bind while they are paid. A hired Rōnin joins the Patron\'s army.' },
+            { step: '1.4', action: 'End of Phase Checkpoint' },
+            { action: '1.4.1. Check for Victory Conditions', ref: '1.1.2', notes: 'Game ends if met.' },
+            { phase: 'campaign', title: '2.0. Phase 2: Campaign' },
+            { step: '2.1', action: 'Movement Step', lead: 'In Player Order' },
+            { action: '2.1.1. First player moves all units.', notes: 'Continues sequentially.' },
+            { step: '2.2', action: 'Battle Resolution Step', lead: 'In Player Order' },
+            { action: '2.2.1. First player resolves all their initiated battles.', notes: 'Player chooses order of their battles.' },
+            { step: '2.3', action: 'End of Phase Checkpoint' },
+            { action: '2.3.1. Check for Victory Conditions', ref: '1.1.2', notes: 'Game ends if met.' },
+            { phase: 'winter', title: '3.0. Phase 3: Winter' },
+            { step: '3.1', action: 'Mountain Provisions Step', lead: 'Simultaneous', replacedBy: 'cycle-of-rice' },
+            { step: '3.1a', action: 'Harvest Step', module: 'cycle-of-rice', lead: 'Module Only:', notes: '"Cycle of Rice & War"' },
+            { action: 'Receive Koku from Sowing', ref: '10.5', module: 'cycle-of-rice' },
+            { step: '3.1b', action: 'Module Mountain Provisions Step', module: 'cycle-of-rice', lead: 'Module Only:', notes: '"Cycle of Rice & War"' },
+            { action: 'Pay Unit Maintenance & Mountain Costs', ref: '10.5', module: 'cycle-of-rice' },
+            { step: '3.1c', action: 'Spoilage Step', module: 'cycle-of-rice', lead: 'Module Only:', notes: 'Discard half of Koku left in Treasury (rounded down)' },
+            { step: '3.1d', action: 'Banditry Step', module: 'way-of-the-ronin', lead: 'Module Only:', notes: '"The Way of the Rōnin"' },
+            { action: 'Unhired Rōnin (Players) become Bandits', ref: '10.8.3', module: 'way-of-the-ronin', notes: `Place the figure in an opponent's province; it pays ×${ronin.params.banditMaintenanceMultiplier} Unit Maintenance and cannot be attacked.` },
+            { step: '3.2', action: 'End of Phase Checkpoint' },
+            { action: '3.2.1. Check for Victory Conditions', ref: '1.1.2', notes: 'Game ends if met.' },
+            { action: '3.2.2. If no winner, round ends.', notes: 'Proceed to next round.' },
+        ],
+        combat: [
+            { step: '1.0', action: 'Announce Combat', notes: 'Attacker declares which battle.' },
+            { step: '2.0', action: 'Hire Ronin Step', notes: 'Attacker, then Defender(s).' },
+            { step: '3.0', action: 'Ninja Intervention Step', notes: 'Window for Ninja player to act.' },
+            { step: '3.1', action: 'Gekokujō Window', module: 'way-of-the-ronin', lead: 'Module Only:', notes: '"The Way of the Rōnin"' },
+            { action: '3.1.1. A Rōnin (Player) may declare a coup.', ref: '10.8.5', module: 'way-of-the-ronin', notes: `Needs ${ronin.params.coupGloryMarkers} Glory Markers; before any die is rolled, 1d6: ${ronin.params.coupSuccessRoll}-6 succeeds.` },
+            { step: '4.0', action: 'Firearm Phase', module: 'nanban-trade', lead: 'Module Only:', notes: '"The Nanban Trade"' },
+            { action: '4.1. Arquebusiers fire and resolve hits.', ref: '10.4.3', module: 'nanban-trade', notes: 'Volley: ignores Castle/Fortress bonuses.' },
+            { step: '5.0', action: 'Archery Phase (First Strike)', module: 'specialized-warfare', lead: 'Module Only:', notes: 'Specialized Warfare' },
+            { action: '5.1. Archers use First Strike ability.', ref: '10.3', module: 'specialized-warfare' },
+            { step: '6.0', action: 'Melee Phase' },
+            { action: '6.1. All sides determine total hits.' },
+            { action: '6.2. All sides assign hits.' },
+            { action: '6.3. All marked units are removed simultaneously.' },
+            { step: '7.0', action: 'Conclude Combat', notes: 'Remove Ronin, resolve Raiding', notesRef: '6.2.7' },
+            { action: '7.1. Place Unrest', ref: '10.6', module: 'ikko-ikki', lead: 'Module Only:', notes: `A defender who lost the battle places an Unrest marker; at ${ikkoIkki.params.rebellionUnrest} markers the province rebels (${ikkoIkki.params.rebelBushi} Neutral Bushi).` },
+            { action: '7.2. Pacify a reconquered Stronghold', ref: '10.6', module: 'ikko-ikki', lead: 'Module Only:', notes: `Roll 1d6: ${ikkoIkki.params.pacifyRoll}-6 pacifies the province.` },
+            { action: '7.3. Award Glory', ref: '10.7', module: 'path-of-glory', lead: 'Module Only:', notes: 'A fallen player who defeated a last Daimyō gains Glory Points.' },
+            { action: '7.3. Hero Momentum', ref: '10.8.4', module: 'way-of-the-ronin', lead: 'Module Only:', notes: 'If the army won, its Rōnin (Player) gains a Glory Marker.' },
+            { action: '7.4. The Collapse', ref: '10.8.1', module: 'way-of-the-ronin', lead: 'Module Only:', notes: `A player who lost their last province becomes a Rōnin (Player); each former province turns Neutral with ${ronin.params.vacuumBushi} Neutral Bushi.` },
+        ],
+    };
+
+    // --- HELPERS ---
+    // "5" -> "5-6", "6" -> "6"; a target above 6 cannot hit.
+    const formatHitRange = (target) => {
+        if (target === null || target === undefined || target > 6) return '-';
+        if (target >= 6) return '6';
+        return `${Math.max(target, 1)}-6`;
+    };
+
+    return {
+        version,
+        regions,
+        economy,
+        costs,
+        limits,
+        victory,
+        vassalage,
+        units,
+        clans,
+        modifiers,
+        getModifier,
+        ninjaOperations,
+        provinceTypes,
+        modules,
+        moduleGroups,
+        timing,
+        getModule,
+        formatHitRange,
+    };
+}));
@@ -0,0 +1,299 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./provinces'), require('./phases'), require('./game'), require('./dice'), require('./modules'));
+    } else {
+        const e = root.ShogunEngine = root.ShogunEngine || {};
+        e.save = factory(e.rules, e.provinces, e.phases, e.game, e.dice, e.modules);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, provinces, phases, game, dice, modules) => {
+    'use strict';
+
+    // --- SAVE FORMAT ---
+    // A save file is versioned JSON, so a position can be recorded and restored between sessions:
+    //   { format: 'shogun-gekokujo-game', version: 1, savedAt, game }
+    // game:
+    //   round, phase, step, active, playerOrder: [playerId]
+    //   players:   { [playerId]: { name, clan, koku, eliminated, vassalOf, koseki, path } }   vassalOf: the Liege Lord (§8.1)
+    //              path: null, 'service' or 'betrayal', the vassal's choice by deeds this round (§8.3)
+    //              gloryPoints: with Path of Glory (§10.7)
+    //   provinces: { [provinceId]: { units: { [playerId]: { daimyo, bushi, ronin } }, castle, controlledAtRoundStart } }
+    //              castle: null or { owner, type: 'castle' | 'fortress', fortified }
+    //   modules:   [moduleId]   pacts: [[playerId, playerId]]
+    //   ninja:     null or { owner, province, round }; province is null once it has struck (§9.1)
+    //   prompt:    a decision the game waits for (see engine/game.js, INTERRUPTS)
+    // The hot-seat bookkeeping (seed, turn, battleCount, log, origin, history) is optional; a hand-written
+    // position gets fresh values, and its replay (engine/replay.js) starts from the position itself.
+    const FORMAT = 'shogun-gekokujo-game';
+    const VERSION = 1;
+    // Older versions are upgraded one step at a time: MIGRATIONS[n] turns a version n save into version n + 1.
+    const MIGRATIONS = {};
+    // Links carry the game in the URL fragment; beyond this length a save file is the better choice.
+    const MAX_FRAGMENT = 4000;
+    const FRAGMENT_PREFIX = `g${VERSION}.`;
+
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+    // --- VALIDATION ---
+    // Collects every problem, each prefixed with where it was found ("players.p2.clan: ...").
+    const validateGame = (g) => {
+        const errors = [];
+        const fail = (where, message) => errors.push(`${where}: ${message}`);
+        if (!isObject(g)) return ['game: missing or not an object.'];
+
+        if (!Number.isInteger(g.round) || g.round < 1) fail('round', 'must be a whole number of at least 1.');
+        const phaseIds = [...phases.PHASE_IDS, phases.GAME_OVER];
+        if (!phaseIds.includes(g.phase)) fail('phase', `must be one of ${phaseIds.join(', ')}.`);
+
+        if (!isObject(g.players) || !Object.keys(g.players).length) {
+            fail('players', 'at least one player is needed.');
+            return errors;
+        }
+        const playerIds = Object.keys(g.players);
+        const isPlayer = (id) => playerIds.includes(id);
+        const clans = new Set();
+        Object.entries(g.players).forEach(([id, p]) => {
+            const where = `players.${id}`;
+            if (!isObject(p)) {
+                fail(where, 'must be an object.');
+                return;
+            }
+            if (typeof p.name !== 'string' || !p.name.trim()) fail(`${where}.name`, 'a name is needed.');
+            if (!rules.clans[p.clan]) fail(`${where}.clan`, `"${p.clan}" is not a clan.`);
+            else if (clans.has(p.clan)) fail(`${where}.clan`, `${rules.clans[p.clan].name} is taken by another player.`);
+            clans.add(p.clan);
+            if (!isCount(p.koku)) fail(`${where}.koku`, 'must be a whole number of Koku, 0 or more.');
+            if (p.eliminated !== undefined && typeof p.eliminated !== 'boolean') fail(`${where}.eliminated`, 'must be true or false.');
+            if (p.vassalOf !== undefined && p.vassalOf !== null) {
+                if (!isPlayer(p.vassalOf)) fail(`${where}.vassalOf`, `"${p.vassalOf}" is not a player.`);
+                else if (p.vassalOf === id) fail(`${where}.vassalOf`, 'a player cannot be their own Liege Lord.');
+                else {
+                    const chain = [id];
+                    let liege = p.vassalOf;
+                    while (liege && isPlayer(liege) && !chain.includes(liege)) {
+                        chain.push(liege);
+                        liege = isObject(g.players[liege]) ? g.players[liege].vassalOf : null;
+                    }
+                    if (liege === id) fail(`${where}.vassalOf`, 'the chain of Liege Lords leads back to this player (§8.1).');
+                }
+            }
+            if (p.path !== undefined && p.path !== null && !['service', 'betrayal'].includes(p.path)) fail(`${where}.path`, 'must be empty, "service" or "betrayal" (§8.3).');
+            else if (p.path && !p.vassalOf) fail(`${where}.path`, 'only a vassal follows a path (§8.3).');
+            if (p.koseki !== undefined && (!isCount(p.koseki) || p.koseki > rules.vassalage.kosekiToLiberate)) {
+                fail(`${where}.koseki`, `must be a whole number from 0 to ${rules.vassalage.kosekiToLiberate} (§8.2).`);
+            }
+            if (p.gloryPoints !== undefined && !isCount(p.gloryPoints)) fail(`${where}.gloryPoints`, 'must be a whole number, 0 or more (§10.7).');
+        });
+
+        if (!Array.isArray(g.playerOrder)) fail('playerOrder', 'must be a list of player ids.');
+        else {
+            g.playerOrder.filter(id => !isPlayer(id)).forEach(id => fail('playerOrder', `"${id}" is not a player.`));
+            playerIds.filter(id => g.playerOrder.filter(o => o === id).length !== 1)
+                .forEach(id => fail('playerOrder', `${id} must appear exactly once.`));
+        }
+
+        const totals = {};
+        const castleOwners = new Set();
+        let castles = 0;
+        if (!isObject(g.provinces)) fail('provinces', 'must be an object keyed by province id.');
+        else {
+            Object.entries(g.provinces).forEach(([id, province]) => {
+                const where = `provinces.${id}`;
+                if (!provinces.get(id) || provinces.get(id).id !== id) {
+                    fail(where, `"${id}" is not a province id.`);
+                    return;
+                }
+                if (!isObject(province) || !isObject(province.units)) {
+                    fail(`${where}.units`, 'must be an object keyed by player id.');
+                    return;
+                }
+                Object.entries(province.units).forEach(([owner, stack]) => {
+                    if (!isPlayer(owner)) fail(`${where}.units`, `"${owner}" is not a player.`);
+                    else if (!isObject(stack) || !['daimyo', 'bushi', 'ronin'].every(k => stack[k] === undefined || isCount(stack[k]))) {
+                        fail(`${where}.units.${owner}`, 'daimyo, bushi and ronin must be whole numbers, 0 or more.');
+                    } else {
+                        totals[owner] = totals[owner] || { daimyo: 0, bushi: 0 };
+                        totals[owner].daimyo += stack.daimyo || 0;
+                        totals[owner].bushi += stack.bushi || 0;
+                    }
+                });
+                const castle = province.castle;
+                if (castle !== undefined && castle !== null) {
+                    if (!isObject(castle) || !isPlayer(castle.owner)) fail(`${where}.castle`, 'needs an owner who is a player.');
+                    else if (castleOwners.has(castle.owner)) fail(`${where}.castle`, `${castle.owner} already has a castle (§9.2).`);
+                    else castleOwners.add(castle.owner);
+                    if (isObject(castle) && !['castle', 'fortress'].includes(castle.type)) fail(`${where}.castle.type`, 'must be "castle" or "fortress".');
+                    castles++;
+                }
+                const held = province.controlledAtRoundStart;
+                if (held !== undefined && held !== null && !isPlayer(held)) fail(`${where}.controlledAtRoundStart`, `"${held}" is not a player.`);
+            });
+        }
+        if (castles > rules.limits.castlesTotal) fail('provinces', `${castles} castles, but the game has only ${rules.limits.castlesTotal}.`);
+        Object.entries(totals).forEach(([id, t]) => {
+            if (t.daimyo > rules.limits.daimyoPerClan) fail(`players.${id}`, `${t.daimyo} Daimyō on the map; a clan has ${rules.limits.daimyoPerClan}.`);
+            if (t.bushi > rules.limits.bushiPerClan) fail(`players.${id}`, `${t.bushi} Bushi on the map; a clan has ${rules.limits.bushiPerClan}.`);
+        });
+
+        if (g.modules !== undefined) {
+            if (!Array.isArray(g.modules)) fail('modules', 'must be a list of module ids.');
+            else modules.validateSelection(g.modules).forEach(problem => fail('modules', problem));
+        }
+        if (g.history !== undefined && (!Array.isArray(g.history) || !g.history.every(e => isObject(e) && Object.prototype.hasOwnProperty.call(game.COMMANDS, e.action) && Array.isArray(e.args)))) {
+            fail('history', 'must be a list of recorded commands ({ action, args }).');
+        }
+        if (g.origin !== undefined && !isObject(g.origin)) fail('origin', 'must be the game as it started.');
+        if (g.pacts !== undefined && (!Array.isArray(g.pacts) || !g.pacts.every(p => Array.isArray(p) && p.length === 2 && p.every(isPlayer)))) {
+            fail('pacts', 'must be a list of player id pairs.');
+        }
+
+        // The bookkeeping is optional, but the engine relies on its shape once it is there.
+        if (g.seed !== undefined && !(isCount(g.seed) && g.seed < 4294967296)) fail('seed', 'must be a whole number from 0 to 4294967295, or left out for a fresh one.');
+        if (g.battleCount !== undefined && !isCount(g.battleCount)) fail('battleCount', 'must be a whole number, 0 or more.');
+        if (g.turn !== undefined && g.turn !== null) {
+            const isProvince = (id) => Boolean(provinces.get(id)) && provinces.get(id).id === id;
+            if (!isObject(g.turn) || !isPlayer(g.turn.player)) fail('turn', 'must name the player whose turn it is.');
+            else {
+                const arrivals = Object.entries(isObject(g.turn.moved) ? g.turn.moved : {});
+                if (!isObject(g.turn.moved) || !arrivals.every(([id, units]) => isProvince(id) && isObject(units) && isCount(units.daimyo) && isCount(units.bushi))) {
+                    fail('turn.moved', 'must map province ids to the Daimyō and Bushi that arrived there.');
+                }
+                if (!Array.isArray(g.turn.fought) || !g.turn.fought.every(isProvince)) fail('turn.fought', 'must be a list of province ids.');
+            }
+        }
+        if (g.log !== undefined) {
+            const isEntry = (e) => isObject(e) && typeof e.text === 'string' && Number.isInteger(e.round)
+                && (e.step === null || e.step === undefined || Boolean(game.stepInfo(e.step)))
+                && (e.player === null || e.player === undefined || isPlayer(e.player))
+                && (e.publicText === undefined || typeof e.publicText === 'string');
+            if (!Array.isArray(g.log)) fail('log', 'must be a list of entries.');
+            else g.log.forEach((e, i) => { if (!isEntry(e)) fail(`log.${i}`, 'needs a text, a round, and a known step and player if any.'); });
+        }
+
+        if (g.ninja !== undefined && g.ninja !== null) {
+            if (!isObject(g.ninja) || !isPlayer(g.ninja.owner)) fail('ninja', 'needs an owner who is a player.');
+            else if (g.ninja.province !== null && !(provinces.get(g.ninja.province) && provinces.get(g.ninja.province).id === g.ninja.province)) {
+                fail('ninja.province', `"${g.ninja.province}" is not a province id.`);
+            }
+        }
+        if (g.prompt !== undefined && g.prompt !== null) {
+            if (!isObject(g.prompt) || !isPlayer(g.prompt.player)) fail('prompt', 'must name the player asked.');
+            else if (g.prompt.kind === 'fealty' ? !isPlayer(g.prompt.vassal) || !Array.isArray(g.prompt.queue) : !isObject(g.prompt.resume) || !Array.isArray(g.prompt.resume.args)) {
+                fail('prompt', g.prompt.kind === 'fealty' ? 'must name the vassal and the Liege Lords still to choose.' : 'must name the command to resume.');
+            }
+        }
+
+        if (g.phase !== phases.GAME_OVER) {
+            const step = game.stepInfo(g.step);
+            const choices = game.phaseSteps(g.phase).map(s => s.id).join(', ');
+            if (!step || step.phase !== g.phase) fail('step', `must be a step of the ${g.phase} phase (${choices}).`);
+            else if (step.sequential && !(isPlayer(g.active) && !g.players[g.active].eliminated)) fail('active', `step ${step.id} is played in player order, so name the player whose turn it is.`);
+            else if (!step.sequential && g.active !== null && g.active !== undefined) fail('active', `step ${step.id} is simultaneous; leave it empty.`);
+        }
+        return errors;
+    };
+
+    const validateSave = (data) => {
+        if (!isObject(data) || data.format !== FORMAT) return { ok: false, errors: ['This is not a Shogun: Gekokujō save file.'] };
+        if (!Number.isInteger(data.version) || data.version < 1) return { ok: false, errors: ['The save file has no valid format version.'] };
+        if (data.version > VERSION) return { ok: false, errors: [`This save uses format version ${data.version}; this rulebook reads up to version ${VERSION}. Update the rulebook to load it.`] };
+        const errors = validateGame(data.game);
+        return { ok: !errors.length, errors };
+    };
+
+    // --- SAVE & LOAD ---
+    const createSave = (g) => ({ format: FORMAT, version: VERSION, savedAt: new Date().toISOString(), game: g });
+
+    const migrate = (data) => {
+        let current = data;
+        while (current.version < VERSION) {
+            if (!MIGRATIONS[current.version]) throw new Error(`Save format version ${current.version} can no longer be read.`);
+            current = MIGRATIONS[current.version](current);
+        }
+        return current;
+    };
+
+    // Fills in what a hand-written position leaves out.
+    const fillDefaults = (g) => ({
+        version: rules.version,
+        modules: [],
+        pacts: [],
+        seed: dice.randomSeed(),
+        battleCount: 0,
+        log: [],
+        ...g,
+        active: g.active ?? null,
+        turn: g.turn || (g.active ? { player: g.active, moved: {}, fought: [] } : null),
+        players: Object.fromEntries(Object.entries(g.players).map(([id, p]) => [id, { eliminated: false, vassalOf: null, koseki: 0, path: null, ...p }])),
+        provinces: Object.fromEntries(Object.entries(g.provinces).map(([id, p]) => [id, { castle: null, controlledAtRoundStart: null, ...p }])),
+    });
+
+    const restore = (g) => {
+        const { origin, history, ...position } = fillDefaults(g);
+        return origin && history ? { ...position, origin, history } : { ...position, origin: position, history: [] };
+    };
+
+    // Returns the game, or throws an Error listing every problem found.
+    const loadSave = (data) => {
+        const upgraded = isObject(data) && Number.isInteger(data.version) && data.version < VERSION ? migrate(data) : data;
+        const check = validateSave(upgraded);
+        if (!check.ok) throw new Error(check.errors.length === 1 ? check.errors[0] : `The save file has ${check.errors.length} problems:\n${check.errors.join('\n')}`);
+        return restore(upgraded.game);
+    };
+
+    const parseSave = (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`The save file is not valid JSON (${err.message}).`);
+        }
+        return loadSave(data);
+    };
+
+    // --- LINKS ---
+    // A URL-safe Base64 code of the save without its log and replay, e.g. "#play/g1.eyJmb3Jt...".
+    // A game opened from a link is replayed from that position.
+    const toBase64Url = (text) => {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const fromBase64Url = (code) => {
+        const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    };
+
+    const encodeFragment = (g) => {
+        const { log, origin, history, ...position } = g;
+        const code = FRAGMENT_PREFIX + toBase64Url(JSON.stringify({ format: FORMAT, version: VERSION, game: position }));
+        if (code.length > MAX_FRAGMENT) throw new Error('This game is too large for a link. Download a save file instead.');
+        return code;
+    };
+
+    const decodeFragment = (code) => {
+        const match = /^g(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+        if (!match) throw new Error('This link does not contain a saved game.');
+        let data;
+        try {
+            data = JSON.parse(fromBase64Url(match[2]));
+        } catch (err) {
+            throw new Error('The saved game in this link is damaged. Was it copied completely?');
+        }
+        return loadSave(data);
+    };
+
+    return {
+        FORMAT,
+        VERSION,
+        MAX_FRAGMENT,
+        validateGame,
+        validateSave,
+        createSave,
+        loadSave,
+        parseSave,
+        encodeFragment,
+        decodeFragment,
+    };
+}));
@@ -0,0 +1,71 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./provinces'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.state = factory(root.ShogunEngine.provinces);
+    }
+}(typeof self !== 'undefined' ? self : this, (provinces) => {
+    'use strict';
+
+    // --- GAME STATE SHAPE ---
+    // {
+    //   round, phase,
+    //   players:   { [playerId]: { name, clan, koku } },
+    //   provinces: { [provinceId]: { units: { [playerId]: { daimyo, bushi, ronin } }, castle, controlledAtRoundStart } },
+    // }
+    // Provinces without an entry are empty. Control is never stored; it follows from the units present (§0.4).
+
+    const EMPTY_STACK = Object.freeze({ daimyo: 0, bushi: 0, ronin: 0 });
+
+    const provinceState = (gameState, provinceId) => (gameState.provinces && gameState.provinces[provinceId]) || { units: {} };
+
+    const unitsIn = (gameState, provinceId, playerId) => {
+        const stack = provinceState(gameState, provinceId).units[playerId];
+        return stack ? { ...EMPTY_STACK, ...stack } : { ...EMPTY_STACK };
+    };
+
+    const stackSize = (stack) => (stack.daimyo || 0) + (stack.bushi || 0) + (stack.ronin || 0);
+
+    // Players with at least one unit in the province.
+    const occupants = (gameState, provinceId) => Object.entries(provinceState(gameState, provinceId).units || {})
+        .filter(([, stack]) => stackSize(stack) > 0)
+        .map(([playerId]) => playerId);
+
+    // 'controlled' (one player), 'contested' (several) or 'neutral' (nobody).
+    const provinceStatus = (gameState, provinceId) => {
+        const present = occupants(gameState, provinceId);
+        if (present.length === 0) return 'neutral';
+        return present.length === 1 ? 'controlled' : 'contested';
+    };
+
+    const controllerOf = (gameState, provinceId) => {
+        const present = occupants(gameState, provinceId);
+        return present.length === 1 ? present[0] : null;
+    };
+
+    const controlledProvinces = (gameState, playerId) => provinces.list
+        .map(p => p.id)
+        .filter(id => controllerOf(gameState, id) === playerId);
+
+    // Sum of a player's units across the board, by type.
+    const unitTotals = (gameState, playerId) => Object.keys(gameState.provinces || {}).reduce((totals, provinceId) => {
+        const stack = unitsIn(gameState, provinceId, playerId);
+        totals.daimyo += stack.daimyo;
+        totals.bushi += stack.bushi;
+        totals.ronin += stack.ronin;
+        return totals;
+    }, { ...EMPTY_STACK });
+
+    return {
+        EMPTY_STACK,
+        provinceState,
+        unitsIn,
+        stackSize,
+        occupants,
+        provinceStatus,
+        controllerOf,
+        controlledProvinces,
+        unitTotals,
+    };
+}));
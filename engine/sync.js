@@ -0,0 +1,70 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.sync = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    // --- STATE DIFFS ---
+    // The game master sends changes instead of whole states. A patch is a list of operations on
+    // plain JSON data, each addressed by a path of keys and array indexes:
+    //   { op: 'set', path, value }      replace or add a value
+    //   { op: 'delete', path }          remove an object key
+    //   { op: 'append', path, items }   add items to the end of an array (the game log grows this way)
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    const same = (a, b) => {
+        if (a === b) return true;
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => same(v, b[i]));
+        if (isObject(a) && isObject(b)) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(k => Object.prototype.hasOwnProperty.call(b, k) && same(a[k], b[k]));
+        }
+        return false;
+    };
+
+    const diff = (before, after, path = [], ops = []) => {
+        if (same(before, after)) return ops;
+        if (isObject(before) && isObject(after)) {
+            Object.keys(before).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(after, key)) ops.push({ op: 'delete', path: [...path, key] });
+            });
+            Object.keys(after).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(before, key)) ops.push({ op: 'set', path: [...path, key], value: after[key] });
+                else diff(before[key], after[key], [...path, key], ops);
+            });
+            return ops;
+        }
+        if (Array.isArray(before) && Array.isArray(after) && after.length > before.length && before.every((v, i) => same(v, after[i]))) {
+            ops.push({ op: 'append', path, items: after.slice(before.length) });
+            return ops;
+        }
+        ops.push({ op: 'set', path, value: after });
+        return ops;
+    };
+
+    // Returns a new value; the parts of `target` the patch does not touch are shared, not copied.
+    const applyOp = (target, op, depth = 0) => {
+        if (depth === op.path.length) {
+            if (op.op === 'set') return op.value;
+            if (op.op === 'append') return [...target, ...op.items];
+            throw new Error(`Cannot apply "${op.op}" to the root.`);
+        }
+        const key = op.path[depth];
+        const copy = Array.isArray(target) ? [...target] : { ...target };
+        if (op.op === 'delete' && depth === op.path.length - 1) {
+            delete copy[key];
+            return copy;
+        }
+        if (target === null || typeof target !== 'object') throw new Error(`Patch path ${op.path.join('.')} does not exist.`);
+        copy[key] = applyOp(target[key], op, depth + 1);
+        return copy;
+    };
+
+    const applyPatch = (target, ops) => ops.reduce((value, op) => applyOp(value, op), target);
+
+    return { diff, applyPatch, same };
+}));
@@ -0,0 +1,70 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./dice'), require('./state'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.turnOrder = factory(root.ShogunEngine.rules, root.ShogunEngine.dice, root.ShogunEngine.state);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, dice, state) => {
+    'use strict';
+
+    // --- GEKOKUJŌ (§4.1, §4.3) ---
+    // The weakest clan acts first. Each criterion only matters when all earlier ones are tied.
+    const clanName = (entry) => (rules.clans[entry.clan] ? rules.clans[entry.clan].name : String(entry.clan || ''));
+
+    const CRITERIA = [
+        { id: 'provinces', label: 'fewest provinces', compare: (a, b) => a.provinces - b.provinces },
+        { id: 'koku', label: 'less Koku', compare: (a, b) => a.koku - b.koku },
+        { id: 'units', label: 'fewer units', compare: (a, b) => a.units - b.units },
+        { id: 'clan', label: 'clan name alphabetically', compare: (a, b) => clanName(a).localeCompare(clanName(b)) },
+    ];
+
+    // The first criterion on which two entries differ, or null if they are identical.
+    const decidingCriterion = (a, b) => CRITERIA.find(c => c.compare(a, b) !== 0) || null;
+
+    const compareEntries = (a, b) => {
+        const criterion = decidingCriterion(a, b);
+        return criterion ? criterion.compare(a, b) : 0;
+    };
+
+    // entries: [{ player, clan, provinces, koku, units }]
+    // options: { round, random } - round 1 is ordered randomly (Designer's Note to §2.2).
+    // Returns the entries in acting order. `decidedBy` is the criterion that put each entry ahead of
+    // the next one ('random' in round 1, null for the last entry).
+    const determinePlayerOrder = (entries, options = {}) => {
+        if (options.round === 1) {
+            return dice.shuffle(entries, options.random || Math.random).map((entry, i, all) => ({
+                ...entry,
+                position: i + 1,
+                decidedBy: i < all.length - 1 ? 'random' : null,
+            }));
+        }
+        const sorted = [...entries].sort(compareEntries);
+        return sorted.map((entry, i) => {
+            const next = sorted[i + 1];
+            const criterion = next ? decidingCriterion(entry, next) : null;
+            return { ...entry, position: i + 1, decidedBy: criterion ? criterion.id : null };
+        });
+    };
+
+    // The same ordering from a game state (engine/state.js).
+    const playerOrderFromState = (gameState, options = {}) => {
+        const entries = Object.entries(gameState.players)
+            .filter(([, player]) => !player.eliminated)
+            .map(([id, player]) => {
+                const totals = state.unitTotals(gameState, id);
+                return {
+                    player: id,
+                    clan: player.clan,
+                    provinces: state.controlledProvinces(gameState, id).length,
+                    koku: player.koku,
+                    units: totals.daimyo + totals.bushi,
+                };
+            });
+        return determinePlayerOrder(entries, { round: gameState.round, ...options });
+    };
+
+    const criterion = (id) => CRITERIA.find(c => c.id === id) || null;
+
+    return { CRITERIA, criterion, decidingCriterion, determinePlayerOrder, playerOrderFromState };
+}));
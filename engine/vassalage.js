@@ -0,0 +1,104 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./state'), require('./movement'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.vassalage = factory(root.ShogunEngine.rules, root.ShogunEngine.state, root.ShogunEngine.movement);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, state, movement) => {
+    'use strict';
+
+    // --- FEALTY (§8) ---
+    // A clan is independent, or a vassal with players[id] = { vassalOf: liegeId, koseki, path }:
+    //   independent --last Daimyō falls in battle (§8.1)--> vassal of the player who assigned that casualty
+    //   vassal --first attack of the round (§8.3)--> path 'service' (Loyal Service) or 'betrayal' (Open Rebellion)
+    //   'service'  --Kōseki reach 3--> independent at the end of the phase (§8.2)
+    //   'betrayal' --conquers a province from the Liege Lord--> independent at the end of that battle
+    //   'betrayal' --still bound at the end of the phase--> eliminated
+    //   any vassal --the Liege Lord falls--> independent at the end of that battle (§8.1)
+    // The path is chosen anew every round. The functions here change the players only; engine/game.js
+    // decides when they apply and writes the log.
+    const ok = { ok: true, reason: null };
+    const no = (reason) => ({ ok: false, reason });
+
+    const isVassal = (game, id) => Boolean(game.players[id].vassalOf);
+    const liegeOf = (game, id) => game.players[id].vassalOf || null;
+    const vassalsOf = (game, liegeId) => Object.keys(game.players).filter(id => game.players[id].vassalOf === liegeId);
+
+    const setPlayers = (game, ids, changes) => ids.reduce((next, id) => ({
+        ...next,
+        players: { ...next.players, [id]: { ...next.players[id], ...changes } },
+    }), game);
+
+    // --- CHOICE BY DEEDS (§8.3) ---
+    // Moving into a province the player does not hold, neutral or held by an enemy, is an attack.
+    const isAttack = (game, playerId, provinceId) => {
+        if (state.controllerOf(game, provinceId) === playerId) return false;
+        return state.occupants(game, provinceId).length === 0 || movement.enemiesIn(game, provinceId, playerId).length > 0;
+    };
+
+    const pathFor = (game, vassalId, provinceId) => (state.occupants(game, provinceId).includes(liegeOf(game, vassalId)) ? 'betrayal' : 'service');
+
+    // A vassal on the path of Loyal Service may not attack their Liege Lord this round (§8.2).
+    const canAttack = (game, playerId, provinceId) => {
+        const player = game.players[playerId];
+        if (!player.vassalOf || player.path !== 'service' || !isAttack(game, playerId, provinceId)) return ok;
+        return pathFor(game, playerId, provinceId) === 'betrayal'
+            ? no('You chose Loyal Service this round and may not attack your Liege Lord.')
+            : ok;
+    };
+
+    // Locks the path on the vassal's first attack of the round; later attacks change nothing.
+    const declareAttack = (game, playerId, provinceId) => {
+        const player = game.players[playerId];
+        if (!player.vassalOf || player.path || !isAttack(game, playerId, provinceId)) return game;
+        return setPlayers(game, [playerId], { path: pathFor(game, playerId, provinceId) });
+    };
+
+    const resetPaths = (game) => setPlayers(game, Object.keys(game.players).filter(id => game.players[id].path), { path: null });
+
+    // --- SUBJUGATION (§8.1) ---
+    const liberate = (game, ids) => setPlayers(game, ids, { vassalOf: null, koseki: 0, path: null });
+
+    // The new vassal's own vassals go free: the chain breaks when its holder falls.
+    const subjugate = (game, vassalId, liegeId) => {
+        const freed = liberate(game, vassalsOf(game, vassalId));
+        return setPlayers(freed, [vassalId], { vassalOf: liegeId, koseki: 0, path: null });
+    };
+
+    // The garrison swears fealty: up to three of the vassal's units become the Liege Lord's, as far as
+    // the Liege Lord's supply reaches. Returns { game, converted }.
+    const transferProvince = (game, vassalId, liegeId, provinceId) => {
+        const held = state.unitsIn(game, provinceId, vassalId);
+        const supply = rules.limits.bushiPerClan - state.unitTotals(game, liegeId).bushi;
+        const converted = Math.max(0, Math.min(rules.vassalage.convertedUnits, held.bushi, supply));
+        const own = state.unitsIn(game, provinceId, liegeId);
+        const province = state.provinceState(game, provinceId);
+        const units = { ...province.units, [vassalId]: { ...held, bushi: held.bushi - converted }, [liegeId]: { ...own, bushi: own.bushi + converted } };
+        return { game: { ...game, provinces: { ...game.provinces, [provinceId]: { ...province, units } } }, converted };
+    };
+
+    // --- LIBERATION (§8.2) ---
+    const addKoseki = (game, vassalId, count = 1) => setPlayers(game, [vassalId], {
+        koseki: Math.min(rules.vassalage.kosekiToLiberate, (game.players[vassalId].koseki || 0) + count),
+    });
+
+    const hasEarnedFreedom = (game, id) => isVassal(game, id) && game.players[id].koseki >= rules.vassalage.kosekiToLiberate;
+    const failedBetrayal = (game, id) => isVassal(game, id) && game.players[id].path === 'betrayal';
+
+    return {
+        isVassal,
+        liegeOf,
+        vassalsOf,
+        isAttack,
+        canAttack,
+        declareAttack,
+        resetPaths,
+        subjugate,
+        transferProvince,
+        liberate,
+        addKoseki,
+        hasEarnedFreedom,
+        failedBetrayal,
+    };
+}));
@@ -0,0 +1,110 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules-data'), require('./state'), require('./turn-order'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.victory = factory(root.ShogunEngine.rules, root.ShogunEngine.state, root.ShogunEngine.turnOrder);
+    }
+}(typeof self !== 'undefined' ? self : this, (rules, state, turnOrder) => {
+    'use strict';
+
+    // --- HELPERS ---
+    const activePlayers = (gameState) => Object.keys(gameState.players).filter(id => !gameState.players[id].eliminated);
+    // A vassal can no longer win the game (§8.1).
+    const contenders = (gameState) => activePlayers(gameState).filter(id => !gameState.players[id].vassalOf);
+    const moduleActive = (gameState, moduleId) => (gameState.modules || []).includes(moduleId);
+
+    const mandateCount = (gameState, playerId) => rules.victory.mandateProvinces
+        .filter(id => state.controllerOf(gameState, id) === playerId).length;
+
+    // §1.2 thresholds exist for 4 and 5 players; other counts use the nearest listed one.
+    const provinceThreshold = (playerCount) => {
+        const table = rules.victory.provincesByPlayerCount;
+        if (table[playerCount] !== undefined) return table[playerCount];
+        const nearest = Object.keys(table).map(Number).sort((a, b) => Math.abs(a - playerCount) - Math.abs(b - playerCount) || a - b)[0];
+        return table[nearest];
+    };
+
+    // --- TIE-BREAKER (§1.2.1) ---
+    const TIE_BREAKERS = [
+        { id: 'koku', label: 'Economic Strength (more Koku)', score: (gs, id) => gs.players[id].koku || 0 },
+        { id: 'daimyo', label: 'Leadership Preservation (more Daimyō)', score: (gs, id) => state.unitTotals(gs, id).daimyo },
+        { id: 'mandate', label: 'Strategic Prestige (more Mandate Provinces)', score: (gs, id) => mandateCount(gs, id) },
+    ];
+
+    // Returns { winner, tieBreaker }; tieBreaker is null when there was nothing to break.
+    const breakTie = (gameState, candidates) => {
+        let remaining = [...candidates];
+        if (remaining.length === 1) return { winner: remaining[0], tieBreaker: null };
+        for (const breaker of TIE_BREAKERS) {
+            const best = Math.max(...remaining.map(id => breaker.score(gameState, id)));
+            remaining = remaining.filter(id => breaker.score(gameState, id) === best);
+            if (remaining.length === 1) return { winner: remaining[0], tieBreaker: breaker.id };
+        }
+        // Initiative: whoever would act earlier in the next round's turn order.
+        const nextOrder = turnOrder.playerOrderFromState({ ...gameState, round: (gameState.round || 1) + 1 });
+        const winner = nextOrder.map(e => e.player).find(id => remaining.includes(id));
+        return { winner, tieBreaker: 'initiative' };
+    };
+
+    // --- VICTORY CONDITIONS ---
+    // Each check returns the players who meet it. They are listed in §1.1.1 priority order; the
+    // Appointed Shogun edict wins immediately when proclaimed, so it is checked before everything else.
+    const CONDITIONS = [
+        {
+            id: 'appointed-shogun',
+            label: 'Appointed Shogun',
+            ref: '10.2.2',
+            module: 'emperors-favor',
+            check: (gs) => contenders(gs).filter(id => gs.players[id].appointedShogun && state.controllerOf(gs, 'yamashiro') === id),
+        },
+        {
+            id: 'mandate',
+            label: 'The Shōgun\'s Mandate',
+            ref: '1.3',
+            check: (gs) => contenders(gs).filter(id => mandateCount(gs, id) === rules.victory.mandateProvinces.length),
+        },
+        {
+            id: 'provinces',
+            label: 'Province Control',
+            ref: '1.2',
+            check: (gs) => {
+                const needed = provinceThreshold(Object.keys(gs.players).length);
+                return contenders(gs).filter(id => state.controlledProvinces(gs, id).length >= needed);
+            },
+        },
+        {
+            id: 'path-of-glory',
+            label: 'Path of Glory',
+            ref: '10.7',
+            module: 'path-of-glory',
+            check: (gs) => {
+                const needed = rules.getModule('path-of-glory').params.victoryPoints;
+                // Clans without a Daimyō fight on for Glory (§10.7), but an eliminated clan is out of the game.
+                return activePlayers(gs).filter(id => (gs.players[id].gloryPoints || 0) >= needed);
+            },
+        },
+    ];
+
+    // checkVictoryCondition(gameState) from the project plan. Victory only applies at the end of a
+    // phase (§1.1.2); the phase sequencer in engine/phases.js calls this after every phase.
+    // Returns null, or { winner, condition, label, ref, candidates, tieBreaker }.
+    const checkVictoryCondition = (gameState) => {
+        for (const condition of CONDITIONS) {
+            if (condition.module && !moduleActive(gameState, condition.module)) continue;
+            const candidates = condition.check(gameState);
+            if (!candidates.length) continue;
+            const { winner, tieBreaker } = breakTie(gameState, candidates);
+            return { winner, condition: condition.id, label: condition.label, ref: condition.ref, candidates, tieBreaker };
+        }
+        return null;
+    };
+
+    const tieBreakerLabel = (id) => {
+        if (id === 'initiative') return 'Initiative (earlier in the next round\'s turn order)';
+        const breaker = TIE_BREAKERS.find(b => b.id === id);
+        return breaker ? breaker.label : null;
+    };
+
+    return { CONDITIONS, TIE_BREAKERS, provinceThreshold, mandateCount, breakTie, checkVictoryCondition, tieBreakerLabel };
+}));
@@ -0,0 +1,43 @@
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./phases'));
+    } else {
+        root.ShogunEngine = root.ShogunEngine || {};
+        root.ShogunEngine.views = factory(root.ShogunEngine.phases);
+    }
+}(typeof self !== 'undefined' ? self : this, (phases) => {
+    'use strict';
+
+    // --- PLAYER VIEWS ---
+    // Every player sits behind a screen (§2.1). A view is the game as one seat may see it:
+    //   players[id].koku   the treasury; "your hidden Koku supply is your only true secret"
+    //   log[i].publicText  the entry without the Koku amounts, for everyone but the player it is about
+    //   prompt.targets     the answers open to the player being asked, which may follow from their treasury
+    // Hidden treasuries become null. The dice seed and the starting position (origin, which holds the
+    // treasuries too) stay hidden while the game runs, so nobody can predict a battle.
+    // When the game is over the screens are lifted and everybody sees everything, enough to replay it.
+
+    // viewer: a player id, or null for a spectator.
+    const playerView = (game, viewer = null) => {
+        if (game.phase === phases.GAME_OVER) return game;
+        const { seed, origin, ...visible } = game;
+
+        const players = {};
+        Object.entries(game.players).forEach(([id, player]) => {
+            players[id] = id === viewer ? player : { ...player, koku: null };
+        });
+        // Income and payments add up to the treasury, so a rival only learns that they happened.
+        const log = (game.log || []).map(({ publicText, ...entry }) => (
+            publicText && entry.player !== viewer ? { ...entry, text: publicText } : entry
+        ));
+        // Only the player being asked needs the answers; the others just see that a decision is pending.
+        let prompt = game.prompt;
+        if (prompt && prompt.player !== viewer) {
+            const { targets, ...pending } = prompt;
+            prompt = pending;
+        }
+        return { ...visible, players, log, prompt };
+    };
+
+    return { playerView };
+}));
@@ -0,0 +1,1691 @@
+(function (root) {
+    'use strict';
+
+    // --- GERMAN (de) ---
+    // Same page ids, heading ids and rule numbers as the English pages: links, shared "#s4_2" anchors
+    // and saved positions keep working across languages. Tables drawn from the rules data stay English.
+    root.ShogunLocales = root.ShogunLocales || {};
+    root.ShogunLocales.de = {
+        name: 'Deutsch',
+
+        strings: {
+            'title': 'Shogun: Gekokujō – Lebendes Regelbuch',
+            'nav.start': 'Start',
+            'nav.new-players': 'Einstieg',
+            'nav.rules': 'Regeln',
+            'nav.modules': 'Module',
+            'nav.strategy': 'Strategie',
+            'nav.timing': 'Ablauf',
+            'nav.reference': 'Referenz',
+            'nav.play': 'Spielen',
+            'nav.tools': 'Werkzeuge',
+            'nav.feedback': 'Feedback',
+            'nav.about': 'Über',
+            'toc.title': 'Inhalt',
+            'toc.toggle': 'Inhaltsverzeichnis ein-/ausblenden',
+            'search.placeholder': 'Regeln durchsuchen…',
+            'search.label': 'Regeln durchsuchen',
+            'search.none': 'Keine Treffer',
+            'theme.dark': 'Zum dunklen Design wechseln',
+            'theme.light': 'Zum hellen Design wechseln',
+            'lang.switch': 'Sprache wechseln',
+            'top': 'Nach oben',
+            'close': 'Schließen',
+            'preview.more': 'Weiterlesen',
+            'preview.goto': 'Zu',
+            'preview.rule': 'der Regel',
+            'preview.empty': 'Siehe die vollständige Regel.',
+            'aid.player.title': 'Spielhilfe',
+            'aid.player.download': 'Spielhilfe herunterladen (zum Drucken)',
+            'aid.player.print': 'Spielhilfe drucken',
+            'aid.timing.title': 'Ablaufübersicht',
+            'aid.timing.download': 'Ablaufübersicht herunterladen (zum Drucken)',
+            'aid.timing.print': 'Ablaufübersicht drucken',
+            'aid.rulebook': 'Regelbuch',
+            'aid.core': 'Grundspiel',
+            'offline.busy': 'Stile, Skripte, Schriften und Bilder werden gesammelt…',
+            'offline.done': 'ShogunRulebook.html gespeichert. Die Datei funktioniert ohne Verbindung.',
+            'offline.missing': 'ShogunRulebook.html gespeichert, aber folgendes fehlt darin:',
+            'offline.failed': 'Die Offline-Datei konnte nicht erstellt werden:',
+            'offline.local': 'Diese Kopie funktioniert bereits offline. Zum Weitergeben die Datei selbst kopieren.',
+        },
+
+        // The Glossary entries the rulebook check expects; spelled as in the Glossary below.
+        glossaryTerms: [
+            'Angreifer', 'Bushi', 'Burg', 'Klan', 'Umkämpfte Provinz', 'Kontrollierte Provinz', 'Daimyō', 'Verteidiger',
+            'Gekokujō', 'Ruhmespunkte', 'Ehrenpakt', 'Koku', 'Kōseki', 'Lehnsherr', 'Mandatsprovinz', 'Modul',
+            'Gebirgsprovinz', 'Neutrale Provinz', 'Ninja', 'Provinz', 'Plündern', 'Ronin', 'Shōgun', 'Verderb',
+            'Stapellimit', 'Unterhalt', 'Vasall',
+        ],
+
+        pages: ({
+            rules, provinces, ruleLink, renderProvinceMap, renderUnitTable, renderTimingTable, renderModuleSelector,
+            renderTurnOrderForm, renderReplayControls, renderRegionTable, renderProvinceTypes, renderPlannerForm,
+            renderOddsForm, renderNinjaTable, renderModuleGlanceTable, renderModifierTable, renderEconomyTable,
+            renderClanTable, renderClanGlanceTable, renderVersionForm, renderAidButtons,
+        }) => ({
+                'start': `
+                <section id="page-start" class="page-container">
+                    <div class="py-12 px-4">
+                        <div class="max-w-4xl mx-auto">
+                            <header class="text-center mb-24">
+                                <h1 class="text-4xl md:text-6xl font-bold leading-tight">Shogun: Gekokujō</h1>
+                                <p class="text-lg mt-2">Regelbuch ${rules.version} (Lebendes Regelbuch)</p>
+                            </header>
+                            <section>
+                                <h3 class="mt-16">Ein Handbuch für die Sengoku-Jidai</h3>
+                                <p>Dieses Dokument ist eine Modernisierung des Milton-Bradley-Titels „Shogun“ von 1986. Es versucht, die strukturellen Schwächen des Originals zu beheben, ohne seinen nostalgischen Reiz zu opfern. Den Zufall der Würfel haben wir durch die Gewissheit logistischer Zwänge ersetzt. Du bist eingeladen, diese Wirtschaft zu verwalten; ob das als „Spaß“ oder als „Arbeit“ gilt, entscheidest du selbst.</p>
+                                <p>Es ist eine mittelschwere Simulation aus Wirtschaftsführung, militärischer Eroberung und brüchigen Bündnissen. Es setzt voraus, dass dich ein Spiel interessiert, in dem Nachschublinien so viel zählen wie Schwertkunst.</p>
+                                <div class="info-card">
+                                    <h3 class="!mt-0">Was das Spiel ist</h3>
+                                    <ul class="list-none space-y-4">
+                                        <li><strong class="text-green-400">IST:</strong> Eine zwei- bis dreistündige Übung in Logistik und Stellungsspiel.</li>
+                                        <li><strong class="text-green-400">IST:</strong> Ein Versuch, die Verzweiflung der Sengoku-Zeit einzufangen.</li>
+                                        <li><strong class="text-red-400">IST NICHT:</strong> Ein ganztägiges Spektakel. Es respektiert deine Zeit.</li>
+                                        <li><strong class="text-red-400">IST NICHT:</strong> Ein asymmetrisches Fraktionsspiel. Die Klans unterscheiden sich in ihrer Effizienz, nicht in ihren Regeln.</li>
+                                    </ul>
+                                </div>
+                                <div class="info-card">
+                                    <h3 class="!mt-0">Die vier Säulen der Macht</h3>
+                                    <ol class="list-none space-y-4">
+                                        <li><strong>1. Das Gekokujō-Prinzip:</strong> Schwäche verschafft die Initiative. Je weniger Provinzen du hältst, desto früher handelst du.</li>
+                                        <li><strong>2. Wirtschaftliche Realität:</strong> Armeen brauchen Unterhalt. Eine große Streitmacht ohne Einkommen ist eine Last.</li>
+                                        <li><strong>3. Begrenzte Führung:</strong> Du beginnst mit 3 Daimyō. Mehr bekommst du nie. Beschütze sie.</li>
+                                        <li><strong>4. Geografie kostet:</strong> Berge lassen sich gut verteidigen, zehren aber an der Wirtschaft. Halte sie nicht ohne Grund.</li>
+                                    </ol>
+                                </div>
+                                <div class="info-card">
+                    <h3 class="!mt-0">Eckdaten</h3>
+                    <ul class="list-none space-y-4">
+                        <li><strong class="text-accent-secondary">👥 Spieler:</strong> 4–5. Weniger ist unausgewogen; mehr ist unmöglich.</li>
+                        <li><strong class="text-accent-secondary">⏳ Spieldauer:</strong> 2–4 Stunden. Hängt von der Grübelei ab.</li>
+                        <li><strong class="text-accent-secondary">🎂 Alter:</strong> ab 14. Verlangt Geduld und Kopfrechnen.</li>
+                    </ul>
+                </div>
+                            </section>
+                            <hr class="section-divider">
+                            <div class="info-card mt-20">
+                                <h3 class="!mt-0">So lernst du das Spiel</h3>
+                                <p>Für die ersten ein bis zwei Partien empfehlen wir dringend, das Grundspiel <strong>ohne optionale Module</strong> zu spielen. So lernst du die grundlegenden Säulen des Spiels kennen.</p>
+                                <ol class="list-decimal list-inside font-semibold space-y-2">
+                                        <li>Lies diese <a href="#start" class="nav-link-inline">Startseite</a> vollständig.</li>
+                                        <li>Geh dann zur Seite <a href="#new-players" class="nav-link-inline">Einstieg</a>. Sie enthält die Grundgedanken und praktische Hilfen für deinen ersten Spieleabend.</li>
+                                        <li>Lies zum Schluss die Seite <a href="#rules" class="nav-link-inline">Regeln</a> mit allen Mechaniken im Detail.</li>
+                                        <li>Lass in deiner ersten Partie <a href="#modules" class="nav-link-inline">die Module</a> weg.</li>
+                                    </ol>
+                                <p>Für eine strategisch ausgewogene erste Partie empfehlen wir diese Klans: <strong>Oda, Shimazu, Tokugawa und Uesugi.</strong></p>
+                            </div>
+                            <hr class="section-divider">
+                            <section id="changelog">
+                                <h2 class="!mt-0" id="whats_new">Was ist neu? (Änderungsprotokoll)</h2>
+                                <details class="bg-gray-800 p-4 rounded-lg mb-4" open>
+                                    <summary class="cursor-pointer font-semibold">Große Weiterentwicklung: v81 bis v89</summary>
+                                    <div class="mt-4">
+                                        <p class="mb-4">Seit v81 hat sich <em>Shogun: Gekokujō</em> deutlich weiterentwickelt, um die Strategie zu schärfen und die Interaktion zwischen den Spielern zu vertiefen. Dies sind die wichtigsten Änderungen:</p>
+                                        <ul class="list-disc list-inside space-y-4">
+                                            <li>
+                                                <strong>1. Das Verborgene System (Überarbeitung des Ninja – §9.1):</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> Ein passiver Kauf für einen festen Bonus.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Eine aktive „Fallen“-Mechanik. Der Ninja wird offen auf das Spielbrett gestellt. Er löst mächtige Reaktionen aus (<strong>„Durchzug verwehren!“</strong>, <strong>„Zwietracht säen!“</strong>, <strong>„Vorräte verbrennen!“</strong>), aber nur, wenn ein Gegner in diese Provinz zieht oder dort kämpft. So entsteht eine Zone psychologischer Abschreckung.
+                                            </li>
+                                            <li>
+                                                <strong>2. Der „Bürgerkrieg“ der Vasallen (gegen Riesenarmeen – §8.1):</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> Ein Vasall verlor einfach die Hälfte seiner Länder und Truppen.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Beansprucht ein Lehnsherr eine Provinz seines Vasallen, wechseln nur <strong>bis zu 3 Einheiten</strong> die Seite. Alle übrigen Einheiten bleiben dem Vasallen treu. Bleiben Einheiten mehrerer Spieler zurück, wird die Provinz <strong>umkämpft</strong> (kein Einkommen). So erbt der Sieger nicht sofort eine gewaltige, spielentscheidende Armee.
+                                            </li>
+                                            <li>
+                                                <strong>3. Vasallen wählen durch Taten (§8.3):</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> Vasallen wählten ihren Weg (Treue oder Verrat) in einer bürokratischen Phase.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Der Weg wird durch eine <strong>Handlung</strong> gewählt. Das erste Ziel, das du angreifst, legt deine Haltung für die Runde fest. Du greifst den Lehnsherrn an? Verrat. Du greifst jemand anderen an? Treue. Keine Wartezeit, maximales Drama.
+                                            </li>
+                                            <li>
+                                                <strong>4. Politik der „Blutfehde“ (§10.1):</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> Ein Bündnisbruch kostete einen kleinen Kampfmalus.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Bündnisse verlangen nun ein <strong>Koku-Pfand</strong> (Einlage). Wer verrät, verliert sein Pfand an das Opfer und löst eine dauerhafte <strong>Blutfehde</strong> aus, die dem Opfer anhaltende Kampfboni gegen ihn gewährt. Verrat ist jetzt teuer und gefährlich.
+                                            </li>
+                                            <li>
+                                                <strong>5. Eingebundener Nanban-Handel (§10.6):</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> Eine eigenständige Regel für eine zufällige Würfelfähigkeit.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Vollständig in das Modul <strong>Spezialisierte Kriegsführung</strong> eingebunden. Wer für die Technik bezahlt, schaltet die Einheit <strong>Arkebusier</strong> frei, die Burgverteidigungen ignoriert. Feuerwaffen werden so zu einem greifbaren Teil deiner Armee.
+                                            </li>
+                                            <li>
+                                                <strong>6. Klarere Begriffe:</strong><br>
+                                                <span class="text-gray-400">Alt (v81):</span> „Ehre“ (die Kyōto-Währung) wurde mit den „Ehrenpakten“ verwechselt.<br>
+                                                <span class="text-accent-primary">Neu (v89):</span> Die Währung für die Kontrolle über Kyōto heißt nun <strong>„Legitimität“</strong> (§10.7) und ist damit klar von diplomatischen Vereinbarungen unterschieden.
+                                            </li>
+                                        </ul>
+                                    </div>
+                                </details>
+                                <h3 id="version_history">Versionen vergleichen</h3>
+                                <p>Jede veröffentlichte Fassung der Regeln bleibt erhalten. Wähle zwei aus und sieh Abschnitt für Abschnitt, was hinzukam, wegfiel oder umformuliert wurde; das Inhaltsverzeichnis markiert die Abschnitte, die sich unterscheiden. Gruppen, die mit Hausregeln auf einer älteren Fassung spielen, können diese hier ausgewählt lassen. Verglichen wird der englische Text.</p>
+                                ${renderVersionForm()}
+                            </section>
+                            <hr class="section-divider">
+                            <section id="veteran-changes">
+                                <h2 class="!mt-0" id="veterans">Für Veteranen des Originals: Was hat sich geändert?</h2>
+                                <div class="pt-6">
+                                    <p>Wenn du den Milton-Bradley-Klassiker <em>Shogun</em> von 1986 gespielt hast (auch bekannt als <em>Samurai Swords</em> oder <em>Ikusa</em>), wirst du die Seele des Spiels wiedererkennen, doch der Motor wurde komplett neu gebaut. Diese Fassung ist als schnelleres, strategisch fokussierteres Euro-Kriegsspiel angelegt. Das sind die wichtigsten Änderungen:</p>
+                                    <div class="info-card mt-12">
+                                        <h3 class="!mt-0">1. Der Wirtschaftsmotor: Unterhalt ist alles</h3>
+                                        <p><strong>FRÜHER:</strong> Du bekamst Koku nach der Zahl deiner Provinzen und musstest sie jede Runde komplett für das Bieten um die Zugreihenfolge oder für Einheiten ausgeben. Armeen kosteten keinen Unterhalt.</p>
+                                        <p><strong>JETZT (GEKOKUJŌ):</strong> Armeen verursachen in jeder einzelnen Runde <strong>Unterhalt</strong> (1 Koku je 2 Bushi). Das ist die wichtigste Änderung überhaupt. Das Einkommen besteht nun aus einem festen Grundbetrag plus Koku je Provinz.</p>
+                                        <p><strong>STRATEGISCHE FOLGEN:</strong> Riesige, unaufhaltsame Armeen („Doomstacks“) lassen sich ohne tragende Wirtschaft nicht mehr aufbauen. Das Spiel ist nun ein angespannter Balanceakt zwischen militärischer Ausdehnung und wirtschaftlicher Tragfähigkeit. Eine überdehnte Armee treibt deinen Klan in den Bankrott.</p>
+                                    </div>
+                                    <div class="info-card">
+                                        <h3 class="!mt-0">2. Zugreihenfolge: Das Gekokujō-Prinzip</h3>
+                                        <p><strong>FRÜHER:</strong> Die Zugreihenfolge wurde durch Koku-Gebote um Schwerter bestimmt. Der reichste Spieler sicherte sich oft den ersten Zug.</p>
+                                        <p><strong>JETZT (GEKOKUJŌ):</strong> Die Zugreihenfolge ist eine zentrale Aufholmechanik. Wer die <strong>wenigsten Provinzen</strong> hält, ist zuerst an der Reihe. Das ist das Gekokujō-Prinzip: „Die Niederen stürzen die Hohen.“</p>
+                                        <p><strong>STRATEGISCHE FOLGEN:</strong> Das kehrt das Machtgefüge völlig um. Wer führt, ist berechenbar und handelt zuletzt, während Zurückliegende den mächtigen Vorteil der Initiative erhalten. Eine Provinz aufzugeben kann eine bewusste Entscheidung sein, um in der nächsten Runde zuerst zu ziehen.</p>
+                                    </div>
+                                    <div class="info-card">
+                                        <h3 class="!mt-0">3. Einheiten und Kampf vereinfacht</h3>
+                                        <p><strong>FRÜHER:</strong> Eine ausführliche Liste von Einheiten (Bogenschützen, Schützen, Schwertkämpfer, Speerträger) mit unterschiedlichen Werten und ein mehrphasiger Kampf.</p>
+                                        <p><strong>JETZT (GEKOKUJŌ):</strong> Das Grundspiel fasst alle gewöhnlichen Krieger in einer einzigen Einheit zusammen: dem <strong>Bushi</strong>. Ein Kampf wird mit einem einzigen, gleichzeitigen Würfelwurf beider Seiten entschieden. Die alte Vielfalt der Einheiten steckt nun im optionalen Modul „Spezialisierte Kriegsführung“.</p>
+                                        <p class="mt-4">Außerdem wurde diese Fassung auf gewöhnliche sechsseitige Würfel (W6) statt der zwölfseitigen Würfel (W12) des Originals umgestellt, damit das Spiel zugänglicher wird.</p>
+                                        <p><strong>STRATEGISCHE FOLGEN:</strong> Kämpfe sind viel schneller, entscheidender und weniger zermürbend. Jede Schlacht wird bedeutsamer, und das Spiel bleibt in flottem Tempo.</p>
+                                    </div>
+                                    <div class="info-card">
+                                        <h3 class="!mt-0">4. Daimyō und das Ausscheiden</h3>
+                                        <p><strong>FRÜHER:</strong> Daimyō hatten eine aufwendige Erfahrungsleiste. Wer seinen letzten Daimyō verlor, schied aus dem Spiel aus.</p>
+                                        <p><strong>JETZT (GEKOKUJŌ):</strong> Daimyō sind vereinfacht zu äußerst starken Kampfeinheiten (3 Würfel) ohne Erfahrungsleiste. Vor allem scheidest du nicht mehr aus, wenn du deinen letzten Daimyō verlierst. Du wirst stattdessen zum <strong>Vasallen</strong> – du kannst nicht gewinnen, bleibst aber im Spiel und kannst um deine Freiheit kämpfen.</p>
+                                        <p><strong>STRATEGISCHE FOLGEN:</strong> Das Spiel bestraft weniger und hält alle bis zum Schluss dabei. Die Vasallität gibt einem besiegten Spieler neue, reizvolle Ziele und erspart frustrierendes frühes Ausscheiden.</p>
+                                    </div>
+                                    <div class="info-card">
+                                        <h3 class="!mt-0">5. Neue Wege zum Sieg</h3>
+                                        <p><strong>FRÜHER:</strong> Sieg durch die Eroberung von 35 Provinzen.</p>
+                                        <p><strong>JETZT (GEKOKUJŌ):</strong> Die nötige Provinzzahl ist geringer (z. B. 20 bei 4 Spielern), was die Spieldauer verkürzt, und es gibt eine neue, alternative Siegbedingung: <strong>Das Mandat des Shōgun</strong>. Du erfüllst sie, indem du allein die drei Schlüsselprovinzen Yamashiro (Kyōto), Settsu (Ōsaka) und Sagami (Edo) kontrollierst.</p>
+                                        <p><strong>STRATEGISCHE FOLGEN:</strong> Damit entsteht ein zweiter strategischer Brennpunkt. Statt eines langsamen Marsches über die ganze Karte kann man nun eine „King of the Hill“-Strategie um diese Schlüsselgebiete verfolgen – mehr strategische Vielfalt und ein klares Ziel für das Mittelspiel.</p>
+                                    </div>
+                                </div>
+                            </section>
+                        </div>
+                    </div>
+                </section>
+                `,
+                'new-players': `
+                <section id="page-new-players" class="page-container">
+                    <div class="py-12 px-4">
+                        <div class="max-w-4xl mx-auto">
+                            <header>
+                                <h2 class="!mt-0">Leitfaden für Neulinge</h2>
+                            </header>
+<div class="info-card">
+    <h3 class="!mt-0" id="map_of_japan">Der Kriegsschauplatz: Das feudale Japan</h3>
+    <p>Dies ist die Bühne, auf der sich deine Eroberung entfaltet. Das Gelände, die Engpässe und den strategischen Wert der Schlüsselprovinzen zu verstehen, ist der erste Schritt auf dem Weg zum Shōgun.</p>
+    ${renderProvinceMap()}
+    <p class="text-sm text-center mt-4 text-gray-400">Achte besonders auf die drei <strong>Mandatsprovinzen</strong>: ${rules.victory.mandateProvinces.map(provinces.displayName).join(', ').replace(/, ([^,]*)$/, ' und $1')}. Wer sie kontrolliert, hat einen direkten Weg zum Sieg.</p>
+</div>
+<hr class="section-divider">
+                            <section>
+                                <div class="info-card bg-gray-900 border-accent-secondary">
+                                    <h3 class="!mt-0 !border-b-accent-secondary/50" id="game_night_kit">Das Daimyō-Set für den Spieleabend</h3>
+                                    <p>Alles, was du brauchst, um nach langer Abwesenheit vom Schlachtfeld schnell loszulegen.</p>
+                                    <h4 class="mt-8 text-accent-secondary">1. Spielmaterial auf einen Blick</h4>
+<ul class="list-none space-y-2">
+    <li class="flex items-center"><span class="text-2xl mr-4">🏯</span> 3 Daimyō-Figuren je&nbsp;Klan</li>
+    <li class="flex items-center"><span class="text-2xl mr-4">⚔️</span> 69&nbsp;Bushi&nbsp;je&nbsp;Klan</li>
+    <li class="flex items-center"><span class="text-2xl mr-4">💰</span> Koku-Münzen für deine Schatzkammer</li>
+    <li class="flex items-center"><span class="text-2xl mr-4">🛡️</span> 10 Burgen</li>
+    <li class="flex items-center"><span class="text-2xl mr-4">🎲</span> Sechsseitige Würfel für den Kampf</li>
+</ul>
+                                    <h4 class="mt-8 text-accent-secondary">2. Spielhilfe zum Ausdrucken</h4>
+                                    <p>Für den Blick am Spieltisch sind die wichtigsten Übersichten in einem eigenen, druckfreundlichen Dokument zusammengefasst. Hier kannst du es herunterladen:</p>
+                                    ${renderAidButtons('player')}
+                                </div>
+                                <hr class="section-divider">
+                                <div class="info-card">
+                                    <h3 class="!mt-0">Dein Zug in 30 Sekunden</h3>
+                                    <p>Im Kern ist der Spielablauf einfach. In deinem Zug wirst du:</p>
+                                    <ol class="list-decimal list-inside font-semibold space-y-2 mt-4">
+                                        <li><strong>Bezahlt werden:</strong> Koku nach deinen Provinzen einnehmen.</li>
+                                        <li><strong>Truppen kaufen:</strong> Diese Koku für neue Bushi ausgeben.</li>
+                                        <li><strong>Marschieren und kämpfen:</strong> Deine Armeen bewegen, um Feinde anzugreifen oder neues Land zu nehmen.</li>
+                                    </ol>
+                                    <p class="mt-4">Zu beherrschen, wie diese drei einfachen Schritte ineinandergreifen, ist der Schlüssel zum Sieg.</p>
+                                </div>
+                                <hr class="section-divider">
+                                <h2 id="first_round_example">Beispiel einer ersten Runde: Der Aufstieg der Oda</h2>
+                                <p><em>Ausgangslage: Eine Partie zu viert mit Oda, Tokugawa, Uesugi und Shimazu. Da alle mit 1 Provinz beginnen, wird die Zugreihenfolge der ersten Runde alphabetisch bestimmt: Oda → Shimazu → Tokugawa → Uesugi.</em></p>
+                                <div class="info-card">
+                                    <h4 class="!mt-0">Phase 1: Planung und Verstärkung</h4>
+                                    <ol class="list-decimal list-inside space-y-2">
+                                        <li><strong>Einkommen:</strong> Alle Spieler erhalten gleichzeitig 4 Koku (3 Grundeinkommen + 1 für ihre Startprovinz).</li>
+                                        <li><strong>Unterhalt:</strong> Dieser Schritt entfällt im ersten Zug des Spiels. Alle Spieler haben 4 Koku zur Verfügung.</li>
+                                        <li><strong>Rekrutierung (Zug der Oda):</strong> Die Oda handeln zuerst und planen ihren nächsten Zug: Erobern sie eine Provinz, haben sie 2 Provinzen und damit 5 Koku Einkommen (3+2). Ihr Unterhalt läge dann bei 1 Koku für 2 Bushi. Für eine angriffslustige Eröffnung geben die Oda 3 Koku für 3 Bushi aus und behalten 1 Koku in der Schatzkammer. Die neuen Bushi kommen in ihre Heimatprovinz Owari.</li>
+                                        <li><strong>Rekrutierung (die anderen Klans):</strong> Shimazu, Tokugawa und Uesugi sind nacheinander an der Reihe, rechnen selbst und rekrutieren ihre Truppen.</li>
+                                    </ol>
+                                </div>
+                                <div class="info-card">
+                                    <h4 class="!mt-0">Phase 2: Feldzug</h4>
+                                    <ol class="list-decimal list-inside space-y-2">
+                                        <li><strong>Bewegung (Zug der Oda):</strong> Die Oda ziehen 1 Daimyō und 2 Bushi von Owari in die benachbarte, neutrale Provinz Mino. Ihre Armee steht nun an der Grenze der Tokugawa.</li>
+                                        <li><strong>Kampfauflösung:</strong> Mino war unbesetzt, also kommt es zu keiner Schlacht. Die Oda kontrollieren nun die Provinz.</li>
+                                    </ol>
+                                </div>
+                                <div class="info-card">
+                                    <h4 class="!mt-0">Phase 3: Winter und Ausblick</h4>
+                                    <p>Niemand kontrolliert eine Gebirgsprovinz, also fallen keine Winterkosten für Gebirgsproviant an. Am Ende der Runde kontrollieren die Oda 2 Provinzen. Sie haben sich eine vorgeschobene Stellung für den nächsten Feldzug gesichert – doch weil sie nun mehr Provinzen haben als die anderen, handeln sie nach dem Gekokujō-Prinzip in der nächsten Runde wohl später.</p>
+                                </div>
+                                <hr class="section-divider">
+                                <h3>Kampf leicht gemacht</h3>
+                                <p>Treffen Armeen aufeinander, würfeln beide Seiten gleichzeitig mit all ihren Würfeln. Ein einziger, entscheidender Zusammenstoß!</p>
+                                <div class="table-responsive-wrapper">
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th>Einheit</th>
+                                                <th>Würfel</th>
+                                                <th>Trifft im Angriff bei …</th>
+                                                <th>Trifft in der Verteidigung bei …</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            <tr>
+                                                <td data-label="Einheit"><strong>Bushi</strong> (Krieger)</td>
+                                                <td data-label="Würfel">1 Würfel</td>
+                                                <td data-label="Trifft im Angriff bei …">5 oder 6</td>
+                                                <td data-label="Trifft in der Verteidigung bei …">6</td>
+                                            </tr>
+                                            <tr>
+                                                <td data-label="Einheit"><strong>Daimyō</strong> (Anführer)</td>
+                                                <td data-label="Würfel">3 Würfel</td>
+                                                <td data-label="Trifft im Angriff bei …">4, 5 oder 6</td>
+                                                <td data-label="Trifft in der Verteidigung bei …">4, 5 oder 6</td>
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                                <p class="mt-4 italic text-gray-400">Hinweis: Verschiedene Faktoren wie Klanfähigkeiten oder Burgen können diese Werte verändern. Denk an die Goldene Regel (<a href="#s0_1" class="nav-link-inline">§0.1</a>): Es zählt nur der eine höchste Bonus!</p>
+                                <hr class="section-divider">
+                                <h3>Was passiert, wenn mein letzter Daimyō fällt? (Vasallität)</h3>
+                                <p>Du bist nicht aus dem Spiel. Du wirst zum Vasallen.</p>
+                                <ul class="list-disc list-inside">
+                                    <li><strong>Sofort:</strong> Du verlierst eine Provinz an deinen Bezwinger (deinen Lehnsherrn).</li>
+                                    <li><strong>Dein neues Ziel:</strong> In diesem Zustand kannst du das Spiel nicht gewinnen, aber du kannst deine Freiheit zurückerlangen.</li>
+                                </ul>
+                                <h4 class="mt-8">Deinen Weg wählst du durch deine Taten:</h4>
+                                <ol class="list-decimal list-inside">
+                                    <li><strong>Treuer Dienst:</strong> Greif die Feinde deines Herrn an. Sammle „Kōseki“-Punkte, um dir die Freiheit zu verdienen.</li>
+                                    <li><strong>Verrat:</strong> Greif deinen Herrn direkt an. Eroberst du eine Provinz, bist du frei. Scheiterst du, scheidest du aus.</li>
+                                </ol>
+                                <p class="mt-4 italic text-gray-400">Hinweis: Das optionale Modul „Pfad des Ruhms“ (<a href="#s10_7" class="nav-link-inline">§10.7</a>) bietet eine andere Aufholmechanik, die diese Regel ersetzt.</p>
+                            </section>
+                        </div>
+                    </div>
+                </section>
+                `,
+                'rules': `
+                <section id="page-rules" class="page-container">
+                    <div class="py-12 px-4">
+                        <div class="max-w-4xl mx-auto" id="main-content-rules">
+                        <section id="s0">
+                        <div class="info-card">
+                        <h2 class="!mt-0" id="s0_heading"><span class="rule-number">§ 0</span>Goldene Regeln</h2>
+                        <h3 class="mt-8" id="s0_1"><span class="rule-number">§ 0.1</span>Regel der höchsten Quelle (überarbeitet)</h3>
+                            <p><strong>Wirken mehrere Modifikatoren derselben Art auf eine einzelne Handlung:</strong></p>
+                                <ul class="list-disc list-inside ml-4">
+                                <li>Es gilt nur der größte <strong>Bonus</strong> dieser Art.</li>
+                                <li>Es gilt nur der größte <strong>Malus</strong> dieser Art.</li>
+                                <li>Bonus und Malus derselben Art werden gleichzeitig angewendet und miteinander verrechnet.</li>
+                                </ul>
+                                <p class="mt-4"><strong>Klarstellung:</strong> Die Art eines Modifikators ergibt sich aus dem, worauf er wirkt (z. B. „Bonus auf Verteidigungswürfe“, „Bonus auf Angriffswürfe“, „Einkommensbonus“). Alle Boni auf Verteidigungswürfe gelten als dieselbe Art, gleich woher sie stammen (Klanfähigkeit, Burg, Gelände usw.).</p>
+                        <h3 class="mt-8" id="s0_2"><span class="rule-number">§ 0.2</span>Modulregeln brechen Grundregeln</h3>
+                        <p><strong>Die Regel eines optionalen Moduls hat stets Vorrang vor einer Grundregel, der sie direkt widerspricht.</strong></p>
+                        <h3 class="mt-8" id="s0_3"><span class="rule-number">§ 0.3</span>Begrenztes Spielmaterial</h3>
+                        <p>Die Anzahl der Spielteile (Bushi, Ronin, Marker usw.) ist durch den Spielinhalt begrenzt. Ist der allgemeine Vorrat eines Teils erschöpft, kann kein weiteres dieser Art ins Spiel kommen, bis welche in den Vorrat zurückkehren.</p>
+                        <h3 class="mt-8" id="s0_4"><span class="rule-number">§ 0.4</span>Grundbegriffe</h3>
+<p>Die folgenden Begriffe werden in diesen Regeln durchgehend verwendet:</p>
+<h4 class="mt-6">Zustände einer Provinz:</h4>
+<ul class="list-disc list-inside ml-4">
+    <li><strong>Kontrollierte Provinz:</strong> Eine Provinz, in der nur Einheiten eines einzigen Spielers stehen.</li>
+    <li><strong>Umkämpfte Provinz:</strong> Eine Provinz, in der Einheiten mehrerer Spieler stehen. Eine umkämpfte Provinz bringt kein Einkommen.</li>
+    <li><strong>Neutrale Provinz:</strong> Eine Provinz ohne Einheiten irgendeines Spielers.</li>
+</ul>
+<h4 class="mt-6">Arten der Kontrolle:</h4>
+<ul class="list-disc list-inside ml-4">
+    <li><strong>Alleinige Kontrolle:</strong> Eine Provinz, die du kontrollierst und in der keine verbündeten Einheiten stehen (nötig für manche Siegbedingungen und Fähigkeiten).</li>
+    <li><strong>Befreundete Provinz:</strong> Eine Provinz, die du oder ein Verbündeter kontrolliert (wenn ein Ehrenpakt nach §10.1 besteht).</li>
+</ul>
+<h4 class="mt-6">Zustände einer Einheit:</h4>
+<ul class="list-disc list-inside ml-4">
+    <li><strong>Aktive Einheiten:</strong> Einheiten, die noch ziehen und kämpfen können.</li>
+    <li><strong>Markierte Einheiten:</strong> Einheiten, denen Treffer zugewiesen wurden und die am Ende des laufenden Kampfschritts als Verluste entfernt werden.</li>
+</ul>
+<h4 class="mt-6">Zeitpunkte:</h4>
+<ul class="list-disc list-inside ml-4">
+    <li><strong>Beginn einer Phase:</strong> Der Moment unmittelbar nach dem Ende der vorigen Phase, vor allen Handlungen der Spieler.</li>
+    <li><strong>Ende einer Phase:</strong> Der Moment, nachdem alle Handlungen der Spieler in dieser Phase abgeschlossen sind, vor der Siegprüfung.</li>
+    <li><strong>Gleichzeitig:</strong> Alle Spieler führen die Handlung zur selben Zeit aus, ohne feste Reihenfolge.</li>
+</ul>
+                        </div>
+                        </section>
+                        <hr class="section-divider">
+                            <section id="s1">
+                               <div class="info-card">
+                               <h2 class="!mt-0" id="s1_heading"><span class="rule-number">§ 1</span>DAS GRUNDSPIEL</h2>
+                               <h3 class="mt-8" id="s1_1"><span class="rule-number">§ 1.1</span>Das Ziel des Krieges</h3>
+                               <h4 class="mt-6" id="s1_1_1"><span class="rule-number">§ 1.1.1</span>Siegbedingungen</h4>
+                               <p>Du gewinnst, indem du eine von zwei Bedingungen erfüllst:</p>
+                               <ul class="list-disc list-inside">
+                               <li>a) <strong>Provinzkontrolle</strong> (siehe <a href="#s1_2" class="nav-link-inline">§1.2</a>)</li>
+                               <li>b) <strong>Das Mandat des Shōgun</strong> (siehe <a href="#s1_3" class="nav-link-inline">§1.3</a>)</li>
+                               </ul>
+                               <p><em>Das Spiel endet, sobald am Ende einer Phase eine Siegbedingung erfüllt ist.</em> Werden mehrere gleichzeitig erfüllt, gilt diese Rangfolge:</p>
+                               <ol class="list-decimal list-inside ml-8">
+                               <li>Mandat des Shōgun</li>
+                               <li>Provinzkontrolle</li>
+                               <li>Pfad des Ruhms (Modul, siehe <a href="#s10_7" class="nav-link-inline">§10.7</a>)</li>
+                               </ol>
+                               <h4 class="mt-6" id="s1_1_2"><span class="rule-number">§ 1.1.2</span>Zeitpunkt der Siegprüfung</h4>
+                               <p><strong>Siegbedingungen gelten nur am Ende jeder Phase.</strong></p>
+                               <h3 class="mt-8" id="s1_2"><span class="rule-number">§ 1.2</span>Sieg durch Provinzkontrolle</h3>
+                               <p>Du gewinnst, wenn du eine bestimmte Anzahl von Provinzen kontrollierst:</p>
+                               <ul class="list-disc list-inside">
+                               ${Object.entries(rules.victory.provincesByPlayerCount).map(([players, count]) => `<li><strong>${players} Spieler:</strong> ${count} Provinzen</li>`).join('\n                               ')}
+                               </ul>
+                               <h4 class="mt-6" id="s1_2_1"><span class="rule-number">§ 1.2.1</span>Gleichstand</h4>
+                               <p>Im seltenen Fall eines Gleichstands wird der Sieger in dieser Reihenfolge ermittelt:</p>
+                               <ol class="list-decimal list-inside space-y-1">
+                               <li><strong>Wirtschaftskraft:</strong> Wer von den Gleichauf liegenden mehr <strong>Koku</strong> hat, gewinnt.</li>
+                               <li><strong>Erhalt der Führung:</strong> Wer die meisten <strong>Daimyō</strong> übrig hat, gewinnt.</li>
+                               <li><strong>Strategisches Ansehen:</strong> Wer die meisten <strong>Mandatsprovinzen</strong> kontrolliert, gewinnt.</li>
+                               <li><strong>Initiative:</strong> Wer in der Zugreihenfolge der nächsten Runde <strong>früher an der Reihe</strong> wäre, gewinnt.</li>
+                               </ol>
+                               <h3 class="mt-8" id="s1_3"><span class="rule-number">§ 1.3</span>Alternativer Sieg: Das Mandat des Shōgun</h3>
+                               <p>Du gewinnst, wenn du am Ende einer Phase die alleinige, unbestrittene Kontrolle über die drei Mandatsprovinzen hast:</p>
+                               <ul class="list-disc list-inside ml-8">
+                               ${rules.victory.mandateProvinces.map(id => `<li>${provinces.displayName(id)}</li>`).join('\n                               ')}
+                               </ul>
+                               <p class="mt-4"><em>Für diesen Sieg dürfen in diesen Provinzen keine Einheiten von Verbündeten (siehe <a href="#s10_1" class="nav-link-inline">§10.1</a>) stehen.</em></p>
+                               <p><em>Sonderregel: Verteidigen deine Einheiten in Yamashiro (Kyōto), erhalten sie +${rules.victory.kyotoDefenseBonus} auf ihre Verteidigungswürfe.</em></p>
+                               </div>
+                               </section>
+                               <hr class="section-divider">
+                               <section id="s2">
+                                  <div class="info-card">
+        <h2 class="!mt-0" id="s2_heading"><span class="rule-number">§ 2</span>Vorbereitung auf die Schlacht</h2>
+        <h3 class="mt-8" id="s2_1"><span class="rule-number">§ 2.1</span>Spielmaterial</h3>
+        <ul class="list-disc list-inside">
+            <li><strong>Daimyō (${rules.limits.daimyoPerClan} je Klan):</strong> Deine unersetzlichen Anführer.</li>
+            <li><strong>Bushi (${rules.limits.bushiPerClan} je Klan):</strong> Das Rückgrat deines Klans.</li>
+            <li><strong>Koku:</strong> Das Lebenselixier deines Klans; es steht für Reis und Vorräte.</li>
+            <li><strong>Ronin (${rules.limits.roninTotal} insgesamt):</strong> Herrenlose Samurai zum Anheuern.</li>
+            <li><strong>Burgen (${rules.limits.castlesTotal} insgesamt):</strong> Befestigungen für deine Provinzen.</li>
+            <li><strong>Ninja (${rules.limits.ninjaTotal} insgesamt):</strong> Ein Meister der Spionage.</li>
+            <li><strong>Sichtschirme, Spielbrett, sechsseitige Würfel (W6) und verschiedene Marker.</strong></li>
+        </ul>
+    </div>
+
+    <div class="info-card">
+        <h3 class="!mt-0" id="s2_2"><span class="rule-number">§ 2.2</span>Am Vorabend des Krieges: Die Wahl der Klans</h3>
+        <p>Damit der Konflikt ausgewogen und strategisch reizvoll wird, werden die großen Klans per Draft gewählt. Das sorgt für eine breite geografische Verteilung der Macht, verhindert strategische Isolation und führt sofort zu Interaktion.</p>
+        <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
+    <h5 class="!mt-0 !border-b-accent-secondary/50">Materialtipp: Provinzkarten</h5>
+    <p>Das Spiel enthält 68 Provinzkarten. Sie eignen sich hervorragend, um die Kontrolle über Provinzen während des Spiels anzuzeigen, und helfen besonders beim Draft, weil man sieht, welche Provinzen zu den verbliebenen Klans gehören.</p>
+</div>
+        <h4 class="mt-6" id="s2_2_1"><span class="rule-number">§ 2.2.1</span>Die strategischen Regionen festlegen</h4>
+        <p>Die neun großen Klans sind in drei strategische Regionen eingeteilt, die ihre historischen Einflussgebiete widerspiegeln.</p>
+
+${renderRegionTable()}
+
+        <h4 class="mt-6" id="s2_2_2"><span class="rule-number">§ 2.2.2</span>Schritt für Schritt: Der Ablauf des Drafts</h4>
+        <p>Ein Draft ist eine einfache Art, Fraktionen zu wählen und so für ein faires und spannendes Spiel zu sorgen. Statt dass alle gleichzeitig nach ihrem Lieblingsklan greifen, wählt ihr reihum nacheinander. Dieser Abschnitt zerlegt das in einfache Schritte.</p>
+
+        <h5 class="mt-4" id="s2_2_2_1"><span class="rule-number">§ 2.2.2.1</span> Schritt 1: Die Wahlreihenfolge bestimmen</h5>
+        <p>Bestimmt eine zufällige Spielerreihenfolge (z. B. durch Würfeln). Wer in dieser zufälligen Reihenfolge <strong>als Letzter</strong> an der Reihe wäre, wählt seinen Klan <strong>als Erster</strong>. Die Wahlreihenfolge ist also die Umkehrung der ausgewürfelten Spielerreihenfolge.</p>
+
+        <h5 class="mt-4" id="s2_2_2_2"><span class="rule-number">§ 2.2.2.2</span> Schritt 2: Wählen (mit einer Einschränkung)</h5>
+        <p>Beginnend mit dem Ersten der Wahlreihenfolge wählt jeder Spieler einen verfügbaren Klan. Für die ersten Wahlen gibt es nur eine Sonderregel:</p>
+        <blockquote><strong>Die Regionalregel:</strong> Die ersten drei Wählenden müssen jeweils einen Klan aus einer anderen, noch nicht gewählten <strong>strategischen Region</strong> (West, Mitte oder Ost) nehmen. Sobald aus allen drei Regionen gewählt wurde, entfällt diese Einschränkung für alle übrigen Spieler.</blockquote>
+        <p>So verteilen sich die Klans über die Karte, und das Spiel ist von Anfang an interaktiv.</p>
+    </div>
+
+<div class="info-card mt-4">
+    <h5 class="!mt-0">Anmerkung des Autors zur Anfangsreihenfolge</h5>
+
+    <p>Das Spiel braucht ein Zufallsverfahren für die anfängliche Draft-Reihenfolge und die Zugreihenfolge der ersten Runde. Das ist nötig, weil:</p>
+
+    <br> <!-- visible blank line -->
+
+    <p>
+        1. <strong>Vor der Klanwahl</strong> noch niemand einen Klannamen hat; der alphabetische Gleichstandsbrecher kann die Draft-Reihenfolge also nicht bestimmen.<br>
+        2. <strong>Nach der Klanwahl, vor dem ersten Zug</strong> alle Spieler in genau derselben Lage sind (1 Provinz, 0 Koku, 4 Einheiten); alle Gekokujō-Gleichstandsregeln greifen ins Leere.<br>
+        3. <strong>Nach dem Einkommen in Runde 1</strong> alle noch immer dieselben Werte haben (1 Provinz, 4 Koku nach dem Einkommen, 4 Einheiten); das Gekokujō-Prinzip und seine Gleichstandsregeln bleiben unanwendbar.
+    </p>
+
+    <br> <!-- visible blank line -->
+
+    <p>Deshalb wird die anfängliche Spielerreihenfolge sowohl für den Draft als auch für die erste Spielrunde ausgelost. Ab Runde 2 funktioniert das Gekokujō-Prinzip normal, weil sich die Lagen der Spieler dann unterscheiden.</p>
+</div>
+    <h4 class="mt-16" id="s2_2_3">Beispiel eines Drafts (Partie zu viert)</h4>
+    <p><em>Gehen wir die Schritte an einem Beispiel durch.</em></p>
+    <ol class="list-decimal list-inside space-y-2 mt-4">
+        <li><strong>Wahlreihenfolge bestimmen:</strong> Die Spieler würfeln eine zufällige Zugreihenfolge aus. Ergebnis: Spieler D → C → B → A. Die Wahlreihenfolge für den Draft ist die Umkehrung davon: Spieler A → B → C → D.</li>
+        <li><strong>Spieler A (wählt als 1.):</strong> Spieler A muss einen Klan wählen und nimmt die Takeda aus dem Osten. Die Region „Ost“ gilt für die ersten Wahlen nun als vergeben.</li>
+        <li><strong>Spieler B (wählt als 2.):</strong> Spieler B muss aus einer freien Region wählen (West oder Mitte) und nimmt die Oda aus der Mitte. Die Region „Mitte“ ist nun vergeben.</li>
+        <li><strong>Spieler C (wählt als 3.):</strong> Spieler C muss aus der letzten freien Region wählen, dem Westen, und nimmt die Shimazu. Alle drei Regionen sind nun vertreten.</li>
+        <li><strong>Spieler D (wählt als 4.):</strong> Die Regionalregel entfällt jetzt. Spieler D darf jeden verbliebenen Klan aus jeder Region wählen.</li>
+    </ol>
+    <p class="mt-4">Dieser Draft wird zu einem „Spiel vor dem Spiel“. Deine erste Wahl betrifft nicht nur die Klanfähigkeit, die dir liegt; sie schränkt auch die Möglichkeiten deiner Gegner ein und prägt die politische Landschaft der ganzen Partie.</p>
+
+    <div class="info-card" id="draft-assistant">
+        <h4 class="!mt-0" id="draft_assistant">Draft-Assistent</h4>
+        <p>Führt den Draft am Tisch durch: Er lost eine Spielerreihenfolge aus, kehrt sie zur Wahlreihenfolge um und lässt jeden Spieler nur einen Klan wählen, den die Regionalregel erlaubt.</p>
+        <form class="mt-4" novalidate>
+            <label for="draft-players" class="form-label">Spieler (durch Kommas getrennt, in Sitzreihenfolge)</label>
+            <input type="text" id="draft-players" name="draft-players" value="Spieler A, Spieler B, Spieler C, Spieler D" class="form-input">
+            <p class="draft-error text-sm text-accent-secondary mt-2" aria-live="polite"></p>
+            <button type="submit" class="form-button mt-2">Reihenfolge auslosen &amp; Draft starten</button>
+        </form>
+        <div class="draft-board"></div>
+    </div>
+
+    <div class="info-card">
+        <h3 class="!mt-0" id="s2_3"><span class="rule-number">§ 2.3</span>Spielaufbau</h3>
+        <ol class="list-decimal list-inside">
+            <li><strong>Starteinheiten aufstellen:</strong> Jeder Spieler stellt drei Daimyō und <strong>einen</strong> Bushi in die Startprovinz seines Klans.</li>
+            <li><strong>Ausnahme im ersten Zug:</strong> Nur im ersten Zug des Spiels zahlen die Spieler keinen Unterhalt.</li>
+        </ol>
+    </div>
+
+    <h3 class="mt-16" id="s2_4"><span class="rule-number">§ 2.4</span>Die großen Klans</h3>
+    <blockquote>Die Klans unterscheiden sich nicht grundlegend, doch ihre besonderen Vorteile spiegeln ihre historischen Stärken und ihre strategische Ausrichtung wider.</blockquote>
+${renderClanTable()}
+</section>
+<hr class="section-divider">
+                            <section id="s3">
+    <div class="info-card">
+        <h2 class="!mt-0" id="s3_heading"><span class="rule-number">§ 3</span>Der Rundenablauf</h2>
+        <blockquote>Jede Runde entspricht einem Jahr feudalen Krieges: Planung im Frühling -> Feldzug im Sommer -> harter Winter. Diesen Rhythmus aus Logistik -> Operationen -> Zermürbung zu beherrschen, ist der wahre Weg zum Shōgun.</blockquote>
+
+        <h3 class="mt-8" id="s3_1"><span class="rule-number">§ 3.1</span>Die Phasen im Überblick</h3>
+        <ol class="list-decimal list-inside">
+            <li><strong>Phase 1a: Verwaltung</strong> (Einkommen, Unterhalt, Spielerreihenfolge)</li>
+            <li><strong>Phase 1b: Verstärkung</strong> (Rekrutierung und Bau)</li>
+            <li><strong>Phase 2: Feldzug</strong> (Bewegung und Kampf)</li>
+            <li><strong>Phase 3: Winter</strong> (Gebirgsproviant)</li>
+        </ol>
+
+<h3 class="mt-8" id="s3_2"><span class="rule-number">§ 3.2</span>Einheitenlimit je Provinz (Stapellimit) – überarbeitet</h3>
+<p>Eine Provinz kann höchstens ${rules.limits.stacking} Einheiten eines einzelnen Spielers versorgen.</p>
+<p class="mt-4"><strong>Klarstellung:</strong></p>
+<ul class="list-disc list-inside ml-4">
+    <li>Das Limit gilt für <strong>alle Einheitenarten</strong> (Bushi, Daimyō, Ronin, Spezialeinheiten aus Modulen usw.).</li>
+    <li>Das Limit wird geprüft, nachdem ein Spieleffekt, der die Zahl der Einheiten ändert, vollständig abgehandelt ist (Rekrutierung, Bewegung, Kampf, Sonderfähigkeiten usw.).</li>
+</ul>
+<p class="mt-4"><strong>Ausnahme – Durchzug:</strong></p>
+<p>Einheiten dürfen durch eine Provinz ziehen, in der bereits ${rules.limits.stacking} eigene Einheiten stehen. Das Stapellimit wird vor Beginn und nach dem Ende der Bewegung geprüft, nicht aber während der Bewegung selbst.</p>
+<p class="mt-2">Wird die Bewegung einer Einheit unterwegs unterbrochen (z. B. durch „Durchzug verwehren!“ eines Ninja) und das Stapellimit dadurch überschritten, muss der Besitzer sofort überzählige Einheiten seiner Wahl entfernen, bis das Limit eingehalten ist.</p>
+        </div>
+</section>
+<hr class="section-divider">
+                 <section id="s4">
+    <div class="info-card">
+        <h2 class="!mt-0" id="s4_heading"><span class="rule-number">§ 4</span>Phase 1a: Verwaltung</h2>
+        <h3 class="mt-8" id="s4_1"><span class="rule-number">§ 4.1</span>Einkommen, Unterhalt und Gekokujō (nacheinander, jeweils gleichzeitig)</h3>
+        <p>Diese Schritte werden zwar von allen Spielern abgeschlossen, bevor es weitergeht, aber in strenger Reihenfolge abgehandelt, damit es keine Konflikte beim Zeitpunkt gibt:</p>
+        <ol class="list-decimal list-inside">
+            <li data-is-replaced-by="cycle-of-rice"><strong>Einkommen einnehmen:</strong> Alle Spieler erhalten gleichzeitig ${rules.economy.baseIncome} Koku Grundeinkommen + ${rules.economy.provinceIncome} Koku je kontrollierter Provinz.</li>
+            <li data-module="cycle-of-rice"><strong>Stipendium des Daimyō:</strong> Mit dem Kreislauf von Reis und Krieg erhalten alle Spieler stattdessen ein festes Stipendium, und der Unterhalt wird im Winter gezahlt (${ruleLink('10.5')}). <span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon">🌾</span></li>
+            <li data-is-replaced-by="cycle-of-rice"><strong>Unterhalt zahlen:</strong> Alle Spieler zahlen gleichzeitig 1 Koku je ${rules.economy.bushiPerMaintenanceKoku} Bushi (aufgerundet). Daimyō sind kostenlos. <em>(Entfällt im ersten Zug des Spiels.)</em></li>
+            <li><strong>Spielerreihenfolge bestimmen (Gekokujō):</strong> Erst wenn Einkommen und Unterhalt vollständig abgehandelt sind, wird die Spielerreihenfolge der Runde bestimmt. Wer die wenigsten Provinzen hat, handelt zuerst. Bei Gleichstand entscheidet: 1. weniger Koku, 2. weniger Einheiten insgesamt, 3. der Klanname in alphabetischer Reihenfolge.</li>
+        </ol>
+        <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
+    <h5 class="!mt-0 !border-b-accent-secondary/50">Bewährt: Die Spielerreihenfolge anzeigen</h5>
+    <p>Für eine übersichtliche und stimmungsvolle Anzeige der Spielerreihenfolge eignen sich die Plastik-Katana aus der Originalausgabe von Shogun (1986) oder ähnliche Marker. Legt sie zu Beginn der Runde in der richtigen Reihenfolge aus. So sehen alle sofort, wer wann an der Reihe ist.</p>
+</div>
+        <h3 class="mt-8" id="s4_2"><span class="rule-number">§ 4.2</span>Ehre und Bankrott</h3>
+        <p>Ein Daimyō steht zu seinem Wort und muss seine finanziellen Pflichten erfüllen. Kann ein Spieler zu irgendeinem Zeitpunkt fällige Kosten (Unterhalt, Gebirgsproviant im Winter usw.) nicht bezahlen, muss er sofort <strong>${rules.economy.bankruptcyBushiPerKoku}</strong> seiner Bushi (nach eigener Wahl) je Koku, das er nicht zahlen kann, vom Spielbrett entfernen. Ein Klan kann keine Schulden machen.</p>
+        <p class="mt-4 italic">Fehlen dir zum Beispiel 3 Koku, musst du sofort ${3 * rules.economy.bankruptcyBushiPerKoku} deiner Bushi vom Spielbrett entfernen.</p>
+        <h3 class="mt-8" id="s4_3"><span class="rule-number">§ 4.3</span>Spielerreihenfolge bestimmen (Gekokujō)</h3>
+        <p>Erst wenn Einkommen und Unterhalt vollständig abgehandelt sind, wird die Spielerreihenfolge der Runde bestimmt. Wer die <strong>wenigsten Provinzen</strong> hat, handelt zuerst. Bei Gleichstand entscheidet: 1. weniger Koku, 2. weniger Einheiten insgesamt, 3. der Klanname in alphabetischer Reihenfolge.</p>
+    </div>
+</section>
+<hr class="section-divider">
+<section id="s5">
+    <div class="info-card">
+
+        <h2 class="!mt-0" id="s5_heading"><span class="rule-number">§ 5</span>Phase 1b: Verstärkung</h2>
+
+        <h3 class="mt-8" id="s5_1"><span class="rule-number">§ 5.1</span>Rekrutierung und Bau (in Spielerreihenfolge)</h3>
+        <ol class="list-decimal list-inside">
+            <li><strong>Rekrutieren:</strong> Zahle ${rules.costs.recruitBushi} Koku je Bushi.</li>
+            <li><strong>Ninja anheuern:</strong> Zahle ${rules.costs.hireNinja} Koku und heuere den Ninja bis zum Ende der Runde an (siehe <a href="#s9_1" class="nav-link-inline">§9.1</a>).</li>
+            <li><strong>Burgen und Festungen bauen:</strong> Gib Koku aus, um eine Burg zu bauen oder zu befestigen (siehe <a href="#s9_2" class="nav-link-inline">§9.2</a>).</li>
+        </ol>
+
+        <h3 class="mt-8" id="s5_2"><span class="rule-number">§ 5.2</span>Einheiten aufstellen</h3>
+        <p>Alle neu rekrutierten Einheiten müssen in eine Provinz gestellt werden, die du zu Beginn der Phase Planung und Verstärkung kontrolliert hast.</p>
+    </div>
+</section>
+<hr class="section-divider">
+<section id="s6">
+    <h2 class="!mt-0" id="s6_heading"><span class="rule-number">§ 6</span>Phase 2: Feldzug</h2>
+<p>Haben alle Spieler ihre Verstärkung abgeschlossen, beginnt die Feldzugsphase in der neu bestimmten Spielerreihenfolge. In deinem Zug führst du zuerst alle Bewegungen mit all deinen Einheiten aus. <strong>Erst wenn deine gesamte Bewegung beendet ist, handelst du die dadurch entstandenen Schlachten</strong> nacheinander ab.</p>
+    <div class="info-card">
+        <h3 class="!mt-0" id="s6_1"><span class="rule-number">§ 6.1</span>&nbsp;Bewegung</h3>
+
+        <h4 class="mt-6" id="s6_1_1"><span class="rule-number">§ 6.1.1</span>&nbsp;Allgemeine Bewegung</h4>
+        <p>Ein Spieler darf in seiner Bewegungsphase beliebig viele seiner Einheiten bewegen.</p>
+
+        <h4 class="mt-6" id="s6_1_2"><span class="rule-number">§ 6.1.2</span>&nbsp;Gruppenbewegung: Armeen teilen und vereinen</h4>
+        <p>Einheiten können unabhängig voneinander ziehen. Das ermöglicht zwei grundlegende Manöver:</p>
+        <ul class="list-disc list-inside ml-4">
+            <li><strong>Armeen teilen:</strong> Mehrere Einheiten, die ihre Bewegung in derselben Provinz beginnen, dürfen in verschiedene Zielprovinzen ziehen.</li>
+            <li><strong>Armeen vereinen:</strong> Mehrere Einheiten, die ihre Bewegung in verschiedenen Provinzen beginnen, dürfen ihre Bewegung in derselben Zielprovinz beenden.</li>
+        </ul>
+
+        <h4 class="mt-6" id="s6_1_3"><span class="rule-number">§ 6.1.3</span>&nbsp;Einschränkungen der Bewegung</h4>
+        <p>Jede Bewegung unterliegt diesen allgemeinen Einschränkungen:</p>
+        <ul class="list-disc list-inside ml-4">
+            <li><strong>Reichweite:</strong> Bushi ziehen bis zu ${rules.units.bushi.move} Provinzen weit, Daimyō bis zu ${rules.units.daimyo.move}.</li>
+            <li><strong>Betreten feindlichen Gebiets:</strong> Die Bewegung einer Einheit oder Armee endet sofort, wenn sie eine Provinz mit Einheiten eines gegnerischen Spielers betritt (außer es besteht ein Ehrenpakt, siehe §10.1).</li>
+            <li><strong>Stapellimit:</strong> Am Ende seiner Bewegung dürfen in einer Provinz nicht mehr als ${rules.limits.stacking} Einheiten eines einzelnen Spielers stehen.</li>
+        </ul>
+        <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
+    <h5 class="!mt-0 !border-b-accent-secondary/50">Materialtipp: Große Armeen verwalten</h5>
+    <p>Werden die Armeen zu groß für die Provinz auf dem Spielbrett, stellt eure Einheiten auf Aufmarschtableaus neben dem Brett. Legt unter jeden Abschnitt des Tableaus die passende Provinzkarte, damit klar ist, welche Armee in welcher Provinz steht.</p>
+</div>
+    </div>
+
+    <div class="info-card">
+        <h3 class="!mt-0" id="s6_2"><span class="rule-number">§ 6.2</span>Die Kunst des Krieges: Kampf</h3>
+        <p>Ein Kampf findet statt, wenn nach Abschluss aller Bewegungen des aktiven Spielers Einheiten verschiedener Spieler in derselben Provinz stehen. Wer am Zug ist, ist der Angreifer. Alle Kampfwürfe werden mit gewöhnlichen sechsseitigen Würfeln (W6) ausgeführt.</p>
+        <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
+    <h5 class="!mt-0 !border-b-accent-secondary/50">Bewährt: Kämpfe beschleunigen</h5>
+    <p>Statt für Einheiten mit unterschiedlichen Trefferwerten nacheinander zu würfeln, nehmt für jede Einheitenart mit eigenem Trefferwert eine andere Würfelfarbe (z. B. weiß für Bushi mit 5–6, schwarz für Daimyō mit 4–6) und würfelt alle gleichzeitig. Das beschleunigt die Kampfauflösung erheblich.</p>
+</div>
+        <h4 class="mt-6" id="s6_2_1"><span class="rule-number">§ 6.2.1</span>Der Kampfablauf</h4>
+        <ol class="list-disc list-inside">
+            <li>(Optional) <strong>Ronin anheuern:</strong> Erst der Angreifer, dann der Verteidiger darf Ronin anheuern.</li>
+            <li>(Optional) <strong>Eingreifen des Ninja:</strong> Steht der Ninja hier, darf sein Spieler eine Mission aufdecken (z. B. „Zwietracht säen!“).</li>
+            <li><strong>Treffer ermitteln:</strong> Alle Einheiten aller Seiten würfeln gleichzeitig, um die Zahl ihrer Treffer zu ermitteln.</li>
+            <li><strong>Verluste zuweisen und entfernen:</strong> Dieser Schritt folgt einem strengen Ablauf in zwei Teilen:
+                <ul class="list-decimal list-inside ml-6 mt-2">
+                    <li><strong>Teil A: Treffer zuweisen:</strong> Alle Spieler, die Treffer erzielt haben, weisen sie nun einem oder mehreren gegnerischen Spielern zu. Das geschieht nacheinander, jeweils ein Spieler:
+                        <ul class="list-disc list-inside ml-6 mt-1">
+                            <li>Der <strong>Angreifer</strong> weist zuerst alle seine Treffer zu.</li>
+                            <li>Danach weisen alle <strong>Verteidiger</strong> ihre Treffer zu, einer nach dem anderen im Uhrzeigersinn um den Tisch (beginnend links vom Angreifer).</li>
+                            <li><em>(Klarstellung: Ein Spieler darf alle Treffer einem einzigen Gegner zuweisen oder sie nach Belieben auf mehrere Gegner verteilen.)</em></li>
+                        </ul>
+                    </li>
+                    <li><strong>Teil B: Verluste verteilen und Einheiten entfernen:</strong> Sind alle Treffer in Teil A zugewiesen, verteilt jeder Spieler die ihm zugewiesenen Treffer gleichzeitig als Verluste auf seine eigenen Einheiten (Daimyō oder Bushi, nach eigener Wahl). Danach werden alle markierten Einheiten gleichzeitig vom Spielbrett entfernt.</li>
+                </ul>
+            </li>
+            <li><strong>Kontrolle prüfen:</strong> Bleiben nur Einheiten eines Spielers übrig, kontrolliert dieser die Provinz. Bleiben Einheiten mehrerer Spieler oder gar keine übrig, wird die Provinz neutral.</li>
+            <li>(Modul) <strong>Plündern:</strong> Wird mit dem Modul §10.3 gespielt, nimmt der neue Kontrolleur alle investierten Koku an sich (siehe §6.2.7).</li>
+        </ol>
+
+
+        <h4 class="mt-6" id="s6_2_3"><span class="rule-number">§ 6.2.3</span>Kampfwürfe</h4>
+${renderUnitTable(['bushi', 'daimyo', 'ronin'], true)}
+        <h4 class="mt-6" id="s6_2_4"><span class="rule-number">§ 6.2.4</span>Ronin: Söldner</h4>
+        <ul class="list-disc list-inside">
+            <li><strong>Anheuern:</strong> Zahle ${rules.costs.hireRonin} Koku je Ronin, um ihn einer Schlacht hinzuzufügen.</li>
+            <li><strong>Kampfwerte:</strong> Ronin gelten im Kampf in jeder Hinsicht als Bushi: Sie würfeln einen Würfel und treffen im Angriff bei ${rules.formatHitRange(rules.units.ronin.attack)} und in der Verteidigung bei ${rules.formatHitRange(rules.units.ronin.defense)}. Alle zutreffenden Kampfmodifikatoren wirken auf sie.</li>
+            <li><strong>Limit:</strong> In einer Schlacht darfst du nicht mehr Ronin haben als eigene Bushi.</li>
+            <li><strong>Flüchtige Treue:</strong> Nach dem Kampf werden alle Ronin vom Spielbrett entfernt.</li>
+        </ul>
+
+        <h4 class="mt-6" id="s6_2_5"><span class="rule-number">§ 6.2.5</span>Beispiel eines einfachen Kampfes</h4>
+        <p>Die Tokugawa greifen mit 3 Bushi eine neutrale Provinz an. Sie wird von 2 Ronin verteidigt, die ein anderer Spieler angeheuert hat. Es gelten keine weiteren Modifikatoren.</p>
+        <ul class="list-disc list-inside">
+            <li><strong>Tokugawa (Angriff):</strong> Würfeln 3 Würfel für ihre 3 Bushi. Ein Angriff trifft bei 5–6. Sie würfeln 1, 4 und 5. Das ist <strong>1 Treffer</strong>.</li>
+            <li><strong>Ronin (Verteidigung):</strong> Würfeln 2 Würfel für die 2 Ronin. Eine Verteidigung trifft bei 6. Sie würfeln 2 und 6. Das ist <strong>1 Treffer</strong>.</li>
+            <li><strong>Auflösung:</strong> Jede Seite hat 1 Treffer erzielt. Die Tokugawa entfernen einen Bushi, der Ronin-Spieler einen Ronin. Die Tokugawa haben nun 2 Bushi in der Provinz, der Ronin-Spieler 1. Die Provinz bleibt umkämpft.</li>
+        </ul>
+
+        <h4 class="mt-6" id="s6_2_6"><span class="rule-number">§ 6.2.6</span>Beispiel eines Kampfes mit Modifikatoren</h4>
+        <h5 class="mt-4" id="s6_2_6_1"><span class="rule-number">§ 6.2.6.1</span>Zielwerte berechnen</h5>
+        <ul class="list-disc list-inside">
+            <li><strong>Oda (Angriff):</strong> Ein Oda-Daimyō ist dabei, also gilt die Klanfähigkeit (+1). Der Daimyō trifft bei 3–6, die Bushi bei 4–6.</li>
+            <li><strong>Uesugi (Verteidigung):</strong> Die Uesugi haben +1 durch die Klanfähigkeit und +1 durch die Burg. Nach der Goldenen Regel §0.1 gilt nur ein +1-Bonus. Die Bushi treffen bei 5–6.</li>
+        </ul>
+        <h5 class="mt-4" id="s6_2_6_2"><span class="rule-number">§ 6.2.6.2</span>Würfeln und Auflösung</h5>
+        <p>Oda würfelt für 1 Daimyō (3 Würfel) und 3 Bushi (3 Würfel) und erzielt insgesamt 4 Treffer. Uesugi würfelt für 4 Bushi (4 Würfel) und erzielt 2 Treffer. Uesugi entfernt alle 4 Bushi. Oda entfernt 2 Bushi. Oda kontrolliert nun Echigo.</p>
+
+        <h4 class="mt-6 module-row" id="s6_2_7"><span class="rule-number">§ 6.2.7</span>Plündern investierter Provinzen <span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon">🌾</span></h4>
+        <p><em>Diese Regel gilt nur mit dem Modul <strong>Der Kreislauf von Reis und Krieg</strong> (<a href="#s10_5" class="nav-link-inline">§10.5</a>).</em></p>
+        <p>Erlangt ein Angreifer die Kontrolle über eine Provinz, in der Koku-Marker aus dem Schritt Aussaat liegen, nimmt er sofort alle Koku-Marker dieser Provinz in seine eigene Schatzkammer. Das geschieht am Ende des Kampfes, nachdem alle Einheiten entfernt und die Kontrolle bestimmt ist.</p>
+        <h4 class="mt-6" id="s6_2_8"><span class="rule-number">§ 6.2.8</span>Folgen des Kontrollverlusts</h4>
+        <p>Verliert ein Spieler die Kontrolle über eine Provinz, enden alle damit verbundenen Vorteile und Fähigkeiten sofort, sofern keine andere Regel ausdrücklich einen anderen Zeitpunkt nennt. Dazu gehören das Einkommen für die nächste Runde, Boni aus Klanfähigkeiten, die an diese Provinz gebunden sind, und die Kontrolle über Mandatsprovinzen.</p>
+    </div>
+</section>
+<hr class="section-divider">
+<section id="s7">
+    <div class="info-card">
+
+        <h2 class="!mt-0" id="s7_heading"><span class="rule-number">§ 7</span>Phase 3: Winter</h2>
+        <p>Haben alle Spieler ihre Feldzugsphase abgeschlossen, folgt die Winterphase gleichzeitig für alle Spieler.</p>
+
+        <h3 class="mt-8" id="s7_1"><span class="rule-number">§ 7.1</span>Gebirgsproviant bezahlen</h3>
+        <p><strong>Zahle ${rules.economy.mountainProvinceCost} Koku für jede Gebirgsprovinz, die du kontrollierst, PLUS 1 Koku je ${rules.economy.mountainUnitsPerKoku} Einheiten (jeder Art, aufgerundet) in all diesen Gebirgsprovinzen zusammen.</strong></p>
+        <p class="mt-4 italic text-gray-400">● Diese Regel wird durch das Modul <strong>Der Kreislauf von Reis und Krieg</strong> ersetzt (<a href="#s10_5" class="nav-link-inline">§10.5</a>).<span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon ml-2">🌾</span></p>
+
+    </div>
+</section>
+<hr class="section-divider">
+<section id="s8">
+    <div class="info-card">
+        <h2 class="!mt-0" id="s8_heading"><span class="rule-number">§ 8</span>Lehnstreue (Vasallität)</h2>
+        <p>Der Verlust des letzten Daimyō bedeutet nicht das Ausscheiden aus dem Spiel. Er markiert den Übergang vom unabhängigen Klan zum Vasallen, der an einen Lehnsherrn gebunden ist und nur noch ein Ziel kennt: die Freiheit zurückzugewinnen.</p>
+
+        <p class="mt-4 italic text-gray-400" data-module="path-of-glory">● Ihr spielt mit dem Modul <strong>Pfad des Ruhms</strong>: Es gibt keine Vasallen, und §8.1 bis §8.3 gelten nicht. Ein Klan, der seinen letzten Daimyō verliert, sammelt stattdessen Ruhmespunkte (${ruleLink('10.7')}).<span title="Modul: Pfad des Ruhms" class="module-icon ml-2">🏆</span></p>
+        <div data-is-replaced-by="path-of-glory">
+        <h3 class="mt-8" id="s8_1"><span class="rule-number">§ 8.1</span>Unmittelbare Folgen</h3>
+        <p>Ein einziger Schwertstreich besiegelt das Schicksal. Die Niederlage kommt schnell; ihre Folgen sind unmittelbar und unumkehrbar. In dem Moment, in dem der letzte Daimyō eines Spielers als Verlust aus einer Schlacht entfernt wird, tritt sofort Folgendes ein:</p>
+        <ul class="list-disc list-inside mt-4 space-y-3">
+            <li>
+                <strong>Bestimmung des Lehnsherrn:</strong> Der Spieler, der dem letzten Daimyō des Vasallen den entscheidenden Verlust zugewiesen hat (siehe § 6.2.1, Pkt. 4a), wird sein <strong>Lehnsherr</strong>.
+            </li>
+            <li>
+                <strong>Provinzverlust und Übertritt der Truppen:</strong> Der <strong>Lehnsherr</strong> wählt sofort eine Provinz, die der Vasall kontrolliert.
+                <ul class="list-disc list-inside ml-6 mt-2 space-y-2">
+                    <li>Der Vasall verliert diese Provinz an den <strong>Lehnsherrn</strong>.</li>
+                    <li><strong>Die Treue der Besatzung gilt dem Land, nicht dem Mann.</strong> Bis zu drei Einheiten des Vasallen in dieser Provinz schwören dem neuen Lehnsherrn die Treue. Sie werden sofort durch ebenso viele Einheiten aus dem Vorrat des Lehnsherrn ersetzt. Alle übrigen Einheiten bleiben als Getreue des Vasallen in der Provinz. Stehen danach Einheiten <strong>mehrerer</strong> Spieler in der Provinz, wird sie umkämpft und bringt kein Einkommen.</li>
+                </ul>
+            </li>
+            <li>
+                <strong>Stellung des Vasallen:</strong> Ein Vasall kann das Spiel nicht mehr gewinnen. Er behält jedoch seine Klanfähigkeit und nimmt normal am Spiel teil (Einkommen, Rekrutierung, Bewegung). Ein Vasall darf jeden Spieler angreifen und von jedem Spieler angegriffen werden.
+            </li>
+            <li>
+                <strong>Automatische Befreiung:</strong> Die Kette bricht, wenn ihr Halter fällt. Scheidet der <strong>Lehnsherr</strong> eines Vasallen aus dem Spiel aus (verliert er seinen eigenen letzten Daimyō), ist der Vasall am Ende dieser Schlacht sofort befreit.
+            </li>
+        </ul>
+
+        <h3 class="mt-8" id="s8_2"><span class="rule-number">§ 8.2</span>Der Weg zur Befreiung</h3>
+        <p>Der Vasall ist nun an seinen Lehnsherrn gebunden. Seine Freiheit erkauft er entweder durch treuen Dienst oder durch blutigen Verrat. Ein Vasall hat zwei Wege, seine Freiheit zurückzugewinnen.</p>
+
+        <div class="info-card mt-4">
+            <h4 class="!mt-0">Weg 1: Treuer Dienst</h4>
+            <p>Der Vasall beweist seinen Nutzen und seine Stärke im Kampf gegen die Feinde seines Lehnsherrn – oder verdient sich die Freiheit durch geschickte Diplomatie.</p>
+            <ul class="list-disc list-inside ml-4 mt-2 space-y-2">
+                <li><strong>Ziel:</strong> Sammle 3 <strong>Kōseki</strong> (Verdienstpunkte).</li>
+                <li><strong>Fortschritt:</strong> Kōseki bleiben über die Runden erhalten. Mit dem Erreichen von 3 Kōseki ist der Vasall am Ende der Phase befreit.</li>
+                <li><strong>Punkte verdienen:</strong>
+                    <ul class="list-disc list-inside ml-6 mt-1">
+                        <li><strong>Eroberung:</strong> Für jede Provinz, die der Vasall erobert (von einem anderen Spieler oder neutral), erhält er 1 Kōseki.</li>
+                        <li><strong>Verhandlung:</strong> Der Lehnsherr darf dem Vasallen jederzeit die Freiheit (oder Kōseki) gewähren, üblicherweise gegen Koku, Provinzen oder militärische Unterstützung.</li>
+                    </ul>
+                </li>
+                <li><strong>Einschränkung:</strong> Ein Vasall, der diesen Weg wählt, darf seinen Lehnsherrn in dieser Runde nicht angreifen.</li>
+            </ul>
+        </div>
+
+        <div class="info-card mt-4">
+            <h4 class="!mt-0">Weg 2: Verrat (offene Rebellion)</h4>
+            <p>Die höchste Form des Gekokujō – die Niederen stürzen die Hohen. Ein einziger erfolgreicher Dolchstoß wäscht alle Schande ab, doch Scheitern bedeutet den endgültigen Tod.</p>
+            <ul class="list-disc list-inside ml-4 mt-2 space-y-2">
+                <li><strong>Ziel:</strong> Erobere mindestens eine Provinz vom Lehnsherrn.</li>
+                <li><strong>Befreiung:</strong> Gelingt es, ist der Vasall am Ende des Kampfes sofort befreit.</li>
+                <li><strong>Die Folge des Scheiterns:</strong> Scheitert der Vasall (greift er seinen Lehnsherrn in dieser Runde an, erobert aber keine Provinz von ihm), <strong>SCHEIDET</strong> er am Ende der Phase <strong>AUS DEM SPIEL AUS</strong>.</li>
+            </ul>
+        </div>
+
+        <h3 class="mt-8" id="s8_3"><span class="rule-number">§ 8.3</span>Wahl durch Taten</h3>
+        <p>Ein Vasall wird nicht an seinen Worten gemessen, sondern an seinen Taten. Der erste Schlag entscheidet über Treue oder Rebellion.</p>
+        <p>Ein Vasall wählt seinen Weg nicht zu Beginn der Runde. Seine <strong>erste Angriffshandlung</strong> in der Feldzugsphase legt seinen Weg für die ganze Runde verbindlich fest:</p>
+        <ul class="list-disc list-inside ml-4 mt-2">
+            <li>Richtet sich der erste Angriff des Vasallen gegen <strong>einen anderen Spieler</strong> oder eine <strong>neutrale Provinz</strong>, hat er <strong>Weg 1 (Treuer Dienst)</strong> gewählt.</li>
+            <li>Richtet sich der erste Angriff des Vasallen gegen seinen <strong>Lehnsherrn</strong>, hat er <strong>Weg 2 (Verrat)</strong> gewählt.</li>
+        </ul>
+
+        <p class="mt-4 italic text-gray-400">★ Das gesamte System der Vasallität wird durch das Modul <strong>Pfad des Ruhms</strong> ersetzt (<a href="#s10_7" class="nav-link-inline">§10.7</a>).<span title="Modul: Pfad des Ruhms" class="module-icon ml-2">🏆</span></p>
+        </div>
+
+        <div data-is-replaced-by="way-of-the-ronin">
+        <h3 class="mt-8" id="s8_4"><span class="rule-number">§ 8.4</span>Ausscheiden eines Spielers</h3>
+        <p>Ein Spieler scheidet aus, wenn er seine letzte Provinz verliert und keinen Daimyō mehr auf dem Spielbrett hat.</p>
+        <p class="mt-4">Ein Spieler ohne Provinzen scheidet nicht aus, solange er mindestens einen Daimyō auf dem Spielbrett hat. In seinem Zug erhält er weiterhin sein Grundeinkommen von 3 Koku und darf normal handeln. Dieser Daimyō steht in einer umkämpften, neutralen Provinz und muss eine Schlacht gewinnen, um wieder Land zu erobern – ein schwerer, aber nicht unmöglicher Weg zurück in den Konflikt.</p>
+        </div>
+        <p class="mt-4 italic text-gray-400" data-module="way-of-the-ronin">● Ihr spielt mit dem Modul <strong>Der Weg des Rōnin</strong>: Wer seine letzte Provinz verliert, scheidet nicht aus, sondern wird zum Rōnin (${ruleLink('10.8.1')}).<span title="Modul: Der Weg des Rōnin" class="module-icon ml-2">👺</span></p>
+
+    </div>
+</section>
+<hr class="section-divider">
+                            <section id="s9">
+    <div class="info-card">
+        <h2 class="!mt-0" id="s9_heading"><span class="rule-number">§ 9</span>Fortgeschrittene Regeln</h2>
+
+        <h3 class="mt-8" id="s9_1"><span class="rule-number">§ 9.1</span>Das Verborgene System (Ninja)</h3>
+        <p>Ein Daimyō herrscht durch seine Armeen, doch er siegt durch List. Ein Ninja ist eine Waffe der Schatten: Er bricht den Willen des Feindes, durchkreuzt seine Pläne und leert seine Truhen, lange bevor das erste Schwert gezogen wird.</p>
+
+        <h4 class="mt-6" id="s9_1_1"><span class="rule-number">§ 9.1.1</span>Anheuern (Der Preis der Schatten)</h4>
+        <ul class="list-disc list-inside space-y-2">
+            <li><strong>Zeitpunkt:</strong> In deiner Rekrutierung (Phase 1b).</li>
+            <li><strong>Kosten:</strong> Zahle <strong>${rules.costs.hireNinja} Koku</strong> an die Bank.</li>
+            <li><strong>Aufstellung:</strong> Stelle die einzige Ninja-Figur <strong>offen</strong> in eine beliebige Provinz der Karte (eigene, feindliche oder neutrale).</li>
+        </ul>
+        <p class="mt-2">Die Anwesenheit des Ninja ist nun allen bekannt. Alle wissen, dass in dieser Provinz ein Agent am Werk ist, doch seine wahre Mission bleibt verborgen.</p>
+
+        <h4 class="mt-6" id="s9_1_2"><span class="rule-number">§ 9.1.2</span>Aufdecken (Die Klinge im Dunkeln)</h4>
+        <p>Der Ninja-Spieler darf die Mission des Ninja <strong>einmal pro Runde</strong> aufdecken, sobald in der Provinz des Ninja ein gültiger Auslöser eintritt.</p>
+        <p>Tritt ein Auslöser ein, darf der Ninja-Spieler die auslösende Handlung unterbrechen und <strong>eine</strong> der drei Operationen wählen, die zum Auslöser passt. Die konkrete Mission wird erst im Moment des Aufdeckens gewählt.</p>
+        <p>Ist die Operation aufgedeckt und ihre Wirkung vollständig abgehandelt, wird die Ninja-Figur für den Rest der Runde vom Spielbrett genommen. Sein Auftrag ist erfüllt.</p>
+
+        <h4 class="mt-6" id="s9_1_3"><span class="rule-number">§ 9.1.3</span>Die drei Operationen</h4>
+        <p>Jede Operation soll einen strategischen Wert bringen, der der Investition von ${rules.costs.hireNinja} Koku entspricht.</p>
+
+        <div class="info-card border-accent-secondary bg-gray-900/50 mt-4">
+            <h5 class="!mt-0 !border-b-accent-secondary/50">1. „Durchzug verwehren!“ (Der eiserne Fächer)</h5>
+            <p><strong>Hintergrund:</strong> Der Agent macht Marschrouten unpassierbar, befestigt Pässe oder droht mit einem Hinterhalt und verlangt Wegzoll für einen sicheren Durchzug.</p>
+            <p><strong>Auslöser:</strong> Ein Gegner erklärt eine Bewegung mit einer oder mehreren Einheiten <strong>in</strong> die Provinz, in der der Ninja steht.</p>
+            <p><strong>Wirkung:</strong> Die Klinge des Ninja versperrt den Weg. Der Gegner steht vor einem Dilemma und muss sofort wählen:</p>
+            <ul class="list-disc list-inside ml-4 mt-2">
+                <li><strong>Möglichkeit A (Durchbrechen):</strong> Zahle pauschal <strong>${rules.costs.denyPassageToll} Koku</strong> an die Bank, um die Sperre zu durchbrechen und die Bewegung wie geplant fortzusetzen.</li>
+                <li><strong>Möglichkeit B (Rückzug):</strong> Brich die Bewegung dieser Armee in diese Provinz sofort ab. Die Armee bleibt in ihrer Ausgangsprovinz (der Provinz, aus der die Bewegung erklärt wurde). Sie gilt in dieser Runde als bewegt und darf keine weiteren Handlungen ausführen.</li>
+            </ul>
+        </div>
+
+        <div class="info-card border-accent-secondary bg-gray-900/50 mt-4">
+            <h5 class="!mt-0 !border-b-accent-secondary/50">2. „Zwietracht säen!“ (Der vergiftete Stahl)</h5>
+            <p><strong>Hintergrund:</strong> Der Agent sät Angst und Zwietracht in den feindlichen Reihen, vergiftet Brunnen oder sabotiert die Ausrüstung und bricht die Moral, bevor der erste Hieb fällt.</p>
+            <p><strong>Auslöser:</strong> Eine Schlacht beginnt <strong>in</strong> der Provinz des Ninja (gleich, wer angreift oder verteidigt).</p>
+            <p><strong>Wirkung:</strong> Unmittelbar vor dem Würfeln wählt der Ninja-Spieler einen an dieser Schlacht beteiligten Spieler. Der Agent stört dessen Schlachtordnung: Dieser Spieler erleidet <strong>-1 auf alle seine Würfe</strong> (Angriff oder Verteidigung) <strong>für diese eine Schlacht</strong>.</p>
+        </div>
+
+        <div class="info-card border-accent-secondary bg-gray-900/50 mt-4">
+            <h5 class="!mt-0 !border-b-accent-secondary/50">3. „Vorräte verbrennen!“ (Der rote Wind)</h5>
+            <p><strong>Hintergrund:</strong> Der Agent schleicht sich ins Lager und legt Feuer an Reisspeicher und Munitionslager. Der Feind muss sofort Mittel aufwenden, um das Feuer zu bekämpfen und die Vorräte zu ersetzen – oder zusehen, wie seine Armee hungert.</p>
+            <p><strong>Auslöser:</strong> Eine Schlacht beginnt <strong>in</strong> der Provinz des Ninja (derselbe Auslöser wie bei „Zwietracht säen!“).</p>
+            <p><strong>Wirkung:</strong> Unmittelbar vor dem Würfeln wählt der Ninja-Spieler einen an dieser Schlacht beteiligten Spieler. Der Ninja zerstört dessen Nachschub: Dieser Spieler muss <strong>sofort ${rules.costs.burnTheSupplies} Koku</strong> an die Bank zahlen.</p>
+            <p><strong>Bankrottklausel:</strong> Kann der gewählte Spieler die ${rules.costs.burnTheSupplies} Koku nicht (oder nicht vollständig) zahlen, gilt für den offenen Betrag die Bankrottregel (§ 4.2). Der Spieler muss je Koku, das er nicht zahlen kann, <strong>${rules.economy.bankruptcyBushiPerKoku} Bushi</strong> (nach eigener Wahl, von irgendwo auf dem Spielbrett) entfernen.</p>
+        </div>
+
+
+        <h3 class="mt-8" id="s9_2"><span class="rule-number">§ 9.2</span>Burgen und Festungen bauen</h3>
+        <p>Jeder Klan darf zur selben Zeit nur 1 Burg oder Festung auf der Karte haben.</p>
+        <ul class="list-disc list-inside">
+            <li><strong>Burg bauen (${rules.costs.buildCastle} Koku):</strong> Stelle eine Burg in eine Provinz, die du kontrollierst. Sie gibt +1 auf Verteidigungswürfe. Höchstens 1 je Spieler.</li>
+            <li><strong>Burg befestigen (${rules.costs.fortifyCastle} Koku):</strong> Lege einen Marker auf deine Burg. Ihr Verteidigungsbonus steigt für eine Runde auf +2.</li>
+            <li><strong>Zerstörung:</strong> Erlangt ein gegnerischer Spieler die Kontrolle über eine Provinz mit einer Burg oder Festung, wird die Befestigung sofort vom Spielbrett entfernt.</li>
+        </ul>
+
+    </div>
+</section>
+                `,
+'modules': `
+                <section id="page-modules" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                           <h2 class="!mt-0" id="s10_heading"><span class="rule-number">§ 10</span>OPTIONALE MODULE</h2>
+                        </header>
+
+                        <!-- § 10.0 Matrix -->
+                        <div class="info-card border-accent-secondary bg-gray-900/50">
+                            <h3 class="!mt-0 !border-b-accent-secondary/50" id="s10_0">§ 10.0 Leitfaden zu den Modulen</h3>
+                            <p>Die folgenden Module sind als präzise Werkzeuge gedacht, die bestimmte Seiten des Spiels betonen. Kombiniere sie mit Absicht.</p>
+                            <h4 class="mt-8">Empfohlene Spielpakete</h4>
+                            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mt-4">
+                                <div class="info-card !m-0">
+                                    <h5 class="!mt-0">Das Zeitalter der Feuerwaffen</h5>
+                                    <p class="text-sm"><strong>Schwerpunkt:</strong> Militär und Technik</p>
+                                    <p class="text-xs mt-2"><strong>Module:</strong><br>§ 10.3 Spezialisierte Kriegsführung 🛡️<br>§ 10.4 Der Nanban-Handel 🔫</p>
+                                </div>
+                                <div class="info-card !m-0">
+                                    <h5 class="!mt-0">Der Preis des Reiches</h5>
+                                    <p class="text-sm"><strong>Schwerpunkt:</strong> Wirtschaft und Instabilität</p>
+                                    <p class="text-xs mt-2"><strong>Module:</strong><br>§ 10.5 Kreislauf von Reis und Krieg 🌾<br>§ 10.6 Aufstand der Ikkō-ikki 👺</p>
+                                </div>
+                                <div class="info-card !m-0">
+                                    <h5 class="!mt-0">Das Spiel um den Thron</h5>
+                                    <p class="text-sm"><strong>Schwerpunkt:</strong> Politik und Diplomatie</p>
+                                    <p class="text-xs mt-2"><strong>Module:</strong><br>§ 10.1 Politisches Spiel ⚖️<br>§ 10.2 Die Gunst des Kaisers 👑</p>
+                                </div>
+                            </div>
+                            <h4 class="mt-8" id="module_selection">Wähle die Module für deine Partie</h4>
+                            <p>Deine Wahl wird in diesem Browser gespeichert und prägt das ganze Regelbuch: Die Seiten Regeln, Ablauf und Referenz zeigen die Regeln deiner Module und blenden die Regeln aus, die sie ersetzen, und neue Hot-Seat-Partien beginnen mit ihnen. Teile den Link, damit alle am Tisch dieselben Regeln lesen.</p>
+${renderModuleSelector()}
+                        </div>
+
+                        <!-- SECTION A: POLITICS -->
+                        <hr class="section-divider">
+                        <h2 class="text-center text-accent-secondary">I. Politik und Diplomatie</h2>
+
+                        <!-- § 10.1 Political Play -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_1"><span class="rule-number">§ 10.1</span> Modul: Politisches Spiel und Blutfehde<span title="Modul: Politisches Spiel und Blutfehde" class="module-icon ml-2">⚖️</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Mittel | <strong>Schwerpunkt:</strong> Bündnisse und Verrat</blockquote>
+                            <h4 class="mt-8" id="s10_1_1"><span class="rule-number">§ 10.1.1</span> Der Ehrenpakt</h4>
+                            <p><strong>Kosten:</strong> 1 Koku für das Angebot. <strong>Pfand:</strong> Beide Spieler legen je 2 Koku in einen gemeinsamen Topf.</p>
+                            <ul class="list-disc list-inside mt-4 space-y-2">
+                                <li><strong>Vorteile:</strong> Durch das Land des Verbündeten ziehen. Provinzen teilen (insgesamt höchstens 10 Einheiten).</li>
+                                <li><strong>Verrat (Angriff auf den Verbündeten):</strong> Der Verräter verliert das Pfand (das Opfer erhält 4 Koku). Der Verräter erleidet für die Runde <strong>-1 auf Angriffe</strong>.</li>
+                                <li><strong>Blutfehde:</strong> Das Opfer erklärt eine dauerhafte Blutfehde (+1 auf Angriff und Verteidigung gegen den Verräter, für immer).</li>
+                            </ul>
+                        </div>
+
+                        <!-- § 10.2 Emperor's Favor -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_2"><span class="rule-number">§ 10.2</span>Modul: Die Gunst des Kaisers<span title="Modul: Die Gunst des Kaisers" class="module-icon ml-2">👑</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Gering | <strong>Schwerpunkt:</strong> King of the Hill (Kyōto)</blockquote>
+                            <h4 class="mt-8" id="s10_2_1"><span class="rule-number">§ 10.2.1</span>Legitimität</h4>
+                            <p>Erhalte <strong>1 Legitimitätspunkt</strong>, wenn du zu Beginn der Verstärkungsphase die alleinige Kontrolle über Yamashiro (Kyōto) hast.</p>
+                            <h4 class="mt-8" id="s10_2_2"><span class="rule-number">§ 10.2.2</span>Kaiserliche Edikte</h4>
+                            <p>Gib in deinem Zug Legitimität für diese Wirkungen aus:</p>
+                            <ul class="list-disc list-inside">
+                                <li><strong>3 Legitimität (Rechtmäßiger Anspruch):</strong> Entferne 3 feindliche Bushi aus einer Provinz (der Besitzer erhält 1 Koku je Bushi als Entschädigung).</li>
+                                <li><strong>3 Legitimität (Kaiserlicher Tadel):</strong> Alle Spieler erhalten in dieser Runde +1 auf Angriffe gegen den gewählten Spieler.</li>
+                                <li><strong>6 Legitimität (Ernannter Shōgun):</strong> Sofortiger Sieg, wenn du Kyōto kontrollierst.</li>
+                            </ul>
+                        </div>
+
+                        <!-- SECTION B: WARFARE -->
+                        <hr class="section-divider">
+                        <h2 class="text-center text-accent-secondary">II. Kriegsführung und Technik</h2>
+
+                        <!-- § 10.3 Specialized Warfare -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_3"><span class="rule-number">§ 10.3</span>Modul: Spezialisierte Kriegsführung<span title="Modul: Spezialisierte Kriegsführung" class="module-icon ml-2">🛡️</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Hoch | <strong>Schwerpunkt:</strong> Taktisches Schere-Stein-Papier</blockquote>
+                            <p>Ersetzt die allgemeinen „Bushi“ durch bestimmte Einheitenarten. Jede Einheit kostet 1 Koku.</p>
+                            <div class="table-responsive-wrapper">
+                                <table class="table-structured">
+                                    <thead><tr><th data-label="Einheit">Einheit</th><th data-label="Angriff">Angriff</th><th data-label="Verteidigung">Verteidigung</th><th data-label="Besonderheit">Besonderheit</th></tr></thead>
+                                    <tbody>
+                                        <tr><td data-label="Einheit"><strong>Ashigaru-Speerträger</strong></td><td data-label="Angriff">6</td><td data-label="Verteidigung">5-6</td><td data-label="Besonderheit"><strong>Speerwall:</strong> +1 Verteidigung, wenn ≥2 dabei sind.</td></tr>
+                                        <tr><td data-label="Einheit"><strong>Samurai-Schwertkämpfer</strong></td><td data-label="Angriff">5-6</td><td data-label="Verteidigung">5-6</td><td data-label="Besonderheit"><strong>Duellant:</strong> Würfelt 2 Würfel, wenn er allein angreift.</td></tr>
+                                        <tr><td data-label="Einheit"><strong>Samurai-Bogenschützen</strong></td><td data-label="Angriff">4-6 (Fernkampf)</td><td data-label="Verteidigung">6</td><td data-label="Besonderheit">Greift in der Fernkampfphase an (vor dem Nahkampf).</td></tr>
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <!-- § 10.4 Nanban Trade -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_4"><span class="rule-number">§ 10.4</span>Modul: Der Nanban-Handel<span title="Modul: Der Nanban-Handel und die Revolution der Feuerwaffen" class="module-icon ml-2">🔫</span></h3>
+                            <div class="info-card border-accent-primary bg-gray-900/50 mt-4"><p class="!mt-0 font-bold">SETZT § 10.3 SPEZIALISIERTE KRIEGSFÜHRUNG VORAUS</p></div>
+                            <h4 class="mt-8" id="s10_4_1"><span class="rule-number">§ 10.4.1</span>Feuerwaffentechnik</h4>
+                            <p>Kontrolliere einen Handelsposten (Settsu oder Hizen). Zahle einmalig <strong>8 Koku</strong>, um die Technik freizuschalten.</p>
+                            <h4 class="mt-8" id="s10_4_3"><span class="rule-number">§ 10.4.3</span>Arkebusiere</h4>
+                            <p><strong>Kosten:</strong> 2 Koku je Einheit.</p>
+                            <ul class="list-disc list-inside">
+                                <li><strong>Angriff:</strong> 4-6 (Feuerwaffenphase – VOR dem Fernkampf).</li>
+                                <li><strong>Verteidigung:</strong> – (Kann nicht wirksam verteidigen; zählt als Bushi).</li>
+                                <li><strong>Salve:</strong> Angriffe ignorieren ALLE Verteidigungsboni von Burgen und Festungen.</li>
+                            </ul>
+                        </div>
+
+                        <!-- SECTION C: ECONOMY -->
+                        <hr class="section-divider">
+                        <h2 class="text-center text-accent-secondary">III. Wirtschaft und Stabilität</h2>
+
+                        <!-- § 10.5 Cycle of Rice & War -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_5"><span class="rule-number">§ 10.5</span>Modul: Der Kreislauf von Reis und Krieg<span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon ml-2">🌾</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Hoch | <strong>Schwerpunkt:</strong> Tiefe Logistik und Risiko</blockquote>
+                            <p><strong>Ersetzt:</strong> Das normale Einkommen und die Winterphase.</p>
+
+                            <h4 class="mt-8" id="s10_5_2"><span class="rule-number">§ 10.5.2</span>Geänderter Rundenablauf</h4>
+                            <h5 class="mt-4">Phase 1: Planung</h5>
+                            <ul class="list-disc list-inside">
+                                <li><strong>Stipendium:</strong> Feste <strong>4 Koku</strong> je Spieler (plus Klanboni). Kein Provinzeinkommen.</li>
+                                <li><strong>Verteilung:</strong> Verteile nach dem Ausgeben ALLE übrigen Koku deiner Schatzkammer:
+                                    <ul class="list-disc list-inside ml-4">
+                                        <li><strong>Lagern:</strong> Sicher für die nächste Runde.</li>
+                                        <li><strong>Säen:</strong> Auf eine Provinz legen. <strong>Höchstens 2 Koku je Provinz.</strong> <strong>Nicht in Gebirgsprovinzen.</strong></li>
+                                    </ul>
+                                </li>
+                            </ul>
+
+                            <h5 class="mt-4">Phase 3: Winter (Ernte)</h5>
+                            <p>Würfle <strong>2W6</strong> für den gemeinsamen Ertragsfaktor der gesäten Koku:</p>
+                            <ul class="list-disc list-inside ml-4">
+                                <li><strong>2-5 (Hungersnot):</strong> Ertrag x1.</li>
+                                <li><strong>6-9 (Normal):</strong> Ertrag x2.</li>
+                                <li><strong>10-12 (Reiche Ernte):</strong> Ertrag x3.</li>
+                            </ul>
+                            <p><strong>Verderb:</strong> Wirf am Ende der Phase die <strong>Hälfte</strong> (abgerundet) der Koku in deiner Schatzkammer ab.</p>
+                        </div>
+
+                        <!-- § 10.6 Ikko-Ikki -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_6"><span class="rule-number">§ 10.6</span>Modul: Der Aufstand der Ikkō-ikki<span title="Modul: Der Aufstand der Ikkō-ikki" class="module-icon ml-2">👺</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Mittel | <strong>Schwerpunkt:</strong> Innere Spannungen</blockquote>
+                            <ul class="list-disc list-inside mt-4">
+                                <li><strong>Unruhe:</strong> Wer eine Verteidigungsschlacht verliert, erhält dort einen Unruhemarker.</li>
+                                <li><strong>Rebellion:</strong> Ein 2. Unruhemarker löst eine Rebellion aus. Die Provinz wird <strong>neutral (Ikkō-ikki-Hochburg)</strong> mit 3 neutralen Bushi.</li>
+                                <li><strong>Befriedung:</strong> Zahle 2 Koku, um die Unruhe zu entfernen. Oder erobere die Provinz zurück und würfle 4-6, um sie zu befrieden.</li>
+                            </ul>
+                        </div>
+
+                        <!-- SECTION D: THE FALLEN -->
+                        <hr class="section-divider">
+                        <h2 class="text-center text-accent-secondary">IV. Die Gefallenen (Ausscheiden von Spielern)</h2>
+                        <p class="text-center mb-8">Wähle EINES der folgenden Systeme für ausgeschiedene Spieler.</p>
+
+                        <!-- § 10.7 Path of Glory -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_7"><span class="rule-number">§ 10.7</span>Modul: Pfad des Ruhms<span title="Modul: Pfad des Ruhms" class="module-icon ml-2">🏆</span></h3>
+                            <blockquote><strong>Komplexität:</strong> Gering | <strong>Stil:</strong> Arcade / kompetitiv</blockquote>
+                            <p>Ersetzt die Vasallität. Ausgeschiedene Spieler sammeln <strong>Ruhmespunkte (RP)</strong>.</p>
+                            <div class="table-responsive-wrapper">
+                                <table><thead><tr><th>Bedingung</th><th>RP</th></tr></thead>
+                                <tbody>
+                                    <tr><td>Den letzten Daimyō eines beliebigen Spielers besiegen</td><td>+2 RP</td></tr>
+                                    <tr><td>Den letzten Daimyō des führenden Spielers besiegen</td><td>+3 RP</td></tr>
+                                    <tr><td>Die alleinige Kontrolle über eine Mandatsprovinz erlangen</td><td>+3 RP</td></tr>
+                                </tbody></table>
+                            </div>
+                            <p class="mt-4"><strong>Sieg:</strong> Wer 7 RP erreicht, gewinnt sofort.</p>
+                        </div>
+
+                        <!-- § 10.8 Way of the Ronin -->
+                        <div class="info-card">
+                            <h3 class="!mt-0" id="s10_8"><span class="rule-number">§ 10.8</span>Modul: Der Weg des Rōnin<span title="Modul: Der Weg des Rōnin" class="module-icon ml-2">👺</span></h3>
+
+                            <div class="info-card !mt-6 border-accent-secondary bg-gray-900/50">
+                                <p class="!mt-0 font-bold text-accent-secondary">EXPERIMENTELLES / FORTGESCHRITTENES MODUL</p>
+                                <p class="mt-2 text-sm"><strong>WARNUNG:</strong> Dieses Modul macht aus dem Strategiespiel einen asymmetrischen Aufstand. Viel Drama, viel Unberechenbarkeit.</p>
+                            </div>
+
+                            <blockquote>
+                                <strong>Komplexität:</strong> Maximal | <strong>Interaktion:</strong> Maximal<br>
+                                „Warum einen Verräter anheuern? Weil ein Hund ohne Leine jeden beißt. Füttere ihn, und er beißt deine Feinde. Lass ihn hungern, und er frisst deine Kinder.“
+                            </blockquote>
+
+                            <h4 class="mt-8" id="s10_8_1"><span class="rule-number">§ 10.8.1</span>Status: Rōnin (Spieler) und der Zusammenbruch</h4>
+                            <p>Ein Spieler, der seine letzte Provinz verliert, wird zum <strong>Rōnin (Spieler)</strong>. Er behält 1 Daimyō-Figur, die ihn selbst darstellt. Alle anderen Figuren kommen in den Vorrat zurück.</p>
+                            <p class="mt-2"><strong>Das Machtvakuum:</strong> Alle seine früheren Provinzen werden sofort <strong>NEUTRAL</strong>. Stellt in jede 2 neutrale Bushi; sie stehen für örtliche Kriegsherren, die die Lücke füllen.</p>
+
+                            <h4 class="mt-8" id="s10_8_2"><span class="rule-number">§ 10.8.2</span>Der Söldnermarkt</h4>
+                            <p>In der <strong>Planungsphase (Phase 1)</strong> dürfen Rōnin (Spieler) offen ihre Dienste gegen Koku aushandeln (gezahlt in ihren eigenen Vorrat).</p>
+                            <ul class="list-disc list-inside mt-2">
+                                <li><strong>Einsatz:</strong> Ein angeheuerter Rōnin (Spieler) schließt sich der Armee eines Gönners an. Er zählt zum Stapellimit (7).</li>
+                                <li><strong>Bindende Absprachen:</strong> Absprachen (z. B. „Greif Spieler C an“) sind bindend, solange bezahlt wird.</li>
+                            </ul>
+
+                            <h4 class="mt-8" id="s10_8_3"><span class="rule-number">§ 10.8.3</span>Die Hungerregel (Banditentum)</h4>
+                            <p>Heuert ihn in einer Runde <strong>NIEMAND</strong> an, wird der Rōnin (Spieler) in der <strong>Winterphase (Phase 3)</strong> zum Banditen.</p>
+                            <ul class="list-disc list-inside mt-2">
+                                <li><strong>Wirkung:</strong> Er stellt seine Figur in eine beliebige Provinz eines Gegners. Diese Provinz zahlt <strong>DOPPELTEN Unterhalt</strong>.</li>
+                                <li><strong>Unangreifbar:</strong> Banditen können nicht angegriffen werden. Sie sind eine Guerillabedrohung, der man nur mit Bestechung beikommt (ihn im nächsten Zug anheuern).</li>
+                            </ul>
+
+                            <h4 class="mt-8" id="s10_8_4"><span class="rule-number">§ 10.8.4</span>Heldenschwung</h4>
+                            <p>In der <strong>Kampfauflösung (Phase 2)</strong> bringt der Rōnin (Spieler) besondere Vorteile:</p>
+                            <ol class="list-decimal list-inside mt-2">
+                                <li><strong>Inspiration:</strong> Der Rōnin (Spieler) zählt als Daimyō (die Armee darf neu würfeln).</li>
+                                <li><strong>Ruhm:</strong> Gewinnt die Armee, erhält der <strong>Rōnin (Spieler)</strong> (nicht der Gönner) einen <strong>Ruhmesmarker</strong>.</li>
+                                <li><strong>Heldenschutz:</strong> Dem Rōnin (Spieler) darf erst dann ein Verlust zugewiesen werden, wenn die ganze Armee vernichtet ist.</li>
+                            </ol>
+
+                            <h4 class="mt-8" id="s10_8_5"><span class="rule-number">§ 10.8.5</span>Gekokujō (Der Verrat)</h4>
+                            <p><strong>Bedingung:</strong> Mindestens 3 Ruhmesmarker.</p>
+                            <p>Der Rōnin (Spieler) darf <strong>unmittelbar vor jedem Kampfwurf</strong>, an dem seine Armee beteiligt ist, einen Umsturz erklären. Würfle 1W6:</p>
+                            <ul class="list-disc list-inside ml-4 mt-2">
+                                <li><strong>1-3 (Hinrichtung):</strong> Der Rōnin (Spieler) wird getötet und scheidet aus dem Spiel aus.</li>
+                                <li><strong>4-6 (Erfolg):</strong> Sofortige Machtübernahme. Löse sofort § 10.8.6 aus.</li>
+                            </ul>
+
+                            <div class="info-card border-accent-secondary bg-gray-900/50 mt-6">
+                                <h4 class="!mt-0 !border-b-accent-secondary/50" id="s10_8_6"><span class="rule-number">§ 10.8.6</span>Der Lohn des Usurpators</h4>
+                                <p>Nach einem gelungenen Umsturz (Wurf 4-6) kehrt der Rōnin (Spieler) als Daimyō zurück und erhält <strong>sofort</strong>:</p>
+                                <ol class="list-decimal list-inside space-y-3 mt-4">
+                                    <li><strong>Heeresübernahme:</strong> ALLE Einheiten in der Provinz (auch die des Gönners) werden sofort zu Einheiten des Rōnin.</li>
+                                    <li><strong>Griff in die Schatzkammer:</strong> Stiehl <strong>50 %</strong> (abgerundet) der aktuellen Koku des Opfers.</li>
+                                    <li><strong>Schwung:</strong> Führe mit der neuen Armee sofort eine kostenlose <strong>Bewegungs-/Angriffshandlung</strong> aus.</li>
+                                </ol>
+                            </div>
+                        </div>
+
+                    </div></div>
+                </section>
+                `,
+'strategy': `
+                <section id="page-strategy" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+<header class="page-header">
+    <div class="header-content">
+        <h1>Strategie</h1>
+        <p class="subtitle">Ein Handbuch fürs Überleben, nicht für den Ruhm</p>
+    </div>
+</header>
+
+<section id="s8_clans_guide" class="page-section">
+    <h2>Das Fundament: Eine Einschätzung der Klans</h2>
+    <p class="text-gray-400 mb-6">Der Sieg verlangt ein klares Verständnis der eigenen Werkzeuge. Die folgenden Einschätzungen beschreiben die angeborenen Vorteile und die strukturellen Schwächen jedes Klans. Halte sie nicht für Erfolgsgarantien; es sind bloß Ausgangsbedingungen.</p>
+
+    <div class="space-y-6">
+        <!-- Chosokabe -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Chosokabe-Klan (Der Verwalter)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Wirtschaftlicher Aufbau:</strong> Der Vorteil des Klans liegt im wachsenden Einkommen. Sichere früh zwei Küstenprovinzen. Dieser Überschuss ist deine einzige verlässliche Waffe.</li>
+                        <li><strong>Defensives Wachstum:</strong> Baue eine Burg. Rekrutiere stetig. Meide frühe Kämpfe, die die Schatzkammer leeren, bevor sie Früchte trägt.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Präventivschlag:</strong> Greif an, bevor sich ihre Wirtschaft festigt. Ein Chosokabe ohne Schatzkammer ist nur ein Ziel.</li>
+                        <li><strong>Küstensperre:</strong> Ihre Küste zu besetzen schadet mehr, als ihre Armeen zu schlagen.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/tosa-600.jpg" alt="Karte der Provinz Tosa" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Tosa. Sichere Shikoku. Dann blicke nach Norden.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Hojo -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Hōjō-Klan (Der Baumeister)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Befestigung:</strong> Deine Priorität ist die Festung in Sagami. Sie ist ein fester Anker auf einer beweglichen Karte.</li>
+                        <li><strong>Vorstoß zur Mitte:</strong> Sagami ist eine Mandatsprovinz. Sichere deine Basis und dehne dich dann planvoll Richtung Kyōto und Ōsaka aus. Überdehne dich nicht.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Umgehen:</strong> Stürme die Festung nicht. Der Verteidigungsbonus von +2 ist eine mathematische Falle. Gewinne, indem du das unverteidigte Umland eroberst.</li>
+                        <li><strong>Eindämmen:</strong> Schneide Sagami ab. Eine Festung ohne Einkommen ist ein Grab.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/sagami-600.jpg" alt="Karte der Provinz Sagami" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Sagami. Deine Festung ist dein Mandat.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Mori -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Mōri-Klan (Der Seefahrer)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Küstenkette:</strong> Deine Wirtschaft und Beweglichkeit hängen an einer zusammenhängenden Küste. Verlierst du die Küste, verlierst du deinen Vorteil.</li>
+                        <li><strong>Asymmetrische Bedrohung:</strong> Für 1 Koku kannst du Truppen quer über die Karte verlegen. Nutze das, um unverteidigte Hinterländer zu treffen. Die Drohung einer Bewegung nützt oft so viel wie die Bewegung selbst.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Die Linie kappen:</strong> Nimm eine zentrale Küstenprovinz ein, um ihr Verkehrsnetz zu zerreißen.</li>
+                        <li><strong>Nachhut:</strong> Lass Küstenzentren nicht unverteidigt. Die Mōri setzen auf deine Nachlässigkeit.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                         <img src="images/provinces/aki-600.jpg" alt="Karte der Provinz Aki" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Aki. Beherrsche die Inlandsee.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Oda -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Oda-Klan (Der Kriegslustige)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Kampf um den Anführer:</strong> Ohne Daimyō sind deine Truppen mittelmäßig. Ballung deine Kräfte um deine Anführer, um den Angriffsbonus zu nutzen.</li>
+                        <li><strong>Aggressive Landnahme:</strong> Dir fehlen wirtschaftliche Stärken. Du musst anderen Land abnehmen, um deine Armee zu bezahlen. Stillstand ist der Tod.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Kopfjagd:</strong> Ohne Daimyō sind die Oda nur teure Bauern. Nutze Ninja oder gezielte Schläge, um ihre Führung auszuschalten.</li>
+                        <li><strong>Zermürbung:</strong> Meide offene Feldschlachten. Zwinge sie, ihre Armeen zu teilen, und verwässere so ihren Führungsbonus.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/owari-600.jpg" alt="Karte der Provinz Owari" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Owari. Eine zentrale Lage für eine zentrale Bedrohung.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Otomo -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Otomo-Klan (Der Spekulant)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Haushaltsdisziplin:</strong> Deine Fähigkeit kostet 2 Koku. Verschwende sie nicht an Scharmützel. Horte deinen Reichtum.</li>
+                        <li><strong>Kalkuliertes Risiko:</strong> Setze dein Neuwürfeln nur ein, wenn das Ergebnis über die Partie entscheidet – um eine Mandatsprovinz zu nehmen oder einen Rivalen auszuschalten.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Wirtschaftskrieg:</strong> Zwinge sie in häufige, wenig lohnende Kämpfe, um ihre Schatzkammer zu leeren.</li>
+                        <li><strong>Defensive Haltung:</strong> Ihr Vorteil liegt im Angriff. Zwinge sie zur Verteidigung, und sie sind gewöhnlich.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/bungo-600.jpg" alt="Karte der Provinz Bungo" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Bungo. Festige Kyūshū, dann kaufe dir den Sieg.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Shimazu -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Shimazu-Klan (Der Eroberer)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Gebot der Küste:</strong> Nimm sofort drei Küstenprovinzen ein. Das holt das Meiste aus deinem Einkommensbonus.</li>
+                        <li><strong>Schwung:</strong> Setze frühe wirtschaftliche Gewinne direkt in Truppen um. Du musst ins Rollen kommen, bevor sich deine Rivalen festigen.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Frühe Eindämmung:</strong> Mach ihnen die Küstenprovinzen streitig, um ihre Wirtschaft auszuhungern.</li>
+                        <li><strong>Geduld:</strong> Ihr Bonus ist gedeckelt. Überstehst du die Anfangsphase, schwindet ihr Vorteil.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/satsuma-600.jpg" alt="Karte der Provinz Satsuma" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Satsuma. Sichere die Ecke, dann dränge nach Norden.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Takeda -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Takeda-Klan (Der Reiter)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Zentrale Stellung:</strong> Stelle deine Hauptmacht zentral auf. Dein Bedrohungsradius ist größer als der jedes anderen Klans.</li>
+                        <li><strong>Tiefer Vorstoß:</strong> Nutze die Bewegung über 3 Provinzen, um Frontlinien zu umgehen und wichtige Ziele im Hinterland zu treffen.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Abschirmen:</strong> Ein einzelner Bushi kann eine Armee aufhalten. Nutze Postenketten, um ihren Bewegungsvorteil aufzuheben.</li>
+                        <li><strong>Schlag gegen die Basis:</strong> Zieht die Takeda-Armee aus, liegt ihre Heimat oft offen. Greif das leere Nest an.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/kai-600.jpg" alt="Karte der Provinz Kai" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Kai. Geschwindigkeit ist deine Rüstung.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Tokugawa -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Tokugawa-Klan (Der Geduldige)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Verschanzung im Hochland:</strong> Besetze Gebirgsprovinzen. Für andere sind sie eine Last, für dich kostenlose Festungen.</li>
+                        <li><strong>Zermürbung:</strong> Du spielst auf lange Sicht. Lass die anderen sich im Kampf um die Ebenen erschöpfen, während du in den Bergen Stärke aufbaust.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Verweigerung:</strong> Mach ihnen die Gebirgsprovinzen früh streitig. Ohne sie ist der Vorteil der Tokugawa nichtig.</li>
+                        <li><strong>Ignorieren:</strong> Greif sie nicht in den Bergen an. Dehne dich anderswo aus und produziere mehr als sie.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/mikawa-600.jpg" alt="Karte der Provinz Mikawa" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Mikawa. Warte. Der Berg bewegt sich nicht.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+        <!-- Uesugi -->
+        <details class="bg-gray-800 p-4 rounded-lg">
+            <summary class="cursor-pointer font-semibold">Der Uesugi-Klan (Der Wächter)</summary>
+            <div class="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <h4 class="!mt-0 !border-b-0">Einsatzgrundsätze</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Starre Verteidigung:</strong> Deine Fähigkeit macht jede Provinz, die du zu Beginn der Runde hältst, zum Stützpunkt. Sichere Engpässe und zwinge den Feind, zu dir zu kommen.</li>
+                        <li><strong>Planvoller Vormarsch:</strong> Erobere, halte eine Runde, um deinen Bonus zu aktivieren, und rücke dann vor. Überstürze nichts.</li>
+                    </ul>
+                    <h4 class="mt-6">Gegenstrategien</h4>
+                    <ul class="list-disc list-inside space-y-2">
+                        <li><strong>Indirekter Ansatz:</strong> Greif nicht dort an, wo sie stark sind. Zwinge sie, dich anzugreifen.</li>
+                        <li><strong>Tempo:</strong> Triff Provinzen, die sie <em>in dieser Runde</em> erst erobert haben. Dort sind sie verwundbar, bevor sie sich eingraben.</li>
+                    </ul>
+                </div>
+                <div>
+                    <h4 class="!mt-0 !border-b-0">Operationsbasis</h4>
+                    <div class="text-center p-2 rounded-lg bg-gray-900">
+                        <img src="images/provinces/echigo-600.jpg" alt="Karte der Provinz Echigo" class="w-full h-auto rounded-md">
+                        <p class="text-xs text-gray-400 mt-2">Start: Echigo. Lass sie an deinen Mauern zerschellen.</p>
+                    </div>
+                </div>
+            </div>
+        </details>
+    </div>
+</section>
+
+<section id="s8_war_college" class="page-section">
+    <h2>Die Bibliothek: Historische Vorbilder</h2>
+    <p class="text-gray-400 mb-6">Die Zwickmühlen auf dem Spielbrett sind Abstraktionen echter historischer Krisen. Plastikfiguren spüren keinen Schmerz, doch die Logik ihrer Bewegung folgt alten Lehren. Betrachte das Folgende nicht als Regeln, sondern als Beobachtungen.</p>
+
+    <details class="bg-gray-800 p-4 rounded-lg mt-4">
+        <summary class="cursor-pointer font-semibold text-xl">Sunzi: Anmerkungen zur Effizienz</summary>
+        <div class="mt-6">
+            <p class="mb-6 text-gray-400">Diese Sinnsprüche aus dem 5. Jahrhundert v. Chr. werden oft zitiert, aber selten verstanden. In diesem Spiel sind sie praktische Ratschläge zur Verwaltung deiner Mittel.</p>
+            <div class="space-y-4">
+                <blockquote class="border-l-4 border-accent-secondary pl-4 italic">„Die höchste Kriegskunst besteht darin, den Feind ohne Kampf zu unterwerfen.“ <br><span class="text-xs text-gray-500 not-italic">– Halte mit „Durchzug verwehren!“ des Ninja eine Armee für 3 Koku auf; das ist billiger, als eine Armee gegen sie aufzustellen.</span></blockquote>
+                <blockquote class="border-l-4 border-accent-secondary pl-4 italic">„Alle Kriegsführung beruht auf Täuschung.“ <br><span class="text-xs text-gray-500 not-italic">– Dein verborgener Koku-Vorrat ist dein einziges echtes Geheimnis. Hüte ihn.</span></blockquote>
+                <blockquote class="border-l-4 border-accent-secondary pl-4 italic">„Siegen wird, wer weiß, wann er kämpfen muss und wann nicht.“ <br><span class="text-xs text-gray-500 not-italic">– Rückzug ist ein gültiges Manöver. Lieber eine Provinz verlieren als eine Armee, die du nicht ersetzen kannst.</span></blockquote>
+            </div>
+        </div>
+    </details>
+
+    <details class="bg-gray-800 p-4 rounded-lg mt-4">
+        <summary class="cursor-pointer font-semibold text-xl">Die 36 Strategeme: Ein Katalog der Täuschung</summary>
+        <div class="mt-6">
+            <p class="mb-6 text-gray-400">Diese chinesischen Redewendungen zeigen, dass Fairness im Konflikt keine Tugend ist. Sie sind hier nach ihrem Nutzen im Spiel geordnet.</p>
+            <div class="space-y-8">
+                <div>
+                    <h4 class="!mt-0 !border-b-gray-700 text-lg">I. Kräfteökonomie</h4>
+                    <div class="space-y-4 mt-4">
+                        <p id="stratagem-1"><strong>1. Den Himmel täuschen und das Meer überqueren:</strong> Tarne eine große Offensive als Routinemanöver.</p>
+                        <p id="stratagem-2"><strong>2. Wei belagern, um Zhao zu retten:</strong> Greif die Versorgungsbasis des Feindes an, um seine Hauptarmee zum Rückzug zu zwingen.</p>
+                        <p id="stratagem-3"><strong>3. Mit einem geliehenen Messer töten:</strong> Bring einen Dritten dazu, deinen Feind anzugreifen. Oder nimm einen Ninja.</p>
+                        <p id="stratagem-4"><strong>4. Ausgeruht den erschöpften Feind erwarten:</strong> Befestige und warte. Lass den Feind Koku für Bewegung ausgeben, während du Zinsen sammelst.</p>
+                        <p id="stratagem-5"><strong>5. Ein brennendes Haus plündern:</strong> Treibt ein Ninja einen Spieler in den Bankrott, greif ihn sofort an.</p>
+                        <p id="stratagem-6"><strong>6. Im Osten lärmen, im Westen angreifen:</strong> Baue an einer Grenze eine Drohung auf und schicke dann deine Takeda-Reiterei an die andere.</p>
+                    </div>
+                </div>
+                 <div>
+                    <h4 class="!mt-8 !border-b-gray-700 text-lg">II. Gelegenheit</h4>
+                    <div class="space-y-4 mt-4">
+                        <p id="stratagem-9"><strong>9. Das Feuer am anderen Ufer beobachten:</strong> Misch dich nicht in einen Krieg zwischen Rivalen ein. Warte, bis der Sieger geschwächt ist, dann vernichte ihn.</p>
+                        <p id="stratagem-10"><strong>10. Hinter dem Lächeln den Dolch verbergen:</strong> Schließ ein Bündnis. Brich es, wenn der Gewinn die Kosten der Blutfehde übersteigt.</p>
+                        <p id="stratagem-11"><strong>11. Den Pflaumenbaum opfern, um den Pfirsichbaum zu retten:</strong> Verliere eine Provinz, um einen Daimyō zu retten.</p>
+                        <p id="stratagem-12"><strong>12. Mit leichter Hand das Schaf wegführen:</strong> Ist eine Provinz unverteidigt, nimm sie. Denk nicht zu lange nach.</p>
+                    </div>
+                </div>
+                <div>
+                    <h4 class="!mt-8 !border-b-gray-700 text-lg">III. Angriff und Chaos</h4>
+                     <div class="space-y-4 mt-4">
+                        <p id="stratagem-15"><strong>15. Den Tiger vom Berg locken:</strong> Locke einen defensiven Spieler (Tokugawa) dazu, dich auf offenem Gelände anzugreifen.</p>
+                        <p id="stratagem-19"><strong>19. Unter dem Kessel das Brennholz wegnehmen:</strong> Nutze „Vorräte verbrennen!“, um dem Feind die Mittel für seinen Unterhalt zu nehmen.</p>
+                        <p id="stratagem-20"><strong>20. Das Wasser trüben, um die Fische zu fangen:</strong> Stifte mit einem Ninja Chaos in einer Schlacht mehrerer Spieler und nimm dann das Ziel ein.</p>
+                         <p id="stratagem-36"><strong>36. Wenn alles fehlschlägt, zieh dich zurück:</strong> Überleben ist die einzige Siegbedingung, die zählt. Davonzulaufen ist keine Schande.</p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </details>
+</section>
+
+<section id="s8_synthesis" class="page-section">
+    <h2>Die Synthese: Lehre in der Praxis</h2>
+    <p class="text-gray-400 mb-6">Theorie ist nutzlos ohne Anwendung. So lassen sich die abstrakten Grundsätze oben auf die besonderen Vorteile der Klans übertragen.</p>
+    <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        <div class="info-card">
+            <h4 class="!mt-0">Hōjō: Strategem Nr. 4</h4>
+            <p><strong>Den Erschöpften erwarten:</strong> Die Fähigkeit der Hōjō erlaubt es dir, wirkungsvoll nichts zu tun. Baue deine Festung. Lass sie kommen. Jeder Zug, den sie marschieren, kostet Koku, die sie nicht für Soldaten ausgeben.</p>
+        </div>
+        <div class="info-card">
+            <h4 class="!mt-0">Mōri: Strategem Nr. 15</h4>
+            <p><strong>Den Tiger locken:</strong> Hat sich ein Feind im Landesinneren verschanzt, bedrohe mit deiner Beweglichkeit zur See seine unverteidigte Küste. Zwinge ihn, seine Befestigungen zu verlassen, um dich zu jagen.</p>
+        </div>
+        <div class="info-card">
+             <h4 class="!mt-0">Uesugi: Strategem Nr. 16</h4>
+            <p><strong>Loslassen, um zu fangen:</strong> Verteidige eine wenig wertvolle Provinz nur schwach, um einen Angriff zu ködern. Sobald der Feind sich ausdehnt, verliert er seinen Verteidigungsbonus. Deiner bleibt erhalten.</p>
+        </div>
+        <div class="info-card">
+            <h4 class="!mt-0">Otomo: Strategem Nr. 17</h4>
+            <p><strong>Einen Ziegel werfen, um Jade zu erhalten:</strong> Deine Fähigkeit kostet 2 Koku (der Ziegel). Setze sie nur ein, um eine Mandatsprovinz zu sichern (die Jade). Alles andere ist eine schlechte Rendite.</p>
+        </div>
+        <div class="info-card">
+            <h4 class="!mt-0">Tokugawa: Strategem Nr. 9</h4>
+            <p><strong>Das Feuer beobachten:</strong> Dank deiner Gebirgsimmunität hältst du Land billig. Lass die anderen um die teuren Ebenen kämpfen. Greif erst ein, wenn der Ausgang sicher ist.</p>
+        </div>
+        <div class="info-card">
+            <h4 class="!mt-0">Takeda: Strategem Nr. 6</h4>
+            <p><strong>Im Osten lärmen, im Westen angreifen:</strong> Sammle Truppen an einer Grenze, um eine Reaktion des Feindes zu erzwingen. Nutze dann deinen Bewegungsbonus, um ein ganz anderes Ziel zu treffen, bevor er umgruppieren kann.</p>
+        </div>
+    </div>
+</section>
+                    </div></div>
+                </section>
+                `,
+                'timing': `
+<section id="page-timing" class="page-container">
+    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+        <header>
+            <h2 class="!mt-0" id="timing_heading">Detaillierter Ablauf und Handlungsstruktur</h2>
+        </header>
+        <section>
+            <p>Dieses Dokument zerlegt die Abläufe des Spiels Schritt für Schritt. Mit den Schaltern unten passt du die Ablaufstruktur an die optionalen Module deiner Partie an; dieselbe Wahl gilt für die Seiten Regeln, Module und Referenz.</p>
+
+            <div id="timing-module-toggles" class="info-card bg-gray-900 border-accent-secondary my-8">
+                <h3 class="!mt-0 !border-b-accent-secondary/50">Module aktivieren, um den Ablauf anzupassen</h3>
+${renderModuleSelector()}
+            </div>
+
+            <div class="table-responsive-wrapper">
+                <h3 class="!border-b-0 !text-center !mb-0" id="timing_round_structure">Teil 1: Der Ablauf einer Runde</h3>
+${renderTimingTable(rules.timing.round, 'Spieler & Hinweise')}
+            </div>
+            <div class="table-responsive-wrapper">
+                <h3 class="!border-b-0 !text-center !mb-0" id="timing_combat_structure">Teil 2: Der Ablauf eines Kampfes</h3>
+${renderTimingTable(rules.timing.combat, 'Hinweise')}
+            </div>
+        </section>
+        <hr class="section-divider">
+        <div class="mt-12">
+            ${renderAidButtons('timing')}
+        </div>
+    </div></div>
+</section>
+`,
+                'reference': `
+                <section id="page-reference" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">Das Arsenal des Strategen: Referenz und Übersichten</h2>
+                        </header>
+                        <section>
+                            <p>Diese Seite dient zum schnellen Nachschlagen während des Spiels. Sie ist didaktisch aufgebaut, von den grundlegendsten Abläufen bis zu besonderen Regeln für fortgeschrittene Konzepte.</p>
+                            <hr class="section-divider">
+                            <h2 id="ref_stufe1">Stufe 1: Die Grundlagen am Tisch</h2>
+                            <p>Alles, was jeder Spieler auf einen Blick braucht.</p>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_rundenablauf">Der Rundenablauf (Grundspiel)</h3>
+                                <ol class="list-decimal list-inside space-y-2">
+                                    <li><strong>Phase 1: Planung und Verstärkung</strong>
+                                        <ul class="list-disc list-inside ml-4">
+                                            <li data-is-replaced-by="cycle-of-rice"><strong>Einkommen und Verwaltung (gleichzeitig):</strong> Einkommen erhalten, Unterhalt zahlen (entfällt in Zug 1), Spielerreihenfolge bestimmen (Gekokujō).</li>
+                                            <li data-module="cycle-of-rice"><strong>Stipendium und Verwaltung (gleichzeitig):</strong> Das Stipendium des Daimyō erhalten, Spielerreihenfolge bestimmen (Gekokujō); nach dem Ausgeben alle übrigen Koku säen oder lagern. <span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon">🌾</span></li>
+                                            <li><strong>Rekrutierung und Bau (in Spielerreihenfolge):</strong> Bushi rekrutieren, Ninja anheuern, Burgen bauen.</li>
+                                        </ul>
+                                    </li>
+                                    <li><strong>Phase 2: Feldzug</strong>
+                                        <ul class="list-disc list-inside ml-4">
+                                            <li><strong>Bewegung (in Spielerreihenfolge):</strong> Alle Einheiten bewegen.</li>
+                                            <li><strong>Schlachten auflösen (in Spielerreihenfolge):</strong> Alle entstandenen Schlachten nacheinander auflösen.</li>
+                                        </ul>
+                                    </li>
+                                    <li><strong>Phase 3: Winter</strong>
+                                        <ul class="list-disc list-inside ml-4">
+                                            <li data-is-replaced-by="cycle-of-rice"><strong>Gebirgsproviant (gleichzeitig):</strong> Gebirgsproviant für Einheiten in Gebirgsprovinzen zahlen. <span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon">🌾</span></li>
+                                            <li data-module="cycle-of-rice"><strong>Ernte, Unterhalt und Verderb (gleichzeitig):</strong> Gesäte Koku ernten, Unterhalt und Gebirgsproviant zahlen, dann die Hälfte der Schatzkammer abwerfen. <span title="Modul: Der Kreislauf von Reis und Krieg" class="module-icon">🌾</span></li>
+                                        </ul>
+                                    </li>
+                                </ol>
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_kampfablauf">Der Kampfablauf</h3>
+                                <ol class="list-decimal list-inside space-y-2">
+                                    <li><strong>(Optional) Ronin anheuern:</strong> Erst der Angreifer, dann der Verteidiger.</li>
+                                    <li>(Optional) <strong>Eingreifen des Ninja:</strong> Steht der Ninja hier, darf sein Spieler eine Mission aufdecken (z. B. „Zwietracht säen!“).</li>
+                                    <li><strong>Treffer ermitteln:</strong> Alle Einheiten würfeln gleichzeitig.</li>
+                                    <li><strong>Verluste zuweisen und entfernen:</strong> Treffer zuweisen, dann alle markierten Einheiten entfernen.</li>
+                                    <li><strong>Ergebnis bestimmen:</strong> Die Provinz ist kontrolliert, neutral oder umkämpft.</li>
+                                </ol>
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_clans">Die großen Klans auf einen Blick</h3>
+${renderClanGlanceTable()}
+                            </div>
+                            <hr class="section-divider">
+                            <h2 id="ref_stufe2">Stufe 2: Die Kernmechaniken im Detail</h2>
+                            <p>Die am häufigsten nachgeschlagenen Werte und Regeln an einem Ort.</p>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_wirtschaft">Übersicht: Der Wirtschaftskreislauf</h3>
+${renderEconomyTable()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_kampfwerte">Übersicht: Kampfwerte und Modifikatoren</h3>
+                                <p><strong>Grundwerte</strong></p>
+${renderUnitTable(['bushi', 'daimyo'], false)}
+                                <p class="mt-8"><strong>Mögliche Modifikatoren (es gilt der höchste Bonus/Malus, §0.1)</strong></p>
+${renderModifierTable()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_provinces">Übersicht: Provinzarten</h3>
+                                <p>Diese Liste dient zum schnellen Nachschlagen der Regeln für bestimmte Geländearten. Eine Provinz kann zugleich an der Küste und im Gebirge liegen.</p>
+                                ${renderProvinceTypes()}
+                            </div>
+                            <hr class="section-divider">
+                            <h2 id="ref_stufe3">Stufe 3: Fortgeschrittene Konzepte</h2>
+                            <p>Kurzreferenzen für Module und speziellere Regeln.</p>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_ninja">Übersicht: Der Ninja</h3>
+${renderNinjaTable()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="ref_module">Übersicht: Die Module auf einen Blick</h3>
+${renderModuleGlanceTable()}
+                                <h4 class="mt-8">Verträglichkeit der Module</h4>
+                                <div class="table-responsive-wrapper">
+                                    <table>
+                                        <thead><tr><th data-label="Kombination">Kombination</th><th data-label="Komplexität">Komplexität</th><th data-label="Hinweise">Hinweise</th></tr></thead>
+                                        <tbody>
+                                            <tr><td data-label="Kombination">Politisches Spiel + beliebiges Modul</td><td data-label="Komplexität">Leichter Anstieg</td><td data-label="Hinweise">Bringt Verhandlungen ohne schwere Wechselwirkungen mit anderen Systemen.</td></tr>
+                                            <tr class="!bg-red-900/20"><td data-label="Kombination">Spezialisierte Kriegsführung + Der Kreislauf von Reis und Krieg</td><td data-label="Komplexität"><strong>Starker Anstieg</strong></td><td data-label="Hinweise">Nur für erfahrene Spieler empfohlen.</td></tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                            <hr class="section-divider">
+                            <div class="mt-12">
+                                ${renderAidButtons('player')}
+                            </div>
+                            <hr class="section-divider">
+                            <h3 id="s9_1_ref">Glossar</h3>
+                            <ul id="glossary-list" class="list-none space-y-2">
+                                <li><strong>Angreifer:</strong> Der Spieler, der Einheiten in eine Provinz zieht, in der ein Gegner steht.</li>
+                                <li><strong>Blutfehde:</strong> Ein dauerhafter Kriegszustand, den ein verratener Spieler erklärt; er gewährt ihm Kampfboni gegen den Verräter.</li>
+                                <li><strong>Burg:</strong> Eine Befestigung in einer Provinz, die du kontrollierst. Ihre Verteidiger erhalten +${rules.getModifier('castle').value} auf Verteidigungswürfe (§9.2).</li>
+                                <li><strong>Bushi:</strong> Die gewöhnlichen Kriegerfiguren, das Rückgrat deiner Armee.</li>
+                                <li><strong>Daimyō:</strong> Eine Anführerfigur eines Klans. Ein Klan, dessen letzter Daimyō fällt, wird zum Vasallen (§8.1).</li>
+                                <li><strong>Durchzug verwehren!:</strong> Ein Ninja-Befehl, der einen Gegner zwingt, Koku zu zahlen oder seine Bewegung abzubrechen.</li>
+                                <li><strong>Ehrenpakt:</strong> Ein Bündnis zwischen zwei Spielern im Modul Politisches Spiel (§10.1.1).</li>
+                                <li><strong>Gebirgsprovinz:</strong> Eine Provinz, deren Einheiten jeden Winter mit Gebirgsproviant versorgt werden müssen (§7.1).</li>
+                                <li><strong>Gekokujō:</strong> „Die Niederen stürzen die Hohen“: Der Klan mit den wenigsten Provinzen handelt jede Runde zuerst (§4.3).</li>
+                                <li><strong>Klan:</strong> Eines der neun großen Häuser Japans. Jeder Spieler führt eines, mit eigener Heimatregion und eigener Klanfähigkeit (§2.4).</li>
+                                <li><strong>Koku:</strong> Reis, die Währung des Spiels. Damit bezahlst du Einheiten, Burgen, den Ninja und den Unterhalt.</li>
+                                <li><strong>Kontrollierte Provinz:</strong> Eine Provinz, in der nur Einheiten eines einzigen Spielers stehen (§0.4).</li>
+                                <li><strong>Kōseki:</strong> Verdienstpunkte, die ein Vasall auf dem Weg des treuen Dienstes sammelt; ${rules.vassalage.kosekiToLiberate} davon bringen ihm die Freiheit zurück (§8.2).</li>
+                                <li><strong>Lehnsherr:</strong> Der Spieler, an den ein Vasall gebunden ist: derjenige, der den letzten Daimyō des Vasallen besiegt hat (§8.1).</li>
+                                <li><strong>Mandatsprovinz:</strong> Eine der Provinzen, die für das Mandat des Shōgun nötig sind (§1.3).</li>
+                                <li><strong>Modul:</strong> Ein optionaler Regelsatz, der das Grundspiel ergänzt (§10). Eine Modulregel hat Vorrang vor einer Grundregel, der sie widerspricht (§0.2).</li>
+                                <li><strong>Neutrale Provinz:</strong> Eine Provinz ohne Einheiten irgendeines Spielers (§0.4).</li>
+                                <li><strong>Ninja:</strong> Der einzige Agent zum Anheuern. Er steht offen auf der Karte und schlägt einmal zu, wenn seine Provinz betreten oder in ihr gekämpft wird (§9.1).</li>
+                                <li><strong>Plündern:</strong> Die in einer Provinz gesäten Koku an sich nehmen, indem man sie erobert; im Modul Kreislauf von Reis und Krieg (§6.2.7).</li>
+                                <li><strong>Provinz:</strong> Ein Gebiet auf der Karte. Provinzen bringen Einkommen und entscheiden das Spiel (§1.2).</li>
+                                <li><strong>Ronin:</strong> Söldner, die für eine einzige Schlacht angeheuert werden (§6.2.4).</li>
+                                <li><strong>Ruhmespunkte:</strong> Die Wertung gefallener Klans im Modul Pfad des Ruhms. ${rules.getModule('path-of-glory').params.victoryPoints} Ruhmespunkte gewinnen das Spiel (§10.7).</li>
+                                <li><strong>Shōgun:</strong> Der militärische Herrscher Japans und der Titel, den der Sieger des Spiels beansprucht.</li>
+                                <li><strong>Stapellimit:</strong> Die Höchstzahl an Einheiten, die ein einzelner Spieler in einer Provinz haben darf (§3.2).</li>
+                                <li><strong>Umkämpfte Provinz:</strong> Eine Provinz mit Einheiten mehrerer Spieler. Sie bringt kein Einkommen (§0.4).</li>
+                                <li><strong>Unterhalt:</strong> Die Koku, die jede Runde gezahlt werden, um Bushi im Feld zu halten: 1 Koku je ${rules.economy.bushiPerMaintenanceKoku} Bushi (§4.1).</li>
+                                <li><strong>Vasall:</strong> Ein Spieler, dessen letzter Daimyō gefallen ist; er ist an einen Lehnsherrn gebunden, bis er seine Freiheit zurückgewinnt (§8).</li>
+                                <li><strong>Verderb:</strong> Im Modul Kreislauf von Reis und Krieg geht jeden Winter die Hälfte der Koku in der Schatzkammer verloren (§10.5).</li>
+                                <li><strong>Verteidiger:</strong> Der Spieler, dessen Einheiten in einer Provinz stehen, wenn ein Angreifer einzieht.</li>
+                                <li><strong>Vorräte verbrennen!:</strong> Ein Ninja-Befehl, der einen Gegner zwingt, Koku zu zahlen oder Einheiten zu verlieren.</li>
+                                <li><strong>Zwietracht säen!:</strong> Ein Ninja-Befehl, der einen Malus auf Kampfwürfe verhängt.</li>
+                            </ul>
+                        </section>
+                    </div></div>
+                </section>
+                `,
+                'play': `
+                <section id="page-play" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">Spielen: Hot-Seat-Partie</h2>
+                        </header>
+                        <section>
+                            <p>Spiele eine ganze Partie nach den Grundregeln auf einem Gerät, das ihr am Tisch herumreicht. Das Spiel führt den Draft durch (${ruleLink('2.2')}) und dann jede Runde in der Reihenfolge des <a href="#timing_round_structure" class="nav-link-inline">Rundenablaufs</a>: Einkommen, Unterhalt und Spielerreihenfolge werden automatisch geregelt, jeder Spieler rekrutiert und baut der Reihe nach, dann wird gezogen und gekämpft, und die Winterkosten werden für alle bezahlt. Der Sieg wird am Ende jeder Phase geprüft (${ruleLink('1.1.2')}).</p>
+                            <p class="text-sm text-gray-400">Optionale Module kommen aus der <a href="#module_selection" class="nav-link-inline">Modulauswahl</a>. Das Spiel übernimmt das Stipendium und den Winterunterhalt aus dem Kreislauf von Reis und Krieg (Säen, Ernte und Verderb bleiben am Tisch) sowie den Pfad des Ruhms, bei dem führender Spieler ist, wer zu Beginn der Runde die meisten Provinzen hielt; andere Module werden mit der Partie gespeichert, aber am Tisch gespielt. Wird der Ninja ausgelöst, hält das Spiel an und wartet auf die Entscheidung seines Besitzers. Darf ein Spieler nach einer Regel wählen, welche Bushi er verliert, nimmt das Spiel sie aus dem größten Stapel. Die Partie wird nach jeder Handlung in diesem Browser gespeichert. Die Bedienung der Partie ist bisher nur auf Englisch verfügbar.</p>
+                            <p class="text-sm" data-module-play-note></p>
+                            <div class="info-card" id="play-game"></div>
+                            <div class="info-card" id="play-replay">
+                                <h3 class="!mt-0" id="play_replay">Wiederholung</h3>
+                                <p>Jede Partie zeichnet ihre Ausgangsstellung, den Würfel-Seed und jede ausgeführte Handlung auf. Die Wiederholung spielt diese Handlungen erneut ab: Jede Schlacht wird mit demselben Seed gewürfelt, sodass jedes Ergebnis genau so ausfällt wie am Tisch. Geh sie Handlung für Handlung, Phase für Phase oder Runde für Runde durch, oder hänge die Wiederholungsdatei an einen Testspielbericht auf der Seite <a href="#feedback" class="nav-link-inline">Feedback</a>.</p>
+                                <div class="flex flex-wrap items-end gap-3">
+                                    <button type="button" class="province-chip" data-replay-action="current">Partie aus diesem Browser wiederholen</button>
+                                    <label class="text-sm">Wiederholungsdatei (.json)<input type="file" accept=".json,application/json" class="form-input mt-1" data-replay-file></label>
+                                </div>
+                                <p class="replay-error text-sm text-accent-secondary whitespace-pre-line mt-2" aria-live="polite"></p>
+                                <div class="replay-view mt-4" hidden>
+                                    ${renderReplayControls()}
+                                    <div class="replay-frame mt-4" aria-live="polite"></div>
+                                    ${renderProvinceMap()}
+                                </div>
+                            </div>
+                        </section>
+                    </div></div>
+                </section>
+                `,
+                'tools': `
+                <section id="page-tools" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">Werkzeuge für den Spieltisch</h2>
+                        </header>
+                        <section>
+                            <p>Kleine Helfer, die das Rechnen übernehmen, damit am Tisch über Strategie gestritten werden kann. Jedes Werkzeug liest dieselben Regeldaten wie die Seiten Regeln und Referenz. Die Formulare und Ergebnisse sind bisher nur auf Englisch verfügbar.</p>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_odds">Schlachtchancen</h3>
+                                <p>Gib beide Streitkräfte ein, um die genaue Wahrscheinlichkeit jeder Trefferzahl zu sehen und wer am Ende die Kontrolle hat. Die Trefferwerte folgen ${ruleLink('6.2.3')}; auf jeder Seite zählen nur der größte Bonus und der größte Malus (${ruleLink('0.1')}). Der Rechner nimmt an, dass jeder Treffer eine Einheit entfernt; für die Kontrollchancen ist es also gleich, ob Daimyō oder Bushi fallen.</p>
+                                ${renderOddsForm()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_income">Einkommensplaner</h3>
+                                <p>Plane die Koku einer Runde so, wie es das <a href="#first_round_example" class="nav-link-inline">Beispiel einer ersten Runde</a> von Hand tut: Einkommen und Unterhalt (${ruleLink('4.1')}), deine Käufe (${ruleLink('5.1')}) und der Gebirgsproviant im Winter (${ruleLink('7.1')}). Klanboni aus ${ruleLink('2.4')} werden automatisch angewendet. Fällige Kosten, die du nicht zahlen kannst, werden in Verluste an Bushi umgerechnet (${ruleLink('4.2')}).</p>
+                                ${renderPlannerForm()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_turn_order">Zugreihenfolge (Gekokujō)</h3>
+                                <p>Gib für jeden Klan die Lage nach Einkommen und Unterhalt ein. Der Klan mit den wenigsten Provinzen handelt zuerst; bei Gleichstand entscheiden weniger Koku, dann weniger Einheiten, dann der Klanname (${ruleLink('4.3')}). In Runde 1 gilt eine zufällige Reihenfolge.</p>
+                                ${renderTurnOrderForm()}
+                            </div>
+                        </section>
+                    </div></div>
+                </section>
+                `,
+                'feedback': `
+                <section id="page-feedback" class="page-container">
+                    <div class="py-12 px-4">
+                        <div class="max-w-4xl mx-auto">
+                            <header>
+                                <h2 class="!mt-0">Feedback und Testspielberichte</h2>
+                            </header>
+                            <section>
+                                <p>Deine Erkenntnisse sind die wertvollste Quelle, um Shogun: Gekokujō auszubalancieren und zu verfeinern. Ob du einen möglichen Tippfehler gefunden hast, eine Frage zum Zusammenspiel von Regeln hast oder einen ausführlichen Bericht von deinem letzten Spieleabend teilen willst – hier bist du richtig.</p>
+                                <div class="info-card">
+                                    <h3 class="!mt-0">Feedback senden</h3>
+                                    <p>Schick deine Gedanken über das Formular unten direkt an das Designteam. Jede Rückmeldung wird gelesen und geschätzt.</p>
+                                    <form action="https://form.taxi/s/oovjf8vx" method="POST" enctype="multipart/form-data" class="mt-6 space-y-6">
+                                        <div>
+                                            <label for="name" class="form-label">Name<span class="required-asterisk">*</span></label>
+                                            <input type="text" name="Name" id="name" class="form-input" required>
+                                        </div>
+                                        <div>
+                                            <label for="mail" class="form-label">E-Mail-Adresse<span class="required-asterisk">*</span></label>
+                                            <input type="email" name="Email" id="mail" class="form-input" required>
+                                        </div>
+                                        <div>
+                                            <label for="msg" class="form-label">Deine Nachricht<span class="required-asterisk">*</span></label>
+                                            <textarea rows="6" name="Message" id="msg" class="form-textarea" required></textarea>
+                                        </div>
+                                        <div>
+                                            <label for="replay" class="form-label">Wiederholungsdatei (optional)</label>
+                                            <input type="file" name="Replay" id="replay" accept=".json,application/json" class="form-input">
+                                            <p class="text-sm text-gray-400 mt-1">Berichtest du von einer Partie auf der Seite <a href="#play" class="nav-link-inline">Spielen</a>? Hänge ihre Wiederholung an (Save &amp; Share → Download replay), damit das Designteam genau nachvollziehen kann, was passiert ist.</p>
+                                        </div>
+                                        <div>
+                                            <label class="flex items-center text-sm">
+                                                <input type="checkbox" name="Data processing confirmed" value="Yes" required class="mr-2 h-4 w-4 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
+                                                Ich bin mit der Verarbeitung meiner Angaben einverstanden.<span class="required-asterisk">*</span>
+                                            </label>
+                                        </div>
+                                        <!-- Honeypot field for spam protection -->
+                                        <input type="text" name="\_gotcha" style="display:none" value="">
+                                        <div>
+                                            <button type="submit" class="form-button">Absenden</button>
+                                        </div>
+                                    </form>
+                                </div>
+                            </section>
+                        </div>
+                    </div>
+                </section>
+                `,
+                'about': `
+                <section id="page-about" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">10. Das lebende Regelbuch</h2>
+                        </header>
+                        <section>
+                            <p>Dies ist mehr als ein Regelbuch; es ist die Grundlage einer Partnerschaft zwischen den Autoren und euch, den Spielern. Ein Spiel wird erst am Tisch wirklich lebendig, und dort – in unzähligen Partien voller brillanter Züge, überraschender Taktiken und hitziger Debatten – zeigt sich seine wahre Gestalt.</p>
+                            <p>Wir würdigen diesen Prozess, indem wir dieses Dokument als „lebendes Regelbuch“ behandeln. Es ist darauf angelegt, sich anzupassen und zu wachsen und das gesammelte Wissen seiner Gemeinschaft aufzunehmen, bis es vollendete Eleganz und Ausgewogenheit erreicht. Jede Partie, die du spielst, ist ein Testspiel, und jede Rückmeldung, die du teilst, ist ein Beitrag zu diesem gemeinsamen Projekt.</p>
+                            <p>Wir glauben, dass die beständigsten und beliebtesten Spiele jene sind, die von ihren Gemeinschaften gepflegt werden. Deshalb steht dieses Dokument unter der Lizenz Creative Commons Namensnennung 4.0 International.</p>
+                            <p>Das ist nicht nur eine Lizenz, sondern eine Einladung. Sie macht dich zum Mitgestalter: Hilf uns, Unklarheiten zu finden, Mechaniken zu verfeinern und das Spiel über Jahre lebendig und fordernd zu halten.</p>
+                            <div class="info-card mt-12">
+                                <h3 class="!mt-0">Mach mit in der Gemeinschaft</h3>
+                                <p>Dieses lebende Regelbuch ist ein Gemeinschaftsprojekt. Diskutiere mit, stelle Fragen, melde Probleme und finde andere Spieler im offiziellen Forum auf BoardGameGeek.</p>
+                                <div class="text-center mt-6">
+                                    <a href="https://boardgamegeek.com/filepage/306500/shogun-gekokujo-version-shogun-re-imagined" target="\_blank" rel="noopener noreferrer" class="inline-block bg-accent-secondary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-yellow-400 transition-colors">
+                                        Zum BGG-Forum
+                                    </a>
+                                </div>
+                            </div>
+                            <div class="info-card" data-lint-report>
+                                <h3 class="!mt-0" id="rulebook_check">Konsistenzprüfung des Regelbuchs</h3>
+                                <p>Ein Regelbuch dieser Größe gerät beim Wachsen aus dem Lot. Die Prüfung liest jede Seite und meldet Überschriften mit derselben Id, §-Verweise, die ins Leere oder zum falschen Modul führen, Begriffe, die im <a href="#s9_1_ref" class="nav-link-inline">Glossar</a> fehlen, und Zahlen im Text, die den Regeldaten hinter den Übersichten widersprechen. Der Zahlenabgleich liest den englischen Text; der Bericht selbst ist englisch. Hat sie etwas übersehen? Sag es uns auf der Seite <a href="#feedback" class="nav-link-inline">Feedback</a>.</p>
+                                <button type="button" class="province-chip mt-2" data-lint-action="run">Regelbuch prüfen</button>
+                                <div class="lint-result mt-4" aria-live="polite"></div>
+                            </div>
+                            <div class="text-center mt-12">
+                                <button id="download-offline-btn" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">
+                                    Für die Offline-Nutzung herunterladen
+                                </button>
+                                <p class="text-sm text-gray-500 mt-2">(Speichert eine einzige .html-Datei mit allen Regeln, Stilen und Werkzeugen)</p>
+                                <p id="download-offline-status" class="text-sm mt-2" aria-live="polite"></p>
+                            </div>
+                        </section>
+                        <hr class="section-divider">
+                        <section>
+                            <h2 class="!mt-0">11. Lizenz</h2>
+                            <p>Dieses Werk steht unter der Lizenz <strong>Creative Commons Namensnennung 4.0 International</strong>. Den vollständigen Lizenztext findest du unter <a href="https://creativecommons.org/licenses/by/4.0/deed.de" target="\_blank" rel="noopener noreferrer">creativecommons.org/licenses/by/4.0/</a>.</p>
+                            <div class="info-card">
+                                <h4 class="!mt-0">Du darfst:</h4>
+                                <ul class="list-disc list-inside space-y-2">
+                                    <li><strong>Teilen</strong> — das Material in jedwedem Format oder Medium vervielfältigen und weiterverbreiten, für beliebige Zwecke, sogar kommerziell.</li>
+                                    <li><strong>Bearbeiten</strong> — das Material remixen, verändern und darauf aufbauen, für beliebige Zwecke, sogar kommerziell.</li>
+                                </ul>
+                                <p class="text-sm mt-4">Der Lizenzgeber kann diese Freiheiten nicht widerrufen, solange du dich an die Lizenzbedingungen hältst.</p>
+                            </div>
+                            <div class="info-card">
+                                <h4 class="!mt-0">Unter folgenden Bedingungen:</h4>
+                                <ul class="list-disc list-inside space-y-2">
+                                    <li><strong>Namensnennung</strong> — Du musst angemessene Urheber- und Rechteangaben machen, einen Link zur Lizenz beifügen und angeben, ob Änderungen vorgenommen wurden. Diese Angaben dürfen in jeder angemessenen Art und Weise gemacht werden, allerdings nicht so, dass der Eindruck entsteht, der Lizenzgeber unterstütze gerade dich oder deine Nutzung besonders.</li>
+                                    <li><strong>Keine weiteren Einschränkungen</strong> — Du darfst keine zusätzlichen Klauseln oder technischen Verfahren einsetzen, die anderen rechtlich irgendetwas untersagen, was die Lizenz erlaubt.</li>
+                                </ul>
+                            </div>
+                        </section>
+                    </div></div>
+                </section>
+                `,
+        }),
+    };
+}(typeof self !== 'undefined' ? self : this));
@@ -70,6 +70,96 @@ document.addEventListener('DOMContentLoaded', () => {
         const mobileStickyHeader = getEl('mobile-sticky-header');
         const bottomNav = getEl('bottom-nav');
 
+        const { rules, provinces, dice, combat, state: gameState, economy, draft, turnOrder, movement, victory, phases, modules: moduleConfig, game, sync, views, save, replay, history: versionHistory } = window.ShogunEngine || {};
+        if (!rules || !provinces || !dice || !combat || !gameState || !economy || !draft || !turnOrder || !movement || !victory || !phases || !moduleConfig || !game || !sync || !views || !save || !replay || !versionHistory) {
+            console.error("Critical Error: the engine/ scripts must be loaded before script.js.");
+            return;
+        }
+        // The optional modules chosen for this site (see initModuleSelection).
+        let selectedModules = [];
+        let tocHeadings = [];
+
+        // --- LANGUAGE ---
+        // English is written into this file; every other language is a locales/<code>.js script that brings
+        // its UI strings, Glossary terms and pages (see locales/de.js). A "?lang=" link wins over the choice
+        // stored in this browser. Page and heading ids are the same in every language, so anchors survive a switch.
+        const locales = window.ShogunLocales || {};
+        const UI_STRINGS = {
+            'title': 'Shogun: Gekokujō – Living Rulebook',
+            'nav.start': 'Start',
+            'nav.new-players': 'New Players',
+            'nav.rules': 'Rules',
+            'nav.modules': 'Modules',
+            'nav.strategy': 'Strategy',
+            'nav.timing': 'Timing',
+            'nav.reference': 'Reference',
+            'nav.play': 'Play',
+            'nav.tools': 'Tools',
+            'nav.feedback': 'Feedback',
+            'nav.about': 'About',
+            'toc.title': 'Contents',
+            'toc.toggle': 'Toggle table of contents',
+            'search.placeholder': 'Search rules…',
+            'search.label': 'Search rules',
+            'search.none': 'No results found',
+            'theme.dark': 'Switch to dark theme',
+            'theme.light': 'Switch to light theme',
+            'lang.switch': 'Switch language',
+            'top': 'Go to top',
+            'close': 'Close',
+            'preview.more': 'Continue reading',
+            'preview.goto': 'Go to',
+            'preview.rule': 'the rule',
+            'preview.empty': 'See the full rule.',
+            'aid.player.title': 'Player Aid',
+            'aid.player.download': 'Download Player Aid (for Printing)',
+            'aid.player.print': 'Print Player Aid',
+            'aid.timing.title': 'Timing Reference',
+            'aid.timing.download': 'Download Timing Reference (for Printing)',
+            'aid.timing.print': 'Print Timing Reference',
+            'aid.rulebook': 'Rulebook',
+            'aid.core': 'core game',
+            'offline.busy': 'Collecting the styles, scripts, fonts and images…',
+            'offline.done': 'Saved ShogunRulebook.html. It works without a connection.',
+            'offline.missing': 'Saved ShogunRulebook.html, but these could not be included:',
+            'offline.failed': 'The offline file could not be built:',
+            'offline.local': 'This copy already works offline. To share it, copy the file itself.',
+        };
+        const languages = ['en', ...Object.keys(locales)];
+        const languageName = (code) => (code === 'en' ? 'English' : locales[code].name);
+        const language = (() => {
+            const requested = new URLSearchParams(window.location.search).get('lang') || localStorage.getItem('shogunLang');
+            return languages.includes(requested) ? requested : 'en';
+        })();
+        const locale = locales[language] || null;
+        const t = (key) => (locale && locale.strings[key]) || UI_STRINGS[key];
+
+        const initLanguage = () => {
+            document.documentElement.lang = language;
+            document.title = t('title');
+            document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+            document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+            document.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+
+            const switchBtn = getEl('lang-switch');
+            if (!switchBtn || languages.length < 2) return;
+            const next = languages[(languages.indexOf(language) + 1) % languages.length];
+            switchBtn.textContent = next.toUpperCase();
+            switchBtn.setAttribute('aria-label', `${t('lang.switch')}: ${languageName(next)}`);
+            switchBtn.title = languageName(next);
+            switchBtn.hidden = false;
+            // The pages are rendered once, so a switch reloads; the hash stays and brings the reader back.
+            switchBtn.addEventListener('click', () => {
+                localStorage.setItem('shogunLang', next);
+                const url = new URL(window.location.href);
+                if (url.searchParams.has('lang')) {
+                    url.searchParams.set('lang', next);
+                    history.replaceState(null, '', url);
+                }
+                window.location.reload();
+            });
+        };
+
         const initThemeToggle = () => {
             const toggleBtn = getEl('theme-toggle');
             if (!toggleBtn) return;
@@ -81,7 +171,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.body.classList.toggle('light-mode', theme === 'light');
                 if (sunIcon) sunIcon.classList.toggle('hidden', theme === 'dark');
                 if (moonIcon) moonIcon.classList.toggle('hidden', theme === 'light');
-                toggleBtn.setAttribute('aria-label', theme === 'light' ? 'Switch to dark theme' : 'Switch to light theme');
+                toggleBtn.setAttribute('aria-label', t(theme === 'light' ? 'theme.dark' : 'theme.light'));
             };
 
             const toggleTheme = () => {
@@ -94,28 +184,109 @@ document.addEventListener('DOMContentLoaded', () => {
             toggleBtn.addEventListener('click', toggleTheme);
         };
 
+        // --- OFFLINE DOWNLOAD ---
+        // The file rebuilds itself the way the site does: index.html with every script, stylesheet, font and
+        // image it loads written into it, and the CSS the Tailwind CDN has generated for this page in place
+        // of the CDN. Anything that cannot be fetched is left out and named, never silently dropped.
+        const OFFLINE_CSP = "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; font-src data:; img-src 'self' data:; connect-src 'self' ws: wss:;";
+        const TAILWIND_CDN = 'https://cdn.tailwindcss.com';
+        // Latin and Latin Extended cover every letter of the rulebook, macrons included.
+        const FONT_SUBSETS = ['latin', 'latin-ext'];
+
+        const fetchOk = async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+            return response;
+        };
+
+        const fetchDataUrl = async (url) => {
+            const blob = await (await fetchOk(url)).blob();
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        };
+
+        // The web font stylesheet with its font files written in as data: URLs.
+        const inlineFonts = async (href) => {
+            const css = await (await fetchOk(href)).text();
+            const faces = [...css.matchAll(/\/\*\s*([\w-]+)\s*\*\/\s*(@font-face\s*\{[^}]*\})/g)];
+            const kept = faces.length ? faces.filter(([, subset]) => FONT_SUBSETS.includes(subset)).map(([, , face]) => face) : [css];
+            const urls = [...new Set(kept.join('\n').match(/https:\/\/[^)'"\s]+/g) || [])];
+            const inlined = await Promise.all(urls.map(fetchDataUrl));
+            return urls.reduce((text, url, i) => text.split(url).join(inlined[i]), kept.join('\n'));
+        };
+
+        // Returns { html, missing }: the finished file and what could not be written into it.
+        const buildOfflineRulebook = async () => {
+            const missing = [];
+            const source = await (await fetchOk(window.location.href.replace(/[?#].*$/, ''))).text();
+            const doc = new DOMParser().parseFromString(source, 'text/html');
+
+            const images = {};
+            const imageSources = [...new Set([...appWrapper.querySelectorAll('img[src]')].map(img => img.getAttribute('src')))].filter(src => !src.startsWith('data:'));
+            await Promise.all(imageSources.map(src => fetchDataUrl(src).then(data => { images[src] = data; }, () => missing.push(src))));
+            // Pages are written by the scripts, so their images are swapped inside the script text.
+            const withImages = (code) => Object.entries(images).reduce((text, [src, data]) => text.split(`src="${src}"`).join(`src="${data}"`), code);
+
+            await Promise.all([...doc.querySelectorAll('script[src]')].map(async (script) => {
+                const src = script.getAttribute('src');
+                if (src.startsWith(TAILWIND_CDN)) { script.remove(); return; }
+                try {
+                    const code = await (await fetchOk(src)).text();
+                    const inline = doc.createElement('script');
+                    inline.textContent = withImages(code).replace(/<\/(script)/gi, '<\\/$1');
+                    script.replaceWith(inline);
+                } catch (err) {
+                    missing.push(src);
+                }
+            }));
+
+            await Promise.all([...doc.querySelectorAll('link[rel="stylesheet"]')].map(async (link) => {
+                const href = link.getAttribute('href');
+                const style = doc.createElement('style');
+                try {
+                    style.textContent = /^https:\/\/fonts\.googleapis\.com\//.test(href) ? await inlineFonts(href) : await (await fetchOk(href)).text();
+                    link.replaceWith(style);
+                } catch (err) {
+                    missing.push(href);
+                    link.remove();
+                }
+            }));
+            doc.querySelectorAll('link[rel="preconnect"]').forEach(link => link.remove());
+
+            const generated = doc.createElement('style');
+            generated.textContent = [...document.head.querySelectorAll('style')].map(style => style.textContent).join('\n');
+            doc.head.appendChild(generated);
+            const csp = doc.querySelector('meta[http-equiv="Content-Security-Policy"]');
+            if (csp) csp.setAttribute('content', OFFLINE_CSP);
+
+            return { html: `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`, missing };
+        };
+
         const initOfflineDownload = () => {
             const btn = getEl('download-offline-btn');
-            if (btn) {
-                btn.addEventListener('click', () => {
-                    const clone = document.documentElement.cloneNode(true);
-                    clone.querySelector('body').classList.remove('light-mode');
-                    const toc = clone.querySelector('#toc-container');
-                    if (toc) toc.classList.remove('is-expanded');
-                    const app = clone.querySelector('#app-wrapper');
-                    if (app) app.style.paddingLeft = '';
-                    const fullHtml = clone.outerHTML;
-                    const blob = new Blob([fullHtml], { type: "text/html;charset=utf-8" });
-                    const a = document.createElement("a");
-                    const url = URL.createObjectURL(blob);
-                    a.href = url;
-                    a.download = "ShogunRulebook.html";
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
-                });
-            }
+            const status = getEl('download-offline-status');
+            if (!btn || !status) return;
+            btn.addEventListener('click', async () => {
+                if (window.location.protocol === 'file:') {
+                    status.textContent = t('offline.local');
+                    return;
+                }
+                btn.disabled = true;
+                status.textContent = t('offline.busy');
+                try {
+                    const { html, missing } = await buildOfflineRulebook();
+                    downloadFile('ShogunRulebook.html', html, 'text/html;charset=utf-8');
+                    status.textContent = missing.length ? `${t('offline.missing')} ${missing.join(', ')}` : t('offline.done');
+                } catch (err) {
+                    status.textContent = `${t('offline.failed')} ${err.message}`;
+                } finally {
+                    btn.disabled = false;
+                }
+            });
         };
 
         const showPage = (pageId) => {
@@ -159,7 +330,8 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         const handleNavigation = () => {
-            let hash = window.location.hash || '#start';
+            // Anything after a slash is data for the page, such as a saved game in "#play/g1....".
+            let hash = (window.location.hash || '#start').split('/')[0];
             const targetId = hash.substring(1);
             const targetElement = getEl(targetId);
 
@@ -194,6 +366,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const initTOC = () => {
             const headings = document.querySelectorAll('#app-wrapper h2[id], #app-wrapper h3[id], #app-wrapper h4[id], #app-wrapper h5[id]');
             if (headings.length === 0) return;
+            tocHeadings = [...headings];
 
             let tocHTML = '';
             headings.forEach(h => {
@@ -278,7 +451,7 @@ document.addEventListener('DOMContentLoaded', () => {
             mobileTocPanel.addEventListener('keydown', (e) => {
                 if (e.key === 'Escape') closePanel();
                 if (e.key === 'Tab') {
-                    const focusableElements = mobileTocPanel.querySelectorAll('a[href], button:not([disabled])');
+                    const focusableElements = mobileTocPanel.querySelectorAll('input, a[href], button:not([disabled])');
                     const firstElement = focusableElements[0];
                     const lastElement = focusableElements[focusableElements.length - 1];
                     if (e.shiftKey) {
@@ -354,7 +527,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
                 acceptNode: (node) => {
-                    if (!node.parentElement || node.parentElement.closest('script, style, strong, .tooltip, a, h1, h2, h3, h4, h5, #glossary-list')) {
+                    if (!node.parentElement || node.parentElement.closest('script, style, option, button, strong, .tooltip, a, h1, h2, h3, h4, h5, #glossary-list')) {
                         return NodeFilter.FILTER_REJECT;
                     }
                     if (regex.test(node.textContent)) {
@@ -392,6 +565,43 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         };
 
+        // Turns plain "§6.2.7" references into links to the rule they cite. References to sections that
+        // do not exist stay plain text (the rulebook check on the About page lists them).
+        const createRuleReferenceLinks = (container) => {
+            const regex = /§\s*(\d+(?:\.\d+)*)/g;
+            const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => {
+                    if (!node.parentElement || node.parentElement.closest('script, style, a, label, legend, option, button, textarea, h1, h2, h3, h4, h5, .rule-number, [data-lint-report]')) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return node.textContent.includes('§') ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+                }
+            });
+
+            const nodesToProcess = [];
+            while (walker.nextNode()) nodesToProcess.push(walker.currentNode);
+
+            nodesToProcess.forEach(node => {
+                const text = node.textContent;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+                for (const match of text.matchAll(regex)) {
+                    const heading = ruleHeading(match[1]);
+                    if (!heading) continue;
+                    if (match.index > last) fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+                    const link = document.createElement('a');
+                    link.href = `#${heading.id}`;
+                    link.className = 'nav-link-inline';
+                    link.textContent = match[0];
+                    fragment.appendChild(link);
+                    last = match.index + match[0].length;
+                }
+                if (last === 0) return;
+                if (last < text.length) fragment.appendChild(document.createTextNode(text.slice(last)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        };
+
         const initMisc = () => {
             const btn = getEl('back-to-top');
             if (btn) {
@@ -401,6 +611,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 btn.addEventListener('click', () => window.scrollTo({ top: 0, behavior: 'smooth' }));
             }
 
+            createRuleReferenceLinks(appWrapper);
+
             const glossaryList = getEl('glossary-list');
             if (!glossaryList) return;
 
@@ -413,156 +625,2534 @@ document.addEventListener('DOMContentLoaded', () => {
                     clone.querySelector('strong').remove();
                     const definition = clone.textContent.trim();
 
-                    if (term && definition) {
-                        terms[term] = definition;
-                    }
-                }
-            });
+                    if (term && definition) {
+                        terms[term] = definition;
+                    }
+                }
+            });
+
+            if (Object.keys(terms).length > 0) {
+                createGlossaryTooltips(appWrapper, terms);
+            }
+        };
+
+        // --- RULE PREVIEWS ---
+        // Hovering or focusing a link to a rule shows the start of that rule in a card, so a reference
+        // can be read without leaving the page. On touch screens the first tap opens the card and a
+        // second tap on the same link follows it.
+        const RULE_ID = /^s\d+(?:_\d+)*(?:_heading)?$/;
+        const PREVIEW_BLOCKS = 4;
+        const PREVIEW_CHARS = 700;
+
+        // "s6_2_7" -> the heading of §6.2.7; a whole chapter such as §7 resolves to its title heading.
+        const headingFor = (id) => {
+            const el = getEl(`${id}_heading`) || getEl(id);
+            if (!el || !appWrapper.contains(el)) return null;
+            return /^H[2-5]$/.test(el.tagName) ? el : el.querySelector('h2[id], h3[id], h4[id], h5[id]');
+        };
+
+        const ruleHeading = (ref) => headingFor(`s${ref.replace(/\./g, '_')}`);
+
+        // The blocks after the heading up to the next heading of the same or a higher level.
+        const renderRulePreview = (heading) => {
+            const level = Number(heading.tagName[1]);
+            const blocks = [];
+            let length = 0;
+            let more = false;
+            for (let el = heading.nextElementSibling; el; el = el.nextElementSibling) {
+                if (/^H[2-5]$/.test(el.tagName) && Number(el.tagName[1]) <= level) break;
+                if (el.matches('hr, form, script, .module-hidden, [data-module-selector]')) continue;
+                if (blocks.length === PREVIEW_BLOCKS || length > PREVIEW_CHARS) {
+                    more = true;
+                    break;
+                }
+                const clone = el.cloneNode(true);
+                clone.removeAttribute('id');
+                clone.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'));
+                clone.querySelectorAll('form, button, input, select, .module-hidden').forEach(child => child.remove());
+                blocks.push(clone.outerHTML);
+                length += clone.textContent.length;
+            }
+            const number = (heading.querySelector('.rule-number') || { textContent: '' }).textContent.replace(/\s+/g, '');
+            return `
+<p class="rule-preview-title"><a href="#${heading.id}">${escapeHTML(headingText(heading))}</a></p>
+<div class="rule-preview-body">${blocks.join('') || `<p>${t('preview.empty')}</p>`}</div>
+<a href="#${heading.id}" class="rule-preview-more">${t(more ? 'preview.more' : 'preview.goto')} ${escapeHTML(number || t('preview.rule'))} →</a>`;
+        };
+
+        const initRulePreviews = () => {
+            const card = document.createElement('div');
+            card.id = 'rule-preview';
+            card.className = 'rule-preview';
+            card.setAttribute('role', 'tooltip');
+            card.hidden = true;
+            document.body.appendChild(card);
+
+            let current = null;
+            let timer = null;
+            let touch = false;
+
+            const ruleLinkAt = (target) => {
+                const link = target.closest && target.closest('a[href^="#s"]');
+                if (!link || !appWrapper.contains(link)) return null;
+                return RULE_ID.test(link.getAttribute('href').slice(1)) ? link : null;
+            };
+
+            const place = (link) => {
+                const rect = link.getBoundingClientRect();
+                const gap = 8;
+                const left = Math.max(gap, Math.min(rect.left, window.innerWidth - card.offsetWidth - gap));
+                const fitsBelow = rect.bottom + gap + card.offsetHeight <= window.innerHeight || rect.top < card.offsetHeight + gap;
+                const top = fitsBelow ? rect.bottom + gap : rect.top - card.offsetHeight - gap;
+                card.style.left = `${left + window.scrollX}px`;
+                card.style.top = `${top + window.scrollY}px`;
+            };
+
+            const show = (link) => {
+                clearTimeout(timer);
+                const target = headingFor(link.getAttribute('href').slice(1));
+                if (!target) return;
+                if (current) current.removeAttribute('aria-describedby');
+                current = link;
+                card.innerHTML = renderRulePreview(target);
+                card.hidden = false;
+                link.setAttribute('aria-describedby', card.id);
+                place(link);
+            };
+
+            const hide = () => {
+                clearTimeout(timer);
+                if (current) current.removeAttribute('aria-describedby');
+                current = null;
+                card.hidden = true;
+            };
+
+            const later = (fn, delay) => {
+                clearTimeout(timer);
+                timer = setTimeout(fn, delay);
+            };
+
+            const notePointer = (e) => { touch = e.pointerType === 'touch' || e.pointerType === 'pen'; };
+            appWrapper.addEventListener('pointerover', notePointer);
+            appWrapper.addEventListener('pointerdown', notePointer);
+            appWrapper.addEventListener('mouseover', (e) => {
+                const link = ruleLinkAt(e.target);
+                if (link && !touch && link !== current) later(() => show(link), 250);
+            });
+            appWrapper.addEventListener('mouseout', (e) => {
+                if (ruleLinkAt(e.target) && !touch) later(hide, 250);
+            });
+            appWrapper.addEventListener('focusin', (e) => {
+                const link = ruleLinkAt(e.target);
+                if (link) show(link);
+            });
+            appWrapper.addEventListener('focusout', (e) => {
+                if (ruleLinkAt(e.target) && !card.contains(e.relatedTarget)) later(hide, 250);
+            });
+            // Runs before the page-wide link handler on document.body, so the first tap can stay put.
+            appWrapper.addEventListener('click', (e) => {
+                const link = ruleLinkAt(e.target);
+                if (!link || !touch || link === current) return;
+                e.preventDefault();
+                e.stopPropagation();
+                show(link);
+            });
+
+            card.addEventListener('mouseover', () => clearTimeout(timer));
+            card.addEventListener('mouseout', () => later(hide, 250));
+            card.addEventListener('click', (e) => { if (e.target.closest('a')) hide(); });
+            document.addEventListener('click', (e) => {
+                if (current && !card.contains(e.target) && !current.contains(e.target)) hide();
+            });
+            document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && current) hide(); });
+            window.addEventListener('hashchange', hide);
+        };
+
+        // --- MODULE SELECTION (§10) ---
+        // One selection for the whole site. A shared "?modules=" link wins over the last choice made in
+        // this browser; the selection filters every page and is the module list new games start with.
+        const initModuleSelection = () => {
+            const params = new URLSearchParams(window.location.search);
+            const requested = params.has(moduleConfig.PARAM) ?
+                moduleConfig.parse(params.get(moduleConfig.PARAM)) :
+                moduleConfig.parse(localStorage.getItem('shogunModules'));
+            // A link may ask for something unplayable; build it up module by module so it becomes playable.
+            const problems = moduleConfig.validateSelection(requested);
+            let notes = [];
+            if (problems.length) {
+                selectedModules = requested.filter(id => rules.getModule(id)).reduce((ids, id) => {
+                    const change = moduleConfig.select(ids, id, true);
+                    notes = [...notes, ...change.notes];
+                    return change.modules;
+                }, []);
+                notes = [...problems, ...notes];
+            } else {
+                selectedModules = moduleConfig.normalize(requested);
+            }
+
+            const shareUrl = () => {
+                const url = new URL(window.location.href);
+                url.search = `${moduleConfig.PARAM}=${moduleConfig.serialize(selectedModules)}`;
+                return url.toString();
+            };
+
+            const update = () => {
+                localStorage.setItem('shogunModules', moduleConfig.serialize(selectedModules));
+                // Keep a shared link in the address bar in step, or reloading would bring its selection back.
+                if (new URLSearchParams(window.location.search).has(moduleConfig.PARAM)) window.history.replaceState(null, '', shareUrl());
+                applyModuleSelection(notes);
+            };
+
+            appWrapper.addEventListener('change', (e) => {
+                const toggle = e.target.closest('[data-module-toggle]');
+                if (!toggle) return;
+                const change = moduleConfig.select(selectedModules, toggle.dataset.moduleToggle, toggle.checked);
+                selectedModules = change.modules;
+                notes = change.notes;
+                update();
+            });
+
+            appWrapper.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-module-action]');
+                if (!btn) return;
+                if (btn.dataset.moduleAction === 'clear') {
+                    selectedModules = [];
+                    notes = [];
+                    update();
+                }
+                if (btn.dataset.moduleAction === 'share') {
+                    const field = btn.closest('[data-module-selector]').querySelector('.module-share-link');
+                    field.value = shareUrl();
+                    field.hidden = false;
+                    field.select();
+                    if (navigator.clipboard) navigator.clipboard.writeText(field.value).catch(() => {});
+                }
+            });
+
+            update();
+        };
+
+        const moduleNames = (ids) => ids.map(id => `${rules.getModule(id).shortName} ${rules.getModule(id).icon}`).join(', ');
+
+        // Shows what belongs to the selected modules and hides what they replace, on every page.
+        const applyModuleSelection = (notes = []) => {
+            const active = new Set(selectedModules);
+            appWrapper.querySelectorAll('[data-module-toggle]').forEach(toggle => {
+                toggle.checked = active.has(toggle.dataset.moduleToggle);
+            });
+            appWrapper.querySelectorAll('[data-module]').forEach(el => {
+                el.classList.toggle('module-hidden', !active.has(el.dataset.module));
+            });
+            appWrapper.querySelectorAll('[data-is-replaced-by]').forEach(el => {
+                el.classList.toggle('module-hidden', active.has(el.dataset.isReplacedBy));
+            });
+
+            const summary = selectedModules.length ? `Playing with ${moduleNames(selectedModules)}.` : 'Playing the core game without optional modules.';
+            appWrapper.querySelectorAll('[data-module-summary]').forEach(el => { el.textContent = summary; });
+            appWrapper.querySelectorAll('[data-module-notes]').forEach(el => { el.textContent = notes.join('\n'); });
+
+            const applied = selectedModules.filter(id => moduleConfig.ENGINE_MODULES[id]);
+            const atTable = selectedModules.filter(id => !moduleConfig.ENGINE_MODULES[id]);
+            const playNote = [
+                selectedModules.length ? `New games start with ${moduleNames(selectedModules)}.` : 'New games start with the core rules only.',
+                ...applied.map(id => `With ${rules.getModule(id).shortName}, ${moduleConfig.ENGINE_MODULES[id]}.`),
+                atTable.length ? `${moduleNames(atTable)} ${atTable.length === 1 ? 'is' : 'are'} recorded with the game but left to the table.` : '',
+            ].filter(Boolean).join(' ');
+            appWrapper.querySelectorAll('[data-module-play-note]').forEach(el => { el.textContent = playNote; });
+
+            // Entry i of the TOC belongs to heading i (see initTOC).
+            [getEl('toc-list'), getEl('mobile-toc-list')].filter(Boolean).forEach(list => {
+                tocHeadings.forEach((h, i) => {
+                    if (list.children[i]) list.children[i].classList.toggle('module-hidden', Boolean(h.closest('.module-hidden')));
+                });
+            });
+        };
+
+        // --- RULEBOOK CHECK ---
+        // Reads the rendered pages and reports what has drifted apart: heading ids, § references, the
+        // Glossary and the numbers the text states. The cheat sheets are drawn from the rules data, so a
+        // number in the text that disagrees with the data disagrees with them as well.
+
+        // Every term a player needs a definition for; spelled as in the Glossary. A translation brings its own list.
+        const glossaryTerms = (locale && locale.glossaryTerms) || [
+            'Attacker', 'Bushi', 'Castle', 'Clan', 'Contested Province', 'Controlled Province', 'Daimyō', 'Defender',
+            'Gekokujō', 'Glory Points', 'Honor Pact', 'Koku', 'Kōseki', 'Liege Lord', 'Mandate Province', 'Module',
+            'Mountain Province', 'Neutral Province', 'Ninja', 'Province', 'Raiding', 'Ronin', 'Shōgun', 'Spoilage',
+            'Stacking Limit', 'Unit Maintenance', 'Vassal',
+        ];
+
+        // Each pattern captures the numbers a sentence states, in the order of `value`. The patterns read the
+        // English text; a translated page simply matches none of them.
+        const numericFacts = () => {
+            const params = (id) => rules.getModule(id).params;
+            const politics = params('political-play');
+            const favor = params('emperors-favor');
+            const rice = params('cycle-of-rice');
+            const ikko = params('ikko-ikki');
+            const glory = params('path-of-glory');
+            const ronin = params('way-of-the-ronin');
+            return [
+                { what: 'Unit Maintenance', ref: '4.1', value: [rules.economy.bushiPerMaintenanceKoku], pattern: /1 Koku (?:for every|per) (\d+) Bushi/ },
+                { what: 'Base income', ref: '4.1', value: [rules.economy.baseIncome], pattern: /base income of (\d+) Koku/ },
+                { what: 'Base income', ref: '4.1', value: [rules.economy.baseIncome], pattern: /\((\d+) base \+/ },
+                { what: 'Kōseki needed for liberation', ref: '8.2', value: [rules.vassalage.kosekiToLiberate], pattern: /(?:Collect|reaching) (\d+) Kōseki/ },
+                { what: 'Units that swear fealty', ref: '8.1', value: [rules.vassalage.convertedUnits], pattern: /up to (\d+) units switch sides/i },
+                { what: 'Castle defense bonus', ref: '9.2', value: [rules.getModifier('castle').value], pattern: /Provides \+(\d+) on defense rolls/ },
+                { what: 'Fortified Castle defense bonus', ref: '9.2', value: [rules.getModifier('fortified-castle').value], pattern: /defense bonus to \+(\d+)/ },
+                { what: 'Castles per clan', ref: '9.2', value: [rules.limits.castlesPerClan], pattern: /Limit (\d+) per player/ },
+                { what: 'Honor Pact offer', ref: '10.1', value: [politics.offerCost], pattern: /(\d+) Koku to offer/ },
+                { what: 'Honor Pact pledge', ref: '10.1', value: [politics.pledge], pattern: /place (\d+) Koku in a shared pool/ },
+                { what: 'Shared stacking limit', ref: '10.1', value: [politics.sharedStackingLimit], pattern: /limit (\d+) units total/ },
+                { what: 'Betrayal penalty', ref: '10.1', value: [-politics.betrayalAttackPenalty], pattern: /suffers -(\d+) attack/ },
+                { what: 'Blood Feud bonus', ref: '10.1', value: [politics.bloodFeudBonus], pattern: /\+(\d+) Attack\/Defense vs Betrayer/ },
+                { what: 'Legitimacy per round', ref: '10.2.1', value: [favor.legitimacyPerRound], pattern: /Gain (\d+) Legitimacy Point/ },
+                { what: 'Legitimate Claim', ref: '10.2.2', value: [favor.legitimateClaimCost, favor.legitimateClaimBushi], pattern: /(\d+) Legitimacy \(Legitimate Claim\): Remove (\d+) enemy Bushi/ },
+                { what: 'Imperial Censure', ref: '10.2.2', value: [favor.imperialCensureCost], pattern: /(\d+) Legitimacy \(Imperial Censure\)/ },
+                { what: 'Appointed Shogun', ref: '10.2.2', value: [favor.appointedShogunCost], pattern: /(\d+) Legitimacy \(Appointed Shogun\)/ },
+                { what: 'Specialized unit cost', ref: '10.3', value: [params('specialized-warfare').unitCost], pattern: /Cost is (\d+) Koku per unit/ },
+                { what: 'Firearm Technology', ref: '10.4.1', value: [params('nanban-trade').technologyCost], pattern: /Pay (\d+) Koku once/ },
+                { what: 'Arquebusier cost', ref: '10.4.3', value: [params('nanban-trade').units.arquebusiers.cost], pattern: /Cost: (\d+) Koku per unit/ },
+                { what: 'Daimyō\'s Stipend', ref: '10.5', value: [rice.stipend], pattern: /Fixed (\d+) Koku per player/ },
+                { what: 'Daimyō\'s Stipend', ref: '10.5', value: [rice.stipend], pattern: /Stipend of (\d+) Koku/ },
+                { what: 'Koku sown per province', ref: '10.5', value: [rice.maxSownPerProvince], pattern: /Max (\d+) Koku per province/ },
+                ...rice.harvest.map(band => ({
+                    what: `${band.name} harvest`, ref: '10.5', value: [band.min, band.max, band.multiplier],
+                    pattern: new RegExp(`(\\d+)-(\\d+) \\(${escapeRegExp(band.name)}\\): x(\\d+)`),
+                })),
+                { what: 'Unrest for a Rebellion', ref: '10.6', value: [ikko.rebellionUnrest], pattern: /A (\d+)(?:st|nd|rd|th) Unrest marker triggers Rebellion/ },
+                { what: 'Rebel Bushi', ref: '10.6', value: [ikko.rebelBushi], pattern: /Stronghold\) with (\d+) Neutral Bushi/ },
+                { what: 'Pacification cost', ref: '10.6', value: [ikko.pacifyCost], pattern: /Pay (\d+) Koku to remove (?:Unrest|an Unrest marker)/ },
+                { what: 'Pacification roll', ref: '10.6', value: [ikko.pacifyRoll], pattern: /roll (\d+)-6 to pacify/ },
+                ...glory.awards.map(award => ({
+                    what: award.condition, ref: '10.7', value: [award.points],
+                    pattern: new RegExp(`${escapeRegExp(award.condition)}\\s*\\+(\\d+) GP`),
+                })),
+                { what: 'Glory Points to win', ref: '10.7', value: [glory.victoryPoints], pattern: /Reach (\d+) GP/ },
+                { what: 'Power Vacuum Bushi', ref: '10.8.1', value: [ronin.vacuumBushi], pattern: /Place (\d+) Neutral Bushi in each/ },
+                { what: 'Stacking Limit', ref: '3.2', value: [rules.limits.stacking], pattern: /stacking limit \((\d+)\)/i },
+                { what: 'Glory Markers for a coup', ref: '10.8.5', value: [ronin.coupGloryMarkers], pattern: /Minimum (\d+) Glory Markers/ },
+                { what: 'Coup roll', ref: '10.8.5', value: [ronin.coupSuccessRoll], pattern: /(\d+)-6 \(Success\)/ },
+                { what: 'Coup roll', ref: '10.8.5', value: [ronin.coupSuccessRoll], pattern: /coup \(Roll (\d+)-6\)/ },
+                { what: 'Treasury Heist', ref: '10.8.6', value: [100 / ronin.heistDivisor], pattern: /Steal (\d+)% \(rounded down\)/ },
+            ];
+        };
+
+        const foldText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const refId = (ref) => `s${ref.replace(/\./g, '_')}`;
+        const refExists = (ref) => Boolean(getEl(refId(ref)) || getEl(`${refId(ref)}_heading`));
+
+        // The rule number is a span of its own; keep it apart from the title.
+        const headingText = (el) => [...el.childNodes].map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+
+        // Where a problem sits: its page and the closest heading with an id before it on that page.
+        const lintLocation = (el) => {
+            const page = el.closest('.page-container');
+            if (!page) return { page: '', anchor: null, heading: '' };
+            const heading = [...page.querySelectorAll('h2[id], h3[id], h4[id], h5[id]')]
+                .filter(h => h.contains(el) || (h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)).pop();
+            return {
+                page: pageLabel(page),
+                anchor: heading ? heading.id : page.id.replace(/^page-/, ''),
+                heading: heading ? headingText(heading) : '',
+            };
+        };
+
+        const problem = (el, message) => ({ message, ...lintLocation(el) });
+
+        const lintHeadingIds = () => {
+            const byId = {};
+            appWrapper.querySelectorAll('[id]').forEach(el => { (byId[el.id] = byId[el.id] || []).push(el); });
+            const duplicates = Object.entries(byId).filter(([, els]) => els.length > 1).map(([id, els]) =>
+                problem(els[1], `id="${id}" is used ${els.length} times: ${els.map(el => `“${headingText(el).slice(0, 60)}”`).join(', ')}.`));
+            // A numbered heading must carry the id its § number links to.
+            const misnumbered = [...appWrapper.querySelectorAll('[id] > .rule-number')].map(span => {
+                const ref = span.textContent.replace(/[§\s]/g, '');
+                const el = span.parentElement;
+                return el.id === refId(ref) || el.id === `${refId(ref)}_heading` ? null : problem(el, `The heading numbered §${ref} has id="${el.id}"; links to §${ref} expect id="${refId(ref)}".`);
+            }).filter(Boolean);
+            return [...duplicates, ...misnumbered];
+        };
+
+        const lintCrossReferences = () => {
+            const problems = [];
+            appWrapper.querySelectorAll('a[href^="#"]').forEach(a => {
+                if (a.closest('[data-lint-report], [data-version-diff]')) return;
+                const target = a.getAttribute('href').slice(1);
+                if (!target) return;
+                if (!getEl(target) && !getEl(`page-${target}`)) {
+                    problems.push(problem(a, `“${a.textContent.trim()}” links to #${target}, which does not exist.`));
+                    return;
+                }
+                const cited = a.textContent.match(/§\s*(\d+(?:\.\d+)*)/);
+                if (cited && /^s\d/.test(target) && ![refId(cited[1]), `${refId(cited[1])}_heading`].includes(target)) {
+                    problems.push(problem(a, `“${a.textContent.trim()}” links to #${target} instead of #${refId(cited[1])}.`));
+                }
+                // A link into §10 should lead to the module its sentence names.
+                const linked = rules.modules.find(m => target === m.anchor || target.startsWith(`${m.anchor}_`));
+                if (!linked) return;
+                const sentence = foldText(a.parentElement.textContent);
+                const named = rules.modules.filter(m => [m.name, m.shortName].some(name => sentence.includes(foldText(name))));
+                if (named.length && !named.includes(linked)) {
+                    const m = named[0];
+                    problems.push(problem(a, `The text names ${m.shortName} (§${m.section}) but links to §${linked.section} (${linked.shortName}).`));
+                }
+            });
+
+            const walker = document.createTreeWalker(appWrapper, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => (node.parentElement.closest('script, style, a, h1, h2, h3, h4, h5, [data-lint-report], [data-version-diff]') ?
+                    NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+            });
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                [...node.textContent.matchAll(/§\s*(\d+(?:\.\d+)*)/g)].filter(m => !refExists(m[1]))
+                    .forEach(m => problems.push(problem(node.parentElement, `§${m[1]} is cited but no such section exists.`)));
+            }
+
+            // The timing rows come from the rules data, so their problems point at the Timing page.
+            const timingPage = getEl('page-timing') || appWrapper;
+            [...rules.timing.round, ...rules.timing.combat].forEach(row => {
+                const label = row.action || row.title;
+                [row.ref, row.notesRef].filter(Boolean).forEach(ref => {
+                    if (!refExists(ref)) problems.push(problem(timingPage, `Timing row “${label}” cites §${ref}, which does not exist.`));
+                    const m = row.module && rules.getModule(row.module);
+                    if (m && ref !== m.section && !ref.startsWith(`${m.section}.`)) {
+                        problems.push(problem(timingPage, `Timing row “${label}” belongs to ${m.shortName} (§${m.section}) but cites §${ref}.`));
+                    }
+                });
+            });
+            return problems;
+        };
+
+        const lintGlossary = () => {
+            const glossaryList = getEl('glossary-list');
+            if (!glossaryList) return [problem(appWrapper, 'The Glossary is missing.')];
+            const defined = [...glossaryList.querySelectorAll('li > strong')].map(el => foldText(el.textContent.trim().replace(/:$/, '')));
+
+            let text = '';
+            const walker = document.createTreeWalker(appWrapper, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => (node.parentElement.closest('script, style, #glossary-list, [data-lint-report], [data-version-diff]') ?
+                    NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+            });
+            while (walker.nextNode()) text += ` ${walker.currentNode.textContent}`;
+            text = foldText(text);
+
+            return glossaryTerms.filter(term => !defined.includes(foldText(term))).map(term => {
+                const uses = (text.match(new RegExp(`(^|[^a-z])${escapeRegExp(foldText(term))}(?![a-z])`, 'g')) || []).length;
+                return uses ? problem(glossaryList, `“${term}” is used ${uses} time${uses === 1 ? '' : 's'} but has no Glossary entry.`) : null;
+            }).filter(Boolean);
+        };
+
+        const lintNumbers = () => {
+            const facts = numericFacts();
+            const seen = new Set();
+            const problems = [];
+            appWrapper.querySelectorAll('p, li, td, tr').forEach(el => {
+                if (el.closest('[data-lint-report], [data-version-diff]')) return;
+                const text = el.textContent.replace(/\s+/g, ' ');
+                facts.forEach(fact => {
+                    const found = text.match(fact.pattern);
+                    if (!found) return;
+                    const stated = found.slice(1).map(Number);
+                    if (stated.every((n, i) => n === fact.value[i])) return;
+                    const message = `${fact.what} (§${fact.ref}): the text says “${found[0]}”, the rules data says ${fact.value.join(', ')}.`;
+                    const location = lintLocation(el);
+                    const key = `${message}|${location.anchor}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    problems.push({ message, ...location });
+                });
+            });
+            return problems;
+        };
+
+        // The current text must be the text recorded for the current version in engine/history.js.
+        const lintHistory = () => {
+            const current = versionHistory.current;
+            const anchor = getEl('version_history');
+            const problems = current === rules.version ? [] :
+                [problem(anchor, `The version history ends at ${current}, but the rules data is ${rules.version}.`)];
+            const sections = readSections();
+            versionHistory.unrecorded(sections).forEach(({ id, change }) => {
+                const what = sections[id] ? `“${sections[id].title}”` : `The section #${id}`;
+                const since = { changed: 'has changed', added: 'is new', removed: 'was removed' }[change];
+                problems.push(problem(getEl(id) || anchor, `${what} ${since} since ${current} was recorded. Record the change as a new version in engine/history.js.`));
+            });
+            return problems;
+        };
+
+        const lintRulebook = () => [
+            { title: 'Heading ids', problems: lintHeadingIds() },
+            { title: '§ cross-references', problems: lintCrossReferences() },
+            { title: 'Glossary', problems: lintGlossary() },
+            { title: 'Numbers in the text', problems: lintNumbers() },
+            { title: 'Version history', problems: lintHistory() },
+        ];
+
+        const renderLintReport = (checks) => {
+            const total = checks.reduce((sum, check) => sum + check.problems.length, 0);
+            const where = (p) => (p.anchor ? ` – <a href="#${p.anchor}" class="nav-link-inline">${escapeHTML([p.page, p.heading].filter(Boolean).join(': '))}</a>` : '');
+            return `
+<p class="font-semibold">${total ? `${total} problem${total === 1 ? '' : 's'} found.` : 'No problems found.'}</p>
+${checks.map(check => `
+<h4 class="mt-4">${escapeHTML(check.title)} (${check.problems.length})</h4>
+${check.problems.length ?
+        `<ul class="list-disc list-inside space-y-1 text-sm">${check.problems.map(p => `<li>${escapeHTML(p.message)}${where(p)}</li>`).join('')}</ul>` :
+        '<p class="text-sm text-gray-400">No problems found.</p>'}`).join('')}`;
+        };
+
+        // The check runs on request from the About page; "?lint" in the address runs it on load and
+        // writes the report to the console as well.
+        const initRulebookCheck = () => {
+            const card = appWrapper.querySelector('[data-lint-report]');
+            const run = () => {
+                const checks = lintRulebook();
+                if (card) card.querySelector('.lint-result').innerHTML = renderLintReport(checks);
+                return checks;
+            };
+            if (card) card.querySelector('[data-lint-action="run"]').addEventListener('click', run);
+
+            if (!new URLSearchParams(window.location.search).has('lint')) return;
+            const problems = run().flatMap(check => check.problems.map(p => `[${check.title}] ${p.message}${p.anchor ? ` (#${p.anchor})` : ''}`));
+            if (problems.length) console.warn(`Rulebook check: ${problems.length} problem(s)\n${problems.join('\n')}`);
+            else console.info('Rulebook check: no problems found.');
+        };
+
+        // --- VERSION HISTORY ---
+        // The pages as written into this file are the current version; engine/history.js works the older
+        // ones back from them. Always the English text, whatever language is on screen.
+        const HISTORY_PAGES = ['start', 'new-players', 'rules', 'modules', 'strategy', 'timing', 'reference'];
+        const SECTION_BREAKS = 'p, li, dt, dd, tr, td, th, div, section, header, ul, ol, table, details, summary, blockquote, pre, br, h1, h2, h3, h4, h5, h6';
+        const CHANGE_LABELS = { added: 'New', removed: 'Removed', changed: 'Changed' };
+        const DIFF_CONTEXT = 12;
+        let englishPages = {};
+        let currentSections = null;
+
+        // { id: { title, text } }: each heading with an id and the text up to the next one, forms and buttons left out.
+        const readSections = () => {
+            if (currentSections) return currentSections;
+            const doc = document.implementation.createHTMLDocument('');
+            currentSections = {};
+            // One page at a time, as loadContent does: a tag left open on one page must not swallow the next.
+            HISTORY_PAGES.forEach(pageId => {
+                const page = doc.createElement('div');
+                page.innerHTML = englishPages[pageId] || '';
+                const headings = [...page.querySelectorAll('h2[id], h3[id], h4[id], h5[id]')];
+                headings.forEach((heading, i) => {
+                    const range = doc.createRange();
+                    range.setStartAfter(heading);
+                    if (headings[i + 1]) range.setEndBefore(headings[i + 1]);
+                    else range.setEnd(page, page.childNodes.length);
+                    const fragment = range.cloneContents();
+                    fragment.querySelectorAll('form, button, svg, script, style').forEach(el => el.remove());
+                    fragment.querySelectorAll(SECTION_BREAKS).forEach(el => { el.before(' '); el.after(' '); });
+                    currentSections[heading.id] = { title: headingText(heading), text: fragment.textContent.replace(/\s+/g, ' ').trim() };
+                });
+            });
+            return currentSections;
+        };
+
+        const versionName = (id) => versionHistory.getVersion(id).name;
+
+        const renderVersionForm = () => {
+            const options = (selected) => versionHistory.versions.map(v => `<option value="${v.id}"${v.id === selected ? ' selected' : ''}>${escapeHTML(v.name)}</option>`).join('');
+            const previous = versionHistory.versions[Math.max(0, versionHistory.versions.length - 2)].id;
+            return `
+<form id="version-form" class="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6" novalidate>
+    <label class="text-sm block">From
+        <select name="from" class="form-input mt-1">${options(previous)}</select>
+    </label>
+    <label class="text-sm block">To
+        <select name="to" class="form-input mt-1">${options(versionHistory.current)}</select>
+    </label>
+</form>
+<div id="version-diff" class="mt-6" data-version-diff aria-live="polite"></div>`;
+        };
+
+        // Long unchanged stretches shrink to a few words on either side of a change.
+        const renderDiff = (diff) => diff.map((part, i) => {
+            if (part.op === 'added') return `<ins>${escapeHTML(part.text)}</ins>`;
+            if (part.op === 'removed') return `<del>${escapeHTML(part.text)}</del>`;
+            const words = part.text.split(' ');
+            if (words.length <= DIFF_CONTEXT * 2) return escapeHTML(part.text);
+            const head = i > 0 ? [escapeHTML(words.slice(0, DIFF_CONTEXT).join(' '))] : [];
+            const tail = i < diff.length - 1 ? [escapeHTML(words.slice(-DIFF_CONTEXT).join(' '))] : [];
+            return [...head, '<span class="version-gap">…</span>', ...tail].join(' ');
+        }).join(' ');
+
+        const renderVersionDiff = (changes, from, to) => {
+            if (from === to) return '<p class="text-sm text-gray-400">Pick two different versions to compare.</p>';
+            const between = `between ${escapeHTML(versionName(from))} and ${escapeHTML(versionName(to))}`;
+            const notes = [...new Set([from, to].map(id => versionHistory.getVersion(id).note).filter(Boolean))];
+            const title = (change) => (getEl(change.id) ? `<a href="#${change.id}" class="nav-link-inline">${escapeHTML(change.title)}</a>` : escapeHTML(change.title));
+            return `
+<p class="font-semibold">${changes.length ? `${changes.length} section${changes.length === 1 ? '' : 's'} differ ${between}.` : `No differences ${between}.`}</p>
+${notes.map(note => `<p class="text-sm text-gray-400 mt-2">${escapeHTML(note)}</p>`).join('')}
+<ul class="list-none mt-4 space-y-4">${changes.map(change => `
+    <li data-change="${change.change}">
+        <p class="font-semibold">${title(change)}<span class="version-badge">${CHANGE_LABELS[change.change]}</span></p>
+        ${change.previousTitle ? `<p class="text-sm text-gray-400">Previously “${escapeHTML(change.previousTitle)}”</p>` : ''}
+        <p class="version-diff text-sm mt-1">${renderDiff(change.diff)}</p>
+    </li>`).join('')}
+</ul>`;
+        };
+
+        // Both tables of contents mark the sections that differ between the two versions picked.
+        const flagChangedSections = (changes, from, to) => {
+            document.querySelectorAll('.toc-link.toc-changed').forEach(link => {
+                link.classList.remove('toc-changed');
+                link.removeAttribute('title');
+            });
+            changes.forEach(change => document.querySelectorAll(`.toc-link[href="#${change.id}"]`).forEach(link => {
+                link.classList.add('toc-changed');
+                link.title = `${CHANGE_LABELS[change.change]} between ${versionName(from)} and ${versionName(to)}`;
+            }));
+        };
+
+        // The pair picked last is kept, so a group pinned to an older version sees what differs from it.
+        const initVersionHistory = () => {
+            const form = getEl('version-form');
+            const result = getEl('version-diff');
+            const known = (id) => versionHistory.versions.some(v => v.id === id);
+            const saved = (localStorage.getItem('shogunCompare') || '').split('..');
+            let [from, to] = saved.length === 2 && saved.every(known) ? saved :
+                [versionHistory.versions[Math.max(0, versionHistory.versions.length - 2)].id, versionHistory.current];
+
+            const update = () => {
+                const changes = from === to ? [] : versionHistory.compare(from, to, readSections());
+                flagChangedSections(changes, from, to);
+                if (result) result.innerHTML = renderVersionDiff(changes, from, to);
+            };
+
+            if (form) {
+                form.elements.from.value = from;
+                form.elements.to.value = to;
+                form.addEventListener('change', () => {
+                    from = form.elements.from.value;
+                    to = form.elements.to.value;
+                    localStorage.setItem('shogunCompare', `${from}..${to}`);
+                    update();
+                });
+            }
+            update();
+        };
+
+        // --- PRINTABLE AIDS ---
+        // The Player Aid and the Timing Reference are cut from the Reference and Timing pages as they stand:
+        // in the language on screen, with the rows and cards the module selection hides left out. They carry
+        // their own black-on-white styles, so the site theme never reaches the paper.
+        const AIDS = {
+            player: { page: 'reference', file: 'ShogunPlayerAid.html', parts: (page) => [page.querySelector('.max-w-4xl') || page], breaks: '#ref_stufe2, #ref_stufe3' },
+            timing: { page: 'timing', file: 'ShogunTimingAid.html', parts: (page) => [...page.querySelectorAll('.table-responsive-wrapper')], breaks: '#timing_combat_structure' },
+        };
+
+        const AID_STYLES = `
+@page { size: A4; margin: 12mm; }
+body { margin: 0 auto; max-width: 60rem; padding: 1.5rem; font: 10pt/1.45 Georgia, 'Times New Roman', serif; color: #000; background: #fff; }
+h1 { font-size: 18pt; margin: 0; }
+h2 { font-size: 14pt; margin: 1.25rem 0 0.5rem; padding-bottom: 0.15rem; border-bottom: 2px solid #000; }
+h3 { font-size: 12pt; margin: 1rem 0 0.4rem; }
+h4, h5 { font-size: 10.5pt; margin: 0.75rem 0 0.3rem; }
+p, ul, ol { margin: 0.3rem 0; }
+ul, ol { padding-left: 1.25rem; }
+table { width: 100%; border-collapse: collapse; margin: 0.4rem 0 0.8rem; }
+th, td { border: 1px solid #555; padding: 0.2rem 0.4rem; text-align: left; vertical-align: top; }
+th { background: #e6e6e6; }
+.rule-number { font-weight: 700; margin-right: 0.4em; }
+.aid-meta { margin: 0.25rem 0 1rem; padding-bottom: 0.5rem; border-bottom: 1px solid #000; color: #333; font-size: 9pt; }
+/* Page breaks: a cheat sheet stays on one sheet where it fits, headings stay with what follows, long tables repeat their header. */
+.info-card, blockquote, li, tr { break-inside: avoid; page-break-inside: avoid; }
+h2, h3, h4, h5 { break-after: avoid; page-break-after: avoid; }
+thead { display: table-header-group; }
+.aid-break { break-before: page; page-break-before: always; }
+@media print { body { max-width: none; padding: 0; } }`;
+
+        const buildAid = (kind) => {
+            const aid = AIDS[kind];
+            const page = getEl(`page-${aid.page}`);
+            if (!page) throw new Error(`The ${aid.page} page is missing.`);
+            const body = aid.parts(page).map(part => {
+                const clone = part.cloneNode(true);
+                clone.querySelectorAll('.module-hidden, [hidden], [data-aid], [data-module-selector], form, button, script, svg, hr').forEach(el => el.remove());
+                clone.querySelectorAll(aid.breaks).forEach(el => el.classList.add('aid-break'));
+                // On paper a link leads nowhere and a tooltip never opens; their text stays.
+                clone.querySelectorAll('a, .tooltip').forEach(el => el.replaceWith(...el.childNodes));
+                return clone.innerHTML;
+            }).join('\n');
+            const title = `Shogun: Gekokujō – ${t(`aid.${kind}.title`)}`;
+            const modules = selectedModules.length ? moduleNames(selectedModules) : t('aid.core');
+            return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>${AID_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="aid-meta">${escapeHTML(t('aid.rulebook'))} ${escapeHTML(rules.version)} · ${escapeHTML(modules)} · ${new Date().toISOString().slice(0, 10)}</p>
+${body}
+</body>
+</html>`;
+        };
+
+        // Printed from a hidden frame, so the page itself is not what goes to the printer.
+        const printAid = (html) => {
+            const frame = document.createElement('iframe');
+            frame.className = 'aid-print-frame';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.addEventListener('load', () => {
+                frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+            }, { once: true });
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+        };
+
+        const renderAidButtons = (kind) => `
+<div class="text-center mt-4 flex flex-wrap justify-center gap-4" data-aid="${kind}">
+    <button type="button" data-aid-action="download" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">${escapeHTML(t(`aid.${kind}.download`))}</button>
+    <button type="button" data-aid-action="print" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">${escapeHTML(t(`aid.${kind}.print`))}</button>
+</div>`;
+
+        const initPrintableAids = () => {
+            appWrapper.querySelectorAll('[data-aid]').forEach(controls => {
+                const kind = controls.dataset.aid;
+                controls.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-aid-action]');
+                    if (!button) return;
+                    const html = buildAid(kind);
+                    if (button.dataset.aidAction === 'print') printAid(html);
+                    else downloadFile(AIDS[kind].file, html, 'text/html;charset=utf-8');
+                });
+            });
+        };
+
+        const initProvinceMap = () => {
+            document.querySelectorAll('[data-province-map]').forEach(mapEl => {
+                const info = mapEl.querySelector('.province-map-info');
+
+                const select = (id) => {
+                    if (!provinces.get(id)) return;
+                    const around = new Set(provinces.neighbors(id));
+                    mapEl.querySelectorAll('.province-node').forEach(node => {
+                        node.classList.toggle('is-selected', node.dataset.province === id);
+                        node.classList.toggle('is-neighbor', around.has(node.dataset.province));
+                    });
+                    mapEl.querySelectorAll('.province-edge').forEach(line => {
+                        line.classList.toggle('is-active', line.dataset.from === id || line.dataset.to === id);
+                    });
+                    info.innerHTML = renderProvinceInfo(id);
+                };
+
+                mapEl.addEventListener('click', (e) => {
+                    const target = e.target.closest('[data-province], [data-province-select]');
+                    if (target) select(target.dataset.province || target.dataset.provinceSelect);
+                });
+                mapEl.addEventListener('keydown', (e) => {
+                    const node = e.target.closest('[data-province]');
+                    if (node && (e.key === 'Enter' || e.key === ' ')) {
+                        e.preventDefault();
+                        select(node.dataset.province);
+                    }
+                });
+            });
+        };
+
+        const initBattleOdds = () => {
+            const form = getEl('odds-form');
+            const result = getEl('odds-result');
+            if (!form || !result) return;
+
+            const readInt = (name) => Math.max(0, parseInt(form.elements[name].value, 10) || 0);
+            const readStack = (role) => ({
+                player: role,
+                clan: form.elements[`${role}-clan`].value || null,
+                daimyo: readInt(`${role}-daimyo`),
+                bushi: readInt(`${role}-bushi`),
+                ronin: readInt(`${role}-ronin`),
+            });
+
+            const update = () => {
+                const attacker = readStack('attacker');
+                const defender = readStack('defender');
+                const castle = form.elements['defender-castle'].value;
+                const province = {
+                    id: form.elements['defender-kyoto'].checked ? 'yamashiro' : null,
+                    controlledAtRoundStart: form.elements['defender-held'].checked ? 'defender' : null,
+                    castle: castle ? { owner: 'defender', type: castle === 'fortress' ? 'fortress' : 'castle', fortified: castle === 'fortified' } : null,
+                };
+                const pact = rules.getModifier('pact-broken');
+                const options = {
+                    otomoReroll: form.elements['attacker-reroll'].checked,
+                    sowDiscord: form.elements['sow-discord'].value || null,
+                    modifiers: form.elements['attacker-pact'].checked ? [{ ...pact, player: 'attacker' }] : [],
+                };
+                form.elements['attacker-reroll'].disabled = attacker.clan !== 'otomo';
+
+                try {
+                    const odds = combat.battleOdds(attacker, defender, province, options);
+                    const comparisons = [];
+                    if (odds.attacker.kokuSpent) {
+                        comparisons.push({ label: 'Otomo re-roll', cost: odds.attacker.kokuSpent, role: 'attacker', without: combat.battleOdds(attacker, defender, province, { ...options, otomoReroll: false }) });
+                    }
+                    [['attacker', attacker], ['defender', defender]].forEach(([role, stack]) => {
+                        if (!stack.ronin) return;
+                        const without = role === 'attacker' ?
+                            combat.battleOdds({ ...attacker, ronin: 0 }, defender, province, options) :
+                            combat.battleOdds(attacker, { ...defender, ronin: 0 }, province, options);
+                        comparisons.push({ label: `${stack.ronin} Ronin for the ${role}`, cost: stack.ronin * rules.costs.hireRonin, role, without });
+                    });
+                    result.innerHTML = renderOddsResult(odds, comparisons);
+                } catch (err) {
+                    result.innerHTML = `<p class="text-accent-secondary">${escapeHTML(err.message)}</p>`;
+                }
+            };
+
+            form.addEventListener('input', update);
+            form.addEventListener('change', update);
+            update();
+        };
+
+        const initIncomePlanner = () => {
+            const form = getEl('planner-form');
+            const result = getEl('planner-result');
+            if (!form || !result) return;
+
+            const readInt = (name) => Math.max(0, parseInt(form.elements[name].value, 10) || 0);
+            const provinceSelect = form.elements['planner-provinces'];
+
+            const selectHome = () => {
+                const home = provinces.homeOf(form.elements['planner-clan'].value);
+                [...provinceSelect.options].forEach(o => { o.selected = home !== null && o.value === home.id; });
+            };
+
+            const update = () => {
+                const position = {
+                    clan: form.elements['planner-clan'].value,
+                    koku: readInt('planner-koku'),
+                    provinces: [...provinceSelect.selectedOptions].map(o => o.value),
+                    bushi: readInt('planner-bushi'),
+                    mountainUnits: readInt('planner-mountain-units'),
+                    firstRound: form.elements['planner-first-round'].checked,
+                };
+                const spending = {
+                    recruit: readInt('planner-recruit'),
+                    ninja: form.elements['planner-ninja'].checked,
+                    castle: form.elements['planner-castle'].value || null,
+                };
+                const plan = economy.planRound(position, spending);
+
+                let maxRecruits = 0;
+                for (let n = 1; n <= rules.limits.bushiPerClan - position.bushi; n++) {
+                    const trial = economy.planRound(position, { ...spending, recruit: n });
+                    if (trial.errors.length || trial.bushiLost) break;
+                    maxRecruits = n;
+                }
+                result.innerHTML = renderPlannerResult(plan, maxRecruits);
+            };
+
+            form.elements['planner-clan'].addEventListener('change', selectHome);
+            form.addEventListener('input', update);
+            form.addEventListener('change', update);
+            selectHome();
+            update();
+        };
+
+        const initDraftAssistant = () => {
+            const container = getEl('draft-assistant');
+            if (!container) return;
+            const form = container.querySelector('form');
+            const board = container.querySelector('.draft-board');
+            let current = null;
+
+            const show = () => {
+                form.classList.toggle('hidden', current !== null);
+                if (!current) {
+                    board.innerHTML = '';
+                    return;
+                }
+                let html = renderDraftBoard(current);
+                if (draft.isComplete(current)) {
+                    const setup = draft.createSetup(current);
+                    localStorage.setItem('shogunDraftSetup', JSON.stringify(setup));
+                    html += renderDraftSetup(setup);
+                }
+                board.innerHTML = html;
+            };
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const names = form.elements['draft-players'].value.split(',').map(n => n.trim()).filter(Boolean);
+                try {
+                    current = draft.createDraft(names);
+                    form.querySelector('.draft-error').textContent = '';
+                } catch (err) {
+                    form.querySelector('.draft-error').textContent = err.message;
+                }
+                show();
+            });
+
+            board.addEventListener('click', (e) => {
+                const clanBtn = e.target.closest('[data-draft-clan]');
+                const actionBtn = e.target.closest('[data-draft-action]');
+                if (clanBtn && !clanBtn.disabled) current = draft.pickClan(current, clanBtn.dataset.draftClan);
+                if (actionBtn && actionBtn.dataset.draftAction === 'undo') current = draft.undoPick(current);
+                if (actionBtn && actionBtn.dataset.draftAction === 'restart') current = null;
+                if (clanBtn || actionBtn) show();
+            });
+        };
+
+        const initHotSeatGame = () => {
+            const container = getEl('play-game');
+            if (!container) return;
+            const loadSaved = (key) => {
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch (err) {
+                    return null;
+                }
+            };
+
+            let current = loadSaved('shogunHotSeatGame');
+            let setupDraft = null;
+            let revealed = false;
+            let lastResults = [];
+            // { socket, server, room, seat, version, view, created } while connected to a game master.
+            let remote = null;
+
+            const playing = () => (remote ? remote.view && remote.view.game : current);
+
+            const showError = (message) => {
+                const target = container.querySelector('.play-error');
+                if (target) target.textContent = message;
+            };
+
+            const show = () => {
+                if (remote) {
+                    if (remote.view && remote.view.game) container.innerHTML = renderPlayGame(remote.view.game, true, lastResults, remote);
+                    else if (remote.view) container.innerHTML = renderRemoteDraft(remote);
+                    else if (remote.created) container.innerHTML = renderRemoteSeats(remote.created, remote.server);
+                    else container.innerHTML = '<p>Connecting to the game master…</p>';
+                } else if (current) {
+                    localStorage.setItem('shogunHotSeatGame', JSON.stringify(current));
+                    // The device is shared, so only the player who has taken it sees their own treasury.
+                    container.innerHTML = renderPlayGame(views.playerView(current, revealed ? game.actingPlayer(current) : null), revealed, lastResults);
+                } else {
+                    localStorage.removeItem('shogunHotSeatGame');
+                    container.innerHTML = renderPlaySetup(setupDraft, loadSaved('shogunDraftSetup'));
+                }
+                checkMove();
+            };
+
+            // --- REMOTE CONNECTION ---
+            const disconnect = () => {
+                if (remote && remote.socket) remote.socket.close();
+                remote = null;
+            };
+
+            const connect = (server, firstMessage) => {
+                disconnect();
+                let socket;
+                try {
+                    socket = new WebSocket(server);
+                } catch (err) {
+                    show();
+                    showError(`Cannot reach ${server}: ${err.message}`);
+                    return;
+                }
+                const session = { socket, server, room: null, seat: null, version: 0, view: null, created: null };
+                remote = session;
+                socket.addEventListener('open', () => socket.send(JSON.stringify(firstMessage)));
+                socket.addEventListener('message', (e) => {
+                    if (remote !== session) return;
+                    const message = JSON.parse(e.data);
+                    if (message.type === 'created') session.created = message;
+                    if (message.type === 'snapshot') Object.assign(session, { room: message.room, seat: message.seat, version: message.version, view: message.view });
+                    if (message.type === 'patch') {
+                        if (message.version !== session.version + 1) {
+                            socket.send(JSON.stringify({ type: 'sync' }));
+                            return;
+                        }
+                        session.view = sync.applyPatch(session.view, message.ops);
+                        session.version = message.version;
+                    }
+                    if (message.type === 'battle') lastResults = message.results;
+                    if (message.type === 'rejected') {
+                        showError(message.reason);
+                        return;
+                    }
+                    show();
+                });
+                socket.addEventListener('close', () => {
+                    if (remote !== session) return;
+                    remote = null;
+                    show();
+                    showError('The connection to the game master was closed.');
+                });
+                show();
+            };
+
+            const join = (room, token) => {
+                const message = { type: 'join', room, token: token || null };
+                if (remote && remote.socket.readyState === WebSocket.OPEN) {
+                    remote.created = null;
+                    remote.socket.send(JSON.stringify(message));
+                } else {
+                    connect(container.querySelector('[data-play-server]')?.value || defaultServer(), message);
+                }
+            };
+
+            // Runs a named game action (engine/game.js) here, or asks the game master to run it.
+            // In a hot-seat game a new acting player (the next in turn, or one asked to decide) has to take the
+            // device before their controls are shown.
+            const perform = (action, args) => {
+                if (remote) {
+                    remote.socket.send(JSON.stringify({ type: 'command', action, args }));
+                    return;
+                }
+                try {
+                    const previous = game.actingPlayer(current);
+                    const out = game.perform(current, action, args);
+                    current = out.game;
+                    if (out.results) lastResults = out.results;
+                    if (game.actingPlayer(current) !== previous) revealed = false;
+                    show();
+                } catch (err) {
+                    showError(err.message);
+                }
+            };
+
+            // Replaces the hot-seat game with a loaded one; a rejected save leaves everything as it was.
+            const loadGame = (read) => {
+                try {
+                    current = read();
+                } catch (err) {
+                    show();
+                    showError(err.message);
+                    return;
+                }
+                setupDraft = null;
+                revealed = false;
+                lastResults = [];
+                show();
+            };
+
+            const readInt = (form, name) => Math.max(0, parseInt(form.elements[name].value, 10) || 0);
+            const readGroup = (form) => {
+                const group = {
+                    from: form.elements.from.value,
+                    daimyo: readInt(form, 'daimyo'),
+                    bushi: readInt(form, 'bushi'),
+                    ability: form.elements.ability ? form.elements.ability.value || null : null,
+                };
+                // With no route to pick (a sea redeploy, or no way there at all) the engine says why.
+                if (form.elements.route.options.length) group.route = form.elements.route.value ? form.elements.route.value.split(',') : [];
+                return group;
+            };
+
+            // The routes are offered afresh for every change, keeping the one picked while it is still open.
+            const fillRoutes = (form) => {
+                const g = playing();
+                const select = form.elements.route;
+                const picked = select.value;
+                const { route, ...group } = readGroup(form);
+                const found = movement.routes({ ...group, player: g.active }, form.elements.to.value, g);
+                select.innerHTML = found.map(via => {
+                    const value = via.join(',');
+                    const label = via.length ? `Via ${via.map(id => provinces.get(id).name).join(', ')}` : 'Direct';
+                    return `<option value="${value}"${value === picked ? ' selected' : ''}>${escapeHTML(label)}</option>`;
+                }).join('');
+                select.disabled = found.length < 2;
+            };
+
+            const checkMove = () => {
+                const form = container.querySelector('[data-play-form="move"]');
+                if (!form) return;
+                fillRoutes(form);
+                const check = game.checkMove(playing(), readGroup(form), form.elements.to.value);
+                const path = check.ok ? check.path.map(id => provinces.get(id).name).join(' → ') : '';
+                form.querySelector('.play-check').innerHTML = check.ok ?
+                    `Legal: ${escapeHTML(path)}${check.cost ? ` (${check.cost} Koku)` : ''}${check.stops ? ' – this starts a battle.' : ''}` :
+                    `${escapeHTML(check.reason)}${check.ref ? ` (${ruleLink(check.ref)})` : ''}`;
+            };
+
+            // The re-roll is paid from what is left once the Ronin are hired.
+            const checkReroll = (form) => {
+                const g = playing();
+                const left = g.players[g.active].koku - readInt(form, 'ronin-attacker') * rules.costs.hireRonin;
+                form.elements.otomo.disabled = left < rules.clans.otomo.effects.bushiReroll.cost;
+                if (form.elements.otomo.disabled) form.elements.otomo.checked = false;
+            };
+
+            container.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const form = e.target;
+                const names = (field) => form.elements[field].value.split(',').map(n => n.trim()).filter(Boolean);
+                if (form.id === 'play-setup-form') {
+                    try {
+                        setupDraft = draft.createDraft(names('play-players'));
+                        show();
+                    } catch (err) {
+                        container.innerHTML = renderPlaySetup(null, loadSaved('shogunDraftSetup')) + `<p class="text-sm text-accent-secondary mt-2">${escapeHTML(err.message)}</p>`;
+                    }
+                    return;
+                }
+                if (form.id === 'play-host-form') {
+                    connect(container.querySelector('[data-play-server]').value.trim(), { type: 'create', names: names('play-remote-players'), modules: selectedModules });
+                    return;
+                }
+                if (form.id === 'play-join-form') {
+                    join(form.elements.room.value.trim(), form.elements.token.value.trim());
+                    return;
+                }
+                const kind = form.dataset.playForm;
+                if (kind === 'recruit') perform('recruit', [form.elements.province.value, readInt(form, 'count')]);
+                if (kind === 'castle') perform('buildCastle', [form.elements.province.value]);
+                if (kind === 'ninja') perform('hireNinja', [form.elements.province.value]);
+                if (kind === 'move') perform('move', [readGroup(form), form.elements.to.value]);
+                if (kind === 'battle') {
+                    perform('resolveBattle', [form.dataset.province, {
+                        ronin: { attacker: readInt(form, 'ronin-attacker'), defender: form.elements['ronin-defender'] ? readInt(form, 'ronin-defender') : 0 },
+                        otomoReroll: Boolean(form.elements.otomo && form.elements.otomo.checked),
+                    }]);
+                }
+            });
+
+            container.addEventListener('input', (e) => {
+                if (e.target.closest('[data-play-form="move"]')) checkMove();
+                const battle = e.target.closest('[data-play-form="battle"]');
+                if (battle && battle.elements.otomo) checkReroll(battle);
+            });
+            container.addEventListener('change', (e) => {
+                if (e.target.closest('[data-play-form="move"]')) checkMove();
+                if (e.target.id === 'play-import-file' && e.target.files.length) {
+                    e.target.files[0].text().then(text => loadGame(() => save.parseSave(text)));
+                }
+            });
+
+            container.addEventListener('click', (e) => {
+                const clanBtn = e.target.closest('[data-draft-clan]');
+                const draftBtn = e.target.closest('[data-draft-action]');
+                const actionBtn = e.target.closest('[data-play-action]');
+                if (clanBtn && !clanBtn.disabled) {
+                    if (remote) {
+                        remote.socket.send(JSON.stringify({ type: 'command', action: 'pick', args: [clanBtn.dataset.draftClan] }));
+                        return;
+                    }
+                    setupDraft = draft.pickClan(setupDraft, clanBtn.dataset.draftClan);
+                }
+                if (draftBtn) setupDraft = draftBtn.dataset.draftAction === 'undo' ? draft.undoPick(setupDraft) : null;
+                if (clanBtn || draftBtn) show();
+                if (!actionBtn || actionBtn.disabled) return;
+
+                const action = actionBtn.dataset.playAction;
+                if (action === 'start' || action === 'start-saved') {
+                    const setup = action === 'start' ? draft.createSetup(setupDraft) : loadSaved('shogunDraftSetup');
+                    current = game.startGame({ ...setup, modules: selectedModules });
+                    setupDraft = null;
+                    revealed = false;
+                    show();
+                }
+                if (action === 'reveal') {
+                    revealed = true;
+                    show();
+                }
+                if (action === 'join-seat') join(remote.created.room, actionBtn.dataset.token);
+                if (action === 'fortify') perform('fortifyCastle', []);
+                if (action === 'answer') {
+                    const target = actionBtn.closest('.play-action').querySelector('[name="target"]');
+                    // Ronin are hired by number; every other target is an id.
+                    const value = target && playing().prompt.kind === 'ronin' ? Number(target.value) : target && target.value;
+                    perform('answer', [actionBtn.dataset.choice, value || null]);
+                }
+                if (action === 'end-step') {
+                    lastResults = [];
+                    perform('endStep', []);
+                }
+                if (action === 'export') downloadFile(`shogun-game-round-${current.round}.json`, JSON.stringify(save.createSave(current), null, 2), 'application/json');
+                if (action === 'export-replay') {
+                    try {
+                        const g = playing();
+                        downloadFile(`shogun-replay-round-${g.round}.json`, JSON.stringify(replay.createReplay(g)), 'application/json');
+                    } catch (err) {
+                        showError(err.message);
+                    }
+                }
+                if (action === 'share-link') {
+                    try {
+                        const link = `${window.location.href.split('#')[0]}#play/${save.encodeFragment(current)}`;
+                        const field = container.querySelector('.play-share-link');
+                        field.value = link;
+                        field.hidden = false;
+                        field.select();
+                        if (navigator.clipboard) navigator.clipboard.writeText(link).catch(() => {});
+                    } catch (err) {
+                        showError(err.message);
+                    }
+                }
+                if (action === 'abandon' && window.confirm('Abandon this game? It cannot be recovered.')) {
+                    current = null;
+                    show();
+                }
+                if (action === 'leave') {
+                    disconnect();
+                    show();
+                }
+            });
+
+            // Game links carry a saved position in the fragment ("#play/g1....", engine/save.js).
+            const openGameLink = () => {
+                const [page, code] = window.location.hash.split('/');
+                if (page !== '#play' || !code) return false;
+                history.replaceState(null, '', '#play');
+                if (remote || (current && !window.confirm('Replace the game in progress with the one from this link?'))) return false;
+                loadGame(() => save.decodeFragment(code));
+                return true;
+            };
+            window.addEventListener('hashchange', openGameLink);
+
+            // Seat links carry the game master, room and seat token in the query string.
+            const params = new URLSearchParams(window.location.search);
+            if (params.get('room')) connect(params.get('server') || defaultServer(), { type: 'join', room: params.get('room'), token: params.get('seat') });
+            else if (!openGameLink()) show();
+        };
+
+        const initReplayViewer = () => {
+            const card = getEl('play-replay');
+            if (!card) return;
+            const viewEl = card.querySelector('.replay-view');
+            const frameEl = card.querySelector('.replay-frame');
+            const slider = card.querySelector('[data-replay-frame]');
+            let frames = null;
+            let index = 0;
+
+            const showError = (message) => {
+                card.querySelector('.replay-error').textContent = message;
+            };
+
+            // Colours the map by who holds each province in the current frame.
+            const showFrame = () => {
+                const g = frames[index].game;
+                slider.value = index;
+                frameEl.innerHTML = renderReplayFrame(frames, index);
+                card.querySelectorAll('.province-node').forEach(node => {
+                    const id = node.dataset.province;
+                    const present = gameState.occupants(g, id);
+                    node.dataset.owner = present.length === 1 ? present[0] : '';
+                    node.classList.toggle('is-contested', present.length > 1);
+                    const units = present.map(pid => {
+                        const stack = gameState.unitsIn(g, id, pid);
+                        return `${g.players[pid].name}: ${stack.daimyo} Daimyō, ${stack.bushi} Bushi`;
+                    });
+                    node.querySelector('title').textContent = [provinces.displayName(id), ...units].join('\n');
+                });
+            };
+
+            // recorded: the saved game the replay should end at, to confirm nothing was lost on the way.
+            const open = (data, recorded = null) => {
+                try {
+                    frames = replay.buildFrames(data);
+                } catch (err) {
+                    showError(err.message);
+                    return;
+                }
+                showError(recorded && !replay.matchesGame(frames, recorded) ? 'The replay does not end where the saved game stands; it was changed outside the game.' : '');
+                index = 0;
+                slider.max = frames.length - 1;
+                viewEl.hidden = false;
+                showFrame();
+            };
+
+            card.addEventListener('click', (e) => {
+                const stepBtn = e.target.closest('[data-replay-step]');
+                if (stepBtn && frames) {
+                    const [unit, direction] = stepBtn.dataset.replayStep.split(':');
+                    index = replay.stepFrame(frames, index, unit, Number(direction));
+                    showFrame();
+                }
+                if (e.target.closest('[data-replay-action="current"]')) {
+                    let g = null;
+                    try {
+                        g = JSON.parse(localStorage.getItem('shogunHotSeatGame'));
+                    } catch (err) {
+                        g = null;
+                    }
+                    if (!g) showError('There is no hot-seat game in this browser.');
+                    else if (!replay.canReplay(g)) showError('This game was started before replays were recorded.');
+                    else open(replay.createReplay(g), g);
+                }
+            });
+
+            card.addEventListener('input', (e) => {
+                if (!e.target.matches('[data-replay-frame]') || !frames) return;
+                index = Number(e.target.value);
+                showFrame();
+            });
+
+            card.addEventListener('change', (e) => {
+                if (!e.target.matches('[data-replay-file]') || !e.target.files.length) return;
+                e.target.files[0].text().then(text => {
+                    try {
+                        open(replay.parseReplay(text));
+                    } catch (err) {
+                        showError(err.message);
+                    }
+                });
+            });
+        };
+
+        const initTurnOrderTracker = () => {
+            const form = getEl('turn-order-form');
+            const result = getEl('turn-order-result');
+            if (!form || !result) return;
+            let seed = dice.randomSeed();
+
+            // Start with the clans of the last recorded draft, or the four clans of the first-round example.
+            let saved = null;
+            try {
+                saved = JSON.parse(localStorage.getItem('shogunDraftSetup'));
+            } catch (err) {
+                saved = null;
+            }
+            const clansInGame = saved && saved.players ?
+                Object.values(saved.players).map(p => p.clan) :
+                ['oda', 'shimazu', 'tokugawa', 'uesugi'];
+            form.querySelectorAll('[data-turn-clan]').forEach(row => {
+                row.querySelector('[name="in-game"]').checked = clansInGame.includes(row.dataset.turnClan);
+            });
+
+            const update = () => {
+                const readInt = (row, name) => Math.max(0, parseInt(row.querySelector(`[name="${name}"]`).value, 10) || 0);
+                const entries = [...form.querySelectorAll('[data-turn-clan]')]
+                    .filter(row => row.querySelector('[name="in-game"]').checked)
+                    .map(row => ({
+                        player: row.dataset.turnClan,
+                        clan: row.dataset.turnClan,
+                        provinces: readInt(row, 'provinces'),
+                        koku: readInt(row, 'koku'),
+                        units: readInt(row, 'units'),
+                    }));
+                const firstRound = form.elements['first-round'].checked;
+                form.querySelector('[data-turn-action="reroll"]').disabled = !firstRound;
+                const order = turnOrder.determinePlayerOrder(entries, { round: firstRound ? 1 : 2, random: dice.createDice(seed).random });
+                result.innerHTML = renderTurnOrderResult(order);
+            };
+
+            form.querySelector('[data-turn-action="reroll"]').addEventListener('click', () => {
+                seed = dice.randomSeed();
+                update();
+            });
+            form.addEventListener('input', update);
+            form.addEventListener('change', update);
+            update();
+        };
+
+        const initDesktopTOC = () => {
+            if (!tocContainer || !appWrapper) return;
+
+            const toggleTOC = (expand) => {
+                tocContainer.classList.toggle('is-expanded', expand);
+                if (window.innerWidth >= 1024) {
+                    appWrapper.style.paddingLeft = expand ? 'var(--toc-width-expanded)' : 'var(--toc-width-collapsed)';
+                }
+                ['toc-title', 'toc-search-container', 'toc-search-results', 'toc-list', 'toc-no-results'].forEach(id => {
+                    const el = getEl(id);
+                    if (el) el.classList.toggle('opacity-0', !expand);
+                });
+            };
+
+            const pinButton = document.createElement('button');
+            pinButton.innerHTML = '▶';
+            pinButton.className = 'absolute top-1/2 -translate-y-1/2 right-0 translate-x-1/2 bg-gray-800 border border-gray-700 rounded-full w-8 h-8 flex items-center justify-center z-40 hidden lg:block';
+            pinButton.setAttribute('aria-label', t('toc.toggle'));
+            tocContainer.appendChild(pinButton);
+
+            let isPinned = false;
+            pinButton.addEventListener('click', () => {
+                isPinned = !isPinned;
+                pinButton.innerHTML = isPinned ? '◀' : '▶';
+                toggleTOC(isPinned);
+            });
+
+            toggleTOC(false);
+        };
+
+        // --- RULE SEARCH ---
+        // A full-text index over the reading pages: every paragraph, list item, table row and heading,
+        // the Glossary included. Words are compared without macrons and with a light stemmer, and a query
+        // word also finds its synonyms, so "cant pay rice" finds "unable to pay ... Koku" in §4.2.
+        const SEARCH_PAGES = ['start', 'new-players', 'rules', 'modules', 'strategy', 'timing', 'reference'];
+        const SEARCH_BLOCKS = 'p, li, tr, dd, h2[id], h3[id], h4[id], h5[id]';
+        const SEARCH_SKIP = 'form, button, [data-module-selector], [data-province-map], [data-lint-report], [data-version-diff]';
+        const SEARCH_LIMIT = 20;
+        const SEARCH_STOPWORDS = new Set(('a an and are as at be by can do does for from happen how i if in into is it its me my of on or ' +
+            'should that the their them then there they this to was we what when where which who why will with would you your').split(' '));
+        const SEARCH_SYNONYMS = [
+            ['koku', 'rice', 'money', 'gold', 'currency'],
+            ['daimyo', 'leader', 'warlord'],
+            ['ronin', 'mercenary'],
+            ['bushi', 'soldier', 'warrior', 'troop'],
+            ['ninja', 'shinobi', 'assassin', 'spy'],
+            ['gekokujo', 'initiative'],
+            ['koseki', 'merit'],
+            ['kyoto', 'yamashiro', 'capital'],
+            ['castle', 'fortress', 'fortification'],
+            ['cannot', 'unable'],
+            ['pay', 'paid', 'cost', 'price'],
+            ['maintenance', 'upkeep'],
+            ['bankruptcy', 'bankrupt', 'debt'],
+            ['eliminated', 'elimination', 'eliminate'],
+            ['province', 'territory'],
+            ['attack', 'invade', 'invasion', 'assault'],
+            ['battle', 'combat', 'fight'],
+            ['dice', 'die', 'roll'],
+            ['ally', 'alliance', 'pact'],
+            ['move', 'movement', 'march'],
+            ['win', 'victory', 'winner'],
+            ['tie', 'draw'],
+        ];
+
+        const searchStem = (word) => {
+            if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+            if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+            if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+            if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+            return word;
+        };
+
+        // "Can't pay the Daimyō" -> ['cannot', 'pay', 'the', 'daimyo']
+        const searchWords = (text) => foldText(text)
+            .replace(/\bcan['’]?t\b|\bcan not\b/g, 'cannot')
+            .match(/[\p{L}\p{N}]+/gu) || [];
+
+        const synonymsOf = (() => {
+            const groups = new Map();
+            SEARCH_SYNONYMS.forEach(words => {
+                const stems = [...new Set(words.map(searchStem))];
+                stems.forEach(stem => groups.set(stem, stems));
+            });
+            return (stem) => groups.get(stem) || [stem];
+        })();
+
+        const pageLabel = (page) => t(`nav.${page.id.replace(/^page-/, '')}`);
+
+        // The text an element holds itself, without the nested blocks that are indexed on their own.
+        const ownText = (el) => {
+            const collect = (parent) => [...parent.childNodes].map(node => {
+                if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+                if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SEARCH_BLOCKS)) return ' ';
+                return collect(node);
+            }).join('');
+            return collect(el).replace(/\s+/g, ' ').trim();
+        };
+
+        let searchIndex = null;
+
+        const buildSearchIndex = () => {
+            const entries = [];
+            SEARCH_PAGES.map(id => getEl(`page-${id}`)).filter(Boolean).forEach(page => {
+                let heading = null;
+                let ordinal = 0;
+                page.querySelectorAll(SEARCH_BLOCKS).forEach(el => {
+                    if (el.closest(SEARCH_SKIP)) return;
+                    const isHeading = /^H[2-5]$/.test(el.tagName);
+                    if (isHeading) {
+                        heading = el;
+                        ordinal = 0;
+                    }
+                    const text = isHeading ? headingText(el) : ownText(el);
+                    if (text.length < 3) return;
+                    const terms = new Map();
+                    searchWords(text).forEach(word => {
+                        const stem = searchStem(word);
+                        terms.set(stem, (terms.get(stem) || 0) + 1);
+                    });
+                    ordinal += 1;
+                    entries.push({
+                        el,
+                        text,
+                        terms,
+                        length: [...terms.values()].reduce((a, b) => a + b, 0),
+                        page: pageLabel(page),
+                        heading,
+                        // Paragraphs get an id when they are first shown as a result (see searchTarget).
+                        targetId: isHeading ? el.id : `${heading ? heading.id : page.id}-${ordinal}`,
+                        weight: isHeading ? 1.5 : (el.closest('#glossary-list') ? 1.3 : 1),
+                    });
+                });
+            });
+            const averageLength = entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+            return { entries, averageLength };
+        };
+
+        // Ranks with BM25 over synonym groups; the last word also matches as a prefix while it is typed.
+        const searchRules = (query) => {
+            if (!searchIndex) searchIndex = buildSearchIndex();
+            const words = searchWords(query);
+            const meaningful = words.filter(w => !SEARCH_STOPWORDS.has(w) && !SEARCH_STOPWORDS.has(searchStem(w)));
+            const queryWords = [...new Set((meaningful.length ? meaningful : words).map(searchStem))];
+            if (!queryWords.length) return [];
+            const groups = queryWords.map((word, i) => ({ stems: synonymsOf(word), prefix: i === queryWords.length - 1 && word.length >= 3 ? word : null }));
+            const phrase = words.length > 1 ? words.join(' ') : null;
+            const visible = searchIndex.entries.filter(e => !e.el.closest('.module-hidden'));
+
+            const frequency = (entry, group) => {
+                let tf = group.stems.reduce((sum, stem) => sum + (entry.terms.get(stem) || 0), 0);
+                if (group.prefix) entry.terms.forEach((count, stem) => { if (stem !== group.prefix && stem.startsWith(group.prefix)) tf += count / 2; });
+                return tf;
+            };
+            const k1 = 1.2;
+            const b = 0.75;
+            const idf = groups.map(group => {
+                const df = visible.filter(e => frequency(e, group) > 0).length;
+                return Math.log(1 + (visible.length - df + 0.5) / (df + 0.5));
+            });
+
+            return visible.map(entry => {
+                let score = 0;
+                let matched = 0;
+                groups.forEach((group, i) => {
+                    const tf = frequency(entry, group);
+                    if (!tf) return;
+                    matched += 1;
+                    score += idf[i] * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * entry.length / searchIndex.averageLength));
+                });
+                if (!matched) return null;
+                score *= entry.weight * (matched / groups.length) ** 2;
+                if (phrase && foldText(entry.text).includes(phrase)) score *= 1.5;
+                return { entry, score };
+            }).filter(Boolean).sort((a, b) => b.score - a.score).slice(0, SEARCH_LIMIT).map(r => ({ ...r, groups }));
+        };
+
+        // A window of the entry's text around its first match, with the matching words marked.
+        const renderSearchSnippet = (text, groups, size = 160) => {
+            const matches = (word) => {
+                const stem = searchStem(foldText(word));
+                return groups.some(g => g.stems.includes(stem) || (g.prefix && stem.startsWith(g.prefix)));
+            };
+            const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+            const first = words.find(m => matches(m[0]));
+            let start = first ? Math.max(0, first.index - size / 3) : 0;
+            if (start > 0) start = text.indexOf(' ', start) + 1;
+            const end = Math.min(text.length, start + size);
+            let html = '';
+            let last = start;
+            words.filter(m => m.index >= start && m.index + m[0].length <= end && matches(m[0])).forEach(m => {
+                html += `${escapeHTML(text.slice(last, m.index))}<mark>${escapeHTML(m[0])}</mark>`;
+                last = m.index + m[0].length;
+            });
+            html += escapeHTML(text.slice(last, end));
+            return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+        };
+
+        const renderSearchResults = (results) => results.map(({ entry, groups }) => {
+            const where = entry.heading && entry.heading !== entry.el ? `${entry.page} · ${headingText(entry.heading)}` : entry.page;
+            return `<li><a href="#${entry.targetId}" class="search-result" data-search-target="${entry.targetId}">
+    <span class="search-result-where">${escapeHTML(where)}</span>
+    <span class="search-result-snippet">${renderSearchSnippet(entry.text, groups)}</span>
+</a></li>`;
+        }).join('');
+
+        // Results link to their paragraph; it gets its id now, so the usual hash navigation can find it.
+        const searchTarget = (id) => {
+            const entry = searchIndex && searchIndex.entries.find(e => e.targetId === id);
+            if (entry && !entry.el.id) entry.el.id = id;
+            return entry ? entry.el : null;
+        };
+
+        const initRuleSearch = () => {
+            const boxes = [
+                { input: 'toc-search', results: 'toc-search-results', toc: 'toc-list', empty: 'toc-no-results' },
+                { input: 'mobile-toc-search', results: 'mobile-search-results', toc: 'mobile-toc-list', empty: 'mobile-search-no-results' },
+            ];
+            boxes.forEach(box => {
+                const input = getEl(box.input);
+                const list = getEl(box.results);
+                const toc = getEl(box.toc);
+                const empty = getEl(box.empty);
+                if (!input || !list || !toc || !empty) return;
+
+                const update = () => {
+                    const query = input.value.trim();
+                    const results = query ? searchRules(query) : [];
+                    list.innerHTML = renderSearchResults(results);
+                    results.forEach(r => searchTarget(r.entry.targetId));
+                    list.classList.toggle('hidden', !results.length);
+                    toc.classList.toggle('hidden', Boolean(query));
+                    empty.classList.toggle('hidden', !query || results.length > 0);
+                };
+                input.addEventListener('input', debounce(update, 200));
+                input.addEventListener('keydown', (e) => {
+                    if (e.key !== 'Enter') return;
+                    e.preventDefault();
+                    update();
+                    const first = list.querySelector('a');
+                    if (first) first.click();
+                });
+                list.addEventListener('click', (e) => {
+                    const link = e.target.closest('[data-search-target]');
+                    if (!link) return;
+                    const el = getEl(link.dataset.searchTarget);
+                    if (!el) return;
+                    el.classList.remove('search-target');
+                    void el.offsetWidth; // restart the highlight when the same result is chosen twice
+                    el.classList.add('search-target');
+                });
+            });
+        };
+
+        const initResponsiveTables = () => {
+            document.querySelectorAll('.table-responsive-wrapper').forEach(wrapper => {
+                const table = wrapper.querySelector('table');
+                if (!table) return;
+
+                const checkScrollable = (wrapper, table) => {
+                    if (!wrapper.classList.contains('card-view-active')) {
+                        setTimeout(() => {
+                            const isScrollable = table.scrollWidth > wrapper.clientWidth + 2;
+                            wrapper.classList.toggle('is-scrollable', isScrollable);
+                        }, 100);
+                    } else {
+                        wrapper.classList.remove('is-scrollable');
+                    }
+                };
+
+                checkScrollable(wrapper, table);
+                window.addEventListener('resize', debounce(() => checkScrollable(wrapper, table), 250));
+            });
+        };
+
+        const populateBottomNav = () => {
+            if (!bottomNav) return;
+            const navItems = ['start', 'new-players', 'rules', 'modules', 'strategy', 'timing', 'reference', 'play', 'tools', 'feedback', 'about']
+                .map(id => ({ href: `#${id}`, label: t(`nav.${id}`) }));
+
+            let navHTML = '';
+            navItems.forEach(item => {
+                navHTML += `<a href="${item.href}" class="nav-icon">${item.label}</a>`;
+            });
+            bottomNav.innerHTML = navHTML;
+        };
+
+        // --- RULE DATA RENDERING ---
+        const ruleLink = (ref) => `<a href="#s${ref.replace(/\./g, '_')}" class="nav-link-inline">§${ref}</a>`;
+
+        const moduleIcon = (moduleId, extraClass = '') => {
+            const mod = rules.getModule(moduleId);
+            if (!mod) return '';
+            return `<span title="${escapeHTML(mod.shortName)} Module" class="module-icon${extraClass ? ` ${extraClass}` : ''}">${mod.icon}</span>`;
+        };
+
+        const clanList = () => Object.values(rules.clans).sort((a, b) => a.name.localeCompare(b.name));
+
+        const formatModifier = (mod) => {
+            const sign = mod.value > 0 ? '+' : '';
+            return `${sign}${mod.value} on ${mod.roll} rolls`;
+        };
+
+        const renderRegionTable = () => {
+            const head = rules.regions.map(r => `<th data-label="${r.label}">${r.name}</th>`).join('');
+            const cells = rules.regions.map(r => {
+                const names = clanList().filter(c => c.region === r.id).map(c => `${c.name} (${provinces.get(c.province).name})`);
+                return `<td data-label="${r.label}">${names.join('<br>')}</td>`;
+            }).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table class="table-structured">
+        <thead><tr>${head}</tr></thead>
+        <tbody><tr>${cells}</tr></tbody>
+    </table>
+</div>`;
+        };
+
+        const renderClanTable = () => {
+            const rows = clanList().map(c => `
+            <tr>
+                <td data-label="Clan"><strong>${c.name}</strong></td>
+                <td data-label="Province">${provinces.get(c.province).name}</td>
+                <td data-label="Ability">${escapeHTML(c.ability)}</td>
+            </tr>`).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table class="table-structured">
+        <thead>
+            <tr>
+                <th data-label="Clan">Clan</th>
+                <th data-label="Province">Province</th>
+                <th data-label="Ability">Ability</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</div>`;
+        };
+
+        const renderClanGlanceTable = () => {
+            const rows = clanList().map(c => `<tr><td data-label="Clan"><strong>${c.name}</strong></td><td data-label="Archetype">${c.archetype}</td><td data-label="Strength">${c.strength}</td><td data-label="Weakness">${c.weakness}</td></tr>`).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table class="table-structured">
+        <thead><tr><th data-label="Clan">Clan</th><th data-label="Archetype">Archetype</th><th data-label="Strength">Strength</th><th data-label="Weakness">Weakness</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        // `structured` renders the full-width rules table; otherwise the compact cheat-sheet variant.
+        const renderUnitTable = (unitIds, structured) => {
+            const labels = structured ?
+                { attack: 'Attack Hits', defense: 'Defense Hits', attackHead: 'Attack Hits', defenseHead: 'Defense Hits' } :
+                { attack: 'Attack', defense: 'Defense', attackHead: 'Attack Hits On', defenseHead: 'Defense Hits On' };
+            const rows = unitIds.map(id => rules.units[id]).map(u => `<tr><td data-label="Unit">${u.name}</td><td data-label="Dice">${u.dice}d6</td><td data-label="${labels.attack}">${rules.formatHitRange(u.attack)}</td><td data-label="${labels.defense}">${rules.formatHitRange(u.defense)}</td></tr>`).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table${structured ? ' class="table-structured"' : ''}>
+        <thead><tr><th data-label="Unit">Unit</th><th data-label="Dice">Dice</th><th data-label="${labels.attack}">${labels.attackHead}</th><th data-label="${labels.defense}">${labels.defenseHead}</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        const renderModifierTable = () => {
+            const rows = rules.modifiers.map(m => {
+                const isModule = Boolean(m.module);
+                const source = `<strong>${escapeHTML(m.source)}</strong>${isModule ? ` ${moduleIcon(m.module)}` : ''}`;
+                const condition = isModule ? `<em>(Module)</em> ${escapeHTML(m.condition)}` : escapeHTML(m.condition);
+                return `<tr${isModule ? ` class="module-row" data-module="${m.module}"` : ''}><td data-label="Source">${source}</td><td data-label="Effect">${formatModifier(m)}</td><td data-label="Condition">${condition}</td></tr>`;
+            }).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Source">Source</th><th data-label="Effect">Effect</th><th data-label="Condition">Condition</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        const renderEconomyTable = () => {
+            const e = rules.economy;
+            const c = rules.costs;
+            const rice = rules.getModule('cycle-of-rice').params;
+            const row = ([action, value, when], attrs = '') => `<tr${attrs}><td data-label="Action"><strong>${action}</strong></td><td data-label="Cost/Yield">${value}</td><td data-label="When">${when}</td></tr>`;
+            const riceRow = (cells) => row([`${cells[0]} ${moduleIcon('cycle-of-rice')}`, cells[1], cells[2]], ' class="module-row" data-module="cycle-of-rice"');
+            const rows = [
+                row(['Base Income', `+${e.baseIncome} Koku`, 'Phase 1.1'], ' data-is-replaced-by="cycle-of-rice"'),
+                row(['Province Income', `+${e.provinceIncome} Koku per Province`, 'Phase 1.1'], ' data-is-replaced-by="cycle-of-rice"'),
+                riceRow(['Daimyō\'s Stipend', `+${rice.stipend} Koku (plus Clan Bonuses), no province income`, 'Phase 1.1']),
+                row(['Unit Maintenance', `-1 Koku per ${e.bushiPerMaintenanceKoku} Bushi (rounded up)`, 'Phase 1.1 (Skipped on Turn 1)'], ' data-is-replaced-by="cycle-of-rice"'),
+                row(['Recruitment', `-${c.recruitBushi} Koku per Bushi`, 'Phase 1.2']),
+                row(['Hire Ronin', `-${c.hireRonin} Koku per Ronin`, 'Combat']),
+            ];
+            rows.push(
+                `<tr class="module-row"><td data-label="Action"><strong>Winter Mountain Provisions</strong> ${moduleIcon('cycle-of-rice')}</td><td data-label="Cost/Yield">-${e.mountainProvinceCost} Koku per Mountain Province + -1 Koku per ${e.mountainUnitsPerKoku} units there</td><td data-label="When">Phase 3 (Replaced by Module)</td></tr>`,
+                riceRow(['Harvest', `Sown Koku ×${rice.harvest.map(h => h.multiplier).join('/×')} (${rice.harvest.map(h => h.name).join('/')})`, 'Phase 3']),
+                riceRow(['Unit Maintenance', `-1 Koku per ${e.bushiPerMaintenanceKoku} Bushi (rounded up)`, 'Phase 3']),
+                riceRow(['Spoilage', `-1/${rice.spoilageDivisor} of the Treasury (rounded down)`, 'Phase 3']),
+            );
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Action">Action</th><th data-label="Cost/Yield">Cost / Yield</th><th data-label="When">When?</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+    </table>
+</div>`;
+        };
+
+        const renderProvinceTypes = () => rules.provinceTypes.map(type => `
+            <h4 class="mt-8">${type.name}</h4>
+            <p>${escapeHTML(type.description)}</p>
+            <ul class="list-disc list-inside grid grid-cols-2 md:grid-cols-3 gap-x-4">
+                ${provinces.withFlag(type.id).sort((a, b) => a.name.localeCompare(b.name)).map(p => `<li>${provinces.displayName(p.id)}</li>`).join('')}
+            </ul>`).join('');
+
+        const renderNinjaTable = () => {
+            const rows = rules.ninjaOperations.map(op => `<tr><td data-label="Type"><strong>Open Mission</strong></td><td data-label="Command">${op.command}</td><td data-label="Effect">${op.summary}</td></tr>`).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Type">Mission Type</th><th data-label="Command">Command</th><th data-label="Effect">Effect</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        const renderModuleGlanceTable = () => {
+            const rows = rules.modules.map(m => `<tr><td data-label="Module"><strong>${escapeHTML(m.shortName)}</strong> ${moduleIcon(m.id)}</td><td data-label="Changes">${escapeHTML(m.replaces)}</td><td data-label="Adds">${escapeHTML(m.adds)}</td></tr>`).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Module">Module</th><th data-label="Changes">Replaces / Changes</th><th data-label="Adds">Adds</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        const renderTimingRow = (row) => {
+            if (row.phase) {
+                return `<tr class="module-row"><td colspan="3" class="text-center font-bold">${row.title}</td></tr>`;
+            }
+            const attrs = [
+                row.module ? ` data-module="${row.module}"` : '',
+                row.replacedBy ? ` data-is-replaced-by="${row.replacedBy}"` : '',
+            ].join('');
+            const ref = row.ref ? ` (${ruleLink(row.ref)})` : '';
+            const icon = row.module ? ` ${moduleIcon(row.module)}` : '';
+            const action = row.step ?
+                `<td data-label="Action"><strong>${escapeHTML(row.action)}</strong>${ref}${icon}</td>` :
+                `<td data-label="Action" class="pl-12">${escapeHTML(row.action)}${ref}${icon}</td>`;
+            const notes = [
+                row.lead ? `<strong>${escapeHTML(row.lead)}</strong>` : '',
+                row.notes ? escapeHTML(row.notes) : '',
+            ].filter(Boolean).join(' ') + (row.notesRef ? ` (${ruleLink(row.notesRef)}).` : '');
+            return `<tr${attrs}><td data-label="Step">${row.step ? `<strong>${row.step}</strong>` : ''}</td>${action}<td data-label="Notes">${notes}</td></tr>`;
+        };
+
+        const renderTimingTable = (rows, notesHeader) => `
+                <table class="table-structured">
+                    <thead><tr><th data-label="Step">Step</th><th data-label="Action">Action</th><th data-label="Notes">${notesHeader}</th></tr></thead>
+                    <tbody>
+                        ${rows.map(renderTimingRow).join('\n                        ')}
+                    </tbody>
+                </table>`;
+
+        // The same selector sits on the Modules and Timing pages; initModuleSelection keeps them in step.
+        // Modules are grouped as on the Modules page; switching on one of "The Fallen" switches off the other.
+        const renderModuleToggle = (m) => {
+            const needs = m.requires.map(id => `needs ${escapeHTML(rules.getModule(id).shortName)}`);
+            const clashes = m.excludes.map(id => `not with ${escapeHTML(rules.getModule(id).shortName)}`);
+            const hint = [...needs, ...clashes].join('; ');
+            return `
+                    <label class="flex items-center space-x-3 cursor-pointer">
+                        <input type="checkbox" data-module-toggle="${m.id}" class="h-5 w-5 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
+                        <span>§${m.section} ${escapeHTML(m.name)} ${m.icon}${hint ? `<br><span class="text-xs text-gray-400">${hint}</span>` : ''}</span>
+                    </label>`;
+        };
+
+        const renderModuleSelector = () => {
+            const toggles = rules.moduleGroups.map(group => `
+    <fieldset class="mt-4">
+        <legend class="font-semibold">${escapeHTML(group.title)}${group.chooseOne ? ' <span class="text-sm font-normal text-gray-400">– choose one at most</span>' : ''}</legend>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-2">${rules.modules.filter(m => m.group === group.id).map(renderModuleToggle).join('')}
+        </div>
+    </fieldset>`).join('');
+            return `
+<div data-module-selector>${toggles}
+    <p class="text-sm mt-4" data-module-summary aria-live="polite"></p>
+    <p class="text-sm text-accent-secondary whitespace-pre-line" data-module-notes aria-live="polite"></p>
+    <div class="flex flex-wrap gap-3 mt-2">
+        <button type="button" class="province-chip" data-module-action="share">Link to this selection</button>
+        <button type="button" class="province-chip" data-module-action="clear">Core game only</button>
+    </div>
+    <input type="text" readonly class="form-input mt-2 module-share-link" aria-label="Link to this module selection" hidden>
+</div>`;
+        };
+
+        // --- PROVINCE MAP ---
+        // Provinces are drawn as nodes at their geographic centre; land borders as lines, sea lines dashed.
+        const MAP_BOUNDS = { west: 129.0, east: 142.2, north: 39.7, south: 31.0, scale: 70, pad: 24 };
+
+        const projectProvince = ([lon, lat]) => {
+            const { west, north, scale, pad } = MAP_BOUNDS;
+            // Longitude degrees are shorter than latitude degrees at these latitudes (~cos 35°).
+            return [pad + (lon - west) * scale * 0.82, pad + (north - lat) * scale];
+        };
+
+        const renderProvinceMap = () => {
+            const { west, east, north, south, scale, pad } = MAP_BOUNDS;
+            const width = Math.round((east - west) * scale * 0.82 + pad * 2);
+            const height = Math.round((north - south) * scale + pad * 2);
+            const edge = (isSea) => ([a, b]) => {
+                const [x1, y1] = projectProvince(provinces.get(a).coords);
+                const [x2, y2] = projectProvince(provinces.get(b).coords);
+                return `<line class="province-edge${isSea ? ' is-sea' : ''}" data-from="${a}" data-to="${b}" x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}"/>`;
+            };
+            const nodes = provinces.list.map(p => {
+                const [x, y] = projectProvince(p.coords);
+                const classes = ['province-node', p.mountain && 'is-mountain', p.mandate && 'is-mandate', p.homeClan && 'is-home'].filter(Boolean).join(' ');
+                return `<g class="${classes}" data-province="${p.id}" tabindex="0" role="button" aria-label="${escapeHTML(provinces.displayName(p.id))}">
+                    <title>${escapeHTML(provinces.displayName(p.id))}</title>
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${p.mandate ? 8 : 6}"/>
+                    <text x="${x.toFixed(1)}" y="${(y - 10).toFixed(1)}">${escapeHTML(p.name)}</text>
+                </g>`;
+            }).join('');
+            return `
+<div class="province-map" data-province-map>
+    <svg viewBox="0 0 ${width} ${height}" role="group" aria-label="Map of the 68 provinces of Japan">
+        <g>${provinces.landBorders.map(edge(false)).join('')}${provinces.seaLines.map(edge(true)).join('')}</g>
+        <g>${nodes}</g>
+    </svg>
+    <ul class="province-map-legend">
+        <li><span class="legend-swatch is-mandate"></span>Mandate Province</li>
+        <li><span class="legend-swatch is-home"></span>Clan home province</li>
+        <li><span class="legend-swatch is-mountain"></span>Mountain Province</li>
+        <li><span class="legend-swatch is-sea"></span>Sea line</li>
+    </ul>
+    <div class="province-map-info" aria-live="polite">
+        <p class="text-sm">Select a province to see its neighbors and the rules that apply to it.</p>
+    </div>
+</div>`;
+        };
+
+        const renderProvinceInfo = (id) => {
+            const p = provinces.get(id);
+            const facts = [];
+            if (p.mandate) facts.push(`<li><strong>Mandate Province</strong> – needed for the Shōgun's Mandate (${ruleLink('1.3')}).${id === 'yamashiro' ? ` Defenders gain +${rules.victory.kyotoDefenseBonus} on defense rolls.` : ''}</li>`);
+            if (p.homeClan) facts.push(`<li><strong>Home of the ${rules.clans[p.homeClan].name}</strong> – starting province (${ruleLink('2.3')}, ${ruleLink('2.4')}).</li>`);
+            if (p.mountain) facts.push(`<li><strong>Mountain Province</strong> – Mountain Provisions in Winter (${ruleLink('7.1')}).</li>`);
+            if (p.coastal) facts.push(`<li><strong>Coastal Province</strong> – counts for Chosokabe, Shimazu and Mōri income (${ruleLink('2.4')}).</li>`);
+            if (p.tradingPost) facts.push(`<li><strong>Trading Post</strong> ${moduleIcon('nanban-trade')} – Nanban Trade (${ruleLink('10.4')}).</li>`);
+            const neighborButtons = (ids) => ids
+                .map(n => provinces.get(n))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(n => `<button type="button" class="province-chip" data-province-select="${n.id}">${escapeHTML(n.name)}</button>`)
+                .join(' ');
+            const sea = provinces.seaNeighbors(id);
+            return `
+        <h4 class="!mt-0">${escapeHTML(provinces.displayName(id))}</h4>
+        <p class="text-sm">${escapeHTML(p.circuit)}${p.island ? ' · Island' : ''}</p>
+        ${facts.length ? `<ul class="list-disc list-inside">${facts.join('')}</ul>` : ''}
+        <p class="mt-4"><strong>Adjacent (${ruleLink('6.1')}):</strong> ${neighborButtons(provinces.landNeighbors(id)) || '–'}</p>
+        ${sea.length ? `<p><strong>Sea lines:</strong> ${neighborButtons(sea)}</p>` : ''}`;
+        };
+
+        const renderTurnOrderForm = () => {
+            const rows = clanList().map(c => `
+            <tr data-turn-clan="${c.id}">
+                <td data-label="Clan"><label class="flex items-center"><input type="checkbox" name="in-game" class="mr-2 h-4 w-4"><strong>${c.name}</strong></label></td>
+                <td data-label="Provinces"><input type="number" name="provinces" min="0" max="${rules.limits.provinceCards}" value="1" class="form-input !py-1"></td>
+                <td data-label="Koku"><input type="number" name="koku" min="0" value="0" class="form-input !py-1"></td>
+                <td data-label="Units"><input type="number" name="units" min="0" value="${rules.limits.startingDaimyo + rules.limits.startingBushi}" class="form-input !py-1"></td>
+            </tr>`).join('');
+            return `
+<form id="turn-order-form" class="mt-6" novalidate>
+    <div class="table-responsive-wrapper">
+        <table>
+            <thead><tr><th data-label="Clan">Clan</th><th data-label="Provinces">Provinces</th><th data-label="Koku">Koku</th><th data-label="Units">Units (Daimyō + Bushi)</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    </div>
+    <div class="flex flex-wrap items-center gap-4 mt-4">
+        <label class="flex items-center text-sm"><input type="checkbox" name="first-round" class="mr-2 h-4 w-4"> Round 1 (random order)</label>
+        <button type="button" class="province-chip" data-turn-action="reroll">Roll a new random order</button>
+    </div>
+</form>
+<div id="turn-order-result" class="mt-6" aria-live="polite"></div>`;
+        };
+
+        const renderTurnOrderResult = (order) => {
+            if (!order.length) return '<p class="text-sm">Select the clans in the game.</p>';
+            const items = order.map((entry, i) => {
+                const next = order[i + 1];
+                let reason = '';
+                if (entry.decidedBy === 'random') reason = 'random order in round 1';
+                else if (entry.decidedBy) reason = `ahead of ${rules.clans[next.clan].name}: ${turnOrder.criterion(entry.decidedBy).label}`;
+                return `<li><strong>${rules.clans[entry.clan].name}</strong> <span class="text-sm">– ${entry.provinces} province${entry.provinces === 1 ? '' : 's'}, ${entry.koku} Koku, ${entry.units} unit${entry.units === 1 ? '' : 's'}${reason ? ` · <em>${reason}</em>` : ''}</span></li>`;
+            }).join('');
+            return `<h4 class="!mt-0">Acting Order</h4><ol class="list-decimal list-inside space-y-1">${items}</ol>`;
+        };
 
-            if (Object.keys(terms).length > 0) {
-                createGlossaryTooltips(appWrapper, terms);
+        // --- CLAN DRAFT ---
+        const playerName = (d, id) => escapeHTML(d.players.find(p => p.id === id).name);
+
+        const renderDraftBoard = (d, controls = true) => {
+            const picker = draft.currentPicker(d);
+            const order = (ids) => ids.map(id => playerName(d, id)).join(' → ');
+            const grid = rules.regions.map(region => {
+                const buttons = clanList().filter(c => c.region === region.id).map(c => {
+                    const pick = d.picks.find(p => p.clan === c.id);
+                    const check = draft.canPick(d, c.id);
+                    const label = pick ? `${c.name} <span class="text-xs">(${playerName(d, pick.player)})</span>` : c.name;
+                    return `<button type="button" class="draft-clan${pick ? ' is-picked' : ''}" data-draft-clan="${c.id}"${check.ok ? '' : ` disabled title="${escapeHTML(check.reason)}"`}>${label}<span class="block text-xs">${provinces.get(c.province).name}</span></button>`;
+                }).join('');
+                const claimed = draft.claimedRegions(d).includes(region.id);
+                return `<div class="draft-region${claimed ? ' is-claimed' : ''}"><h5 class="!mt-0">${region.name}${claimed ? ' ✓' : ''}</h5>${buttons}</div>`;
+            }).join('');
+            const status = picker ?
+                `<strong>${playerName(d, picker)}</strong> picks now.${draft.restrictionActive(d) ? ' The Regional Restriction is in effect: choose from an unclaimed region.' : ' The Regional Restriction has been lifted.'}` :
+                'All clans have been chosen.';
+            return `
+<p class="text-sm"><strong>Player order:</strong> ${order(d.playerOrder)}<br><strong>Pick order:</strong> ${order(d.pickOrder)}</p>
+<p class="mt-2" aria-live="polite">${status}</p>
+<div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">${grid}</div>
+${controls ? `<div class="flex flex-wrap gap-3 mt-4">
+    <button type="button" class="province-chip" data-draft-action="undo"${d.picks.length ? '' : ' disabled'}>Undo last pick</button>
+    <button type="button" class="province-chip" data-draft-action="restart">Start over</button>
+</div>` : ''}`;
+        };
+
+        const renderDraftSetup = (setup) => {
+            const rows = setup.playerOrder.map(id => {
+                const player = setup.players[id];
+                const clan = rules.clans[player.clan];
+                return `<tr><td data-label="Player">${escapeHTML(player.name)}</td><td data-label="Clan"><strong>${clan.name}</strong></td><td data-label="Starting Province">${provinces.displayName(clan.province)}</td><td data-label="Units">${rules.limits.startingDaimyo} Daimyō + ${rules.limits.startingBushi} Bushi</td></tr>`;
+            }).join('');
+            return `
+<h5>Initial Setup (${ruleLink('2.3')})</h5>
+<p class="text-sm">Listed in the random player order, which is also the turn order for round 1. This setup is saved in your browser for the Play page.</p>
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Player">Player</th><th data-label="Clan">Clan</th><th data-label="Starting Province">Starting Province</th><th data-label="Units">Units</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
+
+        // --- HOT-SEAT PLAY ---
+        const STEP_REFS = { administration: '4', reinforcement: '5', movement: '6.1', battles: '6.2', winter: '7' };
+        const gamePlayer = (g, id) => `${escapeHTML(g.players[id].name)} <span class="text-xs">(${rules.clans[g.players[id].clan].name})</span>`;
+        const provinceOptions = (ids) => [...ids]
+            .sort((a, b) => provinces.get(a).name.localeCompare(provinces.get(b).name))
+            .map(id => `<option value="${id}">${escapeHTML(provinces.displayName(id))}</option>`).join('');
+
+        const renderPlaySetup = (d, saved) => {
+            if (d) {
+                return `
+${renderDraftBoard(d)}
+${draft.isComplete(d) ? `${renderDraftSetup(draft.createSetup(d))}<button type="button" class="form-button mt-4" data-play-action="start">Begin round 1</button>` : ''}`;
             }
+            return `
+<form id="play-setup-form" class="mt-4" novalidate>
+    <label for="play-players" class="form-label">Players (comma-separated, in seating order)</label>
+    <input type="text" id="play-players" name="play-players" value="Player A, Player B, Player C, Player D" class="form-input">
+    <button type="submit" class="form-button mt-2">Randomize order &amp; start draft</button>
+</form>
+${saved ? `<p class="text-sm mt-4">A finished draft from the Draft Assistant is saved in this browser (${Object.values(saved.players).map(p => `${escapeHTML(p.name)}: ${rules.clans[p.clan].name}`).join(', ')}).</p>
+<button type="button" class="province-chip mt-2" data-play-action="start-saved">Play with the saved draft</button>` : ''}
+<p class="play-error text-sm text-accent-secondary whitespace-pre-line mt-4" aria-live="polite"></p>
+${renderLoadGame()}
+${renderRemoteSetup()}`;
         };
 
-        const initTimingModuleToggles = () => {
-            const timingPage = getEl('page-timing');
-            if (!timingPage) return;
+        const renderLoadGame = () => `
+<details class="mt-8">
+    <summary class="cursor-pointer font-semibold">Load a Saved Game</summary>
+    <p class="text-sm mt-2">Restore a save file downloaded from a game in progress. Game links open here on their own.</p>
+    <label for="play-import-file" class="form-label">Save file (.json)</label>
+    <input type="file" id="play-import-file" accept=".json,application/json" class="form-input">
+</details>`;
+
+        // A remote game is run by the game master (server/index.js); this browser only sends requests.
+        const defaultServer = () => (/^https?:$/.test(window.location.protocol) ?
+            `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}` :
+            'ws://127.0.0.1:8787');
+
+        const renderRemoteSetup = () => `
+<details class="mt-8">
+    <summary class="cursor-pointer font-semibold">Remote Game</summary>
+    <p class="text-sm mt-2">Play from several devices through a game master that checks every action. Start one with <code>node server/index.js</code> and open the address it prints.</p>
+    <label class="text-sm block mt-3">Game master address<input type="text" name="play-server" value="${escapeHTML(defaultServer())}" class="form-input mt-1" data-play-server></label>
+    <form id="play-host-form" class="mt-4" novalidate>
+        <label for="play-remote-players" class="form-label">Host a table (player names, comma-separated)</label>
+        <input type="text" id="play-remote-players" name="play-remote-players" value="Player A, Player B, Player C, Player D" class="form-input">
+        <button type="submit" class="form-button mt-2">Host remote game</button>
+    </form>
+    <form id="play-join-form" class="mt-4" novalidate>
+        <p class="form-label">Join a table</p>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label class="text-sm">Room<input type="text" name="room" class="form-input mt-1" required></label>
+            <label class="text-sm">Seat token <span class="text-xs">(leave empty to watch)</span><input type="text" name="token" class="form-input mt-1"></label>
+        </div>
+        <button type="submit" class="form-button mt-2">Join</button>
+    </form>
+</details>`;
+
+        const renderRemoteSeats = (created, server) => {
+            const base = /^https?:$/.test(window.location.protocol) ? `${window.location.origin}${window.location.pathname}` : null;
+            const rows = created.seats.map(seat => {
+                const link = base ? `${base}?${new URLSearchParams({ server, room: created.room, seat: seat.token })}#play` : null;
+                return `<tr><td data-label="Player">${escapeHTML(seat.name)}</td><td data-label="Seat token"><code>${escapeHTML(seat.token)}</code></td><td data-label="Link">${link ? `<a href="${escapeHTML(link)}" class="nav-link-inline" target="_blank" rel="noopener">Seat link</a>` : '–'}</td><td data-label="Here"><button type="button" class="province-chip" data-play-action="join-seat" data-token="${escapeHTML(seat.token)}">Sit here</button></td></tr>`;
+            }).join('');
+            return `
+<h4 class="!mt-0">Room <code>${escapeHTML(created.room)}</code></h4>
+<p class="text-sm">Send every player their own seat link or token. Anyone holding a token can act for that seat, so share each one privately.</p>
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Player">Player</th><th data-label="Seat token">Seat token</th><th data-label="Link">Link</th><th data-label="Here">This device</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
 
-            const toggles = timingPage.querySelectorAll('[data-module-toggle]');
-            const allRows = timingPage.querySelectorAll('table tr');
+        const renderRemoteDraft = (remote) => {
+            const d = remote.view.draft;
+            const you = remote.seat ? `You are <strong>${playerName(d, remote.seat)}</strong>.` : 'You are watching.';
+            return `
+<p class="text-sm">Remote room <code>${escapeHTML(remote.room)}</code> · ${you}</p>
+<p class="play-error text-sm text-accent-secondary" aria-live="polite"></p>
+${renderDraftBoard(d, false)}
+<button type="button" class="province-chip mt-6" data-play-action="leave">Leave remote game</button>`;
+        };
 
-            const updateTimingTable = () => {
-                const activeModules = new Set();
-                toggles.forEach(toggle => {
-                    if (toggle.checked) {
-                        activeModules.add(toggle.dataset.moduleToggle);
-                    }
-                });
+        const renderPlayStatus = (g) => {
+            const current = game.stepInfo(g.step);
+            const steps = game.phaseSteps(g.phase).map(s => `<li${s.id === g.step ? ' class="is-current"' : ''}>${s.id} ${escapeHTML(s.title)} (${ruleLink(STEP_REFS[s.action])})</li>`).join('');
+            const phaseTitle = (phases.phaseInfo(g.phase) || { title: '' }).title;
+            return `
+<div class="play-status">
+    <p class="!mt-0"><strong>Round ${g.round}</strong> · ${escapeHTML(phaseTitle)}${current && game.actingPlayer(g) ? ` · <strong>${gamePlayer(g, game.actingPlayer(g))}</strong> is ${g.prompt ? 'deciding' : 'acting'}` : ''}</p>
+    <ol class="play-steps">${steps}</ol>
+    ${g.modules && g.modules.length ? `<p class="text-sm">Modules: ${g.modules.map(id => `${escapeHTML(rules.getModule(id).shortName)} ${moduleIcon(id)}`).join(', ')}</p>` : ''}
+</div>`;
+        };
 
-                allRows.forEach(row => {
-                    const moduleData = row.dataset.module;
-                    const replacedByData = row.dataset.isReplacedBy;
-                    let show = false;
+        const FEALTY_PATHS = { service: 'Loyal Service', betrayal: 'Betrayal' };
+        const clanStatus = (g, id) => {
+            const p = g.players[id];
+            if (p.eliminated) return 'Eliminated';
+            if ((g.modules || []).includes('path-of-glory') && !gameState.unitTotals(g, id).daimyo) {
+                return `Fallen · ${p.gloryPoints || 0}/${rules.getModule('path-of-glory').params.victoryPoints} Glory Points (${ruleLink('10.7')})`;
+            }
+            if (!p.vassalOf) return 'In play';
+            const path = p.path ? ` · ${FEALTY_PATHS[p.path]}` : '';
+            return `Vassal of ${escapeHTML(g.players[p.vassalOf].name)} (${ruleLink('8.1')}) · ${p.koseki || 0}/${rules.vassalage.kosekiToLiberate} Kōseki${path}`;
+        };
 
-                    if (moduleData) {
-                        if (activeModules.has(moduleData)) {
-                            show = true;
-                        }
-                    } else {
-                        if (!activeModules.has(replacedByData)) {
-                            show = true;
-                        }
-                    }
+        const renderPlayPlayers = (g) => {
+            const rows = g.playerOrder.map((id, i) => {
+                const p = g.players[id];
+                const totals = gameState.unitTotals(g, id);
+                const castle = game.castleOf(g, id);
+                return `<tr${id === g.active ? ' class="is-active"' : ''}><td data-label="Order">${p.eliminated ? '–' : i + 1}</td><td data-label="Player">${gamePlayer(g, id)}</td><td data-label="Koku">${p.koku === null ? '<em>Hidden</em>' : p.koku}</td><td data-label="Provinces">${gameState.controlledProvinces(g, id).length}</td><td data-label="Units">${totals.daimyo} Daimyō, ${totals.bushi} Bushi</td><td data-label="Castle">${castle ? provinces.get(castle).name : '–'}</td><td data-label="Status">${clanStatus(g, id)}</td></tr>`;
+            }).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Order">#</th><th data-label="Player">Player</th><th data-label="Koku">Koku</th><th data-label="Provinces">Provinces</th><th data-label="Units">Units</th><th data-label="Castle">Castle</th><th data-label="Status">Status</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
 
-                    if (row.querySelector('th')) {
-                        show = true;
-                    }
+        const renderPlayBoard = (g) => {
+            const hidden = g.ninja && !g.ninja.province ? `<p class="text-sm">The Ninja hired by ${gamePlayer(g, g.ninja.owner)} has struck and is off the board until the round ends (${ruleLink('9.1.2')}).</p>` : '';
+            const ninja = g.ninja && g.ninja.province ? `<p class="text-sm">The Ninja hired by ${gamePlayer(g, g.ninja.owner)} stands openly in <strong>${escapeHTML(provinces.displayName(g.ninja.province))}</strong> (${ruleLink('9.1.1')}).</p>` : hidden;
+            const occupied = Object.keys(g.provinces).filter(id => gameState.occupants(g, id).length)
+                .sort((a, b) => provinces.get(a).name.localeCompare(provinces.get(b).name));
+            const rows = occupied.map(id => {
+                const units = gameState.occupants(g, id).map(pid => {
+                    const s = gameState.unitsIn(g, id, pid);
+                    return `${escapeHTML(g.players[pid].name)}: ${s.daimyo} D, ${s.bushi} B`;
+                }).join('<br>');
+                const castle = g.provinces[id].castle;
+                const controller = gameState.controllerOf(g, id);
+                return `<tr><td data-label="Province">${escapeHTML(provinces.displayName(id))}</td><td data-label="Units">${units}</td><td data-label="Control">${controller ? escapeHTML(g.players[controller].name) : 'Contested'}</td><td data-label="Castle">${castle ? `${castle.type === 'fortress' ? 'Fortress' : 'Castle'}${castle.fortified ? ' (fortified)' : ''}` : '–'}</td></tr>`;
+            }).join('');
+            return `${ninja}
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Province">Province</th><th data-label="Units">Units (Daimyō, Bushi)</th><th data-label="Control">Control</th><th data-label="Castle">Castle</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
 
-                    row.style.display = show ? '' : 'none';
-                });
-            };
+        const renderReinforcementActions = (g) => {
+            const id = g.active;
+            const homes = Object.keys(g.provinces).filter(p => g.provinces[p].controlledAtRoundStart === id);
+            const held = gameState.controlledProvinces(g, id);
+            const fortify = game.canFortify(g);
+            // Any province will do for the check; only whether the Ninja is free and affordable matters here.
+            const ninja = game.canHireNinja(g, provinces.list[0].id);
+            return `
+<form class="play-action" data-play-form="recruit" novalidate>
+    <h5 class="!mt-0">Recruit Bushi (${rules.costs.recruitBushi} Koku each, ${ruleLink('5.1')})</h5>
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <label class="text-sm">Province held at round start<select name="province" class="form-input mt-1">${provinceOptions(homes)}</select></label>
+        <label class="text-sm">Bushi<input type="number" name="count" min="1" value="1" class="form-input mt-1"></label>
+        <button type="submit" class="form-button">Recruit</button>
+    </div>
+</form>
+<form class="play-action" data-play-form="castle" novalidate>
+    <h5 class="!mt-0">Castle (${game.castleCost(g, id)} Koku, ${ruleLink('9.2')})</h5>
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <label class="text-sm">Province you control<select name="province" class="form-input mt-1">${provinceOptions(held)}</select></label>
+        <button type="submit" class="form-button">Build</button>
+        <button type="button" class="province-chip" data-play-action="fortify"${fortify.ok ? '' : ` disabled title="${escapeHTML(fortify.reason)}"`}>Fortify (${rules.costs.fortifyCastle} Koku)</button>
+    </div>
+</form>
+<form class="play-action" data-play-form="ninja" novalidate>
+    <h5 class="!mt-0">Hire the Ninja (${rules.costs.hireNinja} Koku, ${ruleLink('9.1.1')})</h5>
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <label class="text-sm">Place it openly in<select name="province" class="form-input mt-1">${provinceOptions(provinces.list.map(p => p.id))}</select></label>
+        <button type="submit" class="form-button"${ninja.ok ? '' : ` disabled title="${escapeHTML(ninja.reason)}"`}>Hire</button>
+    </div>
+</form>
+<button type="button" class="form-button" data-play-action="end-step">End turn</button>`;
+        };
 
-            toggles.forEach(toggle => {
-                toggle.addEventListener('change', updateTimingTable);
+        const renderMovementActions = (g) => {
+            const id = g.active;
+            const clan = rules.clans[g.players[id].clan];
+            const origins = Object.keys(g.provinces).filter(p => {
+                const left = movement.unmovedUnits(g, p, id);
+                return left.daimyo + left.bushi > 0;
             });
+            const abilities = [];
+            if (clan.effects.groupMove) abilities.push(['takeda-group', `Takeda group move (up to ${clan.effects.groupMove.maxBushi} Bushi with a Daimyō)`]);
+            if (clan.effects.seaRedeploy) abilities.push(['mori-sea', `Mōri sea redeploy (${clan.effects.seaRedeploy.cost} Koku)`]);
+            return `
+<form class="play-action" data-play-form="move" novalidate>
+    <h5 class="!mt-0">Move Units (${ruleLink('6.1')})</h5>
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label class="text-sm">From<select name="from" class="form-input mt-1">${provinceOptions(origins)}</select></label>
+        <label class="text-sm">To<select name="to" class="form-input mt-1">${provinceOptions(provinces.list.map(p => p.id))}</select></label>
+        <label class="text-sm">Daimyō<input type="number" name="daimyo" min="0" value="0" class="form-input mt-1"></label>
+        <label class="text-sm">Bushi<input type="number" name="bushi" min="0" value="1" class="form-input mt-1"></label>
+        <label class="text-sm">Route<select name="route" class="form-input mt-1"></select></label>
+        ${abilities.length ? `<label class="text-sm">Clan ability<select name="ability" class="form-input mt-1"><option value="">None</option>${abilities.map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}</select></label>` : ''}
+    </div>
+    <p class="play-check text-sm mt-2" aria-live="polite"></p>
+    <button type="submit" class="form-button mt-2">Move</button>
+</form>
+<button type="button" class="form-button" data-play-action="end-step">Finish movement &amp; resolve battles</button>`;
+        };
 
-            updateTimingTable();
+        const renderBattleResult = (result) => {
+            const side = (s) => `${s.rolls.map(r => `<span class="${r.hit ? 'text-accent-secondary font-bold' : ''}">${r.value}</span>`).join(' ')} → ${s.hits} hit${s.hits === 1 ? '' : 's'}`;
+            return `<p class="text-sm"><strong>${provinces.get(result.province).name}:</strong> attacker ${side(result.attacker)}; defender ${side(result.defender)}.</p>`;
         };
 
-        const initDesktopTOC = () => {
-            if (!tocContainer || !appWrapper) return;
+        const renderBattleActions = (g, lastResults, remote) => {
+            const id = g.active;
+            const battles = game.pendingBattles(g).map(p => {
+                const sides = gameState.occupants(g, p).map(pid => {
+                    const s = gameState.unitsIn(g, p, pid);
+                    return `${escapeHTML(g.players[pid].name)} ${s.daimyo} D, ${s.bushi} B`;
+                }).join(' vs ');
+                const defender = gameState.occupants(g, p).find(pid => pid !== id);
+                return `
+<form class="play-action" data-play-form="battle" data-province="${p}" novalidate>
+    <h5 class="!mt-0">Battle of ${provinces.get(p).name}</h5>
+    <p class="text-sm">${sides}</p>
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <label class="text-sm">Your Ronin (${rules.costs.hireRonin} Koku each)<input type="number" name="ronin-attacker" min="0" value="0" class="form-input mt-1"></label>
+        ${remote ? '' : `<label class="text-sm">${escapeHTML(g.players[defender].name)}'s Ronin<input type="number" name="ronin-defender" min="0" value="0" class="form-input mt-1"></label>`}
+        <button type="submit" class="form-button">Fight</button>
+    </div>
+    ${g.players[id].clan === 'otomo' ? `<label class="flex items-center mt-2 text-sm"><input type="checkbox" name="otomo" class="mr-2 h-4 w-4"${g.players[id].koku < rules.clans.otomo.effects.bushiReroll.cost ? ' disabled' : ''}> Otomo re-roll (${rules.clans.otomo.effects.bushiReroll.cost} Koku)</label>` : ''}
+</form>`;
+            }).join('');
+            return `
+${lastResults.length ? `<div class="play-action">${lastResults.map(renderBattleResult).join('')}</div>` : ''}
+${battles || `<p>No battles left to fight this turn (${ruleLink('6.2')}).</p>`}
+<button type="button" class="form-button" data-play-action="end-step"${battles ? ' disabled' : ''}>End turn</button>`;
+        };
 
-            const toggleTOC = (expand) => {
-                tocContainer.classList.toggle('is-expanded', expand);
-                if (window.innerWidth >= 1024) {
-                    appWrapper.style.paddingLeft = expand ? 'var(--toc-width-expanded)' : 'var(--toc-width-collapsed)';
+        // A decision that interrupts another player's action (engine/game.js, INTERRUPTS).
+        const renderPromptActions = (g) => {
+            const prompt = g.prompt;
+            const place = prompt.province ? escapeHTML(provinces.get(prompt.province).name) : '';
+            const choices = game.promptChoices(g);
+            const targets = choices.find(c => c.targets.length);
+            let intro;
+            if (prompt.kind === 'fealty') {
+                intro = `<h5 class="!mt-0">${escapeHTML(g.players[prompt.vassal].name)} swears fealty</h5><p class="text-sm">As their Liege Lord, choose one of their provinces. Up to ${rules.vassalage.convertedUnits} of their units there join your clan; any others stay loyal to the vassal (${ruleLink('8.1')}).</p>`;
+            } else if (prompt.kind === 'ronin') {
+                intro = `<h5 class="!mt-0">${gamePlayer(g, g.active)} attacks ${place}</h5><p class="text-sm">Hire Ronin for the defense at ${rules.costs.hireRonin} Koku each. They fight as Bushi, no more of them than your Bushi there, and leave after the battle (${ruleLink('6.2.4')}).</p>`;
+            } else if (prompt.kind === 'deny-passage') {
+                intro = `<h5 class="!mt-0">"Deny Passage!" in ${place}</h5><p class="text-sm">The Ninja bars the way. Pay ${rules.costs.denyPassageToll} Koku to break through, or retreat: the army stays where it is and counts as having moved (${ruleLink('9.1.3')}).</p>`;
+            } else {
+                const trigger = prompt.trigger === 'movement'
+                    ? `${gamePlayer(g, g.active)} declares a move into or through ${place}.`
+                    : `A battle begins in ${place}.`;
+                intro = `<h5 class="!mt-0">Your Ninja in ${place}</h5><p class="text-sm">${trigger} Reveal a mission now, or stay hidden and wait for another trigger this round (${ruleLink('9.1.2')}).</p>`;
+            }
+            const targetOptions = () => {
+                if (prompt.kind === 'fealty') return provinceOptions(targets.targets);
+                if (prompt.kind === 'ronin') {
+                    const koku = g.players[prompt.player].koku;
+                    return targets.targets.map(n => `<option value="${n}"${n * rules.costs.hireRonin > koku ? ' disabled' : ''}>${n} (${n * rules.costs.hireRonin} Koku)</option>`).join('');
                 }
-                ['toc-title', 'toc-search-container', 'toc-list', 'toc-no-results'].forEach(id => {
-                    const el = getEl(id);
-                    if (el) el.classList.toggle('opacity-0', !expand);
-                });
+                return targets.targets.map(id => `<option value="${id}">${escapeHTML(g.players[id].name)}</option>`).join('');
             };
+            const selectLabel = { fealty: 'Province', ronin: 'Ronin' }[prompt.kind] || 'Target';
+            const select = targets ? `<label class="text-sm block mt-2">${selectLabel}<select name="target" class="form-input mt-1">${targetOptions()}</select></label>` : '';
+            const buttons = choices.map(c => `<button type="button" class="${c.id === 'pass' || c.id === 'retreat' ? 'province-chip' : 'form-button'}" data-play-action="answer" data-choice="${c.id}">${escapeHTML(c.label)}</button>`).join(' ');
+            return `<div class="play-action">${intro}${select}<div class="flex flex-wrap gap-3 mt-3">${buttons}</div></div>`;
+        };
 
-            const searchInput = getEl('toc-search');
-            const tocList = getEl('toc-list');
-            const tocLinks = tocList ? Array.from(tocList.getElementsByTagName('li')) : [];
-            const noResultsMsg = getEl('toc-no-results');
-
-            if (searchInput && tocList && noResultsMsg) {
-                searchInput.addEventListener('input', debounce((e) => {
-                    const searchTerm = e.target.value.toLowerCase().trim();
-                    let visibleCount = 0;
-
-                    tocLinks.forEach(li => {
-                        const text = li.textContent.toLowerCase();
-                        const isVisible = searchTerm === '' || text.includes(searchTerm);
-                        li.classList.toggle('hidden', !isVisible);
-                        if (isVisible) {
-                            visibleCount++;
-                        }
-                    });
+        const renderPlayActions = (g, revealed, lastResults, remote) => {
+            if (game.isOver(g)) {
+                const v = g.victory;
+                if (!v) return '<div class="play-action"><h4 class="!mt-0">The game is over.</h4><p>Every clan has been eliminated, so nobody wins.</p></div>';
+                const tie = v.tieBreaker ? ` Tie broken by ${escapeHTML(victory.tieBreakerLabel(v.tieBreaker))} (${ruleLink('1.2.1')}).` : '';
+                return `<div class="play-action"><h4 class="!mt-0">${gamePlayer(g, v.winner)} wins!</h4><p>${escapeHTML(v.label)} (${ruleLink(v.ref)}) at the end of round ${v.round}.${tie}</p></div>`;
+            }
+            const actor = game.actingPlayer(g);
+            if (remote && remote.seat !== actor) {
+                return `<div class="play-action text-center"><p>Waiting for <strong>${gamePlayer(g, actor)}</strong>${g.prompt ? ' to decide' : ''}.</p></div>`;
+            }
+            if (!revealed) {
+                return `<div class="play-action text-center"><p>Pass the device to <strong>${gamePlayer(g, actor)}</strong>.</p><button type="button" class="form-button mt-2" data-play-action="reveal">I am ${escapeHTML(g.players[actor].name)} – continue</button></div>`;
+            }
+            if (g.prompt) return renderPromptActions(g);
+            const step = game.stepInfo(g.step);
+            if (step.action === 'reinforcement') return renderReinforcementActions(g);
+            if (step.action === 'movement') return renderMovementActions(g);
+            return renderBattleActions(g, lastResults, remote);
+        };
+
+        const renderLogEntry = (g, e) => `<li><span class="text-xs">R${e.round} ${e.step || ''}</span> ${e.player ? `<strong>${escapeHTML(g.players[e.player].name)}:</strong> ` : ''}${escapeHTML(e.text)}</li>`;
+
+        const renderPlayLog = (g) => `
+<details class="mt-6">
+    <summary class="cursor-pointer font-semibold">Game log (${g.log.length} entries)</summary>
+    <ol class="play-log">${[...g.log].reverse().map(e => renderLogEntry(g, e)).join('')}</ol>
+</details>`;
+
+        // remote: null for a hot-seat game, otherwise { room, seat } of this browser.
+        const renderPlayGame = (g, revealed, lastResults, remote = null) => `
+${remote ? `<p class="text-sm">Remote room <code>${escapeHTML(remote.room)}</code> · ${remote.seat ? `You are <strong>${gamePlayer(g, remote.seat)}</strong>.` : 'You are watching.'}</p>` : ''}
+${renderPlayStatus(g)}
+<p class="play-error text-sm text-accent-secondary" aria-live="polite"></p>
+${renderPlayActions(g, revealed, lastResults, remote)}
+<h4>Clans</h4>
+${renderPlayPlayers(g)}
+<h4>Board</h4>
+${renderPlayBoard(g)}
+${renderPlayLog(g)}
+${remote ?
+        `${game.isOver(g) ? '<button type="button" class="province-chip mt-6" data-play-action="export-replay">Download replay</button> ' : ''}<button type="button" class="province-chip mt-6" data-play-action="leave">Leave remote game</button>` :
+        `${renderSaveGame()}<button type="button" class="province-chip mt-6" data-play-action="abandon">Abandon this game</button>`}`;
+
+        const renderSaveGame = () => `
+<details class="mt-6">
+    <summary class="cursor-pointer font-semibold">Save &amp; Share</summary>
+    <p class="text-sm mt-2">Record this position to continue later, on this or another device. Save files and links hold every clan's treasury, so keep them off the table while you play.</p>
+    <div class="flex flex-wrap gap-3 mt-2">
+        <button type="button" class="province-chip" data-play-action="export">Download save file</button>
+        <button type="button" class="province-chip" data-play-action="share-link">Create link</button>
+        <button type="button" class="province-chip" data-play-action="export-replay">Download replay</button>
+    </div>
+    <input type="text" readonly class="form-input mt-2 play-share-link" aria-label="Link to this game" hidden>
+</details>`;
 
-                    noResultsMsg.classList.toggle('hidden', visibleCount > 0 || searchTerm === '');
-                    tocList.classList.toggle('hidden', visibleCount === 0 && searchTerm !== '');
+        // --- REPLAY VIEWER ---
+        const REPLAY_ACTIONS = { recruit: 'recruits', buildCastle: 'builds a castle', fortifyCastle: 'fortifies', hireNinja: 'hires the Ninja', move: 'moves', resolveBattle: 'fights a battle', answer: 'decides', endStep: 'ends the turn' };
+        const REPLAY_STEPS = [['round', -1, '« Round'], ['phase', -1, '‹ Phase'], ['action', -1, '◂ Action'], ['action', 1, 'Action ▸'], ['phase', 1, 'Phase ›'], ['round', 1, 'Round »']];
 
-                }, 200));
-            }
-            const pinButton = document.createElement('button');
-            pinButton.innerHTML = '▶';
-            pinButton.className = 'absolute top-1/2 -translate-y-1/2 right-0 translate-x-1/2 bg-gray-800 border border-gray-700 rounded-full w-8 h-8 flex items-center justify-center z-40 hidden lg:block';
-            pinButton.setAttribute('aria-label', 'Toggle Table of Contents');
-            tocContainer.appendChild(pinButton);
+        const renderReplayControls = () => `
+<div class="flex flex-wrap gap-2">
+    ${REPLAY_STEPS.map(([unit, direction, label]) => `<button type="button" class="province-chip" data-replay-step="${unit}:${direction}">${label}</button>`).join('')}
+</div>
+<input type="range" min="0" max="0" value="0" class="w-full mt-3" data-replay-frame aria-label="Replay position">`;
+
+        // The command that led to a frame and everything the game log recorded for it.
+        const renderReplayFrame = (frames, index) => {
+            const { game: g, entry, results } = frames[index];
+            const before = index > 0 ? frames[index - 1].game : null;
+            const entries = before ? g.log.slice(before.log.length) : g.log;
+            const what = entry ? `${entry.player ? `${gamePlayer(before, entry.player)} ` : ''}${escapeHTML(REPLAY_ACTIONS[entry.action] || entry.action)}.` : 'The game begins.';
+            const legend = Object.keys(g.players).map(id => `<li><span class="legend-swatch" data-owner="${id}"></span>${gamePlayer(g, id)}</li>`).join('');
+            return `
+<p class="text-sm">Step ${index} of ${frames.length - 1} · ${what}</p>
+${renderPlayStatus(g)}
+${entries.length ? `<ol class="play-log">${entries.map(e => renderLogEntry(g, e)).join('')}</ol>` : ''}
+${results ? `<div class="play-action">${results.map(renderBattleResult).join('')}</div>` : ''}
+<ul class="province-map-legend">${legend}<li><span class="legend-swatch is-contested"></span>Contested</li></ul>
+${renderPlayPlayers(g)}`;
+        };
 
-            let isPinned = false;
-            pinButton.addEventListener('click', () => {
-                isPinned = !isPinned;
-                pinButton.innerHTML = isPinned ? '◀' : '▶';
-                toggleTOC(isPinned);
-            });
+        const downloadFile = (name, text, type) => {
+            const blob = new Blob([text], { type });
+            const a = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            a.href = url;
+            a.download = name;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        };
 
-            toggleTOC(false);
+        // --- TABLE TOOLS ---
+        const formatPercent = (p) => `${(p * 100).toFixed(1)}%`;
+        const formatPoints = (delta) => `${delta >= 0 ? '+' : '−'}${Math.abs(delta * 100).toFixed(1)} pts`;
+
+        const renderUnitFields = (role) => `
+                <div class="grid grid-cols-3 gap-3 mt-3">
+                    <label class="text-sm">${rules.units.daimyo.name}<input type="number" name="${role}-daimyo" min="0" max="${rules.limits.daimyoPerClan}" value="${role === 'attacker' ? 1 : 0}" class="form-input mt-1"></label>
+                    <label class="text-sm">${rules.units.bushi.name}<input type="number" name="${role}-bushi" min="0" max="${rules.limits.stacking}" value="${role === 'attacker' ? 4 : 3}" class="form-input mt-1"></label>
+                    <label class="text-sm">${rules.units.ronin.name}<input type="number" name="${role}-ronin" min="0" max="${rules.limits.stacking}" value="0" class="form-input mt-1"></label>
+                </div>`;
+
+        const renderClanSelect = (role) => `
+                <label class="text-sm block">Clan
+                    <select name="${role}-clan" class="form-input mt-1">
+                        <option value="">– No clan ability –</option>
+                        ${clanList().map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                    </select>
+                </label>`;
+
+        const renderOddsForm = () => `
+<form id="odds-form" class="mt-6" novalidate>
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <fieldset class="odds-side">
+            <legend class="form-label">Attacker</legend>
+            ${renderClanSelect('attacker')}
+            ${renderUnitFields('attacker')}
+            <label class="flex items-center mt-3 text-sm"><input type="checkbox" name="attacker-reroll" class="mr-2 h-4 w-4"> Otomo re-roll of failed Bushi dice (${rules.clans.otomo.effects.bushiReroll.cost} Koku)</label>
+            <label class="flex items-center mt-2 text-sm"><input type="checkbox" name="attacker-pact" class="mr-2 h-4 w-4"> Attacking an ally (Honor Pact broken) ${moduleIcon('political-play')}</label>
+        </fieldset>
+        <fieldset class="odds-side">
+            <legend class="form-label">Defender</legend>
+            ${renderClanSelect('defender')}
+            ${renderUnitFields('defender')}
+            <label class="text-sm block mt-3">Fortification
+                <select name="defender-castle" class="form-input mt-1">
+                    <option value="">None</option>
+                    <option value="castle">Castle</option>
+                    <option value="fortified">Fortified Castle</option>
+                    <option value="fortress">Hōjō Fortress</option>
+                </select>
+            </label>
+            <label class="flex items-center mt-3 text-sm"><input type="checkbox" name="defender-held" class="mr-2 h-4 w-4"> Province held since the start of the round</label>
+            <label class="flex items-center mt-2 text-sm"><input type="checkbox" name="defender-kyoto" class="mr-2 h-4 w-4"> Battle in ${provinces.displayName('yamashiro')}</label>
+        </fieldset>
+    </div>
+    <label class="text-sm block mt-6">Ninja "Sow Discord!" target
+        <select name="sow-discord" class="form-input mt-1">
+            <option value="">Nobody</option>
+            <option value="attacker">Attacker</option>
+            <option value="defender">Defender</option>
+        </select>
+    </label>
+</form>
+<div id="odds-result" class="mt-8" aria-live="polite"></div>`;
+
+        const renderModifierSummary = (modifier) => {
+            if (!modifier.applied.length && !modifier.ignored.length) return 'No modifiers';
+            const applied = modifier.applied.map(m => `${m.value > 0 ? '+' : ''}${m.value} ${escapeHTML(m.source)}`).join(', ');
+            const ignored = modifier.ignored.length ?
+                ` <span class="text-sm">(ignored per ${ruleLink('0.1')}: ${modifier.ignored.map(m => escapeHTML(m.source)).join(', ')})</span>` : '';
+            return `${applied}${ignored}`;
         };
 
-        const initResponsiveTables = () => {
-            document.querySelectorAll('.table-responsive-wrapper').forEach(wrapper => {
-                const table = wrapper.querySelector('table');
-                if (!table) return;
+        const renderHitDistribution = (dist) => {
+            let atLeast = 1;
+            const rows = dist.map((p, k) => {
+                const row = `<tr><td data-label="Hits">${k}</td><td data-label="Exactly">${formatPercent(p)}</td><td data-label="At least">${formatPercent(atLeast)}</td><td data-label=""><span class="odds-bar" style="width:${(p * 100).toFixed(1)}%"></span></td></tr>`;
+                atLeast -= p;
+                return row;
+            }).join('');
+            return `
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Hits">Hits</th><th data-label="Exactly">Exactly</th><th data-label="At least">At least</th><th data-label="" class="w-1/2"></th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>`;
+        };
 
-                const checkScrollable = (wrapper, table) => {
-                    if (!wrapper.classList.contains('card-view-active')) {
-                        setTimeout(() => {
-                            const isScrollable = table.scrollWidth > wrapper.clientWidth + 2;
-                            wrapper.classList.toggle('is-scrollable', isScrollable);
-                        }, 100);
-                    } else {
-                        wrapper.classList.remove('is-scrollable');
-                    }
-                };
+        const renderOddsSide = (label, side) => {
+            const targets = combat.UNIT_TYPES
+                .filter(type => side.units[type] > 0)
+                .map(type => `${rules.units[type].name} ${rules.formatHitRange(side.targets[type])}`)
+                .join(', ');
+            return `
+    <div>
+        <h4 class="!mt-0">${label}</h4>
+        <p class="text-sm"><strong>Modifiers:</strong> ${renderModifierSummary(side.modifier)}</p>
+        <p class="text-sm"><strong>Hits on:</strong> ${targets || '–'}</p>
+        <p class="text-sm"><strong>Expected hits:</strong> ${side.expectedHits.toFixed(2)} · <strong>Expected survivors:</strong> ${side.expectedSurvivors.toFixed(2)}</p>
+        ${renderHitDistribution(side.distribution)}
+    </div>`;
+        };
 
-                checkScrollable(wrapper, table);
-                window.addEventListener('resize', debounce(() => checkScrollable(wrapper, table), 250));
-            });
+        // `comparisons`: [{ label, cost, role, without }] where `without` are the odds without that purchase.
+        const renderOddsResult = (odds, comparisons) => {
+            const outcomes = [
+                ['Attacker takes the province', odds.control.attacker],
+                ['Defender holds', odds.control.defender],
+                ['Contested', odds.control.contested],
+                ['Neutral (both wiped out)', odds.control.neutral],
+            ].map(([label, p]) => `<div class="odds-stat"><span class="odds-stat-value">${formatPercent(p)}</span><span class="text-sm">${label}</span></div>`).join('');
+            const worth = comparisons.map(c => {
+                const delta = odds.control[c.role] - c.without.control[c.role];
+                const perKoku = c.cost ? ` · ${formatPoints(delta / c.cost)} per Koku` : '';
+                return `<li><strong>${escapeHTML(c.label)}:</strong> ${formatPoints(delta)} chance that the ${c.role} ${c.role === 'attacker' ? 'takes' : 'holds'} the province${perKoku}</li>`;
+            }).join('');
+            return `
+<div class="odds-stats">${outcomes}</div>
+${worth ? `<h4>Is it worth the Koku?</h4><ul class="list-disc list-inside">${worth}</ul>` : ''}
+<div class="grid grid-cols-1 md:grid-cols-2 gap-6 mt-8">
+    ${renderOddsSide('Attacker', odds.attacker)}
+    ${renderOddsSide('Defender', odds.defender)}
+</div>`;
         };
 
-        const populateBottomNav = () => {
-            if (!bottomNav) return;
-            const navItems = [
-                { href: '#start', label: 'Start' },
-                { href: '#new-players', label: 'New Players' },
-                { href: '#rules', label: 'Rules' },
-                { href: '#modules', label: 'Modules' },
-                { href: '#strategy', label: 'Strategy' },
-                { href: '#timing', label: 'Timing' },
-                { href: '#reference', label: 'Reference' },
-                { href: '#feedback', label: 'Feedback' },
-                { href: '#about', label: 'About' },
-            ];
+        const renderPlannerForm = () => {
+            const options = [...provinces.list].sort((a, b) => a.name.localeCompare(b.name)).map(p => {
+                const tags = [p.coastal && 'coastal', p.mountain && 'mountain'].filter(Boolean);
+                return `<option value="${p.id}">${escapeHTML(provinces.displayName(p.id))}${tags.length ? ` – ${tags.join(', ')}` : ''}</option>`;
+            }).join('');
+            return `
+<form id="planner-form" class="mt-6" novalidate>
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <fieldset class="odds-side">
+            <legend class="form-label">Your Position</legend>
+            <label class="text-sm block">Clan
+                <select name="planner-clan" class="form-input mt-1">
+                    ${clanList().map(c => `<option value="${c.id}">${c.name}</option>`).join('')}
+                </select>
+            </label>
+            <label class="text-sm block mt-3">Controlled provinces <span class="text-xs">(Ctrl/⌘ + click to select several)</span>
+                <select name="planner-provinces" multiple size="8" class="form-input mt-1">${options}</select>
+            </label>
+            <div class="grid grid-cols-2 gap-3 mt-3">
+                <label class="text-sm">Koku in treasury<input type="number" name="planner-koku" min="0" value="0" class="form-input mt-1"></label>
+                <label class="text-sm">Bushi on the board<input type="number" name="planner-bushi" min="0" max="${rules.limits.bushiPerClan}" value="${rules.limits.startingBushi}" class="form-input mt-1"></label>
+            </div>
+            <label class="flex items-center mt-3 text-sm"><input type="checkbox" name="planner-first-round" class="mr-2 h-4 w-4"> First round of the game (no Unit Maintenance)</label>
+        </fieldset>
+        <fieldset class="odds-side">
+            <legend class="form-label">This Round's Plan</legend>
+            <label class="text-sm block">Recruit Bushi (${rules.costs.recruitBushi} Koku each)<input type="number" name="planner-recruit" min="0" value="0" class="form-input mt-1"></label>
+            <label class="flex items-center mt-3 text-sm"><input type="checkbox" name="planner-ninja" class="mr-2 h-4 w-4"> Hire the Ninja (${rules.costs.hireNinja} Koku)</label>
+            <label class="text-sm block mt-3">Castle
+                <select name="planner-castle" class="form-input mt-1">
+                    <option value="">No construction</option>
+                    <option value="build">Build castle (${rules.costs.buildCastle} Koku, Hōjō Fortress ${rules.clans.hojo.effects.fortress.cost})</option>
+                    <option value="fortify">Fortify castle (${rules.costs.fortifyCastle} Koku)</option>
+                </select>
+            </label>
+            <label class="text-sm block mt-3">Units in your mountain provinces at Winter<input type="number" name="planner-mountain-units" min="0" value="0" class="form-input mt-1"></label>
+        </fieldset>
+    </div>
+</form>
+<div id="planner-result" class="mt-8" aria-live="polite"></div>`;
+        };
 
-            let navHTML = '';
-            navItems.forEach(item => {
-                navHTML += `<a href="${item.href}" class="nav-icon">${item.label}</a>`;
-            });
-            bottomNav.innerHTML = navHTML;
+        const renderPlannerResult = (plan, maxRecruits) => {
+            const rows = plan.ledger.map(e => {
+                const amount = e.amount > 0 ? `+${e.amount}` : `${e.amount}`;
+                let note = '';
+                if (e.step === 'income') {
+                    const d = e.detail;
+                    note = `${d.base} base + ${d.provinceIncome} provinces${d.coastal.bonus ? ` + ${d.coastal.bonus} coastal` : ''}${d.coastal.capped ? ' (capped)' : ''}`;
+                }
+                if (e.step === 'winter' && !e.detail.immune && e.detail.cost) {
+                    note = `${e.detail.provinces} mountain province${e.detail.provinces === 1 ? '' : 's'}, ${e.detail.units} units`;
+                }
+                if (e.bankruptcy) {
+                    note += `${note ? '; ' : ''}<strong class="text-accent-secondary">short ${e.bankruptcy.shortfall} Koku – remove ${e.bankruptcy.bushiLost}${e.bankruptcy.bushiLost < e.bankruptcy.bushiOwed ? ` of ${e.bankruptcy.bushiOwed} owed` : ''} Bushi (${ruleLink('4.2')})</strong>`;
+                }
+                return `<tr${e.bankruptcy ? ' class="module-row"' : ''}><td data-label="Step">${escapeHTML(e.label)}${e.ref ? ` (${ruleLink(e.ref)})` : ''}</td><td data-label="Koku">${e.step === 'start' ? '' : amount}</td><td data-label="Treasury">${e.koku}</td><td data-label="Bushi">${e.bushi}</td><td data-label="Notes">${note}</td></tr>`;
+            }).join('');
+            const errors = plan.errors.length ? `<ul class="list-disc list-inside text-accent-secondary">${plan.errors.map(err => `<li>${escapeHTML(err)}</li>`).join('')}</ul>` : '';
+            return `
+${errors}
+<div class="table-responsive-wrapper">
+    <table>
+        <thead><tr><th data-label="Step">Step</th><th data-label="Koku">Koku</th><th data-label="Treasury">Treasury</th><th data-label="Bushi">Bushi</th><th data-label="Notes">Notes</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</div>
+<p class="mt-4"><strong>End of round:</strong> ${plan.end.koku} Koku and ${plan.end.bushi} Bushi${plan.bushiLost ? `, after losing ${plan.bushiLost} Bushi to bankruptcy` : ''}. Next round's Unit Maintenance: <strong>${plan.nextMaintenance} Koku</strong>.</p>
+<p class="text-sm">With the other purchases above, you can recruit up to <strong>${maxRecruits}</strong> Bushi without going bankrupt this round.</p>`;
         };
 
         const loadContent = () => {
@@ -573,7 +3163,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         <div class="max-w-4xl mx-auto">
                             <header class="text-center mb-24">
                                 <h1 class="text-4xl md:text-6xl font-bold leading-tight">Shogun: Gekokujō</h1>
-                                <p class="text-lg mt-2">Rulebook v89 (Living Rulebook - Gold Master)</p>
+                                <p class="text-lg mt-2">Rulebook ${rules.version} (Living Rulebook)</p>
                             </header>
                             <section>
                                 <h3 class="mt-16">A Manual for the Sengoku Jidai</h3>
@@ -620,7 +3210,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             </div>
                             <hr class="section-divider">
                             <section id="changelog">
-                                <h2 class="!mt-0">What's New? (Changelog)</h2>
+                                <h2 class="!mt-0" id="whats_new">What's New? (Changelog)</h2>
                                 <details class="bg-gray-800 p-4 rounded-lg mb-4" open>
                                     <summary class="cursor-pointer font-semibold">Major Evolution: v81 to v89</summary>
                                     <div class="mt-4">
@@ -659,10 +3249,13 @@ document.addEventListener('DOMContentLoaded', () => {
                                         </ul>
                                     </div>
                                 </details>
+                                <h3 id="version_history">Compare Versions</h3>
+                                <p>Every published version of the rules is kept. Pick two to see, section by section, what was added, removed or reworded; the table of contents marks the sections that differ. Groups playing with house rules pinned to an older version can keep that version selected here.</p>
+                                ${renderVersionForm()}
                             </section>
                             <hr class="section-divider">
                             <section id="veteran-changes">
-                                <h2 class="!mt-0">For Veterans of the Original Game: What Has Changed?</h2>
+                                <h2 class="!mt-0" id="veterans">For Veterans of the Original Game: What Has Changed?</h2>
                                 <div class="pt-6">
                                     <p>If you've played the 1986 Milton Bradley classic *Shogun* (also known as *Samurai Swords* or *Ikusa*), you'll find the soul of the game intact, but the engine has been completely rebuilt. This version is designed to be a faster, more strategically focused euro-wargame. Here are the most impactful changes:</p>
                                     <div class="info-card mt-12">
@@ -712,10 +3305,8 @@ document.addEventListener('DOMContentLoaded', () => {
 <div class="info-card">
     <h3 class="!mt-0" id="map_of_japan">The Theater of War: Feudal Japan</h3>
     <p>This is the stage upon which your conquest will unfold. Understanding the terrain, the chokepoints, and the strategic value of key provinces is the first step toward becoming Shōgun.</p>
-    <div class="mt-4 rounded-lg overflow-hidden border border-gray-700">
-        <img src="images/japan-map-600.jpg" alt="A map of feudal Japan, showing all the provinces of the game Shogun: Gekokujo" class="w-full h-auto">
-    </div>
-    <p class="text-sm text-center mt-4 text-gray-400">Pay close attention to the three <strong>Mandate Provinces</strong>: Yamashiro (Kyoto), Settsu (Osaka), and Sagami (Edo). Controlling these is a direct path to victory.</p>
+    ${renderProvinceMap()}
+    <p class="text-sm text-center mt-4 text-gray-400">Pay close attention to the three <strong>Mandate Provinces</strong>: ${rules.victory.mandateProvinces.map(provinces.displayName).join(', ').replace(/, ([^,]*)$/, ', and $1')}. Controlling these is a direct path to victory.</p>
 </div>
 <hr class="section-divider">
                             <section>
@@ -732,11 +3323,7 @@ document.addEventListener('DOMContentLoaded', () => {
 </ul>
                                     <h4 class="mt-8 text-accent-secondary">2. Printable Player Aid</h4>
                                     <p>For at-the-table reference, the most important cheat sheets have been compiled into a separate, printer-friendly document. Download it here:</p>
-                                    <div class="text-center mt-4">
-                                        <a href="ShogunPlayerAid.html" target="\_blank" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">
-                                            Download Player Aid (for Printing)
-                                        </a>
-                                    </div>
+                                    ${renderAidButtons('player')}
                                 </div>
                                 <hr class="section-divider">
                                 <div class="info-card">
@@ -814,7 +3401,7 @@ document.addEventListener('DOMContentLoaded', () => {
                                     <li><strong>Loyal Service:</strong> Attack your Lord's enemies. Earn "Kōseki" points to buy your freedom.</li>
                                     <li><strong>Betrayal:</strong> Attack your Lord directly. If you take a province, you are free. If you fail, you are eliminated.</li>
                                 </ol>
-                                <p class="mt-4 italic text-gray-400">Note: The optional 'Path of Glory' module (<a href="#s10_4" class="nav-link-inline">§10.4</a>) offers an alternative comeback mechanic that replaces this rule.</p>
+                                <p class="mt-4 italic text-gray-400">Note: The optional 'Path of Glory' module (<a href="#s10_7" class="nav-link-inline">§10.7</a>) offers an alternative comeback mechanic that replaces this rule.</p>
                             </section>
                         </div>
                     </div>
@@ -880,15 +3467,14 @@ document.addEventListener('DOMContentLoaded', () => {
                                <ol class="list-decimal list-inside ml-8">
                                <li>Shōgun's Mandate</li>
                                <li>Province Control</li>
-                               <li>Path of Glory (Module, see <a href="#s10_4" class="nav-link-inline">§10.4</a>)</li>
+                               <li>Path of Glory (Module, see <a href="#s10_7" class="nav-link-inline">§10.7</a>)</li>
                                </ol>
                                <h4 class="mt-6" id="s1_1_2"><span class="rule-number">§ 1.1.2</span>Timing of Victory Check</h4>
                                <p><strong>Victory conditions apply only at the end of each phase.</strong></p>
                                <h3 class="mt-8" id="s1_2"><span class="rule-number">§ 1.2</span>Victory by Province Control</h3>
                                <p>You win if you control a certain number of provinces:</p>
                                <ul class="list-disc list-inside">
-                               <li><strong>4 Players:</strong> 20 provinces</li>
-                               <li><strong>5 Players:</strong> 18 provinces</li>
+                               ${Object.entries(rules.victory.provincesByPlayerCount).map(([players, count]) => `<li><strong>${players} Players:</strong> ${count} provinces</li>`).join('\n                               ')}
                                </ul>
                                <h4 class="mt-6" id="s1_2_1"><span class="rule-number">§ 1.2.1</span>Tie-Breaker</h4>
                                <p>In the rare case of a tie, a clear winner is determined by the following sequence:</p>
@@ -901,12 +3487,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                <h3 class="mt-8" id="s1_3"><span class="rule-number">§ 1.3</span>Alternative Victory: The Shōgun's Mandate</h3>
                                <p>You win if you have sole, undisputed control over the three Mandate Provinces at the end of any phase:</p>
                                <ul class="list-disc list-inside ml-8">
-                               <li>Yamashiro (Kyoto)</li>
-                               <li>Settsu (Osaka)</li>
-                               <li>Sagami (Edo)</li>
+                               ${rules.victory.mandateProvinces.map(id => `<li>${provinces.displayName(id)}</li>`).join('\n                               ')}
                                </ul>
                                <p class="mt-4"><em>There must be no units from allies (see <a href="#s10_1" class="nav-link-inline">§10.1</a>) in these provinces for you to claim this victory.</em></p>
-                               <p><em>Special Rule: When defending in Yamashiro (Kyoto), your units receive a +1 bonus to their defense rolls.</em></p>
+                               <p><em>Special Rule: When defending in Yamashiro (Kyoto), your units receive a +${rules.victory.kyotoDefenseBonus} bonus to their defense rolls.</em></p>
                                </div>
                                </section>
                                <hr class="section-divider">
@@ -915,12 +3499,12 @@ document.addEventListener('DOMContentLoaded', () => {
         <h2 class="!mt-0" id="s2_heading"><span class="rule-number">§ 2</span>Preparing for Battle</h2>
         <h3 class="mt-8" id="s2_1"><span class="rule-number">§ 2.1</span>Components</h3>
         <ul class="list-disc list-inside">
-            <li><strong>Daimyō (3 per clan):</strong> Your irreplaceable leaders.</li>
-            <li><strong>Bushi (69 per clan):</strong> The backbone of your clan.</li>
+            <li><strong>Daimyō (${rules.limits.daimyoPerClan} per clan):</strong> Your irreplaceable leaders.</li>
+            <li><strong>Bushi (${rules.limits.bushiPerClan} per clan):</strong> The backbone of your clan.</li>
             <li><strong>Koku:</strong> The lifeblood of your clan, representing rice and resources.</li>
-            <li><strong>Ronin (30 total):</strong> Masterless samurai for hire.</li>
-            <li><strong>Castles (10 total):</strong> Fortifications for your provinces.</li>
-            <li><strong>Ninja (1 total):</strong> A master of espionage.</li>
+            <li><strong>Ronin (${rules.limits.roninTotal} total):</strong> Masterless samurai for hire.</li>
+            <li><strong>Castles (${rules.limits.castlesTotal} total):</strong> Fortifications for your provinces.</li>
+            <li><strong>Ninja (${rules.limits.ninjaTotal} total):</strong> A master of espionage.</li>
             <li><strong>Player Screens, Game Board, six-sided dice (d6), and various markers.</strong></li>
         </ul>
     </div>
@@ -935,24 +3519,7 @@ document.addEventListener('DOMContentLoaded', () => {
         <h4 class="mt-6" id="s2_2_1"><span class="rule-number">§ 2.2.1</span>Define the Strategic Regions</h4>
         <p>The nine great clans are grouped into three strategic regions, reflecting their historical spheres of influence.</p>
 
-<div class="table-responsive-wrapper">
-    <table class="table-structured">
-        <thead>
-            <tr>
-                <th data-label="West">The West</th>
-                <th data-label="Center">The Center</th>
-                <th data-label="East">The East</th>
-            </tr>
-        </thead>
-        <tbody>
-            <tr>
-                <td data-label="West">Mōri (Aki)<br>Otomo (Bungo)<br>Shimazu (Satsuma)</td>
-                <td data-label="Center">Chosokabe (Tosa)<br>Oda (Owari)<br>Tokugawa (Mikawa)</td>
-                <td data-label="East">Hōjō (Sagami)<br>Takeda (Kai)<br>Uesugi (Echigo)</td>
-            </tr>
-        </tbody>
-    </table>
-</div>
+${renderRegionTable()}
 
         <h4 class="mt-6" id="s2_2_2"><span class="rule-number">§ 2.2.2</span>Step-by-Step: The Draft Procedure</h4>
         <p>A draft is a simple way to choose factions to ensure a fair and interesting game. Instead of everyone grabbing their favorite clan at once, you will take turns picking one by one. This section breaks it down into simple steps.</p>
@@ -996,6 +3563,18 @@ document.addEventListener('DOMContentLoaded', () => {
     </ol>
     <p class="mt-4">This draft system becomes a "meta-game" before the first turn. Your initial choice is not just about which clan ability you prefer; it also limits the options of your opponents and shapes the political landscape of the entire game.</p>
 
+    <div class="info-card" id="draft-assistant">
+        <h4 class="!mt-0" id="draft_assistant">Draft Assistant</h4>
+        <p>Runs the draft at the table: it rolls a random player order, reverses it into the pick order and only lets each player choose a clan that the Regional Restriction allows.</p>
+        <form class="mt-4" novalidate>
+            <label for="draft-players" class="form-label">Players (comma-separated, in seating order)</label>
+            <input type="text" id="draft-players" name="draft-players" value="Player A, Player B, Player C, Player D" class="form-input">
+            <p class="draft-error text-sm text-accent-secondary mt-2" aria-live="polite"></p>
+            <button type="submit" class="form-button mt-2">Randomize order &amp; start draft</button>
+        </form>
+        <div class="draft-board"></div>
+    </div>
+
     <div class="info-card">
         <h3 class="!mt-0" id="s2_3"><span class="rule-number">§ 2.3</span>Initial Setup</h3>
         <ol class="list-decimal list-inside">
@@ -1006,64 +3585,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     <h3 class="mt-16" id="s2_4"><span class="rule-number">§ 2.4</span>The Great Clans</h3>
     <blockquote>The clans are not fundamentally different, but their unique advantages reflect their historical strengths and strategic focus.</blockquote>
-<div class="table-responsive-wrapper">
-    <table class="table-structured">
-        <thead>
-            <tr>
-                <th data-label="Clan">Clan</th>
-                <th data-label="Province">Province</th>
-                <th data-label="Ability">Ability</th>
-            </tr>
-        </thead>
-        <tbody>
-            <tr>
-                <td data-label="Clan"><strong>Chosokabe</strong></td>
-                <td data-label="Province">Tosa</td>
-                <td data-label="Ability">Your base income is 4 Koku (instead of 3). Additionally, you gain +1 Koku for every 2 coastal provinces you control (max +2 Koku per round).</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Hōjō</strong></td>
-                <td data-label="Province">Sagami</td>
-                <td data-label="Ability">The cost to build your Fortress is 3 Koku. Its defense bonus is +2 (instead of +1). If your Fortress is destroyed, you may rebuild it in a later round for the same cost. Starts in a Mandate Province.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Mōri</strong></td>
-                <td data-label="Province">Aki</td>
-                <td data-label="Ability">Once per turn, you may spend 1 Koku to move a Mōri Daimyō and up to 5 Bushi in the same province to any Mōri-controlled coastal province along a sea line. You gain +1 Koku for every 3 coastal provinces you control.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Oda</strong></td>
-                <td data-label="Province">Owari</td>
-                <td data-label="Ability">If an Oda Daimyō is present, all attacking Oda units in that battle receive a +1 bonus to their attack rolls.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Otomo</strong></td>
-                <td data-label="Province">Bungo</td>
-                <td data-label="Ability">When you declare an attack, you may spend 2 Koku before any dice are rolled. If you do, you may re-roll all of your failed attack rolls for your Bushi units in that battle.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Shimazu</strong></td>
-                <td data-label="Province">Satsuma</td>
-                <td data-label="Ability">+1 Koku per coastal province you control (max +3 per round).</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Takeda</strong></td>
-                <td data-label="Province">Kai</td>
-                <td data-label="Ability">When a Takeda Daimyō moves, up to 6 Bushi from the same starting province may move with him as a single group, using the Daimyō's movement of 3.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Tokugawa</strong></td>
-                <td data-label="Province">Mikawa</td>
-                <td data-label="Ability">Immune to Mountain Provisions costs in mountain provinces.</td>
-            </tr>
-            <tr>
-                <td data-label="Clan"><strong>Uesugi</strong></td>
-                <td data-label="Province">Echigo</td>
-                <td data-label="Ability">Any Uesugi unit defending in a province under your control at the start of this round receives a +1 bonus to its defense rolls.</td>
-            </tr>
-        </tbody>
-    </table>
-</div>
+${renderClanTable()}
 </section>
 <hr class="section-divider">
                             <section id="s3">
@@ -1080,14 +3602,14 @@ document.addEventListener('DOMContentLoaded', () => {
         </ol>
 
 <h3 class="mt-8" id="s3_2"><span class="rule-number">§ 3.2</span>Unit Limit per Province (Stacking Limit) - Revised</h3>
-<p>A province can sustain a maximum of 7 units belonging to a single player.</p>
+<p>A province can sustain a maximum of ${rules.limits.stacking} units belonging to a single player.</p>
 <p class="mt-4"><strong>Clarification:</strong></p>
 <ul class="list-disc list-inside ml-4">
     <li>This limit applies to <strong>all unit types</strong> (Bushi, Daimyō, Ronin, Specialized Units from modules, etc.).</li>
     <li>The limit is checked after any game effect that changes unit count is fully resolved (recruitment, movement, combat, special abilities, etc.).</li>
 </ul>
 <p class="mt-4"><strong>Exception - Pass-Through Movement:</strong></p>
-<p>Units may move through a province that already contains 7 of their own units. The stacking limit is checked before movement begins and after movement ends, but not during movement itself.</p>
+<p>Units may move through a province that already contains ${rules.limits.stacking} of their own units. The stacking limit is checked before movement begins and after movement ends, but not during movement itself.</p>
 <p class="mt-2">If a unit's movement is interrupted mid-transit (e.g., by a Ninja's "Deny Passage!" ability) and this causes a stacking violation, the owning player must immediately remove excess units of their choice until the limit is satisfied.</p>
         </div>
 </section>
@@ -1098,8 +3620,9 @@ document.addEventListener('DOMContentLoaded', () => {
         <h3 class="mt-8" id="s4_1"><span class="rule-number">§ 4.1</span>Income, Unit Maintenance & Gekokujō (Sequential-Simultaneous)</h4>
         <p>Though these steps are completed by all players before moving on, they are resolved in a strict sequence to prevent timing conflicts:</p>
         <ol class="list-decimal list-inside">
-            <li><strong>Collect Income:</strong> All players simultaneously gain 3 Koku base income + 1 Koku per controlled province.</li>
-            <li><strong>Pay Unit Maintenance:</strong> All players simultaneously pay 1 Koku for every 2 Bushi units (rounded up). Daimyō are free. <em>(This is skipped on the first turn of the game).</em></li>
+            <li data-is-replaced-by="cycle-of-rice"><strong>Collect Income:</strong> All players simultaneously gain ${rules.economy.baseIncome} Koku base income + ${rules.economy.provinceIncome} Koku per controlled province.</li>
+            <li data-module="cycle-of-rice"><strong>Daimyō's Stipend:</strong> With The Cycle of Rice and War, all players collect a fixed stipend instead, and Unit Maintenance moves to Winter (${ruleLink('10.5')}). <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></li>
+            <li data-is-replaced-by="cycle-of-rice"><strong>Pay Unit Maintenance:</strong> All players simultaneously pay 1 Koku for every ${rules.economy.bushiPerMaintenanceKoku} Bushi units (rounded up). Daimyō are free. <em>(This is skipped on the first turn of the game).</em></li>
             <li><strong>Determine Player Order (Gekokujō):</strong> Only after all income and Unit Maintenance have been fully resolved, the player order for the round is determined. The player with the fewest provinces acts first. Ties are broken by: 1st - less Koku, 2nd - fewer total units, 3rd - clan name alphabetically.</li>
         </ol>
         <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
@@ -1107,8 +3630,8 @@ document.addEventListener('DOMContentLoaded', () => {
     <p>For a clear and thematic way to track the current player order, consider using the plastic katana swords from the original 1986 edition of Shogun or similar tokens. At the start of the round, arrange them in the correct sequence. This provides an immediate, visual reference for all players.</p>
 </div>
         <h3 class="mt-8" id="s4_2"><span class="rule-number">§ 4.2</span>Honor & Bankruptcy</h3>
-        <p> A Daimyō is bound by their word and must meet their financial obligations. If a player is unable to pay a required cost (Unit Maintenance, Winter Mountain Provisions, etc.) at any time, they must immediately remove <strong>two</strong> of their Bushi units (player's choice) from the board for every 1 Koku they cannot pay. A clan cannot go into debt.</p>
-        <p class="mt-4 italic">For example, if you are short 3 Koku, you must immediately remove 6 of your Bushi from the board.</p>
+        <p> A Daimyō is bound by their word and must meet their financial obligations. If a player is unable to pay a required cost (Unit Maintenance, Winter Mountain Provisions, etc.) at any time, they must immediately remove <strong>${rules.economy.bankruptcyBushiPerKoku}</strong> of their Bushi units (player's choice) from the board for every 1 Koku they cannot pay. A clan cannot go into debt.</p>
+        <p class="mt-4 italic">For example, if you are short 3 Koku, you must immediately remove ${3 * rules.economy.bankruptcyBushiPerKoku} of your Bushi from the board.</p>
         <h3 class="mt-8" id="s4_3"><span class="rule-number">§ 4.3</span>Determine Player Order (GekokujÅ)</h3>
         <p> Only after all income and Unit Maintenance have been fully resolved, the player order for the round is determined. The player with the <strong>fewest provinces</strong> acts first. Ties are broken by: 1st - less Koku, 2nd - fewer total units, 3rd - clan name alphabetically.</li>
     </div>
@@ -1121,8 +3644,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
         <h3 class="mt-8" id="s5_1"><span class="rule-number">§ 5.1</span>Recruitment & Construction (In Player Order)</h4>
         <ol class="list-decimal list-inside">
-            <li><strong>Recruit:</strong> Pay 1 Koku per Bushi.</li>
-            <li><strong>Hire Ninja:</strong> Pay 3 Koku, hire Ninja until end of turn (see <a href="#s9_1" class="nav-link-inline">§9.1</a>).</li>
+            <li><strong>Recruit:</strong> Pay ${rules.costs.recruitBushi} Koku per Bushi.</li>
+            <li><strong>Hire Ninja:</strong> Pay ${rules.costs.hireNinja} Koku, hire Ninja until end of turn (see <a href="#s9_1" class="nav-link-inline">§9.1</a>).</li>
             <li><strong>Castle & Fortress Construction:</strong> Spend Koku to build or fortify a castle (see <a href="#s9_2" class="nav-link-inline">§9.2</a>).</li>
         </ol>
 
@@ -1150,9 +3673,9 @@ document.addEventListener('DOMContentLoaded', () => {
         <h4 class="mt-6" id="s6_1_3"><span class="rule-number">§ 6.1.3</span>&nbsp;Movement Restrictions</h4>
         <p>All movement is subject to the following universal restrictions:</p>
         <ul class="list-disc list-inside ml-4">
-            <li><strong>Movement Range:</strong> Bushi may move up to 2 provinces; Daimyō may move up to 3.</li>
+            <li><strong>Movement Range:</strong> Bushi may move up to ${rules.units.bushi.move} provinces; Daimyō may move up to ${rules.units.daimyo.move}.</li>
             <li><strong>Entering Enemy Territory:</strong> A unit's or army's movement must end immediately upon entering a province containing an enemy player's units (unless an Honor Pact is in effect, see §10.1).</li>
-            <li><strong>Stacking Limit:</strong> A province may not contain more than 7 of a single player's units at the end of their movement.</li>
+            <li><strong>Stacking Limit:</strong> A province may not contain more than ${rules.limits.stacking} of a single player's units at the end of their movement.</li>
         </ul>
         <div class="info-card mt-6 bg-gray-900 border-accent-secondary">
     <h5 class="!mt-0 !border-b-accent-secondary/50">Component Tip: Managing Large Armies</h5>
@@ -1190,43 +3713,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
         <h4 class="mt-6" id="s6_2_3"><span class="rule-number">§ 6.2.3</span>Combat Rolls</h4>
-        <!-- This entire div replaces the old one for the combat table in § 6.2.3 -->
-<div class="table-responsive-wrapper">
-    <table class="table-structured">
-        <thead>
-            <tr>
-                <th data-label="Unit">Unit</th>
-                <th data-label="Dice">Dice</th>
-                <th data-label="Attack Hits">Attack Hits</th>
-                <th data-label="Defense Hits">Defense Hits</th>
-            </tr>
-        </thead>
-        <tbody>
-            <tr>
-                <td data-label="Unit">Bushi</td>
-                <td data-label="Dice">1d6</td>
-                <td data-label="Attack Hits">5-6</td>
-                <td data-label="Defense Hits">6</td>
-            </tr>
-            <tr>
-                <td data-label="Unit">Daimyō</td>
-                <td data-label="Dice">3d6</td>
-                <td data-label="Attack Hits">4-6</td>
-                <td data-label="Defense Hits">4-6</td>
-            </tr>
-            <tr>
-                <td data-label="Unit">Ronin</td>
-                <td data-label="Dice">1d6</td>
-                <td data-label="Attack Hits">5-6</td>
-                <td data-label="Defense Hits">6</td>
-            </tr>
-        </tbody>
-    </table>
-</div>
+${renderUnitTable(['bushi', 'daimyo', 'ronin'], true)}
         <h4 class="mt-6" id="s6_2_4"><span class="rule-number">§ 6.2.4</span>Ronin: Mercenaries</h4>
         <ul class="list-disc list-inside">
-            <li><strong>Hiring:</strong> Pay 1 Koku per Ronin to add them to a battle.</li>
-            <li><strong>Combat Profile:</strong> Ronin act as Bushi in all respects during combat, rolling one die and hitting on a 5-6 when attacking or a 6 when defending. They are affected by all applicable combat modifiers.</li>
+            <li><strong>Hiring:</strong> Pay ${rules.costs.hireRonin} Koku per Ronin to add them to a battle.</li>
+            <li><strong>Combat Profile:</strong> Ronin act as Bushi in all respects during combat, rolling one die and hitting on a ${rules.formatHitRange(rules.units.ronin.attack)} when attacking or a ${rules.formatHitRange(rules.units.ronin.defense)} when defending. They are affected by all applicable combat modifiers.</li>
             <li><strong>Limit:</strong> You may not have more Ronin than your own Bushi in a battle.</li>
             <li><strong>Fleeting Loyalty:</strong> After combat, all Ronin are removed from the board.</li>
         </ul>
@@ -1249,7 +3740,7 @@ document.addEventListener('DOMContentLoaded', () => {
         <p>Oda rolls for 1 Daimyō (3 dice) and 3 Bushi (3 dice), getting 4 hits total. Uesugi rolls for 4 Bushi (4 dice), getting 2 hits. Uesugi removes all 4 of their Bushi. Oda removes 2 Bushi. Oda now controls Echigo.</p>
 
         <h4 class="mt-6 module-row" id="s6_2_7"><span class="rule-number">§ 6.2.7</span>Raiding Invested Provinces <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></h4>
-        <p><em>This rule is only in effect when using <strong>The Cycle of Rice and War</strong> module (<a href="#s10_3" class="nav-link-inline">§10.3</a>).</em></p>
+        <p><em>This rule is only in effect when using <strong>The Cycle of Rice and War</strong> module (<a href="#s10_5" class="nav-link-inline">§10.5</a>).</em></p>
         <p>If an attacker gains control of a province that contains invested Koku tokens from the Sowing step, the attacker immediately seizes all Koku tokens from that province and adds them to their own treasury. This occurs at the end of combat, after all units have been removed and control is determined.</p>
         <h4 class="mt-6" id="s6_2_8"><span class="rule-number">§ 6.2.8</span>Consequences of Losing Control</h4>
         <p>If a player loses control of a province, all associated benefits and abilities for that province end immediately, unless a different timing is explicitly stated by another rule. This includes income potential for the next round, bonuses from clan abilities tied to that province, and control of Mandate Provinces.</p>
@@ -1263,8 +3754,8 @@ document.addEventListener('DOMContentLoaded', () => {
         <p>After all players have completed their Campaign phase, the Winter phase occurs simultaneously for all players.</p>
 
         <h3 class="mt-8" id="s7_1"><span class="rule-number">§ 7.1</span>Pay Mountain Provisions Costs</h3>
-        <p><strong>Pay 1 Koku for each mountain province you control, PLUS 1 Koku per 3 units (any type, rounded up) located across all those mountain provinces.</strong></p>
-        <p class="mt-4 italic text-gray-400">● This rule is replaced by <strong>The Cycle of Rice and War</strong> module (<a href="#s10_3" class="nav-link-inline">§10.3</a>).<span title="The Cycle of Rice and War Module" class="module-icon ml-2">🌾</span></p>
+        <p><strong>Pay ${rules.economy.mountainProvinceCost} Koku for each mountain province you control, PLUS 1 Koku per ${rules.economy.mountainUnitsPerKoku} units (any type, rounded up) located across all those mountain provinces.</strong></p>
+        <p class="mt-4 italic text-gray-400">● This rule is replaced by <strong>The Cycle of Rice and War</strong> module (<a href="#s10_5" class="nav-link-inline">§10.5</a>).<span title="The Cycle of Rice and War Module" class="module-icon ml-2">🌾</span></p>
 
     </div>
 </section>
@@ -1274,6 +3765,8 @@ document.addEventListener('DOMContentLoaded', () => {
         <h2 class="!mt-0" id="s8_heading"><span class="rule-number">§ 8</span>Fealty (Vassalage)</h2>
         <p>The loss of the last Daimyō does not mean elimination from the game. It marks the transition from an independent clan to a vassal, an actor bound to a liege lord with a new, singular objective: to regain freedom.</p>
 
+        <p class="mt-4 italic text-gray-400" data-module="path-of-glory">● You are playing with the <strong>Path of Glory</strong> module: there are no vassals, and §8.1 to §8.3 do not apply. A clan that loses its last Daimyō collects Glory Points instead (${ruleLink('10.7')}).<span title="Path of Glory Module" class="module-icon ml-2">🏆</span></p>
+        <div data-is-replaced-by="path-of-glory">
         <h3 class="mt-8" id="s8_1"><span class="rule-number">§ 8.1</span>Immediate Consequences</h3>
         <p>A single sword strike seals one's fate. The defeat is swift; the consequences are immediate and irreversible. The moment a player's last Daimyō is removed as a casualty from a battle, the following takes effect immediately:</p>
         <ul class="list-disc list-inside mt-4 space-y-3">
@@ -1332,11 +3825,15 @@ document.addEventListener('DOMContentLoaded', () => {
             <li>If the vassal's first attack targets their <strong>Liege Lord</strong>, they have chosen <strong>Path 2 (Betrayal)</strong>.</li>
         </ul>
 
-        <p class="mt-4 italic text-gray-400">★ This entire Vassalage system is replaced by the <strong>>Path of Glory</strong> module (<a href="#s10_4" class="nav-link-inline">§10.4</a>).<span title="Path of Glory Module" class="module-icon ml-2">🏆</span></p>
+        <p class="mt-4 italic text-gray-400">★ This entire Vassalage system is replaced by the <strong>Path of Glory</strong> module (<a href="#s10_7" class="nav-link-inline">§10.7</a>).<span title="Path of Glory Module" class="module-icon ml-2">🏆</span></p>
+        </div>
 
-        <h3 class="mt-8" id="s8_2"><span class="rule-number">§ 8.2</span>Player Elimination</h3>
+        <div data-is-replaced-by="way-of-the-ronin">
+        <h3 class="mt-8" id="s8_4"><span class="rule-number">§ 8.4</span>Player Elimination</h3>
         <p>A player is eliminated if they lose their last province while having no Daimyō on the board.</p>
         <p class="mt-4">A player with zero provinces is not eliminated as long as they have at least one Daimyō on the board. On their turn, they continue to collect their base income of 3 Koku and may take actions as normal. This Daimyō exists in a contested, neutral province and must win a battle to reclaim territory—a difficult but not impossible path back into the conflict.</p>
+        </div>
+        <p class="mt-4 italic text-gray-400" data-module="way-of-the-ronin">● You are playing with <strong>The Way of the Rōnin</strong> module: a player who loses their last province is not eliminated but becomes a Rōnin (${ruleLink('10.8.1')}).<span title="The Way of the Rōnin Module" class="module-icon ml-2">👺</span></p>
 
     </div>
 </section>
@@ -1351,7 +3848,7 @@ document.addEventListener('DOMContentLoaded', () => {
         <h4 class="mt-6" id="s9_1_1"><span class="rule-number">§ 9.1.1</span>Hiring (The Price of Shadows)</h4>
         <ul class="list-disc list-inside space-y-2">
             <li><strong>Timing:</strong> During your Recruitment Phase (Phase 1b).</li>
-            <li><strong>Cost:</strong> Pay <strong>3 Koku</strong> to the bank.</li>
+            <li><strong>Cost:</strong> Pay <strong>${rules.costs.hireNinja} Koku</strong> to the bank.</li>
             <li><strong>Placement:</strong> Place the single Ninja figure <strong>openly</strong> on any province on the map (own, enemy, or neutral).</li>
         </ul>
         <p class="mt-2">The Ninja's presence is now public knowledge. All players know an agent is operating in this province, but their true mission remains hidden.</p>
@@ -1362,7 +3859,7 @@ document.addEventListener('DOMContentLoaded', () => {
         <p>After the operation is revealed and its effect fully resolved, the Ninja figure is removed from the board for the rest of the round. Their contract is fulfilled.</p>
 
         <h4 class="mt-6" id="s9_1_3"><span class="rule-number">§ 9.1.3</span>The Three Operations</h4>
-        <p>Each operation is designed to deliver strategic value equal to the 3 Koku investment.</p>
+        <p>Each operation is designed to deliver strategic value equal to the ${rules.costs.hireNinja} Koku investment.</p>
 
         <div class="info-card border-accent-secondary bg-gray-900/50 mt-4">
             <h5 class="!mt-0 !border-b-accent-secondary/50">1. "Deny Passage!" (The Iron Fan)</h5>
@@ -1370,7 +3867,7 @@ document.addEventListener('DOMContentLoaded', () => {
             <p><strong>Trigger:</strong> An opponent declares movement with one or more units <strong>into</strong> the province where the Ninja is stationed.</p>
             <p><strong>Effect:</strong> The Ninja's blade bars the way. The opponent faces a dilemma and must immediately choose:</p>
             <ul class="list-disc list-inside ml-4 mt-2">
-                <li><strong>Option A (Break Through):</strong> Pay a flat fee of <strong>3 Koku</strong> to the bank to break the blockade and continue movement as planned.</li>
+                <li><strong>Option A (Break Through):</strong> Pay a flat fee of <strong>${rules.costs.denyPassageToll} Koku</strong> to the bank to break the blockade and continue movement as planned.</li>
                 <li><strong>Option B (Retreat):</strong> Immediately cancel the movement of this specific army into this province. The army remains in its province of origin (the province from which movement was declared). The army counts as having moved for this round and may take no further actions.</li>
             </ul>
         </div>
@@ -1386,16 +3883,16 @@ document.addEventListener('DOMContentLoaded', () => {
             <h5 class="!mt-0 !border-b-accent-secondary/50">3. "Burn the Supplies!" (The Red Wind)</h5>
             <p><strong>Narrative:</strong> The agent infiltrates the camp and sets fire to rice stores and ammunition depots. The enemy must immediately spend resources to fight the fire and replace supplies—or watch their army starve.</p>
             <p><strong>Trigger:</strong> A battle begins <strong>in</strong> the Ninja's province (same trigger as "Sow Discord!").</p>
-            <p><strong>Effect:</strong> Immediately before dice are rolled, the Ninja player chooses one player involved in this battle. The Ninja destroys the target's supply lines: That player must <strong>immediately pay 3 Koku</strong> to the bank.</p>
-            <p><strong>Bankruptcy Clause:</strong> If the chosen player cannot pay the 3 Koku (or cannot pay it in full), the Bankruptcy Rule (§ 4.2) applies to the unpaid amount. The player must remove <strong>2 Bushi</strong> (of their choice, from anywhere on the board) for every 1 Koku they cannot pay.</p>
+            <p><strong>Effect:</strong> Immediately before dice are rolled, the Ninja player chooses one player involved in this battle. The Ninja destroys the target's supply lines: That player must <strong>immediately pay ${rules.costs.burnTheSupplies} Koku</strong> to the bank.</p>
+            <p><strong>Bankruptcy Clause:</strong> If the chosen player cannot pay the ${rules.costs.burnTheSupplies} Koku (or cannot pay it in full), the Bankruptcy Rule (§ 4.2) applies to the unpaid amount. The player must remove <strong>${rules.economy.bankruptcyBushiPerKoku} Bushi</strong> (of their choice, from anywhere on the board) for every 1 Koku they cannot pay.</p>
         </div>
 
 
         <h3 class="mt-8" id="s9_2"><span class="rule-number">§ 9.2</span>Castle & Fortress Construction</h3>
         <p> Any Clan can have only 1 Castle or Fortress on the game map simultaneously. </p>
         <ul class="list-disc list-inside">
-            <li><strong>Build Castle (5 Koku):</strong> Place a castle in a province you control. Provides +1 on defense rolls. Limit 1 per player.</li>
-            <li><strong>Fortify Castle (3 Koku):</strong> Place a marker on your castle. Increases its defense bonus to +2 for one round.</li>
+            <li><strong>Build Castle (${rules.costs.buildCastle} Koku):</strong> Place a castle in a province you control. Provides +1 on defense rolls. Limit 1 per player.</li>
+            <li><strong>Fortify Castle (${rules.costs.fortifyCastle} Koku):</strong> Place a marker on your castle. Increases its defense bonus to +2 for one round.</li>
             <li><strong>Destruction:</strong> If an enemy player gains control of a province containing a Castle or Fortress, the fortification is immediately removed from the board.</li>
         </ul>
 
@@ -1431,6 +3928,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     <p class="text-xs mt-2"><strong>Modules:</strong><br>§ 10.1 Political Play ⚖️<br>§ 10.2 The Emperor's Favor 👑</p>
                                 </div>
                             </div>
+                            <h4 class="mt-8" id="module_selection">Choose the Modules for Your Game</h4>
+                            <p>Your choice is remembered in this browser and shapes the whole rulebook: the Rules, Timing and Reference pages show the rules of your modules and hide the ones they replace, and new hot-seat games start with them. Share the link so everyone at the table reads the same rules.</p>
+${renderModuleSelector()}
                         </div>
 
                         <!-- SECTION A: POLITICS -->
@@ -1965,96 +4465,25 @@ document.addEventListener('DOMContentLoaded', () => {
             <h2 class="!mt-0" id="timing_heading">Detailed Timing & Action Structure</h2>
         </header>
         <section>
-            <p>This document provides a granular, step-by-step breakdown of the game's sequences. Use the controls below to update the timing structure based on the optional modules in your game.</p>
+            <p>This document provides a granular, step-by-step breakdown of the game's sequences. Use the controls below to update the timing structure based on the optional modules in your game; the same choice applies to the Rules, Modules and Reference pages.</p>
 
             <div id="timing-module-toggles" class="info-card bg-gray-900 border-accent-secondary my-8">
                 <h3 class="!mt-0 !border-b-accent-secondary/50">Activate Modules to Update Timing</h3>
-                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
-                    <label class="flex items-center space-x-3 cursor-pointer">
-                        <input type="checkbox" data-module-toggle="political-play" class="h-5 w-5 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
-                        <span>Political Play & Blood Feud ⚖️</span>
-                    </label>
-                    <label class="flex items-center space-x-3 cursor-pointer">
-                        <input type="checkbox" data-module-toggle="specialized-warfare" class="h-5 w-5 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
-                        <span>Specialized Warfare 🛡️</span>
-                    </label>
-                    <label class="flex items-center space-x-3 cursor-pointer">
-                        <input type="checkbox" data-module-toggle="cycle-of-rice" class="h-5 w-5 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
-                        <span>The Cycle of Rice and War 🌾</span>
-                    </label>
-                    <label class="flex items-center space-x-3 cursor-pointer">
-                        <input type="checkbox" data-module-toggle="path-of-glory" class="h-5 w-5 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
-                        <span>Path of Glory 🏆</span>
-                    </label>
-                </div>
+${renderModuleSelector()}
             </div>
 
             <div class="table-responsive-wrapper">
                 <h3 class="!border-b-0 !text-center !mb-0" id="timing_round_structure">Part 1: The Round Timing Structure</h3>
-                <table class="table-structured">
-                    <thead><tr><th data-label="Step">Step</th><th data-label="Action">Action</th><th data-label="Notes">Player(s) & Notes</th></tr></thead>
-                    <tbody>
-                        <tr class="module-row"><td colspan="3" class="text-center font-bold">1.0. Phase 1: Planning & Reinforcement</td></tr>
-                        <tr><td data-label="Step"><strong>1.1</strong></td><td data-label="Action"><strong>Income & Administration Step</strong></td><td data-label="Notes"><strong>Simultaneous</strong></td></tr>
-                        <tr data-is-replaced-by="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.1.1. Collect Income (<a href="#s4_1" class="nav-link-inline">§4.1</a>)</td><td data-label="Notes">Add 3 Koku + 1 Koku per province.</td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.1.1a. Daimyō's Stipend (<a href="#s10_3" class="nav-link-inline">§10.3</a>) <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Notes"><strong>Module Only:</strong> Collect only base income of 4 Koku.</td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.1.1b. Sowing Step (<a href="#s10_3" class="nav-link-inline">§10.3</a>) <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Notes"><strong>Module Only:</strong> Sow, store or keep Koku.</td></tr>
-                        <tr data-is-replaced-by="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.1.2. Pay Unit Maintenance (<a href="#s4_1" class="nav-link-inline">§4.1</a>)</td><td data-label="Notes">Pay 1 Koku per 2 Bushi.</td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">1.1.3. Determine Player Order (<a href="#s4_1" class="nav-link-inline">§4.1</a>)</td><td data-label="Notes">Fewest provinces go first.</td></tr>
-                        <tr data-is-replaced-by="path-of-glory"><td data-label="Step"><strong>1.2</strong></td><td data-label="Action"><strong>Vassal Decision Point</strong></td><td data-label="Notes"><strong>Vassals Only</strong> (Replaced by "Path of Glory" module).</td></tr>
-                        <tr data-is-replaced-by="path-of-glory"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.2.1. Choose Path to Liberation (<a href="#s8_1_2" class="nav-link-inline">§8.1.2</a>)</td><td data-label="Notes">Binding choice for the round.</td></tr>
-                        <tr><td data-label="Step"><strong>1.3</strong></td><td data-label="Action"><strong>Recruitment & Construction Step</strong></td><td data-label="Notes"><strong>In Player Order</strong></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">1.3.1. First player recruits/builds.</td><td data-label="Notes">Continues sequentially.</td></tr>
-                        <tr data-module="political-play"><td data-label="Step"><strong>1.3a</strong></td><td data-label="Action"><strong>Diplomacy Step</strong> <span title="Political Play Module" class="module-icon">⚖️</span></td><td data-label="Notes"><strong>Module Only:</strong> "Political Play"</td></tr>
-                        <tr data-module="political-play"><td data-label="Step"></td><td data-label="Action" class="pl-12">1.3a.1. Offer/Accept Honor Pacts (<a href="#s10_1" class="nav-link-inline">§10.1</a>)</td><td data-label="Notes">Performed sequentially in player order.</td></tr>
-                        <tr><td data-label="Step"><strong>1.4</strong></td><td data-label="Action"><strong>End of Phase Checkpoint</strong></td><td data-label="Notes"></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">1.4.1. Check for Victory Conditions (<a href="#s1_1_2" class="nav-link-inline">§1.1.2</a>)</td><td data-label="Notes">Game ends if met.</td></tr>
-                        <tr class="module-row"><td colspan="3" class="text-center font-bold">2.0. Phase 2: Campaign</td></tr>
-                        <tr><td data-label="Step"><strong>2.1</strong></td><td data-label="Action"><strong>Movement Step</strong></td><td data-label="Notes"><strong>In Player Order</strong></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">2.1.1. First player moves all units.</td><td data-label="Notes">Continues sequentially.</td></tr>
-                        <tr><td data-label="Step"><strong>2.2</strong></td><td data-label="Action"><strong>Battle Resolution Step</strong></td><td data-label="Notes"><strong>In Player Order</strong></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">2.2.1. First player resolves all their initiated battles.</td><td data-label="Notes">Player chooses order of their battles.</td></tr>
-                        <tr><td data-label="Step"><strong>2.3</strong></td><td data-label="Action"><strong>End of Phase Checkpoint</strong></td><td data-label="Notes"></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">2.3.1. Check for Victory Conditions (<a href="#s1_1_2" class="nav-link-inline">§1.1.2</a>)</td><td data-label="Notes">Game ends if met.</td></tr>
-                        <tr class="module-row"><td colspan="3" class="text-center font-bold">3.0. Phase 3: Winter</td></tr>
-                        <tr data-is-replaced-by="cycle-of-rice"><td data-label="Step"><strong>3.1</strong></td><td data-label="Action"><strong>Mountain Provisions Step</strong></td><td data-label="Notes"><strong>Simultaneous</strong>.</td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"><strong>3.1a</strong></td><td data-label="Action"><strong>Harvest Step</strong> <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Notes"><strong>Module Only:</strong> "Cycle of Rice & War"</td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">Receive Koku from Sowing (<a href="#s10_3" class="nav-link-inline">§10.3</a>).</td><td data-label="Notes"></td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"><strong>3.1b</strong></td><td data-label="Action"><strong>Module Mountain Provisions Step</strong> <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Notes"><strong>Module Only:</strong> "Cycle of Rice & War"</td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"></td><td data-label="Action" class="pl-12">Pay Unit Maintenance & Mountain Costs (<a href="#s10_3" class="nav-link-inline">§10.3</a>).</td><td data-label="Notes"></td></tr>
-                        <tr data-module="cycle-of-rice"><td data-label="Step"><strong>3.1c</strong></td><td data-label="Action"><strong>Spoilage Step</strong> <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Notes"><strong>Module Only:</strong> Discard half of Koku left in Treasury (rounded down)</td></tr>
-                        <tr><td data-label="Step"><strong>3.2</strong></td><td data-label="Action"><strong>End of Phase Checkpoint</strong></td><td data-label="Notes"></td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">3.2.1. Check for Victory Conditions (<a href="#s1_1_2" class="nav-link-inline">§1.1.2</a>).</td><td data-label="Notes">Game ends if met.</td></tr>
-                        <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">3.2.2. If no winner, round ends.</td><td data-label="Notes">Proceed to next round.</td></tr>
-                    </tbody>
-                </table>
+${renderTimingTable(rules.timing.round, 'Player(s) & Notes')}
             </div>
             <div class="table-responsive-wrapper">
                 <h3 class="!border-b-0 !text-center !mb-0" id="timing_combat_structure">Part 2: The Combat Timing Structure</h3>
-                <table class="table-structured">
-                    <thead><tr><th data-label="Step">Step</th><th data-label="Action">Action</th><th data-label="Notes">Notes</th></tr></thead>
-                    <tbody>
-                    <tr><td data-label="Step"><strong>1.0</strong></td><td data-label="Action"><strong>Announce Combat</strong></td><td data-label="Notes">Attacker declares which battle.</td></tr>
-                    <tr><td data-label="Step"><strong>2.0</strong></td><td data-label="Action"><strong>Hire Ronin Step</strong></td><td data-label="Notes">Attacker, then Defender(s).</td></tr>
-                    <tr><td data-label="Step"><strong>3.0</strong></td><td data-label="Action"><strong>Ninja Intervention Step</strong></td><td data-label="Notes">Window for Ninja player to act.</td></tr>
-                    <tr data-module="specialized-warfare"><td data-label="Step"><strong>4.0</strong></td><td data-label="Action"><strong>Firearm Phase</strong> <span title="Specialized Warfare Module" class="module-icon">🛡️</span></td><td data-label="Notes"><strong>Module Only:</strong> "Technological Change"</td></tr>
-                    <tr data-module="specialized-warfare"><td data-label="Step"></td><td data-label="Action" class="pl-12">4.1. Arquebusiers fire and resolve hits.</td><td data-label="Notes"></td></tr>
-                    <tr data-module="specialized-warfare"><td data-label="Step"><strong>5.0</strong></td><td data-label="Action"><strong>Archery Phase (First Strike)</strong> <span title="Specialized Warfare Module" class="module-icon">🛡️</span></td><td data-label="Notes"><strong>Module Only:</strong> Specialized Warfare</td></tr>
-                    <tr data-module="specialized-warfare"><td data-label="Step"></td><td data-label="Action" class="pl-12">5.1. Archers use First Strike ability.</td><td data-label="Notes"></td></tr>
-                    <tr><td data-label="Step"><strong>6.0</strong></td><td data-label="Action"><strong>Melee Phase</strong></td><td data-label="Notes"></td></tr>
-                    <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">6.1. All sides determine total hits.</td><td data-label="Notes"></td></tr>
-                    <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">6.2. All sides assign hits.</td><td data-label="Notes"></td></tr>
-                    <tr><td data-label="Step"></td><td data-label="Action" class="pl-12">6.3. All marked units are removed simultaneously.</td><td data-label="Notes"></td></tr>
-                    <tr><td data-label="Step"><strong>7.0</strong></td><td data-label="Action"><strong>Conclude Combat</strong></td><td data-label="Notes">Remove Ronin, resolve Raiding (<a href="#s6_2_7" class="nav-link-inline">§6.2.7</a>).</td></tr>
-                    </tbody>
-                </table>
+${renderTimingTable(rules.timing.combat, 'Notes')}
             </div>
         </section>
         <hr class="section-divider">
-        <div class="text-center mt-12">
-            <a href="ShogunTimingAid.html" target="\_blank" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">
-                Download Timing Reference (for Printing)
-            </a>
+        <div class="mt-12">
+            ${renderAidButtons('timing')}
         </div>
     </div></div>
 </section>
@@ -2075,7 +4504,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <ol class="list-decimal list-inside space-y-2">
                                     <li><strong>Phase 1: Planning & Reinforcement</strong>
                                         <ul class="list-disc list-inside ml-4">
-                                            <li><strong>Income & Administration (Simultaneous):</strong> Receive income, pay Unit Maintenance (skip on turn 1), determine player order (Gekokujō).</li>
+                                            <li data-is-replaced-by="cycle-of-rice"><strong>Income & Administration (Simultaneous):</strong> Receive income, pay Unit Maintenance (skip on turn 1), determine player order (Gekokujō).</li>
+                                            <li data-module="cycle-of-rice"><strong>Stipend & Administration (Simultaneous):</strong> Receive the Daimyō's Stipend, determine player order (Gekokujō); after spending, sow or store all remaining Koku. <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></li>
                                             <li><strong>Recruitment & Construction (In Player Order):</strong> Recruit Bushi, hire Ninja, build castles.</li>
                                         </ul>
                                     </li>
@@ -2087,7 +4517,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                     </li>
                                     <li><strong>Phase 3: Winter</strong>
                                         <ul class="list-disc list-inside ml-4">
-                                            <li><strong>Mountain Provisions (Simultaneous):</strong> Pay Mountain Provisions costs for units in mountain provinces. <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></li>
+                                            <li data-is-replaced-by="cycle-of-rice"><strong>Mountain Provisions (Simultaneous):</strong> Pay Mountain Provisions costs for units in mountain provinces. <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></li>
+                                            <li data-module="cycle-of-rice"><strong>Harvest, Upkeep & Spoilage (Simultaneous):</strong> Harvest sown Koku, pay Unit Maintenance and Mountain Provisions, then discard half of the Treasury. <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></li>
                                         </ul>
                                     </li>
                                 </ol>
@@ -2104,129 +4535,37 @@ document.addEventListener('DOMContentLoaded', () => {
                             </div>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_clans">The Great Clans at a Glance</h3>
-                                <div class="table-responsive-wrapper">
-                                    <table class="table-structured">
-                                        <thead><tr><th data-label="Clan">Clan</th><th data-label="Archetype">Archetype</th><th data-label="Strength">Strength</th><th data-label="Weakness">Weakness</th></tr></thead>
-                                        <tbody>
-                                            <tr><td data-label="Clan"><strong>Chosokabe</strong></td><td data-label="Archetype">Economist</td><td data-label="Strength">High, flexible income.</td><td data-label="Weakness">No direct military bonuses.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Hōjō</strong></td><td data-label="Archetype">Builder</td><td data-label="Strength">Superior, cost-effective defense.</td><td data-label="Weakness">Static; power is tied to one location.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Mōri</strong></td><td data-label="Archetype">Naval Power</td><td data-label="Strength">Exceptional strategic mobility.</td><td data-label="Weakness">Reliant on controlling specific sea zones.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Oda</strong></td><td data-label="Archetype">Aggressor</td><td data-label="Strength">Superior combat effectiveness.</td><td data-label="Weakness">Reliant on exposed Daimyō.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Otomo</strong></td><td data-label="Archetype">Gambler</td><td data-label="Strength">Ability to win decisive battles through investment.</td><td data-label="Weakness">Koku-intensive; can be baited.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Shimazu</strong></td><td data-label="Archetype">Expansionist</td><td data-label="Strength">Rapid early economic growth.</td><td data-label="Weakness">Predictable strategic goals.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Takeda</strong></td><td data-label="Archetype">Mobile Force</td><td data-label="Strength">Unmatched force projection.</td><td data-label="Weakness">Power is concentrated.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Tokugawa</strong></td><td data-label="Archetype">Turtle</td><td data-label="Strength">Extremely resilient heartland.</td><td data-label="Weakness">Can become passive.</td></tr>
-                                            <tr><td data-label="Clan"><strong>Uesugi</strong></td><td data-label="Archetype">Defender</td><td data-label="Strength">Cost-effective, attritional defense.</td><td data-label="Weakness">Purely reactive.</td></tr>
-                                        </tbody>
-                                    </table>
-                                </div>
+${renderClanGlanceTable()}
                             </div>
                             <hr class="section-divider">
                             <h2 id="ref_stufe2">Level 2: Core Mechanics in Detail</h2>
                             <p>The most frequently referenced values and rules in one place.</p>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_wirtschaft">Cheat Sheet: The Economic Cycle</h3>
-                                <div class="table-responsive-wrapper">
-                                    <table>
-                                        <thead><tr><th data-label="Action">Action</th><th data-label="Cost/Yield">Cost / Yield</th><th data-label="When">When?</th></tr></thead>
-                                        <tbody>
-                                            <tr><td data-label="Action"><strong>Base Income</strong></td><td data-label="Cost/Yield">+3 Koku</td><td data-label="When">Phase 1.1</td></tr>
-                                            <tr><td data-label="Action"><strong>Province Income</strong></td><td data-label="Cost/Yield">+1 Koku per Province</td><td data-label="When">Phase 1.1</td></tr>
-                                            <tr><td data-label="Action"><strong>Unit Maintenance</strong></td><td data-label="Cost/Yield">-1 Koku per 2 Bushi (rounded up)</td><td data-label="When">Phase 1.1 (Skipped on Turn 1)</td></tr>
-                                            <tr><td data-label="Action"><strong>Recruitment</strong></td><td data-label="Cost/Yield">-1 Koku per Bushi</td><td data-label="When">Phase 1.2</td></tr>
-                                            <tr><td data-label="Action"><strong>Hire Ronin</strong></td><td data-label="Cost/Yield">-1 Koku per Ronin</td><td data-label="When">Combat</td></tr>
-                                            <tr class="module-row"><td data-label="Action"><strong>Winter Mountain Provisions</strong> <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Cost/Yield">-1 Koku per Mountain Province + -1 Koku per 3 units there</td><td data-label="When">Phase 3 (Replaced by Module)</td></tr>
-                                        </tbody>
-                                    </table>
-                                </div>
+${renderEconomyTable()}
                             </div>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_kampfwerte">Cheat Sheet: Combat Values & Modifiers</h3>
                                 <p><strong>Base Values</strong></p>
-                                <div class="table-responsive-wrapper">
-                                    <table><thead><tr><th data-label="Unit">Unit</th><th data-label="Dice">Dice</th><th data-label="Attack">Attack Hits On</th><th data-label="Defense">Defense Hits On</th></tr></thead><tbody><tr><td data-label="Unit">Bushi</td><td data-label="Dice">1d6</td><td data-label="Attack">5-6</td><td data-label="Defense">6</td></tr><tr><td data-label="Unit">Daimyō</td><td data-label="Dice">3d6</td><td data-label="Attack">4-6</td><td data-label="Defense">4-6</td></tr></tbody></table>
-                                </div>
+${renderUnitTable(['bushi', 'daimyo'], false)}
                                 <p class="mt-8"><strong>Possible Modifiers (Highest bonus/penalty applies, §0.1)</strong></p>
-                                <div class="table-responsive-wrapper">
-                                    <table>
-                                        <thead><tr><th data-label="Source">Source</th><th data-label="Effect">Effect</th><th data-label="Condition">Condition</th></tr></thead>
-                                        <tbody>
-                                            <tr><td data-label="Source"><strong>Oda Clan</strong></td><td data-label="Effect">+1 on attack rolls</td><td data-label="Condition">Oda Daimyō is present.</td></tr>
-                                            <tr><td data-label="Source"><strong>Uesugi Clan</strong></td><td data-label="Effect">+1 on defense rolls</td><td data-label="Condition">Province was controlled at start of round.</td></tr>
-                                            <tr><td data-label="Source"><strong>Kyoto (Province)</strong></td><td data-label="Effect">+1 on defense rolls</td><td data-label="Condition">Defender in Yamashiro (Kyoto).</td></tr>
-                                            <tr><td data-label="Source"><strong>Castle</strong></td><td data-label="Effect">+1 on defense rolls</td><td data-label="Condition">Defender in province with a castle.</td></tr>
-                                            <tr><td data-label="Source"><strong>Hōjō Fortress</strong></td><td data-label="Effect">+2 on defense rolls</td><td data-label="Condition">Hōjō player defending in their Fortress province.</td></tr>
-                                            <tr><td data-label="Source"><strong>Fortified Castle</strong></td><td data-label="Effect">+2 on defense rolls</td><td data-label="Condition">Defender in province with a fortified castle (for 1 round).</td></tr>
-                                            <tr><td data-label="Source"><strong>Ninja (Sow Discord!)</strong></td><td data-label="Effect">-1 on all rolls</td><td data-label="Condition">Ninja uses "Sow Discord!" command.</td></tr>
-                                            <tr class="module-row"><td data-label="Source"><strong>Honor Pact Broken</strong> <span title="Political Play Module" class="module-icon">⚖️</span></td><td data-label="Effect">-1 on attack rolls</td><td data-label="Condition"><em>(Module)</em> You are attacking an ally.</td></tr>
-                                        </tbody>
-                                    </table>
-                                </div>
+${renderModifierTable()}
                             </div>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_provinces">Cheat Sheet: Province Types</h3>
                                 <p>This list is for at-a-glance reference for rules concerning specific terrain types. A province can be both coastal and mountainous.</p>
-                                <h4 class="mt-8">Mountain Provinces</h4>
-                                <p>These provinces incur extra Mountain Provisions costs during the Winter phase (unless you are Tokugawa).</p>
-                                <ul class="list-disc list-inside grid grid-cols-2 md:grid-cols-3 gap-x-4">
-                                    <li>Shinano</li>
-                                    <li>Kai</li>
-                                    <li>Hida</li>
-                                    <li>Etchu</li>
-                                    <li>Mino</li>
-                                    <li>Kozuke</li>
-                                </ul>
-                                <h4 class="mt-8">Coastal Provinces</h4>
-                                <p>These provinces interact with certain clan abilities (e.g., Shimazu, Chosokabe).</p>
-                                <ul class="list-disc list-inside grid grid-cols-2 md:grid-cols-3 gap-x-4">
-                                    <li>Satsuma</li>
-                                    <li>Tosa</li>
-                                    <li>Owari</li>
-                                    <li>Echigo</li>
-                                    <li>Settsu (Osaka)</li>
-                                    <li>Sagami (Edo)</li>
-                                    <li>Nagato</li>
-                                    <li>Suruga</li>
-                                    <li>Aki</li>
-                                    <li>Bungo</li>
-                                </ul>
-                                <h4 class="mt-8">Mandate Provinces</h4>
-                                <p>Control of these three provinces is required for the "Shōgun's Mandate" victory condition.</p>
-                                <ul class="list-disc list-inside grid grid-cols-2 md:grid-cols-3 gap-x-4">
-                                    <li>Yamashiro (Kyoto)</li>
-                                    <li>Settsu (Osaka)</li>
-                                    <li>Sagami (Edo)</li>
-                                </ul>
+                                ${renderProvinceTypes()}
                             </div>
                             <hr class="section-divider">
                             <h2 id="ref_stufe3">Level 3: Advanced Concepts</h2>
                             <p>Quick references for modules and more specific rules.</p>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_ninja">Cheat Sheet: The Ninja</h3>
-                                <div class="table-responsive-wrapper">
-                                    <table>
-                                        <thead><tr><th data-label="Type">Mission Type</th><th data-label="Command">Command</th><th data-label="Effect">Effect</th></tr></thead>
-                                        <tbody>
-                                            <tr><td data-label="Type"><strong>Open Mission</strong></td><td data-label="Command">"Deny Passage!"</td><td data-label="Effect">Triggered by movement. Enemy pays 3 Koku or cancels move.</td></tr>
-                                            <tr><td data-label="Type"><strong>Open Mission</strong></td><td data-label="Command">"Sow Discord!"</td><td data-label="Effect">Triggered by battle. Target suffers -1 to all rolls.</td></tr>
-                                            <tr><td data-label="Type"><strong>Open Mission</strong></td><td data-label="Command">"Burn the Supplies!"</td><td data-label="Effect">Triggered by battle. Target pays 3 Koku or loses units (Bankruptcy).</td></tr>
-                                        </tbody>
-                                    </table>
-                                </div>
+${renderNinjaTable()}
                             </div>
                             <div class="info-card">
                                 <h3 class="!mt-0" id="ref_module">Cheat Sheet: Modules at a Glance</h3>
-                                <div class="table-responsive-wrapper">
-                                    <table>
-                                        <thead><tr><th data-label="Module">Module</th><th data-label="Changes">Replaces / Changes</th><th data-label="Adds">Adds</th></tr></thead>
-                                        <tbody>
-                                            <tr><td data-label="Module"><strong>Political Play</strong> <span title="Political Play Module" class="module-icon">⚖️</span></td><td data-label="Changes">-</td><td data-label="Adds">Honor Pacts (alliances), betrayal.</td></tr>
-                                            <tr><td data-label="Module"><strong>Specialized Warfare</strong> <span title="Specialized Warfare Module" class="module-icon">🛡️</span></td><td data-label="Changes">Standard Bushi</td><td data-label="Adds">Spearmen, Swordsmen, Archers; Ranged Phase.</td></tr>
-                                            <tr><td data-label="Module"><strong>The Cycle of Rice and War</strong> <span title="The Cycle of Rice and War Module" class="module-icon">🌾</span></td><td data-label="Changes">Standard Winter & Unit Maintenance in Phase 1</td><td data-label="Adds">Provincial Investment, Harvest Events, Raiding, Storing Rice, Spoilage.</td></tr>
-                                            <tr><td data-label="Module"><strong>Path of Glory</strong> <span title="Path of Glory Module" class="module-icon">🏆</span></td><td data-label="Changes">Vassalage System (§8.1)</td><td data-label="Adds">Comeback mechanic with Glory Points for defeated players.</td></tr>
-                                        </tbody>
-                                    </table>
-                                </div>
+${renderModuleGlanceTable()}
                                 <h4 class="mt-8">Module Compatibility</h4>
                                 <div class="table-responsive-wrapper">
                                     <table>
@@ -2239,10 +4578,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                 </div>
                             </div>
                             <hr class="section-divider">
-                            <div class="text-center mt-12">
-                                <a href="ShogunPlayerAid.html" target="\_blank" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">
-                                    Download Player Aid (for Printing)
-                                </a>
+                            <div class="mt-12">
+                                ${renderAidButtons('player')}
                             </div>
                             <hr class="section-divider">
                             <h3 id="s9_1_ref">Glossary</h3>
@@ -2251,15 +4588,94 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <li><strong>Blood Feud:</strong> A permanent state of conflict declared by a betrayed player, granting them combat bonuses against the betrayer.</li>
                                 <li><strong>Burn the Supplies!:</strong> A Ninja command that forces an opponent to pay Koku or lose units.</li>
                                 <li><strong>Bushi:</strong> Standard warrior figures, the backbone of your army.</li>
-                                <!-- ... (Castle/Clan/Contested/Controlled/Daimyo/Defender/Enemy Target remain the same) ... -->
+                                <li><strong>Castle:</strong> A fortification in a province you control. Its defenders gain +${rules.getModifier('castle').value} on defense rolls (§9.2).</li>
+                                <li><strong>Clan:</strong> One of the nine great houses of Japan. Each player leads one, with its own home region and clan ability (§2.4).</li>
+                                <li><strong>Contested Province:</strong> A province containing units from more than one player. It yields no income (§0.4).</li>
+                                <li><strong>Controlled Province:</strong> A province containing only units from a single player (§0.4).</li>
+                                <li><strong>Daimyō:</strong> A clan leader figure. A clan whose last Daimyō falls becomes a vassal (§8.1).</li>
+                                <li><strong>Defender:</strong> The player whose units occupy a province when an attacker moves in.</li>
                                 <li><strong>Deny Passage!:</strong> A Ninja command that forces an opponent to pay Koku or cancel movement.</li>
-                                <!-- ... (Gekokujo/Glory Points/Honor Pact/Koku/Mandate/Module/Province/Raiding/Ronin/Shogun/Spoilage/Stacking/Mountain/Unit Maint/Uncontrolled/Vassal remain the same) ... -->
+                                <li><strong>Gekokujō:</strong> "The low overthrow the high": the clan with the fewest provinces acts first each round (§4.3).</li>
+                                <li><strong>Glory Points:</strong> The score of fallen clans under the Path of Glory module. ${rules.getModule('path-of-glory').params.victoryPoints} Glory Points win the game (§10.7).</li>
+                                <li><strong>Honor Pact:</strong> An alliance between two players under the Political Play module (§10.1.1).</li>
+                                <li><strong>Koku:</strong> Rice, the currency of the game. It pays for units, castles, the Ninja and Unit Maintenance.</li>
+                                <li><strong>Kōseki:</strong> Merit points a vassal earns on the path of Loyal Service; ${rules.vassalage.kosekiToLiberate} of them win back their freedom (§8.2).</li>
+                                <li><strong>Liege Lord:</strong> The player a vassal is bound to: the one who defeated the vassal's last Daimyō (§8.1).</li>
+                                <li><strong>Mandate Province:</strong> One of the provinces needed for the Shōgun's Mandate (§1.3).</li>
+                                <li><strong>Module:</strong> An optional set of rules added to the core game (§10). A module rule takes precedence over a core rule it contradicts (§0.2).</li>
+                                <li><strong>Mountain Province:</strong> A province whose units must be supplied with Mountain Provisions every Winter (§7.1).</li>
+                                <li><strong>Neutral Province:</strong> A province containing no units from any player (§0.4).</li>
+                                <li><strong>Ninja:</strong> The single agent for hire. Placed openly on the map, it strikes once when its province is entered or fought over (§9.1).</li>
+                                <li><strong>Province:</strong> A territory on the map. Provinces bring income and decide the game (§1.2).</li>
+                                <li><strong>Raiding:</strong> Seizing the Koku sown in a province by conquering it, under the Cycle of Rice and War module (§6.2.7).</li>
+                                <li><strong>Ronin:</strong> Mercenaries hired for a single battle (§6.2.4).</li>
+                                <li><strong>Shōgun:</strong> The military ruler of Japan, and the title the winner of the game claims.</li>
                                 <li><strong>Sow Discord!:</strong> A Ninja command that inflicts a penalty on combat rolls.</li>
+                                <li><strong>Spoilage:</strong> Under the Cycle of Rice and War module, half of the Koku left in the Treasury is lost each Winter (§10.5).</li>
+                                <li><strong>Stacking Limit:</strong> The most units a single player may have in one province (§3.2).</li>
+                                <li><strong>Unit Maintenance:</strong> The Koku paid every round to keep Bushi in the field: 1 Koku per ${rules.economy.bushiPerMaintenanceKoku} Bushi (§4.1).</li>
+                                <li><strong>Vassal:</strong> A player whose last Daimyō has fallen, bound to a Liege Lord until they win back their freedom (§8).</li>
                             </ul>
                         </section>
                     </div></div>
                 </section>
                 `,
+                'play': `
+                <section id="page-play" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">Play: Hot-Seat Game</h2>
+                        </header>
+                        <section>
+                            <p>Play a full game of the core rules on one device, passing it around the table. The game runs the draft (${ruleLink('2.2')}), then every round in the order of the <a href="#timing_round_structure" class="nav-link-inline">Round Timing Structure</a>: income, Unit Maintenance and player order are settled automatically, each player recruits and builds in turn, then moves and fights, and Winter costs are paid for everyone. Victory is checked at the end of every phase (${ruleLink('1.1.2')}).</p>
+                            <p class="text-sm text-gray-400">Optional modules come from the <a href="#module_selection" class="nav-link-inline">module selection</a>. The game plays The Cycle of Rice and War's stipend and Winter upkeep (sowing, harvest and spoilage stay at the table) and Path of Glory, where the Leading Player is whoever held the most provinces when the round began; other modules are recorded with the game but played at the table. When the Ninja is triggered, the game stops and waits for its owner to decide. When a rule lets a player choose which Bushi to lose, the game removes them from the largest stack. The game is saved in this browser after every action.</p>
+                            <p class="text-sm" data-module-play-note></p>
+                            <div class="info-card" id="play-game"></div>
+                            <div class="info-card" id="play-replay">
+                                <h3 class="!mt-0" id="play_replay">Replay</h3>
+                                <p>Every game records its starting position, the dice seed and each action taken. The replay plays those actions again: every battle is rolled from the same seed, so each result comes out exactly as it did at the table. Step through it action by action, phase by phase or round by round, or attach the replay file to a playtest report on the <a href="#feedback" class="nav-link-inline">Feedback</a> page.</p>
+                                <div class="flex flex-wrap items-end gap-3">
+                                    <button type="button" class="province-chip" data-replay-action="current">Replay the game in this browser</button>
+                                    <label class="text-sm">Replay file (.json)<input type="file" accept=".json,application/json" class="form-input mt-1" data-replay-file></label>
+                                </div>
+                                <p class="replay-error text-sm text-accent-secondary whitespace-pre-line mt-2" aria-live="polite"></p>
+                                <div class="replay-view mt-4" hidden>
+                                    ${renderReplayControls()}
+                                    <div class="replay-frame mt-4" aria-live="polite"></div>
+                                    ${renderProvinceMap()}
+                                </div>
+                            </div>
+                        </section>
+                    </div></div>
+                </section>
+                `,
+                'tools': `
+                <section id="page-tools" class="page-container">
+                    <div class="py-12 px-4"><div class="max-w-4xl mx-auto">
+                        <header>
+                            <h2 class="!mt-0">Tools for the Table</h2>
+                        </header>
+                        <section>
+                            <p>Small helpers that do the arithmetic so the table can argue about strategy instead. Every tool reads the same rules data as the Rules and Reference pages.</p>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_odds">Battle Odds</h3>
+                                <p>Enter both forces to see the exact chance of every number of hits and who ends up in control. Hit values follow ${ruleLink('6.2.3')}; only the largest bonus and the largest penalty count on each side (${ruleLink('0.1')}). The calculator assumes every hit removes a unit, so Daimyō and Bushi losses are interchangeable for the control odds.</p>
+                                ${renderOddsForm()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_income">Income Planner</h3>
+                                <p>Plan a round's Koku the way the <a href="#first_round_example" class="nav-link-inline">Example of a First Round</a> does by hand: income and Unit Maintenance (${ruleLink('4.1')}), your purchases (${ruleLink('5.1')}) and Winter Mountain Provisions (${ruleLink('7.1')}). Clan bonuses from ${ruleLink('2.4')} are applied automatically. Any required cost you cannot pay is converted into Bushi losses (${ruleLink('4.2')}).</p>
+                                ${renderPlannerForm()}
+                            </div>
+                            <div class="info-card">
+                                <h3 class="!mt-0" id="tools_turn_order">Turn Order (Gekokujō)</h3>
+                                <p>Enter each clan's position after income and Unit Maintenance. The clan with the fewest provinces acts first; ties are broken by less Koku, then fewer units, then clan name (${ruleLink('4.3')}). Round 1 uses a random order.</p>
+                                ${renderTurnOrderForm()}
+                            </div>
+                        </section>
+                    </div></div>
+                </section>
+                `,
                 'feedback': `
                 <section id="page-feedback" class="page-container">
                     <div class="py-12 px-4">
@@ -2272,7 +4688,7 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <div class="info-card">
                                     <h3 class="!mt-0">Submit Your Feedback</h3>
                                     <p>Please use the form below to send your thoughts directly to the design team. All feedback is read and appreciated.</p>
-                                    <form action="https://form.taxi/s/oovjf8vx" method="POST" class="mt-6 space-y-6">
+                                    <form action="https://form.taxi/s/oovjf8vx" method="POST" enctype="multipart/form-data" class="mt-6 space-y-6">
                                         <div>
                                             <label for="name" class="form-label">Name<span class="required-asterisk">*</span></label>
                                             <input type="text" name="Name" id="name" class="form-input" required>
@@ -2285,6 +4701,11 @@ document.addEventListener('DOMContentLoaded', () => {
                                             <label for="msg" class="form-label">Your message<span class="required-asterisk">*</span></label>
                                             <textarea rows="6" name="Message" id="msg" class="form-textarea" required></textarea>
                                         </div>
+                                        <div>
+                                            <label for="replay" class="form-label">Replay file (optional)</label>
+                                            <input type="file" name="Replay" id="replay" accept=".json,application/json" class="form-input">
+                                            <p class="text-sm text-gray-400 mt-1">Reporting on a game played on the <a href="#play" class="nav-link-inline">Play</a> page? Attach its replay (Save &amp; Share → Download replay) so the design team can step through exactly what happened.</p>
+                                        </div>
                                         <div>
                                             <label class="flex items-center text-sm">
                                                 <input type="checkbox" name="Data processing confirmed" value="Yes" required class="mr-2 h-4 w-4 rounded border-gray-600 bg-gray-800 text-accent-primary focus:ring-accent-primary">
@@ -2323,11 +4744,18 @@ document.addEventListener('DOMContentLoaded', () => {
                                     </a>
                                 </div>
                             </div>
+                            <div class="info-card" data-lint-report>
+                                <h3 class="!mt-0" id="rulebook_check">Rulebook Consistency Check</h3>
+                                <p>A rulebook this size drifts as it grows. The check reads every page and reports headings that share an id, § references that lead nowhere or to the wrong module, terms missing from the <a href="#s9_1_ref" class="nav-link-inline">Glossary</a>, and numbers in the text that disagree with the rules data behind the cheat sheets. Found something it missed? Tell us on the <a href="#feedback" class="nav-link-inline">Feedback</a> page.</p>
+                                <button type="button" class="province-chip mt-2" data-lint-action="run">Check the rulebook</button>
+                                <div class="lint-result mt-4" aria-live="polite"></div>
+                            </div>
                             <div class="text-center mt-12">
                                 <button id="download-offline-btn" class="inline-block bg-accent-primary text-white font-bold py-3 px-6 rounded-lg no-underline hover:bg-blue-400 transition-colors">
                                     Download for Offline Use
                                 </button>
-                                <p class="text-sm text-gray-500 mt-2">(Saves a single .html file with all rules)</p>
+                                <p class="text-sm text-gray-500 mt-2">(Saves a single .html file with all rules, styles and tools)</p>
+                                <p id="download-offline-status" class="text-sm mt-2" aria-live="polite"></p>
                             </div>
                         </section>
                         <hr class="section-divider">
@@ -2355,8 +4783,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 `
             };
 
+            // A translation renders its pages from the same data and helpers; pages it leaves out stay English.
+            const translated = locale ? locale.pages({
+                rules, provinces, ruleLink, renderProvinceMap, renderUnitTable, renderTimingTable, renderModuleSelector,
+                renderTurnOrderForm, renderReplayControls, renderRegionTable, renderProvinceTypes, renderPlannerForm,
+                renderOddsForm, renderNinjaTable, renderModuleGlanceTable, renderModifierTable, renderEconomyTable,
+                renderClanTable, renderClanGlanceTable, renderVersionForm, renderAidButtons,
+            }) : {};
+            englishPages = contentMap;
+
             for (const pageId in contentMap) {
-                const pageContent = contentMap[pageId];
+                const pageContent = translated[pageId] || contentMap[pageId];
                 const section = document.createElement('div'); // Using div to avoid nested sections
                 section.innerHTML = pageContent;
                 // The content is wrapped in a <section>, so we append its children
@@ -2369,17 +4806,30 @@ document.addEventListener('DOMContentLoaded', () => {
         // --- SCRIPT EXECUTION ---
         loadContent();
         populateBottomNav();
+        initLanguage();
         initThemeToggle();
         initEventListeners();
         initTOC();
         initMobileNav();
         initDesktopTOC();
+        initRuleSearch();
         initOfflineDownload();
         initResponsiveTables();
         initProgressBar();
         handleNavigation();
         initMisc(); // Call initMisc after content is loaded and structured
-        initTimingModuleToggles(); // <-- ADD THIS LINE
+        initRulePreviews();
+        initModuleSelection();
+        initProvinceMap();
+        initBattleOdds();
+        initIncomePlanner();
+        initDraftAssistant();
+        initTurnOrderTracker();
+        initHotSeatGame();
+        initReplayViewer();
+        initRulebookCheck();
+        initVersionHistory();
+        initPrintableAids();
     };
 
     if (!window.shogunRulebookInitialized) {
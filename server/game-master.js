@@ -0,0 +1,170 @@
+'use strict';
+
+// --- GAME MASTER ---
+// The authoritative side of a remote game. It owns every room's draft and game state, runs each
+// command through the rules engine and pushes the resulting changes to the connected clients as
+// diffs (engine/sync.js). Browsers only send requests; nothing they claim is trusted.
+// Each seat gets its own redacted view (engine/views.js): hidden state never leaves the server.
+//
+// Protocol (JSON messages):
+//   client -> server  { type: 'create', names, modules }         host a room; the draft starts at once
+//                                                                modules: the optional modules to play (§10)
+//                     { type: 'join', room, token }              take a seat (without a token: watch)
+//                     { type: 'command', action, args, ref }     act for your seat
+//                     { type: 'sync' }                           ask for a fresh snapshot
+//   server -> client  { type: 'created', room, seats: [{ player, name, token }] }
+//                     { type: 'snapshot', room, version, seat, view }   versions count per seat
+//                     { type: 'patch', room, version, ops }
+//                     { type: 'battle', room, results }
+//                     { type: 'rejected', ref, reason }
+
+const crypto = require('crypto');
+const dice = require('../engine/dice');
+const draft = require('../engine/draft');
+const game = require('../engine/game');
+const modules = require('../engine/modules');
+const sync = require('../engine/sync');
+const views = require('../engine/views');
+
+const token = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+// What one seat (null: a spectator) may see of the room.
+const seatView = (room, seat) => ({ draft: room.draft, game: room.game ? views.playerView(room.game, seat) : null });
+
+// The Ronin a defender hires are the defender's decision, so the attacker's command cannot set them.
+// Left out, the engine asks the defender's seat before the battle is fought (engine/game.js, INTERRUPTS).
+const sanitizeArgs = (action, args) => {
+    if (action !== 'resolveBattle') return args;
+    const [province, options = {}] = args;
+    return [province, { otomoReroll: Boolean(options.otomoReroll), ronin: { attacker: (options.ronin || {}).attacker || 0 } }];
+};
+
+// options: { transport, random, seed }   seed() supplies each new game's dice seed
+const createGameMaster = (options = {}) => {
+    const { transport } = options;
+    const random = options.random || Math.random;
+    const newSeed = options.seed || dice.randomSeed;
+    const rooms = new Map();
+    const sessions = new Map(); // client id -> { client, room, seat }
+
+    const roomClients = (room) => [...sessions.values()].filter(s => s.room === room.id);
+
+    // The last view each seat was sent, so later changes can go out as diffs.
+    const sentView = (room, seat) => {
+        if (!room.views.has(seat)) room.views.set(seat, { version: 0, view: seatView(room, seat) });
+        return room.views.get(seat);
+    };
+
+    const snapshot = (room, session) => {
+        const { version, view } = sentView(room, session.seat);
+        return { type: 'snapshot', room: room.id, version, seat: session.seat, view };
+    };
+
+    // Commits a new room state and sends every seat the part of the change it may see.
+    const publish = (room) => {
+        room.views.forEach((sent, seat) => {
+            const view = seatView(room, seat);
+            const ops = sync.diff(sent.view, view);
+            if (!ops.length) return;
+            sent.view = view;
+            sent.version += 1;
+            roomClients(room).filter(s => s.seat === seat)
+                .forEach(s => s.client.send({ type: 'patch', room: room.id, version: sent.version, ops }));
+        });
+    };
+
+    const reject = (session, ref, reason) => session.client.send({ type: 'rejected', ref: ref ?? null, reason });
+
+    const createRoom = (session, names, selection = []) => {
+        if (!Array.isArray(names)) throw new Error('A room needs a list of player names.');
+        if (!Array.isArray(selection)) throw new Error('Modules must be a list of module ids.');
+        const problems = modules.validateSelection(selection.map(String));
+        if (problems.length) throw new Error(problems.join(' '));
+        const d = draft.createDraft(names.map(String), random);
+        const room = { id: token(4), draft: d, modules: modules.normalize(selection), game: null, seats: new Map(), views: new Map() };
+        const seats = d.players.map(p => {
+            const seatToken = token(12);
+            room.seats.set(seatToken, p.id);
+            return { player: p.id, name: p.name, token: seatToken };
+        });
+        rooms.set(room.id, room);
+        session.client.send({ type: 'created', room: room.id, seats });
+    };
+
+    const joinRoom = (session, roomId, seatToken) => {
+        const room = rooms.get(roomId);
+        if (!room) throw new Error(`There is no room "${roomId}".`);
+        if (seatToken && !room.seats.has(seatToken)) throw new Error('That seat token is not valid for this room.');
+        session.room = room.id;
+        session.seat = seatToken ? room.seats.get(seatToken) : null;
+        session.client.send(snapshot(room, session));
+    };
+
+    const command = (session, action, args) => {
+        const room = rooms.get(session.room);
+        if (!room) throw new Error('Join a room first.');
+        if (!session.seat) throw new Error('Spectators cannot act.');
+        if (!Array.isArray(args)) throw new Error('Command arguments must be a list.');
+
+        if (action === 'pick') {
+            if (room.game) throw new Error('The draft is over.');
+            if (draft.currentPicker(room.draft) !== session.seat) throw new Error('It is not your pick.');
+            room.draft = draft.pickClan(room.draft, String(args[0]));
+            if (draft.isComplete(room.draft)) room.game = game.startGame({ ...draft.createSetup(room.draft), modules: room.modules }, newSeed());
+            publish(room);
+            return;
+        }
+
+        if (!room.game) throw new Error('The game has not started yet.');
+        if (game.isOver(room.game)) throw new Error('The game is over.');
+        if (game.actingPlayer(room.game) !== session.seat) throw new Error('It is not your turn.');
+        const { game: next, results } = game.perform(room.game, action, sanitizeArgs(action, args));
+        room.game = next;
+        if (results && results.length) roomClients(room).forEach(s => s.client.send({ type: 'battle', room: room.id, results }));
+        publish(room);
+    };
+
+    const handlers = {
+        connect: (client) => {
+            sessions.set(client.id, { client, room: null, seat: null });
+        },
+        disconnect: (client) => {
+            sessions.delete(client.id);
+        },
+        message: (client, text) => {
+            const session = sessions.get(client.id);
+            if (!session) return;
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (err) {
+                reject(session, null, 'Messages must be JSON.');
+                return;
+            }
+            if (!message || typeof message !== 'object') {
+                reject(session, null, 'Messages must be JSON objects.');
+                return;
+            }
+            try {
+                if (message.type === 'create') createRoom(session, message.names, message.modules);
+                else if (message.type === 'join') joinRoom(session, String(message.room), message.token ? String(message.token) : null);
+                else if (message.type === 'command') command(session, String(message.action), message.args || []);
+                else if (message.type === 'sync') {
+                    const room = rooms.get(session.room);
+                    if (!room) throw new Error('Join a room first.');
+                    session.client.send(snapshot(room, session));
+                } else throw new Error(`Unknown message type "${message.type}".`);
+            } catch (err) {
+                reject(session, message.ref, err.message);
+            }
+        },
+    };
+
+    return {
+        start: () => transport.start(handlers),
+        stop: () => transport.stop(),
+        rooms,
+    };
+};
+
+module.exports = { createGameMaster, seatView };
@@ -0,0 +1,33 @@
+'use strict';
+
+// --- REMOTE GAME SERVER ---
+// Starts the game master on the local WebSocket transport and serves the rulebook next to it:
+//   node server/index.js [--port 8787] [--host 127.0.0.1]
+// Open http://<host>:<port>/#play and choose "Remote Game" to host or join a table.
+
+const path = require('path');
+const { createGameMaster } = require('./game-master');
+const { createWebSocketTransport } = require('./transports/websocket');
+
+const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const port = Number(option('port', process.env.PORT || 8787));
+const host = option('host', process.env.HOST || '127.0.0.1');
+
+const master = createGameMaster({
+    transport: createWebSocketTransport({ port, host, staticRoot: path.join(__dirname, '..') }),
+});
+
+master.start().then(({ port: listening }) => {
+    console.log(`Shogun: Gekokujō game master on http://${host}:${listening}/#play`);
+}).catch(err => {
+    console.error(`Could not start the game master: ${err.message}`);
+    process.exit(1);
+});
+
+const shutdown = () => master.stop().then(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
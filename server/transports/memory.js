@@ -0,0 +1,40 @@
+'use strict';
+
+// --- IN-MEMORY TRANSPORT ---
+// Connects clients inside the same process, for tests and scripted games. Messages are copied
+// through JSON so they behave exactly as they would over the network.
+
+const copy = (message) => JSON.parse(JSON.stringify(message));
+
+const createMemoryTransport = () => {
+    const open = new Map();
+    let handlers = null;
+    let nextId = 1;
+
+    return {
+        start: async (h) => {
+            handlers = h;
+            return { port: null };
+        },
+        stop: async () => {
+            [...open.values()].forEach(connection => connection.close());
+            handlers = null;
+        },
+        // Opens a connection; onMessage receives everything the server sends to it.
+        connect: (onMessage) => {
+            if (!handlers) throw new Error('The transport has not been started.');
+            const client = { id: `memory-${nextId++}`, send: (message) => onMessage(copy(message)) };
+            const connection = {
+                send: (message) => handlers.message(client, JSON.stringify(message)),
+                close: () => {
+                    if (open.delete(client.id) && handlers) handlers.disconnect(client);
+                },
+            };
+            open.set(client.id, connection);
+            handlers.connect(client);
+            return connection;
+        },
+    };
+};
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,208 @@
+'use strict';
+
+// --- WEBSOCKET TRANSPORT ---
+// A dependency-free WebSocket server (RFC 6455 text frames, ping and close) on Node's http module.
+// It stands in for Firestore during development and tests. Every transport offers the same interface:
+//   transport.start({ connect(client), message(client, text), disconnect(client) }) -> Promise<{ port }>
+//   transport.stop() -> Promise
+//   client: { id, send(message) }   messages are plain JSON data
+// The same HTTP server also serves the rulebook files, so the whole table can open one address.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+const MAX_HEADER = 14; // 2 bytes, a 64-bit length and the mask
+const TOO_BIG = 1009;
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+};
+
+// --- FRAMES ---
+const encodeFrame = (opcode, payload) => {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+// Returns { frame, rest }, or null while the buffer does not hold a complete frame.
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) throw new Error('Frame too large.');
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { frame: { fin, opcode, payload }, rest: buffer.subarray(offset + length) };
+};
+
+// --- STATIC FILES ---
+const serveStatic = (root) => (req, res) => {
+    if (!root) {
+        res.writeHead(404).end();
+        return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    let file;
+    try {
+        file = path.join(root, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname));
+    } catch (err) {
+        res.writeHead(400).end();
+        return;
+    }
+    // Only files inside the root, and no dotfiles such as .git.
+    if (!file.startsWith(root + path.sep) || path.relative(root, file).split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403).end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+};
+
+// options: { port, host, staticRoot }
+const createWebSocketTransport = (options = {}) => {
+    const sockets = new Set();
+    let server = null;
+    let nextId = 1;
+
+    const accept = (handlers) => (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accepted = crypto.createHash('sha1').update(key + GUID).digest('base64');
+        socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accepted}\r\n\r\n`);
+        socket.setNoDelay(true);
+        sockets.add(socket);
+
+        let open = true;
+        let buffer = Buffer.alloc(0);
+        let fragments = [];
+        let fragmentBytes = 0;
+        const client = {
+            id: `ws-${nextId++}`,
+            send: (message) => {
+                if (open) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+            },
+        };
+        const close = () => {
+            if (!open) return;
+            open = false;
+            sockets.delete(socket);
+            handlers.disconnect(client);
+        };
+
+        // A message may be split over many frames, so the limit covers them all, not each frame alone.
+        const tooBig = () => {
+            const reason = Buffer.alloc(2);
+            reason.writeUInt16BE(TOO_BIG);
+            socket.end(encodeFrame(OPCODES.close, reason));
+            close();
+        };
+
+        socket.on('data', (chunk) => {
+            if (!open) return;
+            buffer = Buffer.concat([buffer, chunk]);
+            try {
+                let decoded = decodeFrame(buffer);
+                while (decoded) {
+                    const { frame } = decoded;
+                    buffer = decoded.rest;
+                    if (frame.opcode === OPCODES.close) {
+                        socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+                        close();
+                        return;
+                    }
+                    if (frame.opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                    if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+                        fragments.push(frame.payload);
+                        fragmentBytes += frame.payload.length;
+                        if (fragmentBytes > MAX_PAYLOAD) {
+                            tooBig();
+                            return;
+                        }
+                        if (frame.fin) {
+                            const text = Buffer.concat(fragments).toString('utf8');
+                            fragments = [];
+                            fragmentBytes = 0;
+                            handlers.message(client, text);
+                        }
+                    }
+                    decoded = decodeFrame(buffer);
+                }
+                // What is left is one unfinished frame, which counts towards the message it continues.
+                if (fragmentBytes + buffer.length > MAX_PAYLOAD + MAX_HEADER) tooBig();
+            } catch (err) {
+                socket.destroy();
+                close();
+            }
+        });
+        socket.on('close', close);
+        socket.on('error', close);
+        handlers.connect(client);
+    };
+
+    return {
+        start: (handlers) => new Promise((resolve, reject) => {
+            server = http.createServer(serveStatic(options.staticRoot ? path.resolve(options.staticRoot) : null));
+            server.on('upgrade', accept(handlers));
+            server.once('error', reject);
+            server.listen(options.port ?? 8787, options.host || '127.0.0.1', () => resolve({ port: server.address().port }));
+        }),
+        stop: () => new Promise((resolve) => {
+            sockets.forEach(socket => socket.destroy());
+            sockets.clear();
+            if (server) server.close(() => resolve());
+            else resolve();
+        }),
+    };
+};
+
+module.exports = { createWebSocketTransport, encodeFrame, decodeFrame };